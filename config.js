@@ -21,9 +21,11 @@ class ConfigManager {
         // Merge with environment-specific config
         const mergedConfig = mergeDeep(baseConfig, envConfig);
         
-        // Apply any runtime overrides from localStorage
+        // Apply any runtime overrides from localStorage (not available in Web Workers)
         try {
-            const storedOverrides = localStorage.getItem('ar_project_config_overrides');
+            const storedOverrides = typeof localStorage !== 'undefined'
+                ? localStorage.getItem('ar_project_config_overrides')
+                : null;
             if (storedOverrides) {
                 const overrides = JSON.parse(storedOverrides);
                 return mergeDeep(mergedConfig, overrides);
@@ -131,6 +133,11 @@ const environmentConfigs = {
 
 // Detect the current environment
 function detectEnvironment() {
+    // Web Workers have no window or web storage
+    if (typeof window === 'undefined' || typeof localStorage === 'undefined') {
+        return 'production';
+    }
+    
     // Check for explicit environment setting
     const explicitEnv = localStorage.getItem('ar_project_environment');
     if (explicitEnv) return explicitEnv;
@@ -0,0 +1,290 @@
+/**
+ * Itemised, time-phased project costs shared by the forest and water calculators
+ *
+ * Each cost line has an amount, a basis (lump sum, per hectare or per tree)
+ * and a schedule saying in which project years it is paid (once, every year,
+ * every N years or at each verification). Lines are grouped into the
+ * establishment, maintenance, monitoring and other categories used in the
+ * cost breakdown.
+ */
+import { escapeHtml } from './utils.js';
+
+export const COST_CATEGORIES = {
+    establishment: 'Establishment',
+    maintenance: 'Maintenance',
+    monitoring: 'Monitoring',
+    other: 'Other'
+};
+
+export const COST_BASES = {
+    total: 'Lump sum',
+    perHectare: 'Per hectare',
+    perTree: 'Per tree'
+};
+
+export const COST_SCHEDULES = {
+    once: 'One-off',
+    annual: 'Every year',
+    interval: 'Every N years',
+    verification: 'Each verification'
+};
+
+// Typical line items offered when the cost builder is first shown
+export const FOREST_COST_TEMPLATES = [
+    { label: 'Saplings', category: 'establishment', basis: 'perTree', schedule: 'once', startYear: 0 },
+    { label: 'Site preparation', category: 'establishment', basis: 'perHectare', schedule: 'once', startYear: 0 },
+    { label: 'Fencing', category: 'establishment', basis: 'perHectare', schedule: 'once', startYear: 0 },
+    { label: 'Labour', category: 'maintenance', basis: 'total', schedule: 'annual', startYear: 1 },
+    { label: 'Irrigation', category: 'maintenance', basis: 'perHectare', schedule: 'annual', startYear: 1, endYear: 3 },
+    { label: 'Monitoring & verification', category: 'monitoring', basis: 'total', schedule: 'verification' },
+    { label: 'Registry fees', category: 'other', basis: 'total', schedule: 'verification' }
+];
+
+export const WATER_COST_TEMPLATES = [
+    { label: 'Construction', category: 'establishment', basis: 'total', schedule: 'once', startYear: 0 },
+    { label: 'Land & site preparation', category: 'establishment', basis: 'perHectare', schedule: 'once', startYear: 0 },
+    { label: 'Labour & upkeep', category: 'maintenance', basis: 'total', schedule: 'annual', startYear: 1 },
+    { label: 'Desilting', category: 'maintenance', basis: 'total', schedule: 'interval', startYear: 3, interval: 3 },
+    { label: 'Monitoring', category: 'monitoring', basis: 'total', schedule: 'annual', startYear: 1 }
+];
+
+/**
+ * Check a cost line and fill in defaults
+ * @param {Object} line - { label, category, amount, basis, schedule, startYear, endYear, interval }
+ * @param {number} duration - Project duration in years
+ * @returns {Object} Resolved line
+ * @throws {Error} If the line cannot be costed
+ */
+export function resolveCostLine(line, duration) {
+    const label = String(line.label || '').trim() || 'Unnamed cost';
+    const amount = parseFloat(line.amount) || 0;
+    const schedule = COST_SCHEDULES[line.schedule] ? line.schedule : 'once';
+    const defaultStart = schedule === 'once' ? 0 : 1;
+    const startYear = isFinite(parseInt(line.startYear, 10)) ? parseInt(line.startYear, 10) : defaultStart;
+    const endYear = isFinite(parseInt(line.endYear, 10)) ? parseInt(line.endYear, 10) : duration;
+    const interval = parseInt(line.interval, 10) || 1;
+
+    if (amount < 0) {
+        throw new Error(`${label}: amount must be zero or more`);
+    }
+    if (startYear < 0 || startYear > duration) {
+        throw new Error(`${label}: start year must be between 0 and ${duration}`);
+    }
+    if (endYear < startYear) {
+        throw new Error(`${label}: end year must not be before the start year`);
+    }
+    if (schedule === 'interval' && interval < 1) {
+        throw new Error(`${label}: the interval must be at least 1 year`);
+    }
+
+    return {
+        label,
+        category: COST_CATEGORIES[line.category] ? line.category : 'other',
+        amount,
+        basis: COST_BASES[line.basis] ? line.basis : 'total',
+        schedule,
+        startYear,
+        endYear: Math.min(endYear, duration),
+        interval
+    };
+}
+
+/**
+ * Years in which a cost line is paid
+ * @param {Object} line - Line from resolveCostLine()
+ * @param {Array<number>} verificationYears - Years in which the project is verified
+ * @returns {Array<number>} Payment years
+ */
+export function getCostLineYears(line, verificationYears = []) {
+    const inRange = year => year >= line.startYear && year <= line.endYear;
+
+    switch (line.schedule) {
+        case 'annual':
+        case 'interval': {
+            const step = line.schedule === 'annual' ? 1 : line.interval;
+            const years = [];
+            for (let year = line.startYear; year <= line.endYear; year += step) {
+                years.push(year);
+            }
+            return years;
+        }
+        case 'verification':
+            return verificationYears.filter(inRange);
+        default:
+            return [line.startYear];
+    }
+}
+
+/**
+ * Build the yearly cost schedule from itemised cost lines
+ * @param {Array<Object>} lines - Cost lines as read from the builder
+ * @param {Object} project - Project facts the lines are scaled by
+ * @param {number} project.duration - Project duration in years
+ * @param {number} [project.area=0] - Project area (ha)
+ * @param {number} [project.trees=0] - Number of trees planted
+ * @param {Array<number>} [project.verificationYears=[]] - Years in which the project is verified
+ * @returns {Object} { costs, lines, categoryTotals, total }
+ * @throws {Error} If a line cannot be costed
+ */
+export function buildCostSchedule(lines, { duration, area = 0, trees = 0, verificationYears = [] }) {
+    duration = Math.floor(duration);
+    const costs = new Array(duration + 1).fill(0);
+    const categoryTotals = {};
+    Object.keys(COST_CATEGORIES).forEach(category => {
+        categoryTotals[category] = 0;
+    });
+
+    const basisQuantity = { total: 1, perHectare: area, perTree: trees };
+
+    const costedLines = (lines || [])
+        .map(line => resolveCostLine(line, duration))
+        .filter(line => line.amount > 0)
+        .map(line => {
+            const paymentAmount = line.amount * basisQuantity[line.basis];
+            const years = getCostLineYears(line, verificationYears);
+            years.forEach(year => {
+                costs[year] += paymentAmount;
+            });
+
+            const total = paymentAmount * years.length;
+            categoryTotals[line.category] += total;
+            return { ...line, paymentAmount, years, total };
+        });
+
+    return {
+        costs,
+        lines: costedLines,
+        categoryTotals,
+        total: costs.reduce((sum, cost) => sum + cost, 0)
+    };
+}
+
+/**
+ * Scale the amount of every cost line, e.g. for a sensitivity run
+ * @param {Array<Object>} lines - Cost lines as read from the builder
+ * @param {number} factor - Multiplier applied to each amount
+ * @returns {Array<Object>} Scaled copies of the lines
+ */
+export function scaleCostLines(lines, factor) {
+    return (lines || []).map(line => ({ ...line, amount: (parseFloat(line.amount) || 0) * factor }));
+}
+
+/**
+ * Fill a cost builder container with line rows and an "Add Cost Line" button
+ * @param {HTMLElement} container - Builder container
+ * @param {Array<Object>} templates - Lines to start with
+ * @param {Object} [options] - Builder options
+ * @param {Array<string>} [options.bases] - Keys of COST_BASES offered
+ * @param {Array<string>} [options.schedules] - Keys of COST_SCHEDULES offered
+ * @param {Function} [options.onChange] - Called whenever a line is edited, added or removed
+ */
+export function renderCostBuilder(container, templates, {
+    bases = Object.keys(COST_BASES),
+    schedules = Object.keys(COST_SCHEDULES),
+    onChange
+} = {}) {
+    if (!container) return;
+
+    const optionsHtml = (labels, keys, selected) => keys
+        .map(key => `<option value="${key}"${key === selected ? ' selected' : ''}>${labels[key]}</option>`)
+        .join('');
+
+    const addRow = (line = {}) => {
+        const row = document.createElement('tr');
+        row.className = 'cost-line';
+        row.innerHTML = `
+            <td><input type="text" class="input" data-field="label" value="${escapeHtml(line.label || '')}" placeholder="Item"></td>
+            <td><select class="input" data-field="category">${optionsHtml(COST_CATEGORIES, Object.keys(COST_CATEGORIES), line.category || 'other')}</select></td>
+            <td><input type="number" class="input" data-field="amount" value="${escapeHtml(line.amount ?? '')}" min="0" step="0.01" placeholder="0"></td>
+            <td><select class="input" data-field="basis">${optionsHtml(COST_BASES, bases, line.basis || 'total')}</select></td>
+            <td><select class="input" data-field="schedule">${optionsHtml(COST_SCHEDULES, schedules, line.schedule || 'once')}</select></td>
+            <td><input type="number" class="input" data-field="startYear" value="${escapeHtml(line.startYear ?? '')}" min="0" step="1" placeholder="${line.schedule === 'once' || !line.schedule ? 0 : 1}"></td>
+            <td><input type="number" class="input" data-field="endYear" value="${escapeHtml(line.endYear ?? '')}" min="0" step="1" placeholder="End"></td>
+            <td><input type="number" class="input" data-field="interval" value="${escapeHtml(line.interval ?? '')}" min="1" step="1" placeholder="1"></td>
+            <td><button type="button" class="btn btn-outline" data-action="remove" aria-label="Remove cost line">✕</button></td>
+        `;
+        row.querySelector('[data-action="remove"]').addEventListener('click', () => {
+            row.remove();
+            if (onChange) onChange();
+        });
+        tableBody.appendChild(row);
+    };
+
+    container.innerHTML = `
+        <div class="table-container">
+            <table class="cost-builder-table">
+                <thead>
+                    <tr>
+                        <th>Item</th>
+                        <th>Category</th>
+                        <th>Amount</th>
+                        <th>Basis</th>
+                        <th>Schedule</th>
+                        <th>Start Year</th>
+                        <th>End Year</th>
+                        <th>Every (Years)</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+        </div>
+        <button type="button" class="btn btn-outline mt-2" data-action="add">Add Cost Line</button>
+    `;
+
+    const tableBody = container.querySelector('tbody');
+    templates.forEach(addRow);
+
+    container.querySelector('[data-action="add"]').addEventListener('click', () => {
+        addRow();
+        if (onChange) onChange();
+    });
+
+    if (onChange) {
+        container.addEventListener('change', onChange);
+    }
+}
+
+/**
+ * Read the cost lines entered in a cost builder
+ * Lines without an amount are skipped.
+ * @param {HTMLElement} container - Builder container
+ * @returns {Array<Object>} Cost lines ready for buildCostSchedule()
+ */
+export function readCostLines(container) {
+    if (!container) return [];
+
+    return Array.from(container.querySelectorAll('tr.cost-line'))
+        .map(row => {
+            const line = {};
+            row.querySelectorAll('[data-field]').forEach(field => {
+                line[field.dataset.field] = field.value;
+            });
+            return line;
+        })
+        .filter(line => line.amount !== '' && line.amount !== undefined);
+}
+
+/**
+ * List the costed lines in a summary table
+ * @param {HTMLElement} tableBody - Table body to fill
+ * @param {Array<Object>} lines - Lines from buildCostSchedule()
+ * @param {Function} formatMoney - Formats an amount for display
+ */
+export function renderCostLineSummary(tableBody, lines, formatMoney) {
+    if (!tableBody) return;
+
+    tableBody.innerHTML = '';
+    (lines || []).forEach(line => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${escapeHtml(line.label)}</td>
+            <td>${COST_CATEGORIES[line.category]}</td>
+            <td>${COST_SCHEDULES[line.schedule]}</td>
+            <td>${line.years.length ? line.years.join(', ') : '-'}</td>
+            <td>${formatMoney(line.paymentAmount)}</td>
+            <td>${formatMoney(line.total)}</td>
+        `;
+        tableBody.appendChild(row);
+    });
+}
@@ -0,0 +1,277 @@
+/**
+ * Currency settings shared by the forest and water calculators
+ *
+ * Monetary inputs (costs, water value) are entered in the project base
+ * currency; carbon prices are market quotes in US dollars. Every amount is
+ * calculated in the base currency and converted to the display currency when
+ * shown. Exchange rates are entered by the user and stored locally as units
+ * of each currency per US dollar - there is no live rate feed.
+ */
+import { StorageManager, eventBus, Logger } from './utils.js';
+
+export const CURRENCIES = {
+    USD: { symbol: '$', name: 'US Dollar', locale: 'en-US' },
+    EUR: { symbol: '€', name: 'Euro', locale: 'de-DE' },
+    GBP: { symbol: '£', name: 'British Pound', locale: 'en-GB' },
+    INR: { symbol: '₹', name: 'Indian Rupee', locale: 'en-IN' },
+    BRL: { symbol: 'R$', name: 'Brazilian Real', locale: 'pt-BR' },
+    KES: { symbol: 'KSh', name: 'Kenyan Shilling', locale: 'en-KE' },
+    IDR: { symbol: 'Rp', name: 'Indonesian Rupiah', locale: 'id-ID' },
+    CNY: { symbol: '¥', name: 'Chinese Yuan', locale: 'zh-CN' },
+    ZAR: { symbol: 'R', name: 'South African Rand', locale: 'en-ZA' },
+    AUD: { symbol: 'A$', name: 'Australian Dollar', locale: 'en-AU' }
+};
+
+// Carbon prices are quoted in this currency
+export const CARBON_PRICE_CURRENCY = 'USD';
+
+export const DEFAULT_BASE_CURRENCY = 'INR';
+export const DEFAULT_DISPLAY_CURRENCY = 'INR';
+
+// Indicative units per US dollar; users should replace them with their own source
+export const DEFAULT_EXCHANGE_RATES = {
+    USD: 1,
+    EUR: 0.92,
+    GBP: 0.79,
+    INR: 83,
+    BRL: 5.0,
+    KES: 130,
+    IDR: 15500,
+    CNY: 7.2,
+    ZAR: 18.5,
+    AUD: 1.5
+};
+
+export const CURRENCY_CHANGED_EVENT = 'currency:changed';
+
+const STORAGE_KEY = 'currencySettings';
+const storage = new StorageManager();
+let currentSettings = null;
+
+/**
+ * Current currency settings, loaded from local storage on first use
+ * @returns {Object} { baseCurrency, displayCurrency, rates }
+ */
+export function getCurrencySettings() {
+    if (!currentSettings) {
+        const stored = storage.getItem(STORAGE_KEY, {}) || {};
+        currentSettings = {
+            baseCurrency: CURRENCIES[stored.baseCurrency] ? stored.baseCurrency : DEFAULT_BASE_CURRENCY,
+            displayCurrency: CURRENCIES[stored.displayCurrency] ? stored.displayCurrency : DEFAULT_DISPLAY_CURRENCY,
+            rates: { ...DEFAULT_EXCHANGE_RATES, ...(stored.rates || {}) }
+        };
+    }
+    return currentSettings;
+}
+
+/**
+ * Change and store the currency settings
+ * @param {Object} changes - Any of { baseCurrency, displayCurrency, rates }
+ * @returns {Object} Updated settings
+ * @throws {Error} If a currency is unknown or a rate is not a positive number
+ */
+export function updateCurrencySettings(changes = {}) {
+    const settings = getCurrencySettings();
+
+    ['baseCurrency', 'displayCurrency'].forEach(field => {
+        if (changes[field] !== undefined && !CURRENCIES[changes[field]]) {
+            throw new Error(`Unknown currency "${changes[field]}"`);
+        }
+    });
+
+    const rates = { ...settings.rates };
+    Object.entries(changes.rates || {}).forEach(([code, rate]) => {
+        const value = parseFloat(rate);
+        if (!CURRENCIES[code] || !(value > 0)) {
+            throw new Error(`Exchange rate for ${code} must be a positive number`);
+        }
+        rates[code] = value;
+    });
+    // Rates are per US dollar, so the dollar always stays at 1
+    rates[CARBON_PRICE_CURRENCY] = 1;
+
+    currentSettings = {
+        baseCurrency: changes.baseCurrency || settings.baseCurrency,
+        displayCurrency: changes.displayCurrency || settings.displayCurrency,
+        rates
+    };
+    storage.setItem(STORAGE_KEY, currentSettings);
+    eventBus.emit(CURRENCY_CHANGED_EVENT, currentSettings);
+
+    return currentSettings;
+}
+
+/**
+ * Restore the indicative exchange rates
+ * @returns {Object} Updated settings
+ */
+export function resetExchangeRates() {
+    return updateCurrencySettings({ rates: { ...DEFAULT_EXCHANGE_RATES } });
+}
+
+/**
+ * Convert an amount between currencies
+ * @param {number} amount - Amount to convert
+ * @param {string} from - Currency code of the amount
+ * @param {string} to - Currency code to convert to
+ * @param {Object} [rates] - Units per US dollar; defaults to the stored rates
+ * @returns {number} Converted amount
+ */
+export function convertCurrency(amount, from, to, rates = getCurrencySettings().rates) {
+    if (from === to) return amount;
+    const fromRate = rates[from];
+    const toRate = rates[to];
+    if (!(fromRate > 0) || !(toRate > 0)) {
+        Logger.warn(`No exchange rate between ${from} and ${to}`);
+        return amount;
+    }
+    return amount / fromRate * toRate;
+}
+
+/**
+ * Symbol of a currency
+ * @param {string} [code] - Currency code; defaults to the display currency
+ * @returns {string} Currency symbol
+ */
+export function getCurrencySymbol(code = getCurrencySettings().displayCurrency) {
+    return CURRENCIES[code]?.symbol || code;
+}
+
+/**
+ * Format an amount in the display currency
+ * @param {number} amount - Amount to format
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.from] - Currency of the amount; defaults to the base currency
+ * @param {number} [options.decimals=2] - Number of decimal places
+ * @param {boolean} [options.symbol=true] - Whether to put the currency symbol in front
+ * @returns {string} Formatted amount, e.g. "₹ 1,23,456.00"
+ */
+export function formatMoney(amount, { from, decimals = 2, symbol = true } = {}) {
+    if (amount === null || amount === undefined || isNaN(amount)) {
+        return '-';
+    }
+
+    const { baseCurrency, displayCurrency } = getCurrencySettings();
+    const converted = convertCurrency(Number(amount), from || baseCurrency, displayCurrency);
+    const formatted = converted.toLocaleString(CURRENCIES[displayCurrency].locale, {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+    });
+
+    return symbol ? `${getCurrencySymbol(displayCurrency)} ${formatted}` : formatted;
+}
+
+/**
+ * Refresh every currency label on the page
+ * Elements mark what they show with data-currency-label="base", "display" or "carbon".
+ * @param {ParentNode} [root=document] - Element to search in
+ */
+export function updateCurrencyLabels(root = document) {
+    const { baseCurrency, displayCurrency } = getCurrencySettings();
+    const codes = { base: baseCurrency, display: displayCurrency, carbon: CARBON_PRICE_CURRENCY };
+
+    root.querySelectorAll('[data-currency-label]').forEach(element => {
+        const code = codes[element.dataset.currencyLabel];
+        if (code) element.textContent = getCurrencySymbol(code);
+    });
+}
+
+/**
+ * Render the currency settings card and keep the page labels in step with it
+ * @returns {Object|null} { getCurrencySettings } or null if the container is missing
+ */
+export function setupCurrencySettings() {
+    const container = document.getElementById('currencySettings');
+    if (!container) {
+        console.warn('Currency settings container not found');
+        return null;
+    }
+
+    const render = () => {
+        const { baseCurrency, displayCurrency, rates } = getCurrencySettings();
+        const options = selected => Object.entries(CURRENCIES)
+            .map(([code, currency]) => `<option value="${code}"${code === selected ? ' selected' : ''}>${code} - ${currency.name}</option>`)
+            .join('');
+        const rateRows = Object.entries(CURRENCIES).map(([code, currency]) => `
+                    <tr>
+                        <td>${code} (${currency.symbol})</td>
+                        <td><input type="number" class="input" data-rate="${code}" value="${rates[code]}" min="0" step="any"${code === CARBON_PRICE_CURRENCY ? ' disabled' : ''}></td>
+                    </tr>`).join('');
+
+        container.innerHTML = `
+            <details>
+                <summary><strong>Currency & Exchange Rates</strong> (${baseCurrency} → ${displayCurrency})</summary>
+                <div class="grid-1-2 mt-2">
+                    <div class="form-group">
+                        <label for="baseCurrency" class="label">Project Base Currency</label>
+                        <select id="baseCurrency" class="input">${options(baseCurrency)}</select>
+                        <p class="text-sm text-gray-500 mt-2">Costs and the value of water are entered in this currency. Carbon prices are quoted in US dollars.</p>
+                    </div>
+                    <div class="form-group">
+                        <label for="displayCurrency" class="label">Display Currency</label>
+                        <select id="displayCurrency" class="input">${options(displayCurrency)}</select>
+                        <p class="text-sm text-gray-500 mt-2">All monetary results, exports and reports are shown in this currency.</p>
+                    </div>
+                </div>
+                <div class="table-container">
+                    <table id="exchangeRateTable">
+                        <thead>
+                            <tr>
+                                <th>Currency</th>
+                                <th>Units per US Dollar</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rateRows}
+                        </tbody>
+                    </table>
+                </div>
+                <p class="text-sm text-gray-500 mt-2">Rates are stored on this device only. The defaults are indicative; enter the rates from your own source.</p>
+                <button type="button" id="resetExchangeRatesBtn" class="btn btn-outline mt-2">Restore Default Rates</button>
+                <div id="currencySettingsError" class="error-message hidden"></div>
+            </details>
+        `;
+        container.querySelector('details').open = Boolean(container.dataset.open);
+    };
+
+    const showError = message => {
+        const errorElement = document.getElementById('currencySettingsError');
+        if (!errorElement) return;
+        errorElement.textContent = message || '';
+        errorElement.classList.toggle('hidden', !message);
+    };
+
+    container.addEventListener('toggle', event => {
+        container.dataset.open = event.target.open ? 'true' : '';
+    }, true);
+
+    container.addEventListener('change', event => {
+        const target = event.target;
+        try {
+            if (target.id === 'baseCurrency' || target.id === 'displayCurrency') {
+                updateCurrencySettings({ [target.id]: target.value });
+            } else if (target.dataset.rate) {
+                updateCurrencySettings({ rates: { [target.dataset.rate]: target.value } });
+            }
+        } catch (error) {
+            console.error('Error updating currency settings:', error);
+            showError(error.message);
+        }
+    });
+
+    container.addEventListener('click', event => {
+        if (event.target.id === 'resetExchangeRatesBtn') {
+            resetExchangeRates();
+        }
+    });
+
+    // Redraw on every change, including ones made elsewhere such as opening a project
+    eventBus.on(CURRENCY_CHANGED_EVENT, () => {
+        render();
+        updateCurrencyLabels();
+    });
+
+    render();
+    updateCurrencyLabels();
+
+    return { getCurrencySettings };
+}
@@ -886,6 +886,53 @@ export function setFormData(form, data = {}) {
     });
 }
 
+/**
+ * Read the values of every field with an ID inside a container
+ * Unlike getFormData() this does not need name attributes. File inputs are skipped.
+ * @param {HTMLElement} container - Form or other container
+ * @returns {Object} { [id]: value }, with checkboxes and radios as booleans
+ */
+export function readFieldValues(container) {
+    const values = {};
+    if (!container) return values;
+    
+    container.querySelectorAll('input[id], select[id], textarea[id]').forEach(field => {
+        if (field.type === 'file') return;
+        values[field.id] = field.type === 'checkbox' || field.type === 'radio' ? field.checked : field.value;
+    });
+    
+    return values;
+}
+
+/**
+ * Write values saved by readFieldValues() back into a container
+ * A change event is fired on every field so dependent fields are shown or
+ * hidden. Change handlers may fill in defaults, so the values are written a
+ * second time afterwards. Fields that no longer exist are ignored.
+ * @param {HTMLElement} container - Form or other container
+ * @param {Object} values - { [id]: value }
+ */
+export function writeFieldValues(container, values = {}) {
+    if (!container) return;
+    
+    const fields = Object.entries(values)
+        .map(([id, value]) => ({ field: container.querySelector(`#${CSS.escape(id)}`), value }))
+        .filter(({ field }) => field && field.type !== 'file');
+    const write = ({ field, value }) => {
+        if (field.type === 'checkbox' || field.type === 'radio') {
+            field.checked = Boolean(value);
+        } else {
+            field.value = value;
+        }
+    };
+    
+    fields.forEach(entry => {
+        write(entry);
+        entry.field.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+    fields.forEach(write);
+}
+
 /**
  * Creates a chart in a canvas element
  * @param {string} canvasId - Canvas element ID
@@ -0,0 +1,209 @@
+/**
+ * Project finance shared by the forest and water calculators
+ *
+ * Cash flows are arrays indexed by project year (year 0 = start of the
+ * project). Costs are positive numbers and are subtracted from revenue.
+ * Amounts are in the project base currency and converted when displayed.
+ */
+import { formatNumber } from './utils.js';
+import { formatMoney } from './currency.js';
+
+export const DEFAULT_DISCOUNT_RATE = 0.08; // 8% real discount rate
+
+// IRR search bounds and tolerance
+const IRR_MIN_RATE = -0.99;
+const IRR_MAX_RATE = 10;
+const IRR_TOLERANCE = 1e-7;
+const IRR_MAX_ITERATIONS = 200;
+
+/**
+ * Net present value of a series of cash flows
+ * @param {number} rate - Discount rate per year (e.g. 0.08)
+ * @param {Array<number>} cashFlows - Cash flow for each year, starting at year 0
+ * @returns {number} NPV
+ */
+export function calculateNPV(rate, cashFlows) {
+    return cashFlows.reduce((total, cashFlow, year) => total + cashFlow / Math.pow(1 + rate, year), 0);
+}
+
+/**
+ * Internal rate of return by bisection
+ * @param {Array<number>} cashFlows - Cash flow for each year, starting at year 0
+ * @returns {number|null} IRR, or null when the cash flows never change sign
+ */
+export function calculateIRR(cashFlows) {
+    let low = IRR_MIN_RATE;
+    let high = IRR_MAX_RATE;
+    let npvLow = calculateNPV(low, cashFlows);
+    const npvHigh = calculateNPV(high, cashFlows);
+
+    // No root in range: the project never breaks even (or never costs anything)
+    if (npvLow * npvHigh > 0) {
+        return null;
+    }
+
+    for (let i = 0; i < IRR_MAX_ITERATIONS; i++) {
+        const mid = (low + high) / 2;
+        const npvMid = calculateNPV(mid, cashFlows);
+
+        if (Math.abs(npvMid) < IRR_TOLERANCE || (high - low) / 2 < IRR_TOLERANCE) {
+            return mid;
+        }
+
+        if (npvMid * npvLow > 0) {
+            low = mid;
+            npvLow = npvMid;
+        } else {
+            high = mid;
+        }
+    }
+
+    return (low + high) / 2;
+}
+
+/**
+ * First year in which the cumulative cash flow turns non-negative
+ * @param {Array<number>} cashFlows - Cash flow for each year, starting at year 0
+ * @returns {number|null} Payback year, or null if the project never pays back
+ */
+export function findPaybackYear(cashFlows) {
+    let cumulative = 0;
+    for (let year = 0; year < cashFlows.length; year++) {
+        cumulative += cashFlows[year];
+        if (cumulative >= 0 && year > 0) {
+            return year;
+        }
+    }
+    return null;
+}
+
+/**
+ * Unit price at which the NPV of revenue equals the NPV of costs
+ * @param {number} rate - Discount rate per year
+ * @param {Array<number>} costs - Costs for each year
+ * @param {Array<number>} units - Units sold each year (credits, kL, ...)
+ * @returns {number|null} Break-even price per unit, or null if no units are sold
+ */
+export function calculateBreakEvenPrice(rate, costs, units) {
+    const discountedUnits = calculateNPV(rate, units);
+    return discountedUnits > 0 ? calculateNPV(rate, costs) / discountedUnits : null;
+}
+
+/**
+ * Build the annual cash-flow model
+ * @param {Object} options - Model inputs
+ * @param {Array<number>} options.costs - Costs for each year, starting at year 0
+ * @param {Array<number>} options.units - Units sold each year (credits, kL, ...)
+ * @param {number} options.unitPrice - Price per unit, or a function (year) => price
+ * @param {number} [options.discountRate=0.08] - Discount rate per year
+ * @returns {Object} { rows, npv, irr, paybackYear, breakEvenPrice, totalCost, totalRevenue, discountRate }
+ */
+export function buildCashFlowModel({ costs, units, unitPrice, discountRate = DEFAULT_DISCOUNT_RATE }) {
+    const years = Math.max(costs.length, units.length);
+    const priceAt = typeof unitPrice === 'function' ? unitPrice : () => unitPrice;
+    const rows = [];
+    const netCashFlows = [];
+    let cumulativeCashFlow = 0;
+    let cumulativeDiscounted = 0;
+
+    for (let year = 0; year < years; year++) {
+        const cost = costs[year] || 0;
+        const unitsSold = units[year] || 0;
+        const revenue = unitsSold * priceAt(year);
+        const netCashFlow = revenue - cost;
+        const discountedCashFlow = netCashFlow / Math.pow(1 + discountRate, year);
+
+        cumulativeCashFlow += netCashFlow;
+        cumulativeDiscounted += discountedCashFlow;
+        netCashFlows.push(netCashFlow);
+
+        rows.push({
+            year,
+            cost,
+            units: unitsSold,
+            revenue,
+            netCashFlow,
+            discountedCashFlow,
+            cumulativeCashFlow,
+            cumulativeDiscounted
+        });
+    }
+
+    const paddedCosts = rows.map(row => row.cost);
+    const paddedUnits = rows.map(row => row.units);
+
+    return {
+        rows,
+        npv: calculateNPV(discountRate, netCashFlows),
+        irr: calculateIRR(netCashFlows),
+        paybackYear: findPaybackYear(netCashFlows),
+        breakEvenPrice: calculateBreakEvenPrice(discountRate, paddedCosts, paddedUnits),
+        totalCost: paddedCosts.reduce((total, cost) => total + cost, 0),
+        totalRevenue: rows.reduce((total, row) => total + row.revenue, 0),
+        discountRate
+    };
+}
+
+/**
+ * Render a finance model into a results panel
+ * @param {HTMLElement} panel - Container for the panel contents
+ * @param {Object} model - Model from buildCashFlowModel()
+ * @param {Object} [options] - Display options
+ * @param {string} [options.unitLabel='unit'] - Name of the unit sold, used for the break-even price
+ * @param {string} [options.unitsHeader='Units Sold'] - Heading of the units column
+ */
+export function renderFinancePanel(panel, model, { unitLabel = 'unit', unitsHeader = 'Units Sold' } = {}) {
+    if (!panel) return;
+
+    if (!model) {
+        panel.classList.add('hidden');
+        panel.innerHTML = '';
+        return;
+    }
+
+    const money = value => formatMoney(value, { decimals: 0 });
+    const metric = (title, value, unit = '') => `
+        <div class="metric-card">
+            <h4 class="metric-title">${title}</h4>
+            <div class="metric-value">${value}</div>
+            <div class="metric-unit">${unit}</div>
+        </div>`;
+
+    const rows = model.rows.map(row => `
+                <tr>
+                    <td>${row.year}</td>
+                    <td>${money(row.cost)}</td>
+                    <td>${formatNumber(row.units, 2)}</td>
+                    <td>${money(row.revenue)}</td>
+                    <td>${money(row.netCashFlow)}</td>
+                    <td>${money(row.discountedCashFlow)}</td>
+                    <td>${money(row.cumulativeCashFlow)}</td>
+                </tr>`).join('');
+
+    panel.innerHTML = `
+        <h3>Project Finance</h3>
+        <div class="metrics-grid">
+            ${metric(`NPV @ ${formatNumber(model.discountRate * 100, 1)}%`, money(model.npv))}
+            ${metric('IRR', model.irr === null ? 'N/A' : `${formatNumber(model.irr * 100, 1)}%`)}
+            ${metric('Payback Year', model.paybackYear === null ? 'Not reached' : model.paybackYear, 'year')}
+            ${metric('Break-even Price', model.breakEvenPrice === null ? 'N/A' : formatMoney(model.breakEvenPrice), `per ${unitLabel}`)}
+        </div>
+        <div class="table-container">
+            <table class="finance-table">
+                <thead>
+                    <tr>
+                        <th>Year</th>
+                        <th>Costs</th>
+                        <th>${unitsHeader}</th>
+                        <th>Revenue</th>
+                        <th>Net Cash Flow</th>
+                        <th>Discounted Cash Flow</th>
+                        <th>Cumulative Cash Flow</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+            </table>
+        </div>`;
+    panel.classList.remove('hidden');
+}
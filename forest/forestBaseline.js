@@ -0,0 +1,148 @@
+/**
+ * Baseline removals and leakage for forest carbon credits
+ *
+ * Net anthropogenic removals = project removals - baseline removals - leakage.
+ * Baseline and leakage can each be a fixed amount per year, a percentage or
+ * their own cumulative sequestration curve. Percentages follow common A/R
+ * methodology practice: baseline as a share of project removals, leakage as a
+ * share of the removals left after the baseline.
+ */
+
+export const ADJUSTMENT_METHODS = {
+    NONE: 'none',
+    FIXED: 'fixed',
+    PERCENTAGE: 'percentage',
+    CURVE: 'curve'
+};
+
+export const ADJUSTMENT_METHOD_LABELS = {
+    [ADJUSTMENT_METHODS.NONE]: 'None',
+    [ADJUSTMENT_METHODS.FIXED]: 'Fixed amount (tCO₂e/yr)',
+    [ADJUSTMENT_METHODS.PERCENTAGE]: 'Percentage (%)',
+    [ADJUSTMENT_METHODS.CURVE]: 'Custom curve (year: cumulative tCO₂e)'
+};
+
+/**
+ * Parse a cumulative curve written as "year: tCO2e" pairs
+ * @param {string} text - Pairs separated by commas, semicolons or new lines, e.g. "0: 0, 10: 250, 20: 400"
+ * @returns {Array<Object>} Points sorted by year [{ year, value }]
+ * @throws {Error} If a pair cannot be read
+ */
+export function parseCurve(text) {
+    const points = String(text || '')
+        .split(/[\n;,]+/)
+        .map(pair => pair.trim())
+        .filter(pair => pair.length > 0)
+        .map(pair => {
+            const match = pair.match(/^(\d+(?:\.\d+)?)\s*[:=]\s*(-?\d+(?:\.\d+)?)$/);
+            if (!match) {
+                throw new Error(`Could not read curve point "${pair}", use "year: tCO2e"`);
+            }
+            return { year: parseFloat(match[1]), value: parseFloat(match[2]) };
+        });
+
+    if (points.length === 0) {
+        throw new Error('A custom curve needs at least one "year: tCO2e" point');
+    }
+
+    return points.sort((a, b) => a.year - b.year);
+}
+
+/**
+ * Value of a cumulative curve at a given year, interpolated linearly
+ * Before the first point the curve rises from zero at year 0; after the last point it stays flat.
+ * @param {Array<Object>} points - Points from parseCurve()
+ * @param {number} year - Project year
+ * @returns {number} Cumulative tCO2e
+ */
+export function interpolateCurve(points, year) {
+    const anchored = points[0].year > 0 ? [{ year: 0, value: 0 }, ...points] : points;
+
+    if (year <= anchored[0].year) return anchored[0].value;
+
+    for (let i = 1; i < anchored.length; i++) {
+        const previous = anchored[i - 1];
+        const next = anchored[i];
+        if (year <= next.year) {
+            const share = (year - previous.year) / (next.year - previous.year);
+            return previous.value + share * (next.value - previous.value);
+        }
+    }
+
+    return anchored[anchored.length - 1].value;
+}
+
+/**
+ * Normalise a baseline or leakage setting read from the form
+ * @param {Object} setting - { method, value, curve }
+ * @returns {Object} { method, value, points } ready for cumulativeAdjustment()
+ * @throws {Error} If the value or curve is invalid
+ */
+export function resolveAdjustment(setting = {}) {
+    const method = ADJUSTMENT_METHOD_LABELS[setting.method] ? setting.method : ADJUSTMENT_METHODS.NONE;
+    const value = parseFloat(setting.value) || 0;
+
+    if (method === ADJUSTMENT_METHODS.PERCENTAGE && (value < 0 || value > 100)) {
+        throw new Error('Percentages must be between 0 and 100');
+    }
+    if (method === ADJUSTMENT_METHODS.FIXED && value < 0) {
+        throw new Error('Fixed amounts must be positive');
+    }
+
+    return {
+        method,
+        value,
+        points: method === ADJUSTMENT_METHODS.CURVE ? parseCurve(setting.curve) : null
+    };
+}
+
+/**
+ * Cumulative baseline or leakage amount at a given year
+ * @param {Object} adjustment - Adjustment from resolveAdjustment()
+ * @param {number} year - Project year
+ * @param {number} reference - Cumulative removals the percentage applies to (tCO2e)
+ * @returns {number} Cumulative tCO2e to deduct
+ */
+export function cumulativeAdjustment(adjustment, year, reference) {
+    switch (adjustment.method) {
+        case ADJUSTMENT_METHODS.FIXED:
+            return adjustment.value * year;
+        case ADJUSTMENT_METHODS.PERCENTAGE:
+            return Math.max(0, reference) * adjustment.value / 100;
+        case ADJUSTMENT_METHODS.CURVE:
+            return interpolateCurve(adjustment.points, year);
+        default:
+            return 0;
+    }
+}
+
+/**
+ * Year-by-year net anthropogenic removals
+ * @param {Array<Object>} results - Sequestration results with year and rawCumulativeNetCO2e
+ * @param {Object} baselineSetting - { method, value, curve }
+ * @param {Object} leakageSetting - { method, value, curve }
+ * @returns {Array<Object>} [{ year, projectRemovals, baselineRemovals, leakage, netRemovals, periodNetRemovals }]
+ */
+export function calculateNetAnthropogenicRemovals(results, baselineSetting, leakageSetting) {
+    const baseline = resolveAdjustment(baselineSetting);
+    const leakageAdjustment = resolveAdjustment(leakageSetting);
+    let previousNet = 0;
+
+    return results.map(result => {
+        const projectRemovals = result.rawCumulativeNetCO2e || 0;
+        const baselineRemovals = cumulativeAdjustment(baseline, result.year, projectRemovals);
+        const leakage = cumulativeAdjustment(leakageAdjustment, result.year, projectRemovals - baselineRemovals);
+        const netRemovals = projectRemovals - baselineRemovals - leakage;
+        const periodNetRemovals = netRemovals - previousNet;
+        previousNet = netRemovals;
+
+        return {
+            year: result.year,
+            projectRemovals,
+            baselineRemovals,
+            leakage,
+            netRemovals,
+            periodNetRemovals
+        };
+    });
+}
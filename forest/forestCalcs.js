@@ -1,4 +1,22 @@
-import { formatNumber, formatCO2e } from '../utils.js';
+import { formatNumber, formatCO2e, Logger } from '../utils.js';
+import { resolveGrowthParameters, growingStockPerHectare, GROWTH_MODELS } from './forestGrowthModels.js';
+import { resolveSiteModifiers } from './forestSiteModifiers.js';
+import {
+    MORTALITY_MODELS,
+    DEFAULT_ANNUAL_MORTALITY,
+    DEFAULT_ESTABLISHMENT_YEARS,
+    buildMortalitySchedule,
+    CohortTracker
+} from './forestMortality.js';
+import {
+    HARVEST_TYPES,
+    DEFAULT_THINNING_INTENSITY,
+    isHarvestYear,
+    resolveHwpParameters,
+    HwpPool
+} from './forestHarvest.js';
+import { resolveCarbonPoolParameters, soilCarbonChangeCO2e, deadOrganicMatterCO2e } from './forestCarbonPools.js';
+import { formatMoney } from '../currency.js';
 
 // Create central event system that will be imported by other modules
 export const forestEventSystem = {
@@ -107,18 +125,81 @@ export const forestEventSystem = {
 
 // Constants used in forest sequestration calculations
 const CARBON_FRACTION_DEFAULT = 0.47;
-const FOREST_MORTALITY_FACTOR = 0.15; // 15% mortality rate by default
+const FOREST_MORTALITY_FACTOR = 0.15; // 15% of stems lost during establishment by default
 const CO2_TO_C_RATIO = 44 / 12; // Ratio to convert carbon to CO2e
-const YEAR_INTERVALS = 5; // Calculate results every 5 years
+export const DEFAULT_REPORTING_INTERVAL = 5; // Report results every 5 years unless configured otherwise
 const DEFAULT_SURVIVAL_RATE = 85; // 85% survival rate by default
 
+/**
+ * Normalise a reporting interval to a whole number of years
+ * @param {number|string} interval - Requested interval in years
+ * @returns {number} Interval of at least 1 year
+ */
+export function normalizeReportingInterval(interval) {
+    const parsed = Math.round(parseFloat(interval));
+    return Number.isFinite(parsed) && parsed >= 1 ? parsed : DEFAULT_REPORTING_INTERVAL;
+}
+
+/**
+ * Get the years at which results are reported
+ * Always includes year 0 and the final year, even when the duration is not
+ * a multiple of the interval.
+ * @param {number} duration - Project duration in years
+ * @param {number} [reportingInterval] - Reporting interval in years
+ * @returns {Array<number>} Ascending list of reporting years
+ */
+export function getReportingYears(duration, reportingInterval = DEFAULT_REPORTING_INTERVAL) {
+    const interval = normalizeReportingInterval(reportingInterval);
+    const years = [];
+    
+    for (let year = 0; year < duration; year += interval) {
+        years.push(year);
+    }
+    years.push(duration);
+    
+    return years;
+}
+
 /**
  * Calculate forest sequestration over time
+ *
+ * The stand is simulated year by year. Mortality removes stems from the
+ * planting cohorts and the biomass pool is scaled by the surviving stems, so:
+ * gross CO2e = stock if every planted tree survived, net CO2e = actual stock,
+ * and cumulative losses = gross - net.
+ *
+ * When a harvest interval is set the stand is clear-felled and replanted (or
+ * thinned) every interval; harvested stem carbon moves into wood-product pools.
+ * The gaps left by a thinning regrow from age 0, and a thinned stand can be
+ * clear-felled and replanted at a final felling age.
+ * The credited stock is then capped at the long-term average carbon stock.
  * @param {Object} inputs - Forest calculation inputs
- * @returns {Array<Object>} Array of yearly sequestration results
+ * @param {number} [inputs.reportingInterval=5] - Years between reported rows (1 gives true annual values)
+ * @param {string} [inputs.growthModel='linear'] - Growth curve (see GROWTH_MODELS)
+ * @param {number} [inputs.maxStock] - Maximum growing stock for sigmoidal curves (m³/ha)
+ * @param {number} [inputs.growthRateConstant] - Rate constant k for sigmoidal curves (1/yr)
+ * @param {number} [inputs.growthShape] - Shape parameter for sigmoidal curves
+ * @param {string} [inputs.siteQuality] - Site quality class (see forestSiteModifiers.js)
+ * @param {string} [inputs.avgRainfall] - Rainfall class
+ * @param {string} [inputs.soilType] - Soil type
+ * @param {Object} [inputs.siteModifierTable] - Modifier table overriding the active one
+ * @param {number} [inputs.mortalityRate=0.15] - Share of stems lost during establishment (0-1)
+ * @param {string} [inputs.mortalityModel='establishment'] - Mortality model (see MORTALITY_MODELS)
+ * @param {number} [inputs.annualMortalityRate=0.01] - Background annual mortality (0-1); linear growth only
+ * @param {number} [inputs.establishmentYears=3] - Length of the establishment phase in years
+ * @param {Object} [inputs.replanting] - Gap-filling options { enabled, untilYear, targetSurvival }
+ * @param {number} [inputs.harvestInterval=0] - Rotation length or thinning cycle in years (0 = no harvest)
+ * @param {string} [inputs.harvestType='clearfell'] - Harvest type (see HARVEST_TYPES)
+ * @param {number} [inputs.thinningIntensity=0.3] - Share of stems removed per thinning (0-1)
+ * @param {number} [inputs.finalFellingAge=0] - Stand age at which a thinned stand is clear-felled (0 = never)
+ * @param {Object} [inputs.hwpShares] - Share of harvested stem carbon per product pool (0-1)
+ * @param {Object} [inputs.hwpHalfLives] - Half-life per product pool in years
+ * @param {Object} [inputs.carbonPools] - Soil, deadwood and litter options { enabled, landUseHistory,
+ *   socReference, landUseFactor, socTransitionYears, deadwoodFraction, litterFraction }
+ * @returns {Array<Object>} Array of sequestration results, one per reporting year
  */
 export function calculateSequestration(inputs) {
-    console.log('Calculating forest sequestration for inputs:', inputs);
+    Logger.debug('Calculating forest sequestration for inputs:', inputs);
     
     try {
         // Extract and validate inputs
@@ -132,12 +213,46 @@ export function calculateSequestration(inputs) {
             carbonFraction = CARBON_FRACTION_DEFAULT,
             duration,
             mortalityRate = FOREST_MORTALITY_FACTOR,
+            mortalityModel = MORTALITY_MODELS.ESTABLISHMENT,
+            annualMortalityRate = DEFAULT_ANNUAL_MORTALITY,
+            establishmentYears = DEFAULT_ESTABLISHMENT_YEARS,
+            replanting = {},
             harvestInterval = 0,
+            harvestType = HARVEST_TYPES.CLEARFELL,
+            thinningIntensity = DEFAULT_THINNING_INTENSITY,
+            finalFellingAge = 0,
+            hwpShares,
+            hwpHalfLives,
+            carbonPools = {},
+            reportingInterval = DEFAULT_REPORTING_INTERVAL,
+            growthModel = GROWTH_MODELS.LINEAR,
+            maxStock,
+            growthRateConstant,
+            growthShape,
+            siteQuality,
+            avgRainfall,
+            soilType,
+            siteModifierTable,
             species = 'Generic'
         } = inputs;
         
+        const interval = normalizeReportingInterval(reportingInterval);
+        const growth = resolveGrowthParameters({ growthModel, growthRate, maxStock, growthRateConstant, growthShape });
+        
+        // Site factors scale the growing stock and the survival of planted stems
+        const siteModifiers = resolveSiteModifiers({ siteQuality, avgRainfall, soilType }, siteModifierTable);
+        const mortalitySchedule = buildMortalitySchedule({
+            mortalityModel,
+            establishmentLoss: mortalityRate,
+            annualMortalityRate,
+            establishmentYears,
+            survivalMultiplier: siteModifiers.survivalMultiplier,
+            // Sigmoidal curves are net yield tables that already include losses as the stand matures
+            applyBackgroundMortality: growth.model === GROWTH_MODELS.LINEAR
+        });
+        
         // Log key calculation parameters for debugging
-        console.log('Key calculation parameters:', {
+        Logger.debug('Key calculation parameters:', {
             area,
             density,
             growthRate,
@@ -146,34 +261,123 @@ export function calculateSequestration(inputs) {
             rsr,
             carbonFraction,
             duration,
+            mortalityModel,
             mortalityRate,
-            survivalRate: 1 - mortalityRate
+            annualMortalityRate,
+            establishmentYears,
+            replanting,
+            harvestInterval,
+            harvestType,
+            thinningIntensity,
+            finalFellingAge,
+            reportingInterval: interval,
+            growth,
+            siteModifiers
         });
         
         // The total number of trees planted
         const totalTrees = area * density;
         
-        // Calculate the survival rate from mortality rate
-        const survivalRate = 1 - mortalityRate;
-        
         // Check if any inputs are invalid
         if (area <= 0 || density <= 0 || growthRate <= 0 || duration <= 0) {
             forestEventSystem.showError('All inputs must be positive numbers.');
             return null;
         }
         
+        // Growing stock per hectare of a fully stocked stand at a given age, after site modifiers
+        const stockPerHectare = age => growingStockPerHectare(growth, age) * siteModifiers.growthMultiplier;
+        
+        // Convert a growing stock volume (m³) to tonnes CO2e including below-ground biomass
+        const stockToCO2e = stock => stock * woodDensity * bef * (1 + rsr) * carbonFraction * CO2_TO_C_RATIO;
+        
+        // Harvested stems leave the stand as stem wood only; branches and roots are emitted
+        const stemToCO2e = stock => stock * woodDensity * carbonFraction * CO2_TO_C_RATIO;
+        
+        // Planted stems, tracked per planting cohort. The potential stand has no mortality
+        // but is harvested on the same cycle, so gross CO2e follows the same rotations
+        const stand = new CohortTracker(mortalitySchedule, replanting);
+        const potentialStand = new CohortTracker(() => 0);
+        const harvesting = harvestInterval > 0;
+        const thinning = harvesting && harvestType === HARVEST_TYPES.THINNING;
+        const hwpPool = new HwpPool(resolveHwpParameters(hwpShares, hwpHalfLives));
+        
+        // Soil, deadwood and litter pools are optional and driven by the site inputs
+        const poolParameters = carbonPools.enabled
+            ? resolveCarbonPoolParameters({ ...carbonPools, soilType, avgRainfall })
+            : null;
+        const carbonPoolsAt = (year, biomassCO2e) => {
+            if (!poolParameters) {
+                return { soil: 0, deadwood: 0, litter: 0 };
+            }
+            return {
+                soil: soilCarbonChangeCO2e(poolParameters, area, year),
+                ...deadOrganicMatterCO2e(poolParameters, biomassCO2e)
+            };
+        };
+        
+        // Apply a clear-fell or thinning to a stand and return the stem volume removed (m³)
+        const harvestStand = (tracker, year, finalFelling) => {
+            const standingStock = area * tracker.weightedValue(year, stockPerHectare);
+            if (thinning && !finalFelling) {
+                tracker.thin(thinningIntensity, year);
+                return standingStock * thinningIntensity;
+            }
+            tracker.clearfell(year);
+            return standingStock;
+        };
+        
         // Array to store yearly results
         const results = [];
         
+        // Running totals between reported rows and for the long-term average
+        let periodHarvestedCO2e = 0;
+        let cumulativeHarvestedCO2e = 0;
+        let stockYearsTotal = 0;
+        
         // Calculate yearly sequestration
         for (let year = 0; year <= duration; year++) {
-            // Only add results for every interval year and the final year
-            if (year % YEAR_INTERVALS === 0 || year === duration) {
-                // Calculate survival based on survival rate and years
-                const survivingTrees = totalTrees * Math.pow(survivalRate, year);
+            let harvestedThisYear = 0;
+            
+            // Mortality and gap-filling happen every year, whether or not the year is reported
+            if (year > 0) {
+                stand.advance(year);
+                potentialStand.advance(year);
                 
-                // Growing stock volume (m³) = area (ha) * MAI (m³/ha/yr) * year
-                const growingStock = area * growthRate * year;
+                // Harvests follow the age of the stand, which restarts at each clear-fell
+                const standAge = stand.getStandAge(year);
+                const finalFelling = thinning && finalFellingAge > 0 && standAge >= finalFellingAge;
+                if (finalFelling || isHarvestYear(standAge, harvestInterval)) {
+                    harvestedThisYear = stemToCO2e(harvestStand(stand, year, finalFelling));
+                    harvestStand(potentialStand, year, finalFelling);
+                    periodHarvestedCO2e += harvestedThisYear;
+                    cumulativeHarvestedCO2e += harvestedThisYear;
+                    Logger.debug(`Year ${year} harvest (${finalFelling ? 'final felling' : harvestType}):`, harvestedThisYear, 'tCO2e');
+                }
+                
+                hwpPool.advance(harvestedThisYear);
+            }
+            
+            // Carbon in the stand and in wood products at the end of this year
+            const standCO2e = stockToCO2e(area * stand.weightedValue(year, stockPerHectare));
+            const hwpCO2e = hwpPool.getTotal();
+            const pools = carbonPoolsAt(year, standCO2e);
+            const poolsCO2e = pools.soil + pools.deadwood + pools.litter;
+            
+            // Long-term average: mean of the annual stand, pool and product stock over the project years
+            if (year > 0) {
+                stockYearsTotal += standCO2e + poolsCO2e + hwpCO2e;
+            }
+            const longTermAverageCO2e = year > 0 ? stockYearsTotal / year : 0;
+            
+            // Only add results for every reporting year and the final year
+            if (year % interval === 0 || year === duration) {
+                const survivingFraction = stand.getSurvivingFraction();
+                const survivingTrees = totalTrees * survivingFraction;
+                const replantedTrees = totalTrees * stand.replantedFraction;
+                
+                // Growing stock volume (m³) = area (ha) * stock per hectare from the growth curve,
+                // weighted by the surviving stems of each cohort at that cohort's age
+                const growingStock = area * stand.weightedValue(year, stockPerHectare);
                 
                 // Calculate above-ground biomass
                 const aboveGroundBiomass = growingStock * woodDensity * bef;
@@ -187,37 +391,45 @@ export function calculateSequestration(inputs) {
                 // Carbon content (tonnes C)
                 const carbonContent = totalBiomass * carbonFraction;
                 
-                // Convert carbon to CO2 equivalent (tonnes CO2e)
-                const co2e = carbonContent * CO2_TO_C_RATIO;
+                // Net CO2e held by the surviving stand (tonnes CO2e)
+                const netCO2e = carbonContent * CO2_TO_C_RATIO;
                 
-                // Calculate losses due to mortality
-                const mortalityLoss = year > 0 ? results[results.length - 1].cumulativeLosses * mortalityRate : 0;
-                const cumulativeLosses = year > 0 ? results[results.length - 1].cumulativeLosses + mortalityLoss : 0;
+                // Gross CO2e if every planted tree had survived
+                const co2e = stockToCO2e(area * potentialStand.weightedValue(year, stockPerHectare));
                 
-                // Calculate net CO2e after accounting for losses
-                const netCO2e = co2e - cumulativeLosses;
+                // CO2e not accrued because of mortality, cumulative and since the previous row
+                const previous = results.length > 0 ? results[results.length - 1] : null;
+                const cumulativeLosses = Math.max(0, co2e - netCO2e);
+                const mortalityLoss = previous ? cumulativeLosses - previous.rawCumulativeLosses : 0;
                 
                 // Log calculation details for this year for debugging
                 if (year === duration || year === 0 || year % 10 === 0) {
-                    console.log(`Year ${year} calculation:`, {
+                    Logger.debug(`Year ${year} calculation:`, {
                         growingStock,
                         aboveGroundBiomass,
                         belowGroundBiomass,
                         totalBiomass,
                         carbonContent,
                         co2e,
+                        survivingFraction,
                         mortalityLoss,
                         cumulativeLosses,
                         netCO2e
                     });
                 }
 
-                // Apply harvest cycle if applicable
-                let harvestedCO2e = 0;
-                if (harvestInterval > 0 && year > 0 && year % harvestInterval === 0) {
-                    // Assume 70% of above-ground biomass is harvested
-                    harvestedCO2e = aboveGroundBiomass * 0.7 * carbonFraction * CO2_TO_C_RATIO;
-                }
+                // Stem CO2e harvested since the previous reported row
+                const harvestedCO2e = periodHarvestedCO2e;
+                periodHarvestedCO2e = 0;
+                
+                // Harvested stands can only be credited up to their long-term average stock
+                const totalStockCO2e = netCO2e + poolsCO2e + hwpCO2e;
+                const creditableCO2e = harvesting ? Math.min(totalStockCO2e, longTermAverageCO2e) : netCO2e + poolsCO2e;
+                
+                // Net sequestration since the previous reported row, and its per-year average
+                const yearsElapsed = previous ? year - previous.year : 0;
+                const periodSequestration = previous ? netCO2e - previous.rawNetCO2e : 0;
+                const annualSequestration = yearsElapsed > 0 ? periodSequestration / yearsElapsed : 0;
                 
                 // Format the result values
                 const formattedCO2e = formatCO2e(co2e);
@@ -238,8 +450,11 @@ export function calculateSequestration(inputs) {
                     rawCarbonContent: carbonContent,
                     co2e: formattedCO2e,
                     rawCO2e: co2e,
-                    annualSequestration: year > 0 ? formatCO2e(co2e - results[results.length - 1].rawCO2e) : '0',
-                    rawAnnualSequestration: year > 0 ? co2e - results[results.length - 1].rawCO2e : 0,
+                    yearsElapsed,
+                    periodSequestration: formatCO2e(periodSequestration),
+                    rawPeriodSequestration: periodSequestration,
+                    annualSequestration: formatCO2e(annualSequestration),
+                    rawAnnualSequestration: annualSequestration,
                     mortalityLoss: formatCO2e(mortalityLoss),
                     rawMortalityLoss: mortalityLoss,
                     cumulativeLosses: formatCO2e(cumulativeLosses),
@@ -248,19 +463,42 @@ export function calculateSequestration(inputs) {
                     rawNetCO2e: netCO2e,
                     harvestedCO2e: formatCO2e(harvestedCO2e),
                     rawHarvestedCO2e: harvestedCO2e,
+                    rawCumulativeHarvestedCO2e: cumulativeHarvestedCO2e,
+                    hwpCO2e: formatCO2e(hwpCO2e),
+                    rawHwpCO2e: hwpCO2e,
+                    rawHwpPools: { ...hwpPool.stocks },
+                    socCO2e: formatCO2e(pools.soil),
+                    rawSocCO2e: pools.soil,
+                    deadwoodCO2e: formatCO2e(pools.deadwood),
+                    rawDeadwoodCO2e: pools.deadwood,
+                    litterCO2e: formatCO2e(pools.litter),
+                    rawLitterCO2e: pools.litter,
+                    rawCarbonPoolsCO2e: poolsCO2e,
+                    carbonPoolsIncluded: Boolean(poolParameters),
+                    longTermAverageCO2e: formatCO2e(longTermAverageCO2e),
+                    rawLongTermAverageCO2e: longTermAverageCO2e,
+                    harvestInterval,
+                    harvestType: harvesting ? harvestType : null,
+                    finalFellingAge: thinning && finalFellingAge > 0 ? finalFellingAge : null,
                     survivingTrees: Math.round(survivingTrees),
-                    cumulativeNetCO2e: formattedNetCO2e,
-                    rawCumulativeNetCO2e: netCO2e,
+                    replantedTrees: Math.round(replantedTrees),
+                    survivalPercent: survivingFraction * 100,
+                    cumulativeNetCO2e: formatCO2e(creditableCO2e),
+                    rawCumulativeNetCO2e: creditableCO2e,
+                    reportingInterval: interval,
+                    growthModel: growth.model,
+                    mortalityModel,
+                    siteModifiers,
                     species: species
                 });
             }
         }
         
-        console.log('Sequestration calculation completed:', results.length, 'data points');
+        Logger.debug('Sequestration calculation completed:', results.length, 'data points');
         // Log final result to easily verify total sequestration value
         if (results.length > 0) {
             const finalResult = results[results.length - 1];
-            console.log('Final sequestration result:', {
+            Logger.debug('Final sequestration result:', {
                 year: finalResult.year,
                 netCO2e: finalResult.netCO2e,
                 rawNetCO2e: finalResult.rawNetCO2e,
@@ -284,7 +522,7 @@ export function calculateSequestration(inputs) {
  * @returns {Object} Combined results for all species
  */
 export function calculateSequestrationMultiSpecies(commonInputs, speciesData) {
-    console.log('Calculating sequestration for', speciesData.length, 'species');
+    Logger.debug('Calculating sequestration for', speciesData.length, 'species');
     
     try {
         // Check if we have valid species data
@@ -298,7 +536,8 @@ export function calculateSequestrationMultiSpecies(commonInputs, speciesData) {
             area,
             duration,
             projectCost,
-            mortalityRate = FOREST_MORTALITY_FACTOR
+            mortalityRate = FOREST_MORTALITY_FACTOR,
+            reportingInterval = DEFAULT_REPORTING_INTERVAL
         } = commonInputs;
         
         // Array to store results for each species
@@ -330,11 +569,32 @@ export function calculateSequestrationMultiSpecies(commonInputs, speciesData) {
             const rsr = parseFloat(species['Root-Shoot Ratio'] || 0.25);
             const carbonFraction = parseFloat(species['Carbon Fraction'] || CARBON_FRACTION_DEFAULT);
             
+            // Growth curve per species, falling back to the curve chosen in the form
+            const growthModel = species['Growth Model'] || commonInputs.growthModel;
+            const maxStock = species['Max Growing Stock (m³/ha)'] || commonInputs.maxStock;
+            const growthRateConstant = species['Growth Rate Constant (k)'] || commonInputs.growthRateConstant;
+            const growthShape = species['Growth Shape'] || commonInputs.growthShape;
+            
+            // Site factors per species, falling back to the site selected in the form
+            const siteQuality = species['Site Quality'] || commonInputs.siteQuality;
+            const avgRainfall = species['Average Rainfall'] || commonInputs.avgRainfall;
+            const soilType = species['Soil Type'] || commonInputs.soilType;
+            
             // Parse survival rate if provided, otherwise use default
             const survivalRatePercent = parseFloat(species['Survival Rate (%)'] || DEFAULT_SURVIVAL_RATE);
             const survivalRate = survivalRatePercent / 100;
             const speciesMortalityRate = 1 - survivalRate;
             
+            // Background mortality per species if the file provides it, otherwise the form value
+            const annualMortalityPercent = parseFloat(species['Annual Mortality (%)']);
+            const annualMortalityRate = isNaN(annualMortalityPercent)
+                ? commonInputs.annualMortalityRate
+                : annualMortalityPercent / 100;
+            
+            // Rotation length per species if the file provides it, otherwise the form value
+            const rotationLength = parseInt(species['Rotation Length (years)'], 10);
+            const harvestInterval = isNaN(rotationLength) ? commonInputs.harvestInterval : rotationLength;
+            
             // Create inputs object for this species
             const speciesInputs = {
                 area: speciesArea,
@@ -346,6 +606,26 @@ export function calculateSequestrationMultiSpecies(commonInputs, speciesData) {
                 carbonFraction,
                 duration,
                 mortalityRate: speciesMortalityRate,
+                mortalityModel: commonInputs.mortalityModel,
+                annualMortalityRate,
+                establishmentYears: commonInputs.establishmentYears,
+                replanting: commonInputs.replanting,
+                harvestInterval,
+                harvestType: commonInputs.harvestType,
+                thinningIntensity: commonInputs.thinningIntensity,
+                finalFellingAge: commonInputs.finalFellingAge,
+                hwpShares: commonInputs.hwpShares,
+                hwpHalfLives: commonInputs.hwpHalfLives,
+                carbonPools: commonInputs.carbonPools,
+                reportingInterval,
+                growthModel,
+                maxStock,
+                growthRateConstant,
+                growthShape,
+                siteQuality,
+                avgRainfall,
+                soilType,
+                siteModifierTable: commonInputs.siteModifierTable,
                 species: speciesName
             };
             
@@ -356,6 +636,8 @@ export function calculateSequestrationMultiSpecies(commonInputs, speciesData) {
             if (results) {
                 speciesResults.push({
                     speciesName,
+                    growthModel: results[0]?.growthModel,
+                    siteModifiers: results[0]?.siteModifiers,
                     numberOfTrees,
                     area: speciesArea,
                     treesRatio,
@@ -367,73 +649,114 @@ export function calculateSequestrationMultiSpecies(commonInputs, speciesData) {
         // Calculate total sequestration across all species
         const totalResults = [];
         
-        // Get the maximum duration from all species results
-        const maxDuration = duration;
-        
-        // For each time interval, sum the sequestration from all species
-        for (let year = 0; year <= maxDuration; year += YEAR_INTERVALS) {
-            if (year % YEAR_INTERVALS === 0 || year === maxDuration) {
-                let totalGrowingStock = 0;
-                let totalAboveGroundBiomass = 0;
-                let totalBelowGroundBiomass = 0;
-                let totalBiomass = 0;
-                let totalCarbonContent = 0;
-                let totalCO2e = 0;
-                let totalNetCO2e = 0;
-                let totalAnnualSequestration = 0;
-                let totalMortalityLoss = 0;
-                let totalCumulativeLosses = 0;
-                let totalSurvivingTrees = 0;
-                
-                // Sum results from each species for this year
-                speciesResults.forEach(species => {
-                    const yearResult = species.results.find(result => result.year === year);
-                    
-                    if (yearResult) {
-                        totalGrowingStock += yearResult.rawGrowingStock;
-                        totalAboveGroundBiomass += yearResult.rawAboveGroundBiomass;
-                        totalBelowGroundBiomass += yearResult.rawBelowGroundBiomass;
-                        totalBiomass += yearResult.rawTotalBiomass;
-                        totalCarbonContent += yearResult.rawCarbonContent;
-                        totalCO2e += yearResult.rawCO2e;
-                        totalNetCO2e += yearResult.rawNetCO2e;
-                        totalAnnualSequestration += yearResult.rawAnnualSequestration;
-                        totalMortalityLoss += yearResult.rawMortalityLoss;
-                        totalCumulativeLosses += yearResult.rawCumulativeLosses;
-                        totalSurvivingTrees += yearResult.survivingTrees;
-                    }
-                });
+        // Use the same reporting years as the per-species results so the final year is always included
+        const reportingYears = getReportingYears(duration, reportingInterval);
+        
+        // For each reporting year, sum the sequestration from all species
+        reportingYears.forEach((year, index) => {
+            let totalGrowingStock = 0;
+            let totalAboveGroundBiomass = 0;
+            let totalBelowGroundBiomass = 0;
+            let totalBiomass = 0;
+            let totalCarbonContent = 0;
+            let totalCO2e = 0;
+            let totalNetCO2e = 0;
+            let totalPeriodSequestration = 0;
+            let totalAnnualSequestration = 0;
+            let totalMortalityLoss = 0;
+            let totalCumulativeLosses = 0;
+            let totalSurvivingTrees = 0;
+            let totalReplantedTrees = 0;
+            let totalHarvestedCO2e = 0;
+            let totalCumulativeHarvestedCO2e = 0;
+            let totalHwpCO2e = 0;
+            let totalLongTermAverageCO2e = 0;
+            let totalCreditableCO2e = 0;
+            let totalSocCO2e = 0;
+            let totalDeadwoodCO2e = 0;
+            let totalLitterCO2e = 0;
+            
+            // Sum results from each species for this year
+            speciesResults.forEach(species => {
+                const yearResult = species.results.find(result => result.year === year);
                 
-                // Create a result for this year with totals
-                totalResults.push({
-                    year,
-                    growingStock: formatNumber(totalGrowingStock),
-                    rawGrowingStock: totalGrowingStock,
-                    aboveGroundBiomass: formatNumber(totalAboveGroundBiomass),
-                    rawAboveGroundBiomass: totalAboveGroundBiomass,
-                    belowGroundBiomass: formatNumber(totalBelowGroundBiomass),
-                    rawBelowGroundBiomass: totalBelowGroundBiomass,
-                    totalBiomass: formatNumber(totalBiomass),
-                    rawTotalBiomass: totalBiomass,
-                    carbonContent: formatNumber(totalCarbonContent),
-                    rawCarbonContent: totalCarbonContent,
-                    co2e: formatCO2e(totalCO2e),
-                    rawCO2e: totalCO2e,
-                    annualSequestration: formatCO2e(totalAnnualSequestration),
-                    rawAnnualSequestration: totalAnnualSequestration,
-                    mortalityLoss: formatCO2e(totalMortalityLoss),
-                    rawMortalityLoss: totalMortalityLoss,
-                    cumulativeLosses: formatCO2e(totalCumulativeLosses),
-                    rawCumulativeLosses: totalCumulativeLosses,
-                    netCO2e: formatCO2e(totalNetCO2e),
-                    rawNetCO2e: totalNetCO2e,
-                    survivingTrees: Math.round(totalSurvivingTrees),
-                    cumulativeNetCO2e: formatCO2e(totalNetCO2e),
-                    rawCumulativeNetCO2e: totalNetCO2e,
-                    species: 'All Species'
-                });
-            }
-        }
+                if (yearResult) {
+                    totalGrowingStock += yearResult.rawGrowingStock;
+                    totalAboveGroundBiomass += yearResult.rawAboveGroundBiomass;
+                    totalBelowGroundBiomass += yearResult.rawBelowGroundBiomass;
+                    totalBiomass += yearResult.rawTotalBiomass;
+                    totalCarbonContent += yearResult.rawCarbonContent;
+                    totalCO2e += yearResult.rawCO2e;
+                    totalNetCO2e += yearResult.rawNetCO2e;
+                    totalPeriodSequestration += yearResult.rawPeriodSequestration;
+                    totalAnnualSequestration += yearResult.rawAnnualSequestration;
+                    totalMortalityLoss += yearResult.rawMortalityLoss;
+                    totalCumulativeLosses += yearResult.rawCumulativeLosses;
+                    totalSurvivingTrees += yearResult.survivingTrees;
+                    totalReplantedTrees += yearResult.replantedTrees || 0;
+                    totalHarvestedCO2e += yearResult.rawHarvestedCO2e || 0;
+                    totalCumulativeHarvestedCO2e += yearResult.rawCumulativeHarvestedCO2e || 0;
+                    totalHwpCO2e += yearResult.rawHwpCO2e || 0;
+                    totalLongTermAverageCO2e += yearResult.rawLongTermAverageCO2e || 0;
+                    totalCreditableCO2e += yearResult.rawCumulativeNetCO2e;
+                    totalSocCO2e += yearResult.rawSocCO2e || 0;
+                    totalDeadwoodCO2e += yearResult.rawDeadwoodCO2e || 0;
+                    totalLitterCO2e += yearResult.rawLitterCO2e || 0;
+                }
+            });
+            
+            // Create a result for this year with totals
+            totalResults.push({
+                year,
+                growingStock: formatNumber(totalGrowingStock),
+                rawGrowingStock: totalGrowingStock,
+                aboveGroundBiomass: formatNumber(totalAboveGroundBiomass),
+                rawAboveGroundBiomass: totalAboveGroundBiomass,
+                belowGroundBiomass: formatNumber(totalBelowGroundBiomass),
+                rawBelowGroundBiomass: totalBelowGroundBiomass,
+                totalBiomass: formatNumber(totalBiomass),
+                rawTotalBiomass: totalBiomass,
+                carbonContent: formatNumber(totalCarbonContent),
+                rawCarbonContent: totalCarbonContent,
+                co2e: formatCO2e(totalCO2e),
+                rawCO2e: totalCO2e,
+                yearsElapsed: index > 0 ? year - reportingYears[index - 1] : 0,
+                periodSequestration: formatCO2e(totalPeriodSequestration),
+                rawPeriodSequestration: totalPeriodSequestration,
+                annualSequestration: formatCO2e(totalAnnualSequestration),
+                rawAnnualSequestration: totalAnnualSequestration,
+                mortalityLoss: formatCO2e(totalMortalityLoss),
+                rawMortalityLoss: totalMortalityLoss,
+                cumulativeLosses: formatCO2e(totalCumulativeLosses),
+                rawCumulativeLosses: totalCumulativeLosses,
+                netCO2e: formatCO2e(totalNetCO2e),
+                rawNetCO2e: totalNetCO2e,
+                survivingTrees: Math.round(totalSurvivingTrees),
+                replantedTrees: Math.round(totalReplantedTrees),
+                survivalPercent: totalTrees > 0 ? totalSurvivingTrees / totalTrees * 100 : 0,
+                harvestedCO2e: formatCO2e(totalHarvestedCO2e),
+                rawHarvestedCO2e: totalHarvestedCO2e,
+                rawCumulativeHarvestedCO2e: totalCumulativeHarvestedCO2e,
+                hwpCO2e: formatCO2e(totalHwpCO2e),
+                rawHwpCO2e: totalHwpCO2e,
+                longTermAverageCO2e: formatCO2e(totalLongTermAverageCO2e),
+                rawLongTermAverageCO2e: totalLongTermAverageCO2e,
+                socCO2e: formatCO2e(totalSocCO2e),
+                rawSocCO2e: totalSocCO2e,
+                deadwoodCO2e: formatCO2e(totalDeadwoodCO2e),
+                rawDeadwoodCO2e: totalDeadwoodCO2e,
+                litterCO2e: formatCO2e(totalLitterCO2e),
+                rawLitterCO2e: totalLitterCO2e,
+                rawCarbonPoolsCO2e: totalSocCO2e + totalDeadwoodCO2e + totalLitterCO2e,
+                carbonPoolsIncluded: Boolean(commonInputs.carbonPools?.enabled),
+                harvestType: speciesResults.find(species => species.results[0]?.harvestType)?.results[0].harvestType ?? null,
+                // Each species is capped at its own long-term average, so the totals are summed
+                cumulativeNetCO2e: formatCO2e(totalCreditableCO2e),
+                rawCumulativeNetCO2e: totalCreditableCO2e,
+                reportingInterval: normalizeReportingInterval(reportingInterval),
+                species: 'All Species'
+            });
+        });
         
         // Return both the individual species results and the total
         return {
@@ -449,13 +772,14 @@ export function calculateSequestrationMultiSpecies(commonInputs, speciesData) {
 
 /**
  * Calculate cost analysis for forest project
- * @param {number} projectCost - Total project cost
+ * @param {Object} costPlan - Costs from buildForestCostPlan()
  * @param {number} area - Project area in hectares
  * @param {Array<Object>} results - Sequestration results
  * @returns {Object} Cost analysis results
  */
-export function calculateForestCostAnalysis(projectCost, area, results) {
+export function calculateForestCostAnalysis(costPlan, area, results) {
     try {
+        const projectCost = costPlan ? costPlan.total : 0;
         if (!projectCost || projectCost <= 0 || !results || !results.length) {
             console.error('Invalid inputs for cost analysis');
             return null;
@@ -471,20 +795,26 @@ export function calculateForestCostAnalysis(projectCost, area, results) {
         // Calculate cost per hectare
         const costPerHectare = area > 0 ? projectCost / area : 0;
         
-        // Calculate estimated cost breakdown (simplified)
+        // Cost breakdown by category: itemised lines, or the standard split of a lump sum
         const costBreakdown = {
-            establishment: formatCO2e(projectCost * 0.4), // 40% for establishment
-            maintenance: formatCO2e(projectCost * 0.3),   // 30% for maintenance
-            monitoring: formatCO2e(projectCost * 0.2),    // 20% for monitoring
-            other: formatCO2e(projectCost * 0.1)          // 10% for other costs
+            establishment: formatMoney(costPlan.categoryTotals.establishment),
+            maintenance: formatMoney(costPlan.categoryTotals.maintenance),
+            monitoring: formatMoney(costPlan.categoryTotals.monitoring),
+            other: formatMoney(costPlan.categoryTotals.other)
         };
         
-        // Return the cost analysis
+        // Return the cost analysis; amounts are in the base currency, formatted in the display currency
         return {
-            totalProjectCost: formatCO2e(projectCost),
-            costPerTonne: formatCO2e(costPerTonne),
-            costPerHectare: formatCO2e(costPerHectare),
-            costBreakdown
+            totalProjectCost: formatMoney(projectCost),
+            costPerTonne: formatMoney(costPerTonne),
+            costPerHectare: formatMoney(costPerHectare),
+            costBreakdown,
+            rawCostBreakdown: { ...costPlan.categoryTotals },
+            costLines: costPlan.lines,
+            itemised: costPlan.itemised,
+            rawTotalProjectCost: projectCost,
+            rawCostPerTonne: costPerTonne,
+            rawCostPerHectare: costPerHectare
         };
     } catch (error) {
         console.error('Error calculating cost analysis:', error);
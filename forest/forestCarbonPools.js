@@ -0,0 +1,102 @@
+/**
+ * Soil organic carbon, deadwood and litter pools for forest calculations
+ *
+ * Soil organic carbon (SOC) follows the IPCC Tier 1 stock-change method
+ * (2019 Refinement, Vol. 4, Ch. 2): SOC = SOC_ref * F_LU * F_MG * F_I, with the
+ * change from the pre-project land use to forest spread linearly over the
+ * transition period. Deadwood and litter are estimated as a share of biomass
+ * carbon, following the CDM A/R tool for dead wood and litter (AR-TOOL12).
+ */
+
+const CO2_TO_C_RATIO = 44 / 12;
+
+// Reference SOC stocks (t C/ha, 0-30 cm) for tropical moist climates by soil type
+export const DEFAULT_SOC_REFERENCE = {
+    Loam: 65, // High-activity clay soils
+    Clay: 47, // Low-activity clay soils
+    Sandy: 39,
+    Degraded: 47
+};
+
+// Combined stock-change factor (F_LU * F_MG * F_I) of the land before planting
+export const LAND_USE_HISTORY = {
+    cropland: { label: 'Long-term cropland', factor: 0.83 },
+    grassland: { label: 'Managed grassland', factor: 1.0 },
+    degraded_grassland: { label: 'Degraded grassland', factor: 0.97 },
+    severely_degraded: { label: 'Severely degraded land', factor: 0.7 },
+    forest: { label: 'Forest (reforestation)', factor: 1.0 }
+};
+
+// Stock-change factor of the land once under forest
+const FOREST_SOC_FACTOR = 1.0;
+
+export const DEFAULT_LAND_USE_HISTORY = 'grassland';
+export const DEFAULT_SOC_TRANSITION_YEARS = 20; // IPCC default time to reach the new equilibrium
+
+// Deadwood and litter as a share of biomass carbon by rainfall class (AR-TOOL12 tropical defaults)
+export const DEFAULT_DEAD_ORGANIC_MATTER_FRACTIONS = {
+    Low: { deadwood: 0.02, litter: 0.04 },
+    Medium: { deadwood: 0.01, litter: 0.01 },
+    High: { deadwood: 0.06, litter: 0.01 }
+};
+
+/**
+ * Resolve the pool parameters, applying any user overrides to the defaults
+ * @param {Object} options - Pool options
+ * @param {string} [options.soilType] - Soil type selected for the site
+ * @param {string} [options.avgRainfall] - Rainfall class selected for the site
+ * @param {string} [options.landUseHistory] - Key of LAND_USE_HISTORY
+ * @param {number} [options.socReference] - Override for the reference SOC stock (t C/ha)
+ * @param {number} [options.landUseFactor] - Override for the pre-project stock-change factor
+ * @param {number} [options.socTransitionYears] - Override for the transition period (years)
+ * @param {number} [options.deadwoodFraction] - Override for deadwood as a share of biomass carbon (0-1)
+ * @param {number} [options.litterFraction] - Override for litter as a share of biomass carbon (0-1)
+ * @returns {Object} Resolved parameters
+ */
+export function resolveCarbonPoolParameters(options = {}) {
+    const soilType = Object.keys(DEFAULT_SOC_REFERENCE)
+        .find(name => name.toLowerCase() === String(options.soilType || '').trim().toLowerCase()) || 'Loam';
+    const rainfall = Object.keys(DEFAULT_DEAD_ORGANIC_MATTER_FRACTIONS)
+        .find(name => name.toLowerCase() === String(options.avgRainfall || '').trim().toLowerCase()) || 'Medium';
+    const history = LAND_USE_HISTORY[options.landUseHistory] ? options.landUseHistory : DEFAULT_LAND_USE_HISTORY;
+    const fractions = DEFAULT_DEAD_ORGANIC_MATTER_FRACTIONS[rainfall];
+
+    // Overrides are used when they are valid numbers, otherwise the default applies
+    const pick = (value, fallback) => (typeof value === 'number' && isFinite(value) && value >= 0 ? value : fallback);
+
+    return {
+        soilType,
+        landUseHistory: history,
+        socReference: pick(options.socReference, DEFAULT_SOC_REFERENCE[soilType]),
+        landUseFactor: pick(options.landUseFactor, LAND_USE_HISTORY[history].factor),
+        socTransitionYears: Math.max(1, pick(options.socTransitionYears, DEFAULT_SOC_TRANSITION_YEARS)),
+        deadwoodFraction: pick(options.deadwoodFraction, fractions.deadwood),
+        litterFraction: pick(options.litterFraction, fractions.litter)
+    };
+}
+
+/**
+ * Change in soil organic carbon since planting
+ * @param {Object} parameters - Parameters from resolveCarbonPoolParameters()
+ * @param {number} area - Project area (ha)
+ * @param {number} year - Project year
+ * @returns {number} SOC stock change (tonnes CO2e), negative if the forest holds less than the prior land use
+ */
+export function soilCarbonChangeCO2e(parameters, area, year) {
+    const { socReference, landUseFactor, socTransitionYears } = parameters;
+    const progress = Math.min(year, socTransitionYears) / socTransitionYears;
+    return socReference * (FOREST_SOC_FACTOR - landUseFactor) * progress * area * CO2_TO_C_RATIO;
+}
+
+/**
+ * Deadwood and litter stocks associated with the living biomass
+ * @param {Object} parameters - Parameters from resolveCarbonPoolParameters()
+ * @param {number} biomassCO2e - CO2e in living biomass (tonnes)
+ * @returns {Object} { deadwood, litter } in tonnes CO2e
+ */
+export function deadOrganicMatterCO2e(parameters, biomassCO2e) {
+    return {
+        deadwood: biomassCO2e * parameters.deadwoodFraction,
+        litter: biomassCO2e * parameters.litterFraction
+    };
+}
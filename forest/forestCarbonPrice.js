@@ -0,0 +1,152 @@
+/**
+ * Carbon price trajectories for forest credit revenue
+ *
+ * The selected carbon price is the price in year 0. A price path moves it
+ * over time (flat, linear or percentage escalation, or a stepwise table), and
+ * low and high scenarios scale the central path. Credits are valued at the
+ * price of the year they are issued.
+ */
+
+export const PRICE_PATH_TYPES = {
+    FLAT: 'flat',
+    LINEAR: 'linear',
+    PERCENTAGE: 'percentage',
+    STEPWISE: 'stepwise'
+};
+
+export const PRICE_PATH_LABELS = {
+    [PRICE_PATH_TYPES.FLAT]: 'Flat',
+    [PRICE_PATH_TYPES.LINEAR]: 'Linear escalation ($/yr)',
+    [PRICE_PATH_TYPES.PERCENTAGE]: 'Percentage escalation (%/yr)',
+    [PRICE_PATH_TYPES.STEPWISE]: 'Stepwise table (year: price)'
+};
+
+export const PRICE_SCENARIOS = {
+    low: 'Low',
+    central: 'Central',
+    high: 'High'
+};
+
+// Low and high paths as a percentage of the central path
+export const DEFAULT_LOW_SCENARIO_PERCENT = 50;
+export const DEFAULT_HIGH_SCENARIO_PERCENT = 200;
+
+/**
+ * Parse a stepwise price table written as "year: price" pairs
+ * @param {string} text - Pairs separated by commas, semicolons or new lines, e.g. "0: 10, 5: 20, 10: 35"
+ * @returns {Array<Object>} Steps sorted by year [{ year, price }]
+ * @throws {Error} If a pair cannot be read
+ */
+export function parsePriceSteps(text) {
+    const steps = String(text || '')
+        .split(/[\n;,]+/)
+        .map(pair => pair.trim())
+        .filter(pair => pair.length > 0)
+        .map(pair => {
+            const match = pair.match(/^(\d+)\s*[:=]\s*\$?\s*(\d+(?:\.\d+)?)$/);
+            if (!match) {
+                throw new Error(`Could not read price step "${pair}", use "year: price"`);
+            }
+            return { year: parseInt(match[1], 10), price: parseFloat(match[2]) };
+        });
+
+    if (steps.length === 0) {
+        throw new Error('A stepwise price path needs at least one "year: price" step');
+    }
+
+    return steps.sort((a, b) => a.year - b.year);
+}
+
+/**
+ * Build a price path
+ * @param {Object} options - Path options
+ * @param {number} options.basePrice - Price in year 0
+ * @param {string} [options.pathType='flat'] - One of PRICE_PATH_TYPES
+ * @param {number} [options.escalation=0] - $/yr for linear paths, %/yr for percentage paths
+ * @param {string} [options.steps] - Stepwise table for stepwise paths
+ * @returns {Function} (year) => price, never below zero
+ * @throws {Error} If the path settings are invalid
+ */
+export function buildPricePath({ basePrice, pathType = PRICE_PATH_TYPES.FLAT, escalation = 0, steps } = {}) {
+    const price = Math.max(0, parseFloat(basePrice) || 0);
+    const rate = parseFloat(escalation) || 0;
+
+    switch (pathType) {
+        case PRICE_PATH_TYPES.LINEAR:
+            return year => Math.max(0, price + rate * year);
+        case PRICE_PATH_TYPES.PERCENTAGE:
+            if (rate <= -100) {
+                throw new Error('Percentage escalation must be greater than -100%');
+            }
+            return year => price * Math.pow(1 + rate / 100, year);
+        case PRICE_PATH_TYPES.STEPWISE: {
+            // Each step holds until the next one; before the first step the base price applies
+            const table = parsePriceSteps(steps);
+            return year => {
+                let current = price;
+                for (const step of table) {
+                    if (step.year > year) break;
+                    current = step.price;
+                }
+                return current;
+            };
+        }
+        default:
+            return () => price;
+    }
+}
+
+/**
+ * Build the low, central and high price paths
+ * @param {Object} pathOptions - Options for buildPricePath() describing the central path
+ * @param {number} [lowPercent=50] - Low path as a percentage of the central path
+ * @param {number} [highPercent=200] - High path as a percentage of the central path
+ * @returns {Object} { low, central, high } price functions
+ */
+export function buildPriceScenarios(pathOptions, lowPercent = DEFAULT_LOW_SCENARIO_PERCENT, highPercent = DEFAULT_HIGH_SCENARIO_PERCENT) {
+    if (lowPercent < 0 || highPercent < 0) {
+        throw new Error('Scenario percentages must be positive');
+    }
+    if (lowPercent > 100 || highPercent < 100) {
+        throw new Error('The low scenario must be at most 100% and the high scenario at least 100% of the central path');
+    }
+
+    const central = buildPricePath(pathOptions);
+    return {
+        low: year => central(year) * lowPercent / 100,
+        central,
+        high: year => central(year) * highPercent / 100
+    };
+}
+
+/**
+ * Revenue for each issuance under every price scenario
+ * @param {Array<Object>} issuanceSchedule - Rows from buildIssuanceSchedule()
+ * @param {Object} scenarios - Price functions from buildPriceScenarios()
+ * @returns {Object} { rows: [{ year, creditsIssued, prices, revenue }], totals: { low, central, high } }
+ */
+export function calculateRevenueByIssuance(issuanceSchedule, scenarios) {
+    const totals = {};
+    Object.keys(PRICE_SCENARIOS).forEach(scenario => {
+        totals[scenario] = 0;
+    });
+
+    const rows = (issuanceSchedule || []).map(issuance => {
+        const prices = {};
+        const revenue = {};
+        Object.keys(PRICE_SCENARIOS).forEach(scenario => {
+            prices[scenario] = scenarios[scenario](issuance.vintageEnd);
+            revenue[scenario] = issuance.creditsIssued * prices[scenario];
+            totals[scenario] += revenue[scenario];
+        });
+
+        return {
+            year: issuance.vintageEnd,
+            creditsIssued: issuance.creditsIssued,
+            prices,
+            revenue
+        };
+    });
+
+    return { rows, totals };
+}
@@ -1,6 +1,21 @@
-import { formatNumber, formatCO2e } from '../utils.js';
+import { formatNumber, formatCO2e, escapeHtml } from '../utils.js';
 import { uiManager, createElement, querySelectorAll, querySelector, toggleClass } from '../domUtils.js';
-import { forestEventSystem } from './forestCalcs.js';
+import { forestEventSystem, DEFAULT_REPORTING_INTERVAL, normalizeReportingInterval } from './forestCalcs.js';
+import { GROWTH_MODELS, GROWTH_MODEL_LABELS, normalizeGrowthModel } from './forestGrowthModels.js';
+import {
+    SITE_FACTOR_LABELS,
+    getSiteModifierTable,
+    hasCustomSiteModifiers,
+    setCustomSiteModifiers,
+    resetSiteModifiers,
+    resolveSiteModifiers
+} from './forestSiteModifiers.js';
+import { MORTALITY_MODELS, MORTALITY_MODEL_LABELS } from './forestMortality.js';
+import { isMultiSpeciesMode, getLoadedSpeciesData } from './forestIO.js';
+import { HARVEST_TYPES, HARVEST_TYPE_LABELS, HWP_CATEGORIES } from './forestHarvest.js';
+import { LAND_USE_HISTORY, resolveCarbonPoolParameters } from './forestCarbonPools.js';
+import { getVerificationYears, DEFAULT_FIRST_VERIFICATION_YEAR, DEFAULT_VERIFICATION_FREQUENCY } from './forestIssuance.js';
+import { FOREST_COST_TEMPLATES, renderCostBuilder, readCostLines, resolveCostLine } from '../costModel.js';
 
 // State variables
 let chartInstance = null;
@@ -180,6 +195,27 @@ function setupFormFields() {
             }
         }
         
+        // Show the custom interval input only when "Custom" is selected
+        setupReportingIntervalField();
+        
+        // Show curve parameters only for sigmoidal growth models
+        setupGrowthModelField();
+        
+        // Preview and edit the site modifier table
+        setupSiteModifierFields();
+        
+        // Show establishment and replanting inputs only when they apply
+        setupMortalityFields();
+        
+        // Show harvest type and wood-product inputs only when a harvest interval is set
+        setupHarvestFields();
+        
+        // Show soil, deadwood and litter inputs with their defaults as placeholders
+        setupCarbonPoolFields();
+        
+        // Itemised cost lines with typical forest items
+        setupForestCostBuilder();
+        
         // Initialize validation
         setupFormValidation(form);
     } catch (error) {
@@ -187,6 +223,322 @@ function setupFormFields() {
     }
 }
 
+/**
+ * Toggle the custom reporting interval input based on the interval select
+ */
+function setupReportingIntervalField() {
+    const intervalSelect = document.getElementById('reportingInterval');
+    const customContainer = document.getElementById('customReportingIntervalContainer');
+    
+    if (!intervalSelect || !customContainer) {
+        console.warn('Reporting interval fields not found');
+        return;
+    }
+    
+    const toggleCustomInterval = () => {
+        customContainer.classList.toggle('hidden', intervalSelect.value !== 'custom');
+    };
+    
+    intervalSelect.addEventListener('change', toggleCustomInterval);
+    toggleCustomInterval();
+}
+
+/**
+ * Toggle the growth curve parameter inputs based on the growth model select
+ */
+function setupGrowthModelField() {
+    const modelSelect = document.getElementById('growthModel');
+    const curveParameters = document.getElementById('growthCurveParameters');
+    
+    if (!modelSelect || !curveParameters) {
+        console.warn('Growth model fields not found');
+        return;
+    }
+    
+    const toggleCurveParameters = () => {
+        curveParameters.classList.toggle('hidden', normalizeGrowthModel(modelSelect.value) === GROWTH_MODELS.LINEAR);
+    };
+    
+    modelSelect.addEventListener('change', toggleCurveParameters);
+    toggleCurveParameters();
+}
+
+/**
+ * Toggle the establishment period, background mortality and replanting inputs
+ * Background mortality only applies to linear growth; the other growth curves
+ * already include those losses, so constant mortality is disabled for them.
+ */
+function setupMortalityFields() {
+    const modelSelect = document.getElementById('mortalityModel');
+    const establishmentContainer = document.getElementById('establishmentYearsContainer');
+    const replantingCheckbox = document.getElementById('enableReplanting');
+    const growthModelSelect = document.getElementById('growthModel');
+    const annualMortalityInput = document.getElementById('annualMortality');
+    const constantOption = modelSelect?.querySelector(`option[value="${MORTALITY_MODELS.CONSTANT}"]`);
+    
+    if (!modelSelect || !replantingCheckbox) {
+        console.warn('Mortality fields not found');
+        return;
+    }
+    
+    const toggleEstablishment = () => {
+        establishmentContainer?.classList.toggle('hidden', modelSelect.value !== MORTALITY_MODELS.ESTABLISHMENT);
+    };
+    
+    const toggleBackgroundMortality = () => {
+        const linearGrowth = normalizeGrowthModel(growthModelSelect?.value) === GROWTH_MODELS.LINEAR;
+        if (constantOption) constantOption.disabled = !linearGrowth;
+        if (annualMortalityInput) annualMortalityInput.disabled = !linearGrowth;
+        
+        if (!linearGrowth && modelSelect.value === MORTALITY_MODELS.CONSTANT) {
+            modelSelect.value = MORTALITY_MODELS.ESTABLISHMENT;
+            toggleEstablishment();
+        }
+    };
+    
+    const toggleReplanting = () => {
+        document.querySelectorAll('.replanting-field').forEach(field => {
+            field.classList.toggle('hidden', !replantingCheckbox.checked);
+        });
+    };
+    
+    modelSelect.addEventListener('change', toggleEstablishment);
+    modelSelect.addEventListener('change', toggleBackgroundMortality);
+    growthModelSelect?.addEventListener('change', toggleBackgroundMortality);
+    replantingCheckbox.addEventListener('change', toggleReplanting);
+    toggleEstablishment();
+    toggleBackgroundMortality();
+    toggleReplanting();
+}
+
+/**
+ * Toggle the harvest type, thinning and wood-product inputs
+ */
+function setupHarvestFields() {
+    const intervalInput = document.getElementById('harvestInterval');
+    const typeSelect = document.getElementById('harvestType');
+    const thinningContainer = document.getElementById('thinningIntensityContainer');
+    const finalFellingContainer = document.getElementById('finalFellingAgeContainer');
+    
+    if (!intervalInput || !typeSelect) {
+        console.warn('Harvest fields not found');
+        return;
+    }
+    
+    const toggleHarvestFields = () => {
+        const harvesting = parseInt(intervalInput.value, 10) > 0;
+        document.querySelectorAll('.harvest-field').forEach(field => {
+            field.classList.toggle('hidden', !harvesting);
+        });
+        const thinning = harvesting && typeSelect.value === HARVEST_TYPES.THINNING;
+        thinningContainer?.classList.toggle('hidden', !thinning);
+        finalFellingContainer?.classList.toggle('hidden', !thinning);
+    };
+    
+    intervalInput.addEventListener('input', toggleHarvestFields);
+    typeSelect.addEventListener('change', toggleHarvestFields);
+    toggleHarvestFields();
+}
+
+/**
+ * Fill the forest cost builder with the typical line items
+ * Also used on reset to drop any lines the user added.
+ * @param {Array<Object>} [lines] - Lines to show instead, e.g. from a saved project
+ */
+export function setupForestCostBuilder(lines = FOREST_COST_TEMPLATES) {
+    const container = document.getElementById('forestCostLines');
+    if (!container) {
+        console.warn('Forest cost builder not found');
+        return;
+    }
+    
+    renderCostBuilder(container, lines);
+}
+
+/**
+ * Toggle the carbon pool inputs and show the defaults for the current site as placeholders
+ */
+function setupCarbonPoolFields() {
+    const enableCheckbox = document.getElementById('enableCarbonPools');
+    
+    if (!enableCheckbox) {
+        console.warn('Carbon pool fields not found');
+        return;
+    }
+    
+    const updateCarbonPoolFields = () => {
+        document.querySelectorAll('.carbon-pool-field').forEach(field => {
+            field.classList.toggle('hidden', !enableCheckbox.checked);
+        });
+        
+        const { soilType, avgRainfall } = getSiteSelections();
+        const defaults = resolveCarbonPoolParameters({
+            soilType,
+            avgRainfall,
+            landUseHistory: document.getElementById('landUseHistory')?.value
+        });
+        const placeholders = {
+            socReference: defaults.socReference,
+            landUseFactor: defaults.landUseFactor,
+            socTransitionYears: defaults.socTransitionYears,
+            deadwoodFraction: defaults.deadwoodFraction * 100,
+            litterFraction: defaults.litterFraction * 100
+        };
+        
+        for (const [fieldId, value] of Object.entries(placeholders)) {
+            const input = document.getElementById(fieldId);
+            if (input) input.placeholder = `Default: ${value}`;
+        }
+    };
+    
+    enableCheckbox.addEventListener('change', updateCarbonPoolFields);
+    ['landUseHistory', 'soilType', 'avgRainfall'].forEach(fieldId => {
+        document.getElementById(fieldId)?.addEventListener('change', updateCarbonPoolFields);
+    });
+    updateCarbonPoolFields();
+}
+
+/**
+ * Read the soil, deadwood and litter options from the form
+ * @returns {Object} Carbon pool options; blank overrides are left undefined so defaults apply
+ */
+function getCarbonPoolInputs() {
+    const readOptional = fieldId => {
+        const value = parseFloat(document.getElementById(fieldId)?.value);
+        return isNaN(value) ? undefined : value;
+    };
+    const deadwoodPercent = readOptional('deadwoodFraction');
+    const litterPercent = readOptional('litterFraction');
+    
+    return {
+        enabled: Boolean(document.getElementById('enableCarbonPools')?.checked),
+        landUseHistory: document.getElementById('landUseHistory')?.value,
+        socReference: readOptional('socReference'),
+        landUseFactor: readOptional('landUseFactor'),
+        socTransitionYears: readOptional('socTransitionYears'),
+        deadwoodFraction: deadwoodPercent === undefined ? undefined : deadwoodPercent / 100,
+        litterFraction: litterPercent === undefined ? undefined : litterPercent / 100
+    };
+}
+
+/**
+ * Read the wood-product shares and half-lives from the form
+ * @returns {Object} { hwpShares, hwpHalfLives } with shares as fractions (0-1)
+ */
+function getHwpInputs() {
+    const hwpShares = {};
+    const hwpHalfLives = {};
+    
+    // Form IDs follow the category key, e.g. hwpSawnwoodShare and hwpSawnwoodHalfLife
+    for (const category of Object.keys(HWP_CATEGORIES)) {
+        const prefix = `hwp${category.charAt(0).toUpperCase()}${category.slice(1)}`;
+        hwpShares[category] = parseFloat(document.getElementById(`${prefix}Share`)?.value) / 100;
+        hwpHalfLives[category] = parseFloat(document.getElementById(`${prefix}HalfLife`)?.value);
+    }
+    
+    return { hwpShares, hwpHalfLives };
+}
+
+/**
+ * Read the site factor selections from the form
+ * @returns {Object} { siteQuality, avgRainfall, soilType }
+ */
+function getSiteSelections() {
+    return {
+        siteQuality: document.getElementById('siteQuality')?.value || 'Medium',
+        avgRainfall: document.getElementById('avgRainfall')?.value || 'Medium',
+        soilType: document.getElementById('soilType')?.value || 'Loam'
+    };
+}
+
+/**
+ * Show the combined modifiers for the current site selections
+ */
+function updateSiteModifierPreview() {
+    const preview = document.getElementById('siteModifierPreview');
+    if (!preview) return;
+    
+    const { growthMultiplier, survivalMultiplier } = resolveSiteModifiers(getSiteSelections());
+    const source = hasCustomSiteModifiers() ? 'custom table' : 'default table';
+    preview.textContent = `Site modifiers (${source}): growth ×${growthMultiplier.toFixed(2)}, survival ×${survivalMultiplier.toFixed(2)}`;
+}
+
+/**
+ * Show the active modifier table in the table editor
+ */
+function fillSiteModifierTableInput() {
+    const tableInput = document.getElementById('siteModifierTableInput');
+    if (tableInput) {
+        tableInput.value = JSON.stringify(getSiteModifierTable(), null, 2);
+    }
+}
+
+/**
+ * Make a saved modifier table the active one, e.g. when a project is opened
+ * @param {Object|null} table - Custom modifier table, or null for the default table
+ * @throws {Error} If the table is invalid
+ */
+export function restoreSiteModifiers(table) {
+    if (table) {
+        setCustomSiteModifiers(table);
+    } else {
+        resetSiteModifiers();
+    }
+    fillSiteModifierTableInput();
+    updateSiteModifierPreview();
+}
+
+/**
+ * Set up the site factor preview and the custom modifier table editor
+ */
+function setupSiteModifierFields() {
+    const tableInput = document.getElementById('siteModifierTableInput');
+    const applyBtn = document.getElementById('applySiteModifiersBtn');
+    const resetBtn = document.getElementById('resetSiteModifiersBtn');
+    
+    Object.keys(SITE_FACTOR_LABELS).forEach(fieldId => {
+        document.getElementById(fieldId)?.addEventListener('change', updateSiteModifierPreview);
+    });
+    
+    if (applyBtn && tableInput) {
+        applyBtn.addEventListener('click', () => {
+            try {
+                setCustomSiteModifiers(JSON.parse(tableInput.value));
+                clearForestErrors();
+                fillSiteModifierTableInput();
+                updateSiteModifierPreview();
+            } catch (error) {
+                showForestError(`Invalid site modifier table: ${error.message}`);
+            }
+        });
+    }
+    
+    if (resetBtn) {
+        resetBtn.addEventListener('click', () => {
+            resetSiteModifiers();
+            fillSiteModifierTableInput();
+            updateSiteModifierPreview();
+        });
+    }
+    
+    fillSiteModifierTableInput();
+    updateSiteModifierPreview();
+}
+
+/**
+ * Read the selected reporting interval from the form
+ * @returns {number} Reporting interval in years, or NaN if the custom value is invalid
+ */
+function getReportingIntervalInput() {
+    const selectedInterval = document.getElementById('reportingInterval')?.value || String(DEFAULT_REPORTING_INTERVAL);
+    
+    if (selectedInterval === 'custom') {
+        return parseFloat(document.getElementById('customReportingInterval')?.value);
+    }
+    
+    return normalizeReportingInterval(selectedInterval);
+}
+
 /**
  * Set up form validation
  * @param {HTMLFormElement} form - The form element
@@ -207,9 +559,35 @@ function setupFormValidation(form) {
         carbonFraction: { min: 0.4, max: 0.6, required: true, type: 'number' },
         projectDuration: { min: 1, max: 200, required: true, type: 'number' },
         survivalRate: { min: 0, max: 100, required: true, type: 'number' },
+        annualMortality: { min: 0, max: 20, required: false, type: 'number' },
+        establishmentYears: { min: 1, max: 10, required: false, type: 'number' },
+        replantingUntilYear: { min: 1, max: 200, required: false, type: 'number' },
+        replantingTarget: { min: 1, max: 100, required: false, type: 'number' },
+        harvestInterval: { min: 0, max: 200, required: false, type: 'number' },
+        thinningIntensity: { min: 1, max: 90, required: false, type: 'number' },
+        finalFellingAge: { min: 0, max: 200, required: false, type: 'number' },
+        hwpSawnwoodShare: { min: 0, max: 100, required: false, type: 'number' },
+        hwpPanelsShare: { min: 0, max: 100, required: false, type: 'number' },
+        hwpPaperShare: { min: 0, max: 100, required: false, type: 'number' },
+        hwpSawnwoodHalfLife: { min: 1, max: 200, required: false, type: 'number' },
+        hwpPanelsHalfLife: { min: 1, max: 200, required: false, type: 'number' },
+        hwpPaperHalfLife: { min: 1, max: 200, required: false, type: 'number' },
+        socReference: { min: 0, max: 500, required: false, type: 'number' },
+        landUseFactor: { min: 0.1, max: 1.5, required: false, type: 'number' },
+        socTransitionYears: { min: 1, max: 100, required: false, type: 'number' },
+        deadwoodFraction: { min: 0, max: 50, required: false, type: 'number' },
+        litterFraction: { min: 0, max: 50, required: false, type: 'number' },
         forestProjectCost: { min: 0, max: 1000000000, required: false, type: 'number' },
+        forestDiscountRate: { min: 0, max: 50, required: false, type: 'number' },
+        customReportingInterval: { min: 1, max: 200, required: false, type: 'number' },
+        maxGrowingStock: { min: 1, max: 5000, required: false, type: 'number' },
+        growthRateConstant: { min: 0.001, max: 2, required: false, type: 'number' },
+        growthShape: { min: 0.01, max: 1000, required: false, type: 'number' },
         riskRate: { min: 0, max: 100, required: false, type: 'number' },
-        deadAttribute: { min: 0, max: 100, required: false, type: 'number' }
+        deadAttribute: { min: 0, max: 100, required: false, type: 'number' },
+        carbonPriceEscalation: { min: -1000, max: 1000, required: false, type: 'number' },
+        lowPriceScenario: { min: 0, max: 100, required: false, type: 'number' },
+        highPriceScenario: { min: 100, max: 1000, required: false, type: 'number' }
     };
     
     // Add validation event listeners using consistent IDs
@@ -493,8 +871,29 @@ export function getAndValidateForestInputs(errorMessageElement) {
         const duration = parseFloat(document.getElementById('projectDuration')?.value);
         const survivalRate = parseFloat(document.getElementById('survivalRate')?.value || 85);
         const mortalityRate = survivalRate > 0 ? (100 - survivalRate) / 100 : 0.15;
+        const mortalityModel = document.getElementById('mortalityModel')?.value || MORTALITY_MODELS.ESTABLISHMENT;
+        const annualMortality = parseFloat(document.getElementById('annualMortality')?.value || 1);
+        const establishmentYears = parseInt(document.getElementById('establishmentYears')?.value || 3, 10);
+        const replantingEnabled = Boolean(document.getElementById('enableReplanting')?.checked);
+        const replantingUntilYear = parseInt(document.getElementById('replantingUntilYear')?.value || 3, 10);
+        const replantingTarget = parseFloat(document.getElementById('replantingTarget')?.value || 95);
+        const harvestInterval = parseInt(document.getElementById('harvestInterval')?.value || 0, 10);
+        const harvestType = document.getElementById('harvestType')?.value || HARVEST_TYPES.CLEARFELL;
+        const thinningIntensity = parseFloat(document.getElementById('thinningIntensity')?.value || 30);
+        const finalFellingAge = parseInt(document.getElementById('finalFellingAge')?.value || 0, 10);
+        const { hwpShares, hwpHalfLives } = getHwpInputs();
+        const carbonPools = getCarbonPoolInputs();
         const projectCost = parseFloat(document.getElementById('forestProjectCost')?.value || 0);
+        const costLines = readCostLines(document.getElementById('forestCostLines'));
+        const firstVerificationYear = parseInt(document.getElementById('firstVerificationYear')?.value, 10) || DEFAULT_FIRST_VERIFICATION_YEAR;
+        const verificationFrequency = parseInt(document.getElementById('verificationFrequency')?.value, 10) || DEFAULT_VERIFICATION_FREQUENCY;
         const species = document.getElementById('species')?.value || 'Generic';
+        const reportingInterval = getReportingIntervalInput();
+        const growthModel = normalizeGrowthModel(document.getElementById('growthModel')?.value);
+        const maxStock = parseFloat(document.getElementById('maxGrowingStock')?.value);
+        const growthRateConstant = parseFloat(document.getElementById('growthRateConstant')?.value);
+        const growthShape = parseFloat(document.getElementById('growthShape')?.value);
+        const { siteQuality, avgRainfall, soilType } = getSiteSelections();
         
         // Validate inputs
         if (isNaN(area) || area <= 0) {
@@ -542,11 +941,123 @@ export function getAndValidateForestInputs(errorMessageElement) {
             return null;
         }
         
+        if (!MORTALITY_MODEL_LABELS[mortalityModel]) {
+            showForestError('Please select a valid mortality model', errorMessageElement);
+            return null;
+        }
+        
+        // Species rows can choose their own growth curve
+        const growthModelsInUse = isMultiSpeciesMode()
+            ? getLoadedSpeciesData().map(species => normalizeGrowthModel(species['Growth Model'] || growthModel))
+            : [growthModel];
+        if (mortalityModel === MORTALITY_MODELS.CONSTANT && growthModelsInUse.some(model => model !== GROWTH_MODELS.LINEAR)) {
+            showForestError('Constant annual mortality only works with linear growth; the other growth curves already include background losses. Choose establishment-phase mortality instead.', errorMessageElement);
+            return null;
+        }
+        
+        if (isNaN(annualMortality) || annualMortality < 0 || annualMortality > 20) {
+            showForestError('Please enter an annual mortality between 0 and 20%', errorMessageElement);
+            return null;
+        }
+        
+        if (mortalityModel === MORTALITY_MODELS.ESTABLISHMENT && (isNaN(establishmentYears) || establishmentYears < 1 || establishmentYears > 10)) {
+            showForestError('Please enter an establishment period between 1 and 10 years', errorMessageElement);
+            return null;
+        }
+        
+        if (replantingEnabled) {
+            if (isNaN(replantingUntilYear) || replantingUntilYear < 1 || replantingUntilYear > duration) {
+                showForestError('Replanting must end between year 1 and the project duration', errorMessageElement);
+                return null;
+            }
+            
+            if (isNaN(replantingTarget) || replantingTarget <= 0 || replantingTarget > 100) {
+                showForestError('Please enter a replanting target stocking between 1 and 100%', errorMessageElement);
+                return null;
+            }
+        }
+        
+        if (isNaN(harvestInterval) || harvestInterval < 0 || harvestInterval > duration) {
+            showForestError('Harvest interval must be between 0 (no harvest) and the project duration', errorMessageElement);
+            return null;
+        }
+        
+        if (harvestInterval > 0) {
+            if (!HARVEST_TYPE_LABELS[harvestType]) {
+                showForestError('Please select a valid harvest type', errorMessageElement);
+                return null;
+            }
+            
+            if (harvestType === HARVEST_TYPES.THINNING && (isNaN(thinningIntensity) || thinningIntensity <= 0 || thinningIntensity > 90)) {
+                showForestError('Please enter a thinning intensity between 1 and 90%', errorMessageElement);
+                return null;
+            }
+            
+            if (harvestType === HARVEST_TYPES.THINNING && (isNaN(finalFellingAge) || finalFellingAge < 0 || (finalFellingAge > 0 && finalFellingAge <= harvestInterval))) {
+                showForestError('Final felling age must be 0 (never felled) or longer than the thinning cycle', errorMessageElement);
+                return null;
+            }
+            
+            const shares = Object.values(hwpShares);
+            if (shares.some(share => isNaN(share) || share < 0) || shares.reduce((total, share) => total + share, 0) > 1) {
+                showForestError('Wood product shares must be positive and add up to no more than 100%', errorMessageElement);
+                return null;
+            }
+            
+            if (Object.values(hwpHalfLives).some(halfLife => isNaN(halfLife) || halfLife <= 0)) {
+                showForestError('Wood product half-lives must be greater than 0', errorMessageElement);
+                return null;
+            }
+        }
+        
+        if (carbonPools.enabled) {
+            if (!LAND_USE_HISTORY[carbonPools.landUseHistory]) {
+                showForestError('Please select the land use before planting', errorMessageElement);
+                return null;
+            }
+            
+            const invalidOverride = ['socReference', 'landUseFactor', 'deadwoodFraction', 'litterFraction']
+                .some(key => carbonPools[key] !== undefined && carbonPools[key] < 0);
+            if (invalidOverride || (carbonPools.socTransitionYears !== undefined && carbonPools.socTransitionYears < 1)) {
+                showForestError('Soil, deadwood and litter overrides must be positive numbers', errorMessageElement);
+                return null;
+            }
+        }
+        
         if (projectCost && (isNaN(projectCost) || projectCost < 0)) {
             showForestError('Project cost must be a positive number', errorMessageElement);
             return null;
         }
         
+        try {
+            costLines.forEach(line => resolveCostLine(line, duration));
+        } catch (error) {
+            showForestError(`Cost lines: ${error.message}`, errorMessageElement);
+            return null;
+        }
+        
+        if (growthModel !== GROWTH_MODELS.LINEAR) {
+            if (!isNaN(maxStock) && maxStock <= 0) {
+                showForestError('Maximum growing stock must be greater than 0', errorMessageElement);
+                return null;
+            }
+            
+            if (!isNaN(growthRateConstant) && (growthRateConstant <= 0 || growthRateConstant > 2)) {
+                showForestError('Growth rate constant k must be between 0 and 2 per year', errorMessageElement);
+                return null;
+            }
+            
+            if (!isNaN(growthShape) && growthShape <= 0) {
+                showForestError('Growth shape parameter must be greater than 0', errorMessageElement);
+                return null;
+            }
+        }
+        
+        if (isNaN(reportingInterval) || reportingInterval < 1 || !Number.isInteger(reportingInterval)) {
+            showForestError('Please enter a whole-year reporting interval of 1 or more', errorMessageElement);
+            return null;
+        }
+        
         return {
             area,
             density,
@@ -557,7 +1068,33 @@ export function getAndValidateForestInputs(errorMessageElement) {
             carbonFraction,
             duration,
             mortalityRate,
+            mortalityModel,
+            annualMortalityRate: annualMortality / 100,
+            establishmentYears,
+            replanting: {
+                enabled: replantingEnabled,
+                untilYear: replantingUntilYear,
+                targetSurvival: replantingTarget / 100
+            },
+            harvestInterval,
+            harvestType,
+            thinningIntensity: thinningIntensity / 100,
+            finalFellingAge: harvestType === HARVEST_TYPES.THINNING ? finalFellingAge : 0,
+            hwpShares,
+            hwpHalfLives,
+            carbonPools,
             projectCost,
+            costLines,
+            verificationYears: getVerificationYears(duration, firstVerificationYear, verificationFrequency),
+            // An interval longer than the project reports only the start and the final year
+            reportingInterval: Math.min(reportingInterval, duration),
+            growthModel,
+            maxStock: isNaN(maxStock) ? undefined : maxStock,
+            growthRateConstant: isNaN(growthRateConstant) ? undefined : growthRateConstant,
+            growthShape: isNaN(growthShape) ? undefined : growthShape,
+            siteQuality,
+            avgRainfall,
+            soilType,
             species
         };
     } catch (error) {
@@ -590,6 +1127,93 @@ function createSequestrationChart(results, chartElement) {
         const years = results.map(result => result.year);
         const co2eData = results.map(result => result.rawCO2e);
         const netCO2eData = results.map(result => result.rawNetCO2e);
+        const mortalityLossData = results.map(result => result.rawCumulativeLosses);
+        const annualSequestrationData = results.map(result => result.rawAnnualSequestration);
+        
+        const datasets = [
+            {
+                label: 'Gross CO₂e Sequestration',
+                data: co2eData,
+                borderColor: 'rgb(54, 162, 235)',
+                backgroundColor: 'rgba(54, 162, 235, 0.2)',
+                tension: 0.1
+            },
+            {
+                label: 'Net CO₂e Sequestration',
+                data: netCO2eData,
+                borderColor: 'rgb(75, 192, 192)',
+                backgroundColor: 'rgba(75, 192, 192, 0.2)',
+                tension: 0.1
+            },
+            {
+                label: 'Lost to Mortality',
+                data: mortalityLossData,
+                borderColor: 'rgb(239, 68, 68)',
+                backgroundColor: 'rgba(239, 68, 68, 0.2)',
+                borderDash: [5, 5],
+                tension: 0.1
+            },
+            {
+                type: 'bar',
+                label: 'Net Annual Sequestration (per year)',
+                data: annualSequestrationData,
+                borderColor: 'rgb(5, 150, 105)',
+                backgroundColor: 'rgba(5, 150, 105, 0.3)',
+                yAxisID: 'yAnnual'
+            }
+        ];
+        
+        // Harvested stands also show the wood-product pool and the long-term average stock
+        if (results.some(result => result.harvestType)) {
+            const finalLongTermAverage = results[results.length - 1].rawLongTermAverageCO2e;
+            datasets.push(
+                {
+                    label: 'Wood Products (HWP)',
+                    data: results.map(result => result.rawHwpCO2e || 0),
+                    borderColor: 'rgb(180, 83, 9)',
+                    backgroundColor: 'rgba(180, 83, 9, 0.2)',
+                    tension: 0.1
+                },
+                {
+                    label: 'Long-term Average Stock',
+                    data: results.map(() => finalLongTermAverage),
+                    borderColor: 'rgb(107, 114, 128)',
+                    borderDash: [2, 4],
+                    pointRadius: 0,
+                    fill: false
+                }
+            );
+        }
+        
+        // Soil, deadwood and litter stack on top of the net biomass line
+        const carbonPoolsIncluded = results.some(result => result.carbonPoolsIncluded);
+        if (carbonPoolsIncluded) {
+            const netDataset = datasets.find(dataset => dataset.data === netCO2eData);
+            netDataset.stack = 'carbonStock';
+            netDataset.fill = 'origin';
+            
+            const poolSeries = [
+                { label: 'Soil Organic Carbon', key: 'rawSocCO2e', color: '120, 53, 15' },
+                { label: 'Deadwood', key: 'rawDeadwoodCO2e', color: '146, 64, 14' },
+                { label: 'Litter', key: 'rawLitterCO2e', color: '202, 138, 4' }
+            ];
+            poolSeries.forEach(({ label, key, color }) => {
+                datasets.push({
+                    label,
+                    data: results.map(result => result[key] || 0),
+                    borderColor: `rgb(${color})`,
+                    backgroundColor: `rgba(${color}, 0.3)`,
+                    stack: 'carbonStock',
+                    fill: '-1',
+                    tension: 0.1
+                });
+            });
+            
+            // Every other line keeps its own stack so only the pools are stacked
+            datasets.forEach(dataset => {
+                dataset.stack = dataset.stack || dataset.label;
+            });
+        }
         
         // Create chart
         const ctx = chartElement.getContext('2d');
@@ -598,22 +1222,7 @@ function createSequestrationChart(results, chartElement) {
             type: 'line',
             data: {
                 labels: years,
-                datasets: [
-                    {
-                        label: 'Gross CO₂e Sequestration',
-                        data: co2eData,
-                        borderColor: 'rgb(54, 162, 235)',
-                        backgroundColor: 'rgba(54, 162, 235, 0.2)',
-                        tension: 0.1
-                    },
-                    {
-                        label: 'Net CO₂e Sequestration',
-                        data: netCO2eData,
-                        borderColor: 'rgb(75, 192, 192)',
-                        backgroundColor: 'rgba(75, 192, 192, 0.2)',
-                        tension: 0.1
-                    }
-                ]
+                datasets
             },
             options: {
                 responsive: true,
@@ -650,7 +1259,19 @@ function createSequestrationChart(results, chartElement) {
                             display: true,
                             text: 'CO₂e (tonnes)'
                         },
+                        stacked: carbonPoolsIncluded,
                         beginAtZero: true
+                    },
+                    yAnnual: {
+                        position: 'right',
+                        title: {
+                            display: true,
+                            text: 'CO₂e (tonnes/yr)'
+                        },
+                        beginAtZero: true,
+                        grid: {
+                            drawOnChartArea: false
+                        }
                     }
                 }
             }
@@ -712,11 +1333,41 @@ export function displayForestResults(results, resultsSection, resultsBody, chart
         const finalResult = results[results.length - 1];
         const initialResult = results[0];
         
-        const totalCO2e = finalResult.netCO2e;
+        // Biomass plus the soil, deadwood and litter pools when they are included
+        const rawTotalCO2e = finalResult.rawNetCO2e + (finalResult.rawCarbonPoolsCO2e || 0);
+        const totalCO2e = formatCO2e(rawTotalCO2e);
         const annualAverage = results.length > 1
-            ? formatCO2e(finalResult.rawNetCO2e / finalResult.year)
+            ? formatCO2e(rawTotalCO2e / finalResult.year)
             : '0';
         
+        // Multi-species totals mix curves from the species file, so they have no single model
+        const growthModelLabel = GROWTH_MODEL_LABELS[finalResult.growthModel] || 'Per species';
+        
+        // Harvested stands are credited on their long-term average stock
+        const harvestSummary = finalResult.harvestType ? `
+                <div class="result-item">
+                    <span class="result-label">Harvest:</span>
+                    <span class="result-value">${HARVEST_TYPE_LABELS[finalResult.harvestType]}${finalResult.harvestInterval ? ` every ${finalResult.harvestInterval} years` : ''}${finalResult.finalFellingAge ? `, final felling at ${finalResult.finalFellingAge} years` : ''}</span>
+                </div>
+                <div class="result-item">
+                    <span class="result-label">Wood Products Stock:</span>
+                    <span class="result-value">${finalResult.hwpCO2e}</span>
+                </div>
+                <div class="result-item">
+                    <span class="result-label">Long-term Average Stock:</span>
+                    <span class="result-value">${finalResult.longTermAverageCO2e}</span>
+                </div>
+                <div class="result-item">
+                    <span class="result-label">Creditable Stock:</span>
+                    <span class="result-value">${finalResult.cumulativeNetCO2e}</span>
+                </div>` : '';
+        
+        const carbonPoolsSummary = finalResult.carbonPoolsIncluded ? `
+                <div class="result-item">
+                    <span class="result-label">Soil, Deadwood & Litter:</span>
+                    <span class="result-value">${formatCO2e(finalResult.rawCarbonPoolsCO2e)}</span>
+                </div>` : '';
+        
         const summaryElement = document.getElementById('resultsSummary');
         if (summaryElement) {
             summaryElement.innerHTML = `
@@ -732,6 +1383,14 @@ export function displayForestResults(results, resultsSection, resultsBody, chart
                     <span class="result-label">Duration:</span>
                     <span class="result-value">${finalResult.year} years</span>
                 </div>
+                <div class="result-item">
+                    <span class="result-label">Surviving Trees:</span>
+                    <span class="result-value">${formatNumber(finalResult.survivingTrees, 0)} (${formatNumber(finalResult.survivalPercent, 1)}%)</span>
+                </div>
+                <div class="result-item">
+                    <span class="result-label">Growth Model:</span>
+                    <span class="result-value">${growthModelLabel}</span>
+                </div>${carbonPoolsSummary}${harvestSummary}
             `;
         }
         
@@ -755,9 +1414,16 @@ export function displayForestResults(results, resultsSection, resultsBody, chart
                     <td>${result.aboveGroundBiomass}</td>
                     <td>${result.belowGroundBiomass}</td>
                     <td>${result.carbonContent}</td>
+                    <td>${formatNumber(result.survivingTrees, 0)}</td>
                     <td>${result.co2e}</td>
-                    <td>${result.mortalityLoss}</td>
+                    <td>${result.cumulativeLosses}</td>
                     <td>${result.netCO2e}</td>
+                    <td>${result.annualSequestration}</td>
+                    <td>${result.socCO2e}</td>
+                    <td>${result.deadwoodCO2e}</td>
+                    <td>${result.litterCO2e}</td>
+                    <td>${result.harvestedCO2e}</td>
+                    <td>${result.hwpCO2e}</td>
                 `;
                 
                 resultsBody.appendChild(row);
@@ -768,9 +1434,19 @@ export function displayForestResults(results, resultsSection, resultsBody, chart
                 }
             });
             
+            // Label the table with the reporting interval used for this run
+            const reportingInterval = finalResult.reportingInterval || DEFAULT_REPORTING_INTERVAL;
+            const tableTitle = document.getElementById('resultsTableForestTitle');
+            if (tableTitle) {
+                tableTitle.textContent = reportingInterval === 1
+                    ? 'Yearly Sequestration Details'
+                    : `Sequestration Details (every ${reportingInterval} years)`;
+            }
+            
             // Ensure the table is visible
             const resultsTable = document.getElementById('resultsTableForest');
             if (resultsTable) {
+                resultsTable.dataset.reportingInterval = reportingInterval;
                 resultsTable.style.display = 'table';
                 resultsTable.style.visibility = 'visible';
                 resultsTable.style.opacity = '1';
@@ -801,3 +1477,52 @@ export function displayForestResults(results, resultsSection, resultsBody, chart
         return false;
     }
 }
+
+/**
+ * Display the site modifiers applied to each species
+ * @param {Array<Object>} speciesResults - Per-species results carrying their resolved siteModifiers
+ */
+export function displaySiteModifiers(speciesResults) {
+    const section = document.getElementById('siteModifiersSection');
+    const body = document.getElementById('siteModifiersBody');
+    if (!section || !body) return;
+    
+    try {
+        body.innerHTML = '';
+        
+        (speciesResults || []).forEach(species => {
+            const modifiers = species.siteModifiers || species.results?.[0]?.siteModifiers;
+            if (!modifiers) return;
+            
+            // Show each selection with its own growth/survival pair so reviewers can trace the product
+            const describeFactor = factor => {
+                const applied = modifiers.factors.find(item => item.factor === factor);
+                return applied
+                    ? `${escapeHtml(applied.value)} (×${applied.growth.toFixed(2)} / ×${applied.survival.toFixed(2)})`
+                    : '-';
+            };
+            
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${escapeHtml(species.speciesName || 'Generic')}</td>
+                <td>${describeFactor('siteQuality')}</td>
+                <td>${describeFactor('avgRainfall')}</td>
+                <td>${describeFactor('soilType')}</td>
+                <td>×${modifiers.growthMultiplier.toFixed(2)}</td>
+                <td>×${modifiers.survivalMultiplier.toFixed(2)}</td>
+            `;
+            body.appendChild(row);
+        });
+        
+        const sourceElement = document.getElementById('siteModifiersSource');
+        if (sourceElement) {
+            sourceElement.textContent = hasCustomSiteModifiers()
+                ? 'Multipliers from the custom site modifier table. Values in brackets are growth / survival per factor.'
+                : 'Multipliers from the default site modifier table. Values in brackets are growth / survival per factor.';
+        }
+        
+        section.classList.toggle('hidden', body.children.length === 0);
+    } catch (error) {
+        console.error('Error displaying site modifiers:', error);
+    }
+}
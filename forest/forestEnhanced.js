@@ -1,5 +1,32 @@
-import { formatCO2e } from '../utils.js';
+import { formatCO2e, eventBus } from '../utils.js';
 import { analytics } from '../analytics.js';
+import { ADJUSTMENT_METHODS, calculateNetAnthropogenicRemovals } from './forestBaseline.js';
+import { buildIssuanceSchedule, DEFAULT_FIRST_VERIFICATION_YEAR, DEFAULT_VERIFICATION_FREQUENCY } from './forestIssuance.js';
+import { RISK_FACTORS, MIN_BUFFER_PERCENT, assessNonPermanenceRisk } from './forestRiskAssessment.js';
+import { showForestError, getAndValidateForestInputs } from './forestDOM.js';
+import { isMultiSpeciesMode, getLoadedSpeciesData } from './forestIO.js';
+import { getSiteModifierTable } from './forestSiteModifiers.js';
+import {
+    DISTRIBUTIONS,
+    UNCERTAIN_PARAMETERS,
+    DEFAULT_ITERATIONS,
+    DEFAULT_SEED,
+    DEFAULT_ALLOWABLE_UNCERTAINTY,
+    runMonteCarlo,
+    calculateUncertaintyDeduction
+} from './forestUncertainty.js';
+import { buildForestCashFlowModel, buildForestCostPlan } from './forestFinance.js';
+import { readCostLines } from '../costModel.js';
+import {
+    PRICE_PATH_TYPES,
+    PRICE_SCENARIOS,
+    DEFAULT_LOW_SCENARIO_PERCENT,
+    DEFAULT_HIGH_SCENARIO_PERCENT,
+    buildPriceScenarios,
+    calculateRevenueByIssuance
+} from './forestCarbonPrice.js';
+import { renderFinancePanel, DEFAULT_DISCOUNT_RATE } from '../finance.js';
+import { formatMoney, convertCurrency, getCurrencySettings, CARBON_PRICE_CURRENCY, CURRENCY_CHANGED_EVENT } from '../currency.js';
 
 // Ensure consistent event tracking that won't break functionality  
 function trackEvent(eventName, eventData = {}) {
@@ -22,6 +49,8 @@ export function setupGreenCoverAndCredits(speciesData) {
     let deadAttributePercentage = 0;
     let carbonPrice = 10;
     let lastCalculationResults = null; // Local variable to store calculation results
+    let lastCreditResults = null; // Credits and finance from the last update, for scenarios
+    let issuanceChart = null;
     
     // Get necessary DOM elements
     const initialGreenCoverInput = document.getElementById('initialGreenCover');
@@ -39,10 +68,28 @@ export function setupGreenCoverAndCredits(speciesData) {
     const totalVERs = document.getElementById('totalVERs');
     const estimatedRevenue = document.getElementById('estimatedRevenue');
     
-    // Risk factors (can be updated from UI or data)
-    let riskFactors = { fire: 5, insect: 3, disease: 2 }; // Example defaults
+    // Non-permanence risk assessment; null while the buffer is entered manually
+    let riskAssessment = null;
+    const useRiskAssessmentInput = document.getElementById('useRiskAssessment');
+    const riskQuestionnaire = document.getElementById('riskQuestionnaire');
+    
+    // Monte Carlo uncertainty analysis; the summary is null until a run completes
+    let uncertaintySummary = null;
+    let uncertaintyWorker = null;
+    let uncertaintyChart = null;
+    const uncertaintyParameters = document.getElementById('uncertaintyParameters');
+    const uncertaintyDeductionInput = document.getElementById('uncertaintyDeduction');
+    const allowableUncertaintyInput = document.getElementById('allowableUncertainty');
+    const runUncertaintyBtn = document.getElementById('runUncertaintyBtn');
+    const uncertaintyStatus = document.getElementById('uncertaintyStatus');
+    if (uncertaintyStatus && !uncertaintyStatus.dataset.defaultText) {
+        uncertaintyStatus.dataset.defaultText = uncertaintyStatus.textContent;
+    }
 
     // --- Event Listeners for Enhanced Features ---
+    // Removed together by cleanup() when the handler is replaced
+    const listenerController = new AbortController();
+    const listenerOptions = { signal: listenerController.signal };
     if (deadAttributeInput) {
         // Initialize display
         deadAttributePercentage = parseFloat(deadAttributeInput.value);
@@ -54,14 +101,14 @@ export function setupGreenCoverAndCredits(speciesData) {
             if (lastCalculationResults) {
                 updateCarbonCreditsCalculation(lastCalculationResults);
             }
-        });
+        }, listenerOptions);
         
         // Add change event listener for analytics tracking when user finishes setting the value
         deadAttributeInput.addEventListener('change', function() {
             trackEvent('forest_dead_attribute_set', {
                 value: deadAttributePercentage
             });
-        });
+        }, listenerOptions);
     }
 
     // Setup carbon price selector
@@ -86,7 +133,7 @@ export function setupGreenCoverAndCredits(speciesData) {
                 price: carbonPrice,
                 priceType: selectedValue === 'custom' ? 'custom' : 'preset'
             });
-        });
+        }, listenerOptions);
         
         // Initialize carbon price from select value
         carbonPrice = parseFloat(carbonPriceSelect.value === 'custom' && customCarbonPriceInput ? 
@@ -102,54 +149,194 @@ export function setupGreenCoverAndCredits(speciesData) {
                     updateCarbonCreditsCalculation(lastCalculationResults);
                 }
             }
-        });
+        }, listenerOptions);
         
         customCarbonPriceInput.addEventListener('change', function() {
             trackEvent('forest_custom_carbon_price_set', {
                 value: parseFloat(this.value) || 0
             });
-        });
+        }, listenerOptions);
+    }
+    
+    // Setup carbon price path inputs
+    const pricePathSelect = document.getElementById('carbonPricePath');
+    if (pricePathSelect) {
+        const togglePricePathFields = () => {
+            const pathType = pricePathSelect.value;
+            const escalates = pathType === PRICE_PATH_TYPES.LINEAR || pathType === PRICE_PATH_TYPES.PERCENTAGE;
+            document.getElementById('carbonPriceEscalationContainer')?.classList.toggle('hidden', !escalates);
+            document.getElementById('carbonPriceStepsContainer')?.classList.toggle('hidden', pathType !== PRICE_PATH_TYPES.STEPWISE);
+            
+            const escalationLabel = document.getElementById('carbonPriceEscalationLabel');
+            if (escalationLabel) {
+                escalationLabel.textContent = pathType === PRICE_PATH_TYPES.PERCENTAGE
+                    ? 'Escalation (%/yr)'
+                    : 'Escalation ($/tCO₂e per year)';
+            }
+        };
+        
+        pricePathSelect.addEventListener('change', function() {
+            togglePricePathFields();
+            if (lastCalculationResults) {
+                updateCarbonCreditsCalculation(lastCalculationResults);
+            }
+            trackEvent('forest_carbon_price_path_set', { pathType: this.value });
+        }, listenerOptions);
+        
+        togglePricePathFields();
     }
     
+    ['carbonPriceEscalation', 'carbonPriceSteps', 'lowPriceScenario', 'highPriceScenario'].forEach(fieldId => {
+        document.getElementById(fieldId)?.addEventListener('change', function() {
+            if (lastCalculationResults) {
+                updateCarbonCreditsCalculation(lastCalculationResults);
+            }
+        }, listenerOptions);
+    });
+    
     // Setup risk rate input
     if (riskRateInput) {
         riskRateInput.addEventListener('input', function() {
             if (lastCalculationResults) {
                 updateCarbonCreditsCalculation(lastCalculationResults);
             }
-        });
+        }, listenerOptions);
         
         riskRateInput.addEventListener('change', function() {
             trackEvent('forest_risk_rate_set', {
                 value: parseFloat(this.value) || 0
             });
-        });
+        }, listenerOptions);
     }
 
+    // Setup the risk questionnaire; when enabled its score drives the risk buffer input
+    if (useRiskAssessmentInput && riskQuestionnaire && riskRateInput) {
+        renderRiskQuestionnaire();
+        
+        useRiskAssessmentInput.addEventListener('change', function() {
+            riskQuestionnaire.classList.toggle('hidden', !this.checked);
+            updateRiskAssessment();
+            trackEvent('forest_risk_assessment_toggled', { enabled: this.checked });
+        }, listenerOptions);
+        
+        riskQuestionnaire.addEventListener('change', updateRiskAssessment, listenerOptions);
+    }
+
+    // Setup the uncertainty analysis; a completed run sets the uncertainty deduction
+    if (uncertaintyParameters) {
+        renderUncertaintyParameters();
+    }
+    
+    if (runUncertaintyBtn) {
+        // Assigned rather than added: a reset creates a new handler and the old one must stop responding
+        runUncertaintyBtn.onclick = runUncertaintyAnalysis;
+    }
+    
+    if (allowableUncertaintyInput) {
+        allowableUncertaintyInput.addEventListener('input', function() {
+            if (uncertaintySummary) {
+                applyUncertaintyDeduction();
+            }
+        }, listenerOptions);
+    }
+    
+    if (uncertaintyDeductionInput) {
+        uncertaintyDeductionInput.addEventListener('input', function() {
+            if (lastCalculationResults) {
+                updateCarbonCreditsCalculation(lastCalculationResults);
+            }
+        }, listenerOptions);
+        
+        uncertaintyDeductionInput.addEventListener('change', function() {
+            trackEvent('forest_uncertainty_deduction_set', {
+                value: parseFloat(this.value) || 0
+            });
+        }, listenerOptions);
+    }
+
+    // Setup baseline and leakage inputs: show the value or curve field for the chosen method
+    ['baseline', 'leakage'].forEach(adjustment => {
+        const methodSelect = document.getElementById(`${adjustment}Method`);
+        if (!methodSelect) return;
+        
+        const toggleAdjustmentFields = () => {
+            const method = methodSelect.value;
+            document.getElementById(`${adjustment}ValueContainer`)?.classList.toggle('hidden',
+                method !== ADJUSTMENT_METHODS.FIXED && method !== ADJUSTMENT_METHODS.PERCENTAGE);
+            document.getElementById(`${adjustment}CurveContainer`)?.classList.toggle('hidden', method !== ADJUSTMENT_METHODS.CURVE);
+        };
+        
+        methodSelect.addEventListener('change', function() {
+            toggleAdjustmentFields();
+            if (lastCalculationResults) {
+                updateCarbonCreditsCalculation(lastCalculationResults);
+            }
+            trackEvent(`forest_${adjustment}_method_set`, { method: this.value });
+        }, listenerOptions);
+        
+        [`${adjustment}Value`, `${adjustment}Curve`].forEach(fieldId => {
+            document.getElementById(fieldId)?.addEventListener('change', function() {
+                if (lastCalculationResults) {
+                    updateCarbonCreditsCalculation(lastCalculationResults);
+                }
+            }, listenerOptions);
+        });
+        
+        toggleAdjustmentFields();
+    });
+
+    // Setup verification schedule inputs
+    ['firstVerificationYear', 'verificationFrequency'].forEach(fieldId => {
+        const input = document.getElementById(fieldId);
+        if (!input) return;
+        
+        input.addEventListener('input', function() {
+            if (lastCalculationResults) {
+                updateCarbonCreditsCalculation(lastCalculationResults);
+            }
+        }, listenerOptions);
+        
+        input.addEventListener('change', function() {
+            trackEvent('forest_verification_schedule_set', {
+                field: fieldId,
+                value: parseFloat(this.value) || 0
+            });
+        }, listenerOptions);
+    });
+
+    // Setup finance inputs; the cash flows follow the issuance schedule
+    ['forestProjectCost', 'forestDiscountRate', 'forestCostLines'].forEach(fieldId => {
+        document.getElementById(fieldId)?.addEventListener('change', function() {
+            if (lastCalculationResults) {
+                updateCarbonCreditsCalculation(lastCalculationResults);
+            }
+        }, listenerOptions);
+    });
+
     // Attach event listeners for green cover inputs
     if (initialGreenCoverInput) {
-        initialGreenCoverInput.addEventListener('input', updateGreenCoverMetrics);
+        initialGreenCoverInput.addEventListener('input', updateGreenCoverMetrics, listenerOptions);
         initialGreenCoverInput.addEventListener('blur', function() {
             trackEvent('forest_initial_green_cover_set', {
                 value: parseFloat(this.value) || 0
             });
-        });
+        }, listenerOptions);
     }
 
     if (totalGeographicalAreaInput) {
-        totalGeographicalAreaInput.addEventListener('input', updateGreenCoverMetrics);
+        totalGeographicalAreaInput.addEventListener('input', updateGreenCoverMetrics, listenerOptions);
         totalGeographicalAreaInput.addEventListener('blur', function() {
             trackEvent('forest_geographical_area_set', {
                 value: parseFloat(this.value) || 0
             });
-        });
+        }, listenerOptions);
     }
     
     // Also listen to project area and survival rate as they affect green cover
     const projectAreaInputGC = document.getElementById('projectArea');
     const survivalRateInputGC = document.getElementById('survivalRate');
-    if (projectAreaInputGC) projectAreaInputGC.addEventListener('input', updateGreenCoverMetrics);
-    if (survivalRateInputGC) survivalRateInputGC.addEventListener('input', updateGreenCoverMetrics);
+    if (projectAreaInputGC) projectAreaInputGC.addEventListener('input', updateGreenCoverMetrics, listenerOptions);
+    if (survivalRateInputGC) survivalRateInputGC.addEventListener('input', updateGreenCoverMetrics, listenerOptions);
 
     // --- Green Cover Calculation ---
     function updateGreenCoverMetrics() {
@@ -218,8 +405,14 @@ export function setupGreenCoverAndCredits(speciesData) {
         console.log('Updating carbon credits calculation');
         console.log('Received results for Carbon Credits:', JSON.stringify(results)); // Log received results
 
+        // A new calculation makes the previous uncertainty run out of date
+        if (results !== lastCalculationResults && uncertaintySummary) {
+            clearUncertaintyResults('Inputs have changed since the last run. Run the uncertainty analysis again to update the deduction.');
+        }
+
         // Store the results for future updates
         lastCalculationResults = results;
+        lastCreditResults = null;
         
         // Check if we have valid results structure
         if (!results) {
@@ -229,11 +422,14 @@ export function setupGreenCoverAndCredits(speciesData) {
 
         // Determine what type of results we have and where to get the final year data
         let finalYear;
+        let yearlyResults;
         if (results.totalResults && results.totalResults.length) {
             console.log('Using totalResults for carbon credits calculation');
+            yearlyResults = results.totalResults;
             finalYear = results.totalResults[results.totalResults.length - 1];
         } else if (Array.isArray(results) && results.length) {
             console.log('Using direct results array for carbon credits calculation');
+            yearlyResults = results;
             finalYear = results[results.length - 1];
         } else {
             console.error('Invalid results structure for carbon credits calculation');
@@ -252,6 +448,25 @@ export function setupGreenCoverAndCredits(speciesData) {
             finalCO2e = parseFloat(finalYear.cumulativeNetCO2e.replace(/[^0-9.-]+/g, '')) || 0;
         }
         console.log('Final CO2e used for credits:', finalCO2e); // Log the CO2e value used
+        
+        // Credits are issued on net CO2e; show what mortality took off the gross figure
+        const grossCO2e = typeof finalYear.rawCO2e === 'number' ? finalYear.rawCO2e : finalCO2e;
+        const mortalityLossCO2e = typeof finalYear.rawCumulativeLosses === 'number' ? finalYear.rawCumulativeLosses : 0;
+        updateCreditsStockBreakdown(grossCO2e, mortalityLossCO2e, finalCO2e);
+        
+        // Subtract baseline removals and leakage to get net anthropogenic removals
+        const projectCO2e = finalCO2e;
+        let netRemovals;
+        try {
+            netRemovals = calculateNetAnthropogenicRemovals(yearlyResults, readAdjustmentSetting('baseline'), readAdjustmentSetting('leakage'));
+        } catch (error) {
+            console.error('Error calculating net anthropogenic removals:', error);
+            showForestError(`Baseline and leakage: ${error.message}`);
+            return;
+        }
+        displayNetRemovals(netRemovals);
+        finalCO2e = netRemovals[netRemovals.length - 1].netRemovals;
+        console.log('Net anthropogenic removals used for credits:', finalCO2e);
 
         // Check if there are carbon credit output elements
         console.log('Carbon Credit Output Elements:', {
@@ -267,35 +482,70 @@ export function setupGreenCoverAndCredits(speciesData) {
             // Set display elements to show zeros instead of showing nothing
             if (totalVERs) totalVERs.textContent = '0.00';
             if (estimatedRevenue) estimatedRevenue.textContent = '0.00';
+            const uncertaintyAmountElement = document.getElementById('uncertaintyDeductionAmount');
+            if (uncertaintyAmountElement) uncertaintyAmountElement.textContent = '0.00 tCO₂e';
+            displayIssuanceSchedule([]);
+            displayRevenueBands(null);
+            const emptyFinance = updateFinancePanel([], netRemovals[netRemovals.length - 1].year,
+                () => convertCurrency(carbonPrice, CARBON_PRICE_CURRENCY, getCurrencySettings().baseCurrency));
             
-            return {
+            lastCreditResults = {
+                grossCO2e,
+                mortalityLossCO2e,
+                projectCO2e,
+                netRemovals,
                 originalCO2e: 0,
                 bufferedCO2e: 0,
                 finalVERs: 0,
-                revenue: 0
+                revenue: 0,
+                finance: emptyFinance
             };
+            return lastCreditResults;
         }
         
-        // Get risk rate (as decimal) from input
-        const riskRate = riskRateInput ? (parseFloat(riskRateInput.value) / 100) : 0.15;
+        // Issue credits per verification: the uncertainty deduction comes off first, each
+        // issuance pays into the risk buffer, then the dead attribute (non-additionality)
+        // percentage is deducted
+        const issuanceOptions = readIssuanceOptions();
+        const riskRate = issuanceOptions.bufferRate;
+        const issuanceSchedule = buildIssuanceSchedule(netRemovals, issuanceOptions);
+        displayIssuanceSchedule(issuanceSchedule);
+        displayRiskBreakdown(riskRate);
         
-        // Apply risk buffer to get VERs
-        const bufferedCO2e = finalCO2e * (1 - riskRate);
+        const finalIssuance = issuanceSchedule[issuanceSchedule.length - 1];
+        const riskBufferAmount = finalIssuance.cumulativeBuffer;
+        const uncertaintyAmount = issuanceSchedule.reduce((total, issuance) => total + issuance.uncertaintyDeduction, 0);
+        const nonAddAmount = issuanceSchedule.reduce((total, issuance) => total + issuance.deduction, 0);
+        const bufferedCO2e = finalCO2e - uncertaintyAmount - riskBufferAmount;
+        const finalVERs = finalIssuance.cumulativeIssued;
         
-        // Apply dead attribute (non-additionality) percentage
-        const finalVERs = bufferedCO2e * (1 - (deadAttributePercentage / 100));
+        // Value each issuance at the price of its year on the low, central and high paths
+        let priceScenarios;
+        try {
+            priceScenarios = readPriceScenarios();
+        } catch (error) {
+            console.error('Error building carbon price paths:', error);
+            showForestError(`Carbon price path: ${error.message}`);
+            return;
+        }
+        const revenueBands = calculateRevenueByIssuance(issuanceSchedule, priceScenarios);
+        displayRevenueBands(revenueBands);
+        const revenue = revenueBands.totals.central;
         
-        // Calculate estimated revenue using carbon price
-        const revenue = finalVERs * carbonPrice;
+        // Discounted cash flows: costs over time against revenue in each issuance year
+        const finance = updateFinancePanel(issuanceSchedule, netRemovals[netRemovals.length - 1].year, priceScenarios.central);
         
         console.log('Calculated Carbon Credits:', { 
             finalCO2e, 
+            uncertaintyRate: issuanceOptions.uncertaintyRate,
             riskRate, 
             bufferedCO2e,
+            issuances: issuanceSchedule.length,
             deadAttributePercentage,
             finalVERs, 
             carbonPrice,
-            revenue
+            revenue,
+            revenueBands: revenueBands.totals
         }); // Log calculated credits
 
         // Update display with proper formatting
@@ -305,31 +555,751 @@ export function setupGreenCoverAndCredits(speciesData) {
         }
         
         if (estimatedRevenue) {
-            estimatedRevenue.textContent = revenue.toLocaleString('en-US', {maximumFractionDigits: 2});
+            estimatedRevenue.textContent = formatMoney(revenue, { symbol: false });
             console.log('Updated estimatedRevenue display:', estimatedRevenue.textContent);
         }
         
         // Update additional display elements with calculation details if they exist
+        const uncertaintyAmountElement = document.getElementById('uncertaintyDeductionAmount');
+        if (uncertaintyAmountElement) {
+            uncertaintyAmountElement.textContent = uncertaintyAmount.toLocaleString('en-US', {maximumFractionDigits: 2}) + ' tCO₂e';
+        }
+        
         const riskBufferElement = document.getElementById('riskBuffer');
         if (riskBufferElement) {
-            const riskBufferAmount = finalCO2e * riskRate;
             riskBufferElement.textContent = riskBufferAmount.toLocaleString('en-US', {maximumFractionDigits: 2}) + ' tCO₂e';
         }
         
         const nonAddElement = document.getElementById('nonAdditionality');
         if (nonAddElement) {
-            const nonAddAmount = bufferedCO2e * (deadAttributePercentage / 100);
             nonAddElement.textContent = nonAddAmount.toLocaleString('en-US', {maximumFractionDigits: 2}) + ' tCO₂e';
         }
 
-        return {
+        lastCreditResults = {
+            grossCO2e,
+            mortalityLossCO2e,
+            projectCO2e,
+            netRemovals,
+            issuanceSchedule,
+            riskAssessment,
+            uncertaintySummary,
+            uncertaintyDeduction: uncertaintyAmount,
             originalCO2e: finalCO2e,
             bufferedCO2e,
             finalVERs,
-            revenue
+            revenue,
+            revenueBands,
+            finance
         };
+        return lastCreditResults;
+    }
+    
+    /**
+     * Build the low, central and high carbon price paths from the form
+     * The selected carbon price is the price in year 0 of the central path.
+     * Prices are entered in US dollars and returned in the project base currency.
+     * @returns {Object} { low, central, high } price functions
+     * @throws {Error} If the path settings are invalid
+     */
+    function readPriceScenarios() {
+        const readPercent = (fieldId, fallback) => {
+            const value = parseFloat(document.getElementById(fieldId)?.value);
+            return isFinite(value) ? value : fallback;
+        };
+        
+        const scenarios = buildPriceScenarios({
+            basePrice: carbonPrice,
+            pathType: document.getElementById('carbonPricePath')?.value || PRICE_PATH_TYPES.FLAT,
+            escalation: document.getElementById('carbonPriceEscalation')?.value,
+            steps: document.getElementById('carbonPriceSteps')?.value
+        }, readPercent('lowPriceScenario', DEFAULT_LOW_SCENARIO_PERCENT), readPercent('highPriceScenario', DEFAULT_HIGH_SCENARIO_PERCENT));
+        
+        const { baseCurrency } = getCurrencySettings();
+        const inBaseCurrency = {};
+        Object.entries(scenarios).forEach(([scenario, priceAt]) => {
+            inBaseCurrency[scenario] = year => convertCurrency(priceAt(year), CARBON_PRICE_CURRENCY, baseCurrency);
+        });
+        return inBaseCurrency;
+    }
+    
+    /**
+     * Show revenue totals and the per-issuance revenue for each price path
+     * @param {Object|null} revenueBands - Result of calculateRevenueByIssuance(), or null to show zeros
+     */
+    function displayRevenueBands(revenueBands) {
+        const formatAmount = value => formatMoney(value, { symbol: false });
+        
+        Object.keys(PRICE_SCENARIOS).forEach(scenario => {
+            const element = document.getElementById(`revenue${PRICE_SCENARIOS[scenario]}`);
+            if (element) element.textContent = formatAmount(revenueBands ? revenueBands.totals[scenario] : 0);
+        });
+        
+        const tableBody = document.getElementById('revenueBody');
+        if (!tableBody) return;
+        
+        tableBody.innerHTML = '';
+        (revenueBands ? revenueBands.rows : []).forEach(row => {
+            const tableRow = document.createElement('tr');
+            tableRow.innerHTML = `
+                <td>${row.year}</td>
+                <td>${row.creditsIssued.toLocaleString('en-US', {maximumFractionDigits: 2})}</td>
+                <td>${formatAmount(row.prices.low)}</td>
+                <td>${formatAmount(row.prices.central)}</td>
+                <td>${formatAmount(row.prices.high)}</td>
+                <td>${formatAmount(row.revenue.low)}</td>
+                <td>${formatAmount(row.revenue.central)}</td>
+                <td>${formatAmount(row.revenue.high)}</td>
+            `;
+            tableBody.appendChild(tableRow);
+        });
+    }
+    
+    /**
+     * Build and show the project finance panel
+     * Hidden when no project cost has been entered.
+     * @param {Array<Object>} issuanceSchedule - Rows from buildIssuanceSchedule()
+     * @param {number} duration - Project duration in years
+     * @param {Function} priceAt - Carbon price for a given year
+     * @returns {Object|null} Cash-flow model, or null without a project cost
+     */
+    function updateFinancePanel(issuanceSchedule, duration, priceAt) {
+        const financePanel = document.getElementById('forestFinancePanel');
+        try {
+            // Costs follow the live verification schedule, so credits and monitoring costs line up
+            const costPlan = buildForestCostPlan({
+                projectCost: parseFloat(document.getElementById('forestProjectCost')?.value) || 0,
+                costLines: readCostLines(document.getElementById('forestCostLines')),
+                duration,
+                area: parseFloat(document.getElementById('projectArea')?.value) || 0,
+                trees: (lastCalculationResults?.speciesResults || [])
+                    .reduce((total, species) => total + (species.numberOfTrees || 0), 0),
+                verificationYears: issuanceSchedule.map(issuance => issuance.vintageEnd)
+            });
+            const discountRateInput = document.getElementById('forestDiscountRate');
+            const discountRate = discountRateInput && discountRateInput.value !== ''
+                ? parseFloat(discountRateInput.value) / 100
+                : DEFAULT_DISCOUNT_RATE;
+            
+            if (!isFinite(discountRate) || discountRate <= -1) {
+                throw new Error('Discount rate must be greater than -100%');
+            }
+            
+            const finance = buildForestCashFlowModel({
+                costPlan,
+                issuanceSchedule,
+                carbonPrice: priceAt,
+                discountRate
+            });
+            console.log('Forest cash-flow model:', finance);
+            
+            renderFinancePanel(financePanel, finance, {
+                unitLabel: 'credit',
+                unitsHeader: 'Credits Issued (tCO₂e)'
+            });
+            return finance;
+        } catch (error) {
+            console.error('Error building forest cash-flow model:', error);
+            showForestError(`Project finance: ${error.message}`);
+            renderFinancePanel(financePanel, null);
+            return null;
+        }
     }
 
+    /**
+     * Show gross CO2e, the amount lost to mortality and the net CO2e credited
+     * @param {number} grossCO2e - CO2e if every planted tree had survived
+     * @param {number} mortalityLossCO2e - CO2e not accrued because of mortality
+     * @param {number} netCO2e - CO2e held by the surviving stand
+     */
+    function updateCreditsStockBreakdown(grossCO2e, mortalityLossCO2e, netCO2e) {
+        const breakdown = {
+            creditsGrossCO2e: grossCO2e,
+            creditsMortalityLoss: mortalityLossCO2e,
+            creditsNetCO2e: netCO2e
+        };
+        
+        for (const [elementId, value] of Object.entries(breakdown)) {
+            const element = document.getElementById(elementId);
+            if (element) {
+                element.textContent = value.toLocaleString('en-US', {maximumFractionDigits: 2});
+            }
+        }
+    }
+
+    /**
+     * Read the verification schedule and deduction rates from the form
+     * @returns {Object} Options for buildIssuanceSchedule()
+     */
+    function readIssuanceOptions() {
+        return {
+            firstVerificationYear: parseInt(document.getElementById('firstVerificationYear')?.value, 10) || DEFAULT_FIRST_VERIFICATION_YEAR,
+            verificationFrequency: parseInt(document.getElementById('verificationFrequency')?.value, 10) || DEFAULT_VERIFICATION_FREQUENCY,
+            uncertaintyRate: Math.min(Math.max(parseFloat(uncertaintyDeductionInput?.value) || 0, 0), 100) / 100,
+            bufferRate: riskRateInput ? (parseFloat(riskRateInput.value) / 100) : 0.15,
+            deductionRate: deadAttributePercentage / 100
+        };
+    }
+
+    /**
+     * Credits issued for a set of yearly results under the current credit settings
+     * Used by the sensitivity analysis; nothing is displayed.
+     * @param {Array<Object>} yearlyResults - Rows from the sequestration model
+     * @returns {number} Cumulative credits issued by the final verification
+     */
+    function estimateCredits(yearlyResults) {
+        const netRemovals = calculateNetAnthropogenicRemovals(yearlyResults, readAdjustmentSetting('baseline'), readAdjustmentSetting('leakage'));
+        if (netRemovals.length === 0 || netRemovals[netRemovals.length - 1].netRemovals <= 0) return 0;
+
+        const issuanceSchedule = buildIssuanceSchedule(netRemovals, readIssuanceOptions());
+        return issuanceSchedule.length > 0 ? issuanceSchedule[issuanceSchedule.length - 1].cumulativeIssued : 0;
+    }
+
+    /**
+     * Read a baseline or leakage setting from the form
+     * @param {string} adjustment - 'baseline' or 'leakage'
+     * @returns {Object} { method, value, curve }
+     */
+    function readAdjustmentSetting(adjustment) {
+        return {
+            method: document.getElementById(`${adjustment}Method`)?.value || ADJUSTMENT_METHODS.NONE,
+            value: parseFloat(document.getElementById(`${adjustment}Value`)?.value) || 0,
+            curve: document.getElementById(`${adjustment}Curve`)?.value || ''
+        };
+    }
+
+    /**
+     * Show the year-by-year net anthropogenic removals and the final deductions
+     * @param {Array<Object>} netRemovals - Rows from calculateNetAnthropogenicRemovals()
+     */
+    function displayNetRemovals(netRemovals) {
+        const finalRow = netRemovals[netRemovals.length - 1];
+        
+        const deductionsElement = document.getElementById('creditsBaselineLeakage');
+        if (deductionsElement) {
+            deductionsElement.textContent = (finalRow.baselineRemovals + finalRow.leakage).toLocaleString('en-US', {maximumFractionDigits: 2});
+        }
+        
+        const netElement = document.getElementById('creditsNetAnthropogenic');
+        if (netElement) {
+            netElement.textContent = finalRow.netRemovals.toLocaleString('en-US', {maximumFractionDigits: 2});
+        }
+        
+        const tableBody = document.getElementById('netRemovalsBody');
+        if (!tableBody) return;
+        
+        tableBody.innerHTML = '';
+        netRemovals.forEach(row => {
+            const tableRow = document.createElement('tr');
+            tableRow.innerHTML = `
+                <td>${row.year}</td>
+                <td>${formatCO2e(row.projectRemovals)}</td>
+                <td>${formatCO2e(row.baselineRemovals)}</td>
+                <td>${formatCO2e(row.leakage)}</td>
+                <td>${formatCO2e(row.netRemovals)}</td>
+                <td>${formatCO2e(row.periodNetRemovals)}</td>
+            `;
+            tableBody.appendChild(tableRow);
+        });
+    }
+
+    /**
+     * Build a question, answer select and (for natural risks) a mitigation checkbox per risk factor
+     */
+    function renderRiskQuestionnaire() {
+        riskQuestionnaire.innerHTML = '';
+        
+        for (const [factor, definition] of Object.entries(RISK_FACTORS)) {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+            
+            const options = definition.options
+                .map(option => `<option value="${option.value}">${option.label} (${option.score}%)</option>`)
+                .join('');
+            const mitigation = definition.mitigable ? `
+                <label for="riskMitigated_${factor}" class="label text-sm">
+                    <input type="checkbox" id="riskMitigated_${factor}" data-risk-factor="${factor}" data-risk-field="mitigated">
+                    Effective mitigation in place
+                </label>` : '';
+            
+            group.innerHTML = `
+                <label for="riskAnswer_${factor}" class="label">${definition.label}</label>
+                <p class="text-sm text-gray-500">${definition.question}</p>
+                <select id="riskAnswer_${factor}" class="input" data-risk-factor="${factor}" data-risk-field="answer">${options}</select>
+                ${mitigation}
+            `;
+            riskQuestionnaire.appendChild(group);
+        }
+    }
+
+    /**
+     * Read the questionnaire answers
+     * @returns {Object} { [factor]: { answer, mitigated } }
+     */
+    function readRiskAnswers() {
+        const answers = {};
+        for (const factor of Object.keys(RISK_FACTORS)) {
+            answers[factor] = {
+                answer: document.getElementById(`riskAnswer_${factor}`)?.value,
+                mitigated: Boolean(document.getElementById(`riskMitigated_${factor}`)?.checked)
+            };
+        }
+        return answers;
+    }
+
+    /**
+     * Score the questionnaire and copy the buffer percentage into the risk buffer input
+     */
+    function updateRiskAssessment() {
+        if (useRiskAssessmentInput?.checked) {
+            riskAssessment = assessNonPermanenceRisk(readRiskAnswers());
+            riskRateInput.value = riskAssessment.bufferPercent;
+            riskRateInput.readOnly = true;
+            console.log('Non-permanence risk assessment:', riskAssessment);
+        } else {
+            riskAssessment = null;
+            riskRateInput.readOnly = false;
+        }
+        
+        if (lastCalculationResults) {
+            updateCarbonCreditsCalculation(lastCalculationResults);
+        }
+    }
+
+    /**
+     * Show the per-factor risk breakdown in the credits section
+     * @param {number} riskRate - Buffer rate applied to the credits (0-1)
+     */
+    function displayRiskBreakdown(riskRate) {
+        const section = document.getElementById('riskBreakdownSection');
+        const tableBody = document.getElementById('riskBreakdownBody');
+        const note = document.getElementById('riskAssessmentNote');
+        if (!section || !tableBody) return;
+        
+        section.classList.toggle('hidden', !riskAssessment);
+        tableBody.innerHTML = '';
+        if (!riskAssessment) return;
+        
+        riskAssessment.factors.forEach(item => {
+            const tableRow = document.createElement('tr');
+            tableRow.innerHTML = `
+                <td>${item.categoryLabel}</td>
+                <td>${item.label}</td>
+                <td>${item.answer}</td>
+                <td>${item.mitigated ? 'Yes' : 'No'}</td>
+                <td>${item.score.toFixed(1)}</td>
+            `;
+            tableBody.appendChild(tableRow);
+        });
+        
+        const totalRow = document.createElement('tr');
+        totalRow.innerHTML = `
+            <td colspan="4"><strong>Buffer contribution</strong></td>
+            <td><strong>${(riskRate * 100).toFixed(1)}</strong></td>
+        `;
+        tableBody.appendChild(totalRow);
+        
+        if (note) {
+            if (riskAssessment.totalScore < MIN_BUFFER_PERCENT) {
+                note.textContent = `Total risk score ${riskAssessment.totalScore.toFixed(1)}% is below the ${MIN_BUFFER_PERCENT}% minimum, so the minimum buffer applies.`;
+            } else {
+                note.textContent = `Total risk score ${riskAssessment.totalScore.toFixed(1)}%.`;
+            }
+        }
+    }
+
+    /**
+     * Render the vintage table and the cumulative issuance chart
+     * @param {Array<Object>} issuanceSchedule - Rows from buildIssuanceSchedule()
+     */
+    function displayIssuanceSchedule(issuanceSchedule) {
+        const formatTonnes = value => value.toLocaleString('en-US', {maximumFractionDigits: 2});
+        
+        const tableBody = document.getElementById('vintageBody');
+        if (tableBody) {
+            tableBody.innerHTML = '';
+            issuanceSchedule.forEach(issuance => {
+                const tableRow = document.createElement('tr');
+                tableRow.innerHTML = `
+                    <td>Year ${issuance.vintageStart}–${issuance.vintageEnd}</td>
+                    <td>${formatTonnes(issuance.netStock)}</td>
+                    <td>${formatTonnes(issuance.stockChange)}</td>
+                    <td>${formatTonnes(issuance.uncertaintyDeduction)}</td>
+                    <td>${formatTonnes(issuance.bufferContribution)}</td>
+                    <td>${formatTonnes(issuance.deduction)}</td>
+                    <td>${formatTonnes(issuance.creditsIssued)}</td>
+                    <td>${formatTonnes(issuance.cumulativeIssued)}</td>
+                    <td>${formatTonnes(issuance.reversal)}</td>
+                `;
+                tableBody.appendChild(tableRow);
+            });
+        }
+        
+        const chartCanvas = document.getElementById('issuanceChart');
+        if (!chartCanvas || !window.Chart) {
+            console.warn('Issuance chart canvas or Chart.js not found');
+            return;
+        }
+        
+        // A reset drops this handler, so also clear any chart left on the canvas by a previous one
+        if (issuanceChart) issuanceChart.destroy();
+        window.Chart.getChart?.(chartCanvas)?.destroy();
+        
+        issuanceChart = new window.Chart(chartCanvas.getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: issuanceSchedule.map(issuance => `Year ${issuance.vintageEnd}`),
+                datasets: [
+                    {
+                        label: 'Credits Issued',
+                        data: issuanceSchedule.map(issuance => issuance.creditsIssued),
+                        backgroundColor: 'rgba(5, 150, 105, 0.5)',
+                        borderColor: 'rgb(5, 150, 105)'
+                    },
+                    {
+                        label: 'Buffer Contribution',
+                        data: issuanceSchedule.map(issuance => issuance.bufferContribution),
+                        backgroundColor: 'rgba(245, 158, 11, 0.5)',
+                        borderColor: 'rgb(245, 158, 11)'
+                    },
+                    {
+                        type: 'line',
+                        label: 'Cumulative Issued',
+                        data: issuanceSchedule.map(issuance => issuance.cumulativeIssued),
+                        borderColor: 'rgb(54, 162, 235)',
+                        backgroundColor: 'rgba(54, 162, 235, 0.2)',
+                        tension: 0.1
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: 'Credit Issuance by Vintage'
+                    }
+                },
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Verification'
+                        }
+                    },
+                    y: {
+                        title: {
+                            display: true,
+                            text: 'Credits (tCO₂e)'
+                        },
+                        beginAtZero: true
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Build a distribution select and an uncertainty input per uncertain parameter
+     */
+    function renderUncertaintyParameters() {
+        uncertaintyParameters.innerHTML = '';
+        
+        for (const [key, parameter] of Object.entries(UNCERTAIN_PARAMETERS)) {
+            const options = Object.entries(DISTRIBUTIONS)
+                .map(([value, label]) => `<option value="${value}"${value === parameter.distribution ? ' selected' : ''}>${label}</option>`)
+                .join('');
+            
+            const tableRow = document.createElement('tr');
+            tableRow.innerHTML = `
+                <td>${parameter.label}</td>
+                <td><select id="uncertaintyDistribution_${key}" class="input" data-uncertainty-parameter="${key}" data-uncertainty-field="distribution">${options}</select></td>
+                <td><input type="number" id="uncertaintyPercent_${key}" class="input" data-uncertainty-parameter="${key}" data-uncertainty-field="percent" value="${parameter.percent}" min="0" max="100" step="1"></td>
+            `;
+            uncertaintyParameters.appendChild(tableRow);
+        }
+    }
+
+    /**
+     * Read the distribution of each parameter from the form
+     * @returns {Object} { [parameter]: { distribution, percent } }
+     */
+    function readUncertaintyDistributions() {
+        const distributions = {};
+        for (const [key, parameter] of Object.entries(UNCERTAIN_PARAMETERS)) {
+            const percent = parseFloat(document.getElementById(`uncertaintyPercent_${key}`)?.value);
+            distributions[key] = {
+                distribution: document.getElementById(`uncertaintyDistribution_${key}`)?.value || parameter.distribution,
+                percent: isNaN(percent) ? parameter.percent : percent
+            };
+        }
+        return distributions;
+    }
+
+    /**
+     * Run the Monte Carlo simulation in a Web Worker with the current form inputs
+     */
+    function runUncertaintyAnalysis() {
+        const inputs = getAndValidateForestInputs(document.getElementById('errorMessageForest'));
+        if (!inputs) return;
+        
+        const speciesData = isMultiSpeciesMode() ? getLoadedSpeciesData() : null;
+        const message = {
+            // Workers have no local storage, so the active site modifier table is sent along
+            inputs: { ...inputs, siteModifierTable: getSiteModifierTable() },
+            speciesData,
+            distributions: readUncertaintyDistributions(),
+            iterations: parseInt(document.getElementById('uncertaintyIterations')?.value, 10) || DEFAULT_ITERATIONS,
+            seed: parseInt(document.getElementById('uncertaintySeed')?.value, 10) || DEFAULT_SEED
+        };
+        
+        cancelUncertaintyAnalysis();
+        setUncertaintyStatus(`Running ${message.iterations} simulations...`);
+        if (runUncertaintyBtn) runUncertaintyBtn.disabled = true;
+        trackEvent('forest_uncertainty_run', {
+            iterations: message.iterations,
+            multiSpecies: Boolean(speciesData)
+        });
+        
+        const finish = () => {
+            if (runUncertaintyBtn) runUncertaintyBtn.disabled = false;
+        };
+        const fail = errorMessage => {
+            console.error('Uncertainty analysis failed:', errorMessage);
+            setUncertaintyStatus('The uncertainty analysis could not be completed.');
+            showForestError(`Uncertainty analysis: ${errorMessage}`);
+            finish();
+        };
+        
+        if (typeof Worker === 'undefined') {
+            // Without Web Worker support the simulation runs on the page, after the status has rendered
+            console.warn('Web Workers not supported, running the uncertainty analysis on the main thread');
+            setTimeout(() => {
+                try {
+                    const summary = runMonteCarlo(message.inputs, message.speciesData, message);
+                    finish();
+                    displayUncertaintyResults(summary);
+                } catch (error) {
+                    fail(error.message);
+                }
+            }, 0);
+            return;
+        }
+        
+        const worker = new Worker(new URL('./forestUncertaintyWorker.js', import.meta.url), { type: 'module' });
+        uncertaintyWorker = worker;
+        
+        worker.addEventListener('message', event => {
+            const { type } = event.data;
+            if (type === 'progress') {
+                setUncertaintyStatus(`Running simulation ${event.data.completed} of ${event.data.total}...`);
+                return;
+            }
+            
+            cancelUncertaintyAnalysis();
+            if (type === 'complete') {
+                finish();
+                displayUncertaintyResults(event.data.summary);
+            } else {
+                fail(event.data.message);
+            }
+        });
+        
+        worker.addEventListener('error', event => {
+            cancelUncertaintyAnalysis();
+            fail(event.message || 'The simulation worker stopped unexpectedly');
+        });
+        
+        worker.postMessage(message);
+    }
+
+    /**
+     * Stop a simulation that is still running
+     */
+    function cancelUncertaintyAnalysis() {
+        if (uncertaintyWorker) {
+            uncertaintyWorker.terminate();
+            uncertaintyWorker = null;
+        }
+    }
+
+    /**
+     * Show a status line above the uncertainty results
+     * @param {string} text - Status text
+     */
+    function setUncertaintyStatus(text) {
+        if (uncertaintyStatus) uncertaintyStatus.textContent = text;
+    }
+
+    /**
+     * Derive the deduction from the last run and copy it into the uncertainty deduction input
+     */
+    function applyUncertaintyDeduction() {
+        const allowable = parseFloat(allowableUncertaintyInput?.value);
+        const deduction = calculateUncertaintyDeduction(uncertaintySummary, isNaN(allowable) ? DEFAULT_ALLOWABLE_UNCERTAINTY : allowable);
+        if (uncertaintyDeductionInput) {
+            uncertaintyDeductionInput.value = Math.round(deduction * 10) / 10;
+        }
+        
+        if (lastCalculationResults) {
+            updateCarbonCreditsCalculation(lastCalculationResults);
+        }
+    }
+
+    /**
+     * Show the percentiles, the fan chart and the resulting deduction
+     * @param {Object} summary - Result of runMonteCarlo()
+     */
+    function displayUncertaintyResults(summary) {
+        uncertaintySummary = summary;
+        console.log('Uncertainty analysis summary:', summary);
+        
+        const formatTonnes = value => value.toLocaleString('en-US', {maximumFractionDigits: 2});
+        const setText = (elementId, text) => {
+            const element = document.getElementById(elementId);
+            if (element) element.textContent = text;
+        };
+        setText('uncertaintyP10', formatTonnes(summary.final.p10));
+        setText('uncertaintyP50', formatTonnes(summary.final.p50));
+        setText('uncertaintyP90', formatTonnes(summary.final.p90));
+        setText('uncertaintyHalfWidth', summary.halfWidthPercent.toFixed(1));
+        
+        const failedNote = summary.failedRuns > 0 ? ` ${summary.failedRuns} simulations failed and were left out.` : '';
+        setUncertaintyStatus(`${summary.iterations} simulations. P10-P90 half-width of ${summary.halfWidthPercent.toFixed(1)}% of P50.${failedNote}`);
+        
+        // The point estimate is the creditable stock of the deterministic run
+        const yearlyResults = lastCalculationResults?.totalResults || (Array.isArray(lastCalculationResults) ? lastCalculationResults : []);
+        const pointEstimates = summary.years.map(year => yearlyResults.find(row => row.year === year)?.rawCumulativeNetCO2e ?? null);
+        
+        const tableBody = document.getElementById('uncertaintyBody');
+        if (tableBody) {
+            tableBody.innerHTML = '';
+            summary.years.forEach((year, index) => {
+                const tableRow = document.createElement('tr');
+                tableRow.innerHTML = `
+                    <td>${year}</td>
+                    <td>${formatTonnes(summary.p10[index])}</td>
+                    <td>${formatTonnes(summary.p50[index])}</td>
+                    <td>${formatTonnes(summary.p90[index])}</td>
+                    <td>${pointEstimates[index] === null ? '-' : formatTonnes(pointEstimates[index])}</td>
+                `;
+                tableBody.appendChild(tableRow);
+            });
+        }
+        
+        document.getElementById('uncertaintyResults')?.classList.remove('hidden');
+        displayUncertaintyChart(summary, pointEstimates);
+        applyUncertaintyDeduction();
+    }
+
+    /**
+     * Draw the P10-P90 fan around the P50 line and the point estimate
+     * @param {Object} summary - Result of runMonteCarlo()
+     * @param {Array<number|null>} pointEstimates - Deterministic stock for each year
+     */
+    function displayUncertaintyChart(summary, pointEstimates) {
+        const chartCanvas = document.getElementById('uncertaintyChart');
+        if (!chartCanvas || !window.Chart) {
+            console.warn('Uncertainty chart canvas or Chart.js not found');
+            return;
+        }
+        
+        if (uncertaintyChart) uncertaintyChart.destroy();
+        window.Chart.getChart?.(chartCanvas)?.destroy();
+        
+        uncertaintyChart = new window.Chart(chartCanvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: summary.years.map(year => `Year ${year}`),
+                datasets: [
+                    {
+                        label: 'P10',
+                        data: summary.p10,
+                        borderColor: 'rgba(5, 150, 105, 0.4)',
+                        backgroundColor: 'rgba(5, 150, 105, 0.15)',
+                        pointRadius: 0,
+                        fill: false
+                    },
+                    {
+                        // Filled down to the P10 line to draw the fan
+                        label: 'P90',
+                        data: summary.p90,
+                        borderColor: 'rgba(5, 150, 105, 0.4)',
+                        backgroundColor: 'rgba(5, 150, 105, 0.15)',
+                        pointRadius: 0,
+                        fill: '-1'
+                    },
+                    {
+                        label: 'P50',
+                        data: summary.p50,
+                        borderColor: 'rgb(5, 150, 105)',
+                        backgroundColor: 'rgb(5, 150, 105)',
+                        tension: 0.1
+                    },
+                    {
+                        label: 'Point Estimate',
+                        data: pointEstimates,
+                        borderColor: 'rgb(54, 162, 235)',
+                        backgroundColor: 'rgb(54, 162, 235)',
+                        borderDash: [5, 5],
+                        tension: 0.1
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: 'Creditable Stock: P10-P90 Range'
+                    }
+                },
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Project Year'
+                        }
+                    },
+                    y: {
+                        title: {
+                            display: true,
+                            text: 'CO₂e (t)'
+                        },
+                        beginAtZero: true
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Remove the results of the last uncertainty run
+     * The deduction input keeps its value; it is an input the user can see and change.
+     * @param {string} [statusText] - Status to show in place of the results; defaults to the initial hint
+     */
+    function clearUncertaintyResults(statusText = uncertaintyStatus?.dataset.defaultText || '') {
+        cancelUncertaintyAnalysis();
+        uncertaintySummary = null;
+        if (runUncertaintyBtn) runUncertaintyBtn.disabled = false;
+        if (uncertaintyChart) {
+            uncertaintyChart.destroy();
+            uncertaintyChart = null;
+        }
+        document.getElementById('uncertaintyResults')?.classList.add('hidden');
+        const tableBody = document.getElementById('uncertaintyBody');
+        if (tableBody) tableBody.innerHTML = '';
+        setUncertaintyStatus(statusText);
+    }
+
+    // Revenue and prices are converted when the base or display currency changes
+    const unsubscribeCurrencyChanged = eventBus.on(CURRENCY_CHANGED_EVENT, () => {
+        if (lastCalculationResults) {
+            updateCarbonCreditsCalculation(lastCalculationResults);
+        }
+    });
+
     // Run initial calculations
     updateGreenCoverMetrics();
     
@@ -339,6 +1309,17 @@ export function setupGreenCoverAndCredits(speciesData) {
         updateCarbonCreditsCalculation,
         getCarbonPrice: () => carbonPrice,
         getRiskRate: () => parseFloat(riskRateInput?.value) / 100 || 0,
-        getDeadAttribute: () => deadAttributePercentage / 100
+        getRiskAssessment: () => riskAssessment,
+        getDeadAttribute: () => deadAttributePercentage / 100,
+        getUncertaintyDeduction: () => (parseFloat(uncertaintyDeductionInput?.value) || 0) / 100,
+        getUncertaintySummary: () => uncertaintySummary,
+        clearUncertaintyResults,
+        estimateCredits,
+        getCreditResults: () => lastCreditResults,
+        // Stop listening for input and currency changes once the handler is replaced
+        cleanup: () => {
+            listenerController.abort();
+            unsubscribeCurrencyChanged();
+        }
     };
 }
@@ -0,0 +1,106 @@
+/**
+ * Forest project cash flows for the shared finance model
+ *
+ * Costs come from the itemised cost lines when any are entered. Otherwise the
+ * total project cost is split into establishment, maintenance, monitoring and
+ * other costs and spread over the project years. Carbon revenue is earned in
+ * each verification year from the credits issued for that vintage.
+ */
+import { buildCashFlowModel, DEFAULT_DISCOUNT_RATE } from '../finance.js';
+import { buildCostSchedule } from '../costModel.js';
+
+// Share of the total project cost in each cost category
+export const COST_BREAKDOWN_SHARES = {
+    establishment: 0.4, // Site preparation, saplings and planting in year 0
+    maintenance: 0.3,   // Weeding, watering and protection, spread over the project
+    monitoring: 0.2,    // Monitoring and verification, paid in each verification year
+    other: 0.1          // Overheads, spread over the project
+};
+
+/**
+ * Spread the total project cost over the project years
+ * @param {number} projectCost - Total project cost
+ * @param {number} duration - Project duration in years
+ * @param {Array<number>} verificationYears - Years in which the project is verified
+ * @returns {Array<number>} Cost for each year from 0 to duration
+ */
+export function buildForestCostSchedule(projectCost, duration, verificationYears) {
+    duration = Math.floor(duration);
+    const costs = new Array(duration + 1).fill(0);
+    if (!(projectCost > 0) || duration < 1) return costs;
+
+    costs[0] += projectCost * COST_BREAKDOWN_SHARES.establishment;
+
+    const annualRunningCost = projectCost * (COST_BREAKDOWN_SHARES.maintenance + COST_BREAKDOWN_SHARES.other) / duration;
+    for (let year = 1; year <= duration; year++) {
+        costs[year] += annualRunningCost;
+    }
+
+    // Without a verification schedule, monitoring is paid once at the end of the project
+    const monitoringYears = verificationYears && verificationYears.length ? verificationYears : [duration];
+    const monitoringCost = projectCost * COST_BREAKDOWN_SHARES.monitoring / monitoringYears.length;
+    monitoringYears.forEach(year => {
+        costs[Math.min(Math.max(year, 0), duration)] += monitoringCost;
+    });
+
+    return costs;
+}
+
+/**
+ * Resolve the project costs year by year
+ * @param {Object} options - Cost inputs
+ * @param {number} options.projectCost - Total project cost, used when no cost lines are entered
+ * @param {Array<Object>} [options.costLines=[]] - Itemised cost lines
+ * @param {number} options.duration - Project duration in years
+ * @param {number} options.area - Project area (ha)
+ * @param {number} options.trees - Number of trees planted
+ * @param {Array<number>} options.verificationYears - Years in which the project is verified
+ * @returns {Object} { costs, total, categoryTotals, lines, itemised }
+ * @throws {Error} If a cost line cannot be costed
+ */
+export function buildForestCostPlan({ projectCost, costLines = [], duration, area, trees, verificationYears }) {
+    const itemisedPlan = buildCostSchedule(costLines, { duration, area, trees, verificationYears });
+    if (itemisedPlan.total > 0) {
+        return { ...itemisedPlan, itemised: true };
+    }
+
+    const total = projectCost > 0 ? projectCost : 0;
+    const categoryTotals = {};
+    Object.entries(COST_BREAKDOWN_SHARES).forEach(([category, share]) => {
+        categoryTotals[category] = total * share;
+    });
+
+    return {
+        costs: buildForestCostSchedule(total, duration, verificationYears),
+        total,
+        categoryTotals,
+        lines: [],
+        itemised: false
+    };
+}
+
+/**
+ * Build the forest cash-flow model from the issuance schedule
+ * @param {Object} options - Model inputs
+ * @param {Object} options.costPlan - Costs from buildForestCostPlan()
+ * @param {Array<Object>} options.issuanceSchedule - Rows from buildIssuanceSchedule()
+ * @param {number|Function} options.carbonPrice - Price per credit, or a function (year) => price
+ * @param {number} [options.discountRate=0.08] - Discount rate per year
+ * @returns {Object|null} Model from buildCashFlowModel(), or null without any project cost
+ */
+export function buildForestCashFlowModel({ costPlan, issuanceSchedule, carbonPrice, discountRate = DEFAULT_DISCOUNT_RATE }) {
+    if (!costPlan || !(costPlan.total > 0)) return null;
+
+    const costs = costPlan.costs;
+    const duration = costs.length - 1;
+
+    // Credits are sold in the year they are issued
+    const units = new Array(duration + 1).fill(0);
+    (issuanceSchedule || []).forEach(issuance => {
+        if (issuance.vintageEnd <= duration) {
+            units[issuance.vintageEnd] += issuance.creditsIssued;
+        }
+    });
+
+    return buildCashFlowModel({ costs, units, unitPrice: carbonPrice, discountRate });
+}
@@ -0,0 +1,111 @@
+/**
+ * Growth models for forest growing stock
+ *
+ * Each model returns the growing stock per hectare (m³/ha) at a given stand age.
+ * All non-linear curves are anchored so that stock is zero at age 0 and
+ * approaches `maxStock` as the stand matures.
+ */
+
+export const GROWTH_MODELS = {
+    LINEAR: 'linear',
+    CHAPMAN_RICHARDS: 'chapman_richards',
+    LOGISTIC: 'logistic',
+    GOMPERTZ: 'gompertz'
+};
+
+// Human readable labels for form options and reports
+export const GROWTH_MODEL_LABELS = {
+    [GROWTH_MODELS.LINEAR]: 'Linear (constant MAI)',
+    [GROWTH_MODELS.CHAPMAN_RICHARDS]: 'Chapman-Richards',
+    [GROWTH_MODELS.LOGISTIC]: 'Logistic',
+    [GROWTH_MODELS.GOMPERTZ]: 'Gompertz'
+};
+
+// Default rate constant (k, per year) and shape parameter for each curve
+const DEFAULT_CURVE_PARAMETERS = {
+    [GROWTH_MODELS.CHAPMAN_RICHARDS]: { rate: 0.06, shape: 3 },
+    [GROWTH_MODELS.LOGISTIC]: { rate: 0.15, shape: 20 },
+    [GROWTH_MODELS.GOMPERTZ]: { rate: 0.08, shape: 4 }
+};
+
+// When no maximum stock is given it defaults to this many years of growth at the MAI
+const DEFAULT_MAX_STOCK_YEARS = 40;
+
+/**
+ * Map a free-text model name (form value or CSV cell) to a known growth model
+ * @param {string} value - Model name such as "Chapman-Richards" or "gompertz"
+ * @returns {string} One of GROWTH_MODELS, linear when unrecognised
+ */
+export function normalizeGrowthModel(value) {
+    const key = String(value || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+    if (key.startsWith('chapman') || key === 'cr') return GROWTH_MODELS.CHAPMAN_RICHARDS;
+    if (key.startsWith('logistic')) return GROWTH_MODELS.LOGISTIC;
+    if (key.startsWith('gompertz')) return GROWTH_MODELS.GOMPERTZ;
+
+    return GROWTH_MODELS.LINEAR;
+}
+
+/**
+ * Resolve the full parameter set for a growth model, filling in defaults
+ * @param {Object} params - Growth parameters
+ * @param {string} [params.growthModel] - Growth model name
+ * @param {number} params.growthRate - Mean annual increment (m³/ha/yr)
+ * @param {number} [params.maxStock] - Maximum growing stock (m³/ha)
+ * @param {number} [params.growthRateConstant] - Curve rate constant k (1/yr)
+ * @param {number} [params.growthShape] - Curve shape parameter
+ * @returns {Object} Resolved parameters { model, growthRate, maxStock, rate, shape }
+ */
+export function resolveGrowthParameters(params) {
+    const model = normalizeGrowthModel(params.growthModel);
+    const growthRate = parseFloat(params.growthRate) || 0;
+
+    if (model === GROWTH_MODELS.LINEAR) {
+        return { model, growthRate, maxStock: null, rate: null, shape: null };
+    }
+
+    const defaults = DEFAULT_CURVE_PARAMETERS[model];
+    const maxStock = parseFloat(params.maxStock) > 0
+        ? parseFloat(params.maxStock)
+        : growthRate * DEFAULT_MAX_STOCK_YEARS;
+    const rate = parseFloat(params.growthRateConstant) > 0 ? parseFloat(params.growthRateConstant) : defaults.rate;
+    const shape = parseFloat(params.growthShape) > 0 ? parseFloat(params.growthShape) : defaults.shape;
+
+    return { model, growthRate, maxStock, rate, shape };
+}
+
+/**
+ * Growing stock per hectare at a given age
+ * @param {Object} growth - Parameters from resolveGrowthParameters()
+ * @param {number} age - Stand age in years
+ * @returns {number} Growing stock (m³/ha)
+ */
+export function growingStockPerHectare(growth, age) {
+    if (age <= 0) return 0;
+
+    const { model, growthRate, maxStock, rate, shape } = growth;
+
+    switch (model) {
+        case GROWTH_MODELS.CHAPMAN_RICHARDS:
+            // V(t) = Vmax * (1 - e^(-kt))^c
+            return maxStock * Math.pow(1 - Math.exp(-rate * age), shape);
+
+        case GROWTH_MODELS.LOGISTIC: {
+            // L(t) = 1 / (1 + b * e^(-kt)), rescaled so that V(0) = 0
+            const logistic = t => 1 / (1 + shape * Math.exp(-rate * t));
+            const initial = logistic(0);
+            return maxStock * (logistic(age) - initial) / (1 - initial);
+        }
+
+        case GROWTH_MODELS.GOMPERTZ: {
+            // G(t) = e^(-b * e^(-kt)), rescaled so that V(0) = 0
+            const gompertz = t => Math.exp(-shape * Math.exp(-rate * t));
+            const initial = gompertz(0);
+            return maxStock * (gompertz(age) - initial) / (1 - initial);
+        }
+
+        default:
+            // Straight line: V(t) = MAI * t
+            return growthRate * age;
+    }
+}
@@ -0,0 +1,109 @@
+/**
+ * Harvest, rotation and harvested wood products (HWP) for forest calculations
+ *
+ * At each harvest the stem volume removed from the stand is converted to
+ * carbon and split between product pools. Each pool decays with first-order
+ * kinetics (IPCC 2019 Refinement, Vol. 4, Ch. 12). Wood that does not enter a
+ * pool (processing losses), branches and roots are treated as emitted at harvest.
+ */
+
+export const HARVEST_TYPES = {
+    CLEARFELL: 'clearfell',
+    THINNING: 'thinning'
+};
+
+export const HARVEST_TYPE_LABELS = {
+    [HARVEST_TYPES.CLEARFELL]: 'Clear-fell and replant',
+    [HARVEST_TYPES.THINNING]: 'Thinning'
+};
+
+// IPCC default half-lives in years for the three semi-finished product categories
+export const HWP_CATEGORIES = {
+    sawnwood: { label: 'Sawnwood', halfLife: 35 },
+    panels: { label: 'Wood Panels', halfLife: 25 },
+    paper: { label: 'Paper & Paperboard', halfLife: 2 }
+};
+
+// Share of harvested stem carbon entering each pool; the remainder is processing loss
+export const DEFAULT_HWP_SHARES = {
+    sawnwood: 0.4,
+    panels: 0.2,
+    paper: 0.2
+};
+
+export const DEFAULT_THINNING_INTENSITY = 0.3; // Share of stems removed per thinning
+
+/**
+ * Check whether a year is a harvest year
+ * @param {number} year - Project year, or stand age when the stand is regenerated on a different cycle
+ * @param {number} harvestInterval - Years between harvests (0 disables harvesting)
+ * @returns {boolean} True if the stand is harvested in this year
+ */
+export function isHarvestYear(year, harvestInterval) {
+    return harvestInterval > 0 && year > 0 && year % harvestInterval === 0;
+}
+
+/**
+ * Resolve product shares and half-lives, filling in the defaults
+ * @param {Object} [shares] - Share of harvested carbon per pool (0-1)
+ * @param {Object} [halfLives] - Half-life per pool in years
+ * @returns {Object} { sawnwood: { share, halfLife, decayRate }, ... }
+ */
+export function resolveHwpParameters(shares = {}, halfLives = {}) {
+    const parameters = {};
+    let totalShare = 0;
+
+    for (const [category, defaults] of Object.entries(HWP_CATEGORIES)) {
+        const share = parseFloat(shares[category]);
+        const halfLife = parseFloat(halfLives[category]);
+        const resolvedShare = isNaN(share) || share < 0 ? DEFAULT_HWP_SHARES[category] : share;
+        const resolvedHalfLife = halfLife > 0 ? halfLife : defaults.halfLife;
+
+        parameters[category] = {
+            share: resolvedShare,
+            halfLife: resolvedHalfLife,
+            // k = ln(2) / half-life
+            decayRate: Math.LN2 / resolvedHalfLife
+        };
+        totalShare += resolvedShare;
+    }
+
+    if (totalShare > 1) {
+        throw new Error('Wood product shares cannot add up to more than 100%');
+    }
+
+    return parameters;
+}
+
+/**
+ * Carbon stock held in harvested wood products
+ */
+export class HwpPool {
+    /**
+     * @param {Object} parameters - Parameters from resolveHwpParameters()
+     */
+    constructor(parameters) {
+        this.parameters = parameters;
+        this.stocks = {};
+        Object.keys(parameters).forEach(category => {
+            this.stocks[category] = 0;
+        });
+    }
+
+    /**
+     * Decay the pools for one year, then add this year's harvest
+     * @param {number} harvestedCO2e - Stem CO2e harvested this year (tonnes)
+     */
+    advance(harvestedCO2e = 0) {
+        for (const [category, { share, decayRate }] of Object.entries(this.parameters)) {
+            this.stocks[category] = this.stocks[category] * Math.exp(-decayRate) + harvestedCO2e * share;
+        }
+    }
+
+    /**
+     * @returns {number} CO2e across all product pools (tonnes)
+     */
+    getTotal() {
+        return Object.values(this.stocks).reduce((total, stock) => total + stock, 0);
+    }
+}
@@ -1,12 +1,15 @@
 import { forestEventSystem } from './forestCalcs.js';
 import { analytics } from '../analytics.js';
+import { exportToCsv, escapeHtml } from '../utils.js';
+import { getCurrencySettings } from '../currency.js';
+import { parseSpeciesCsv } from './forestSpeciesCsv.js';
 
 // Default species template for CSV import
-const SPECIES_CSV_TEMPLATE = `Species Name,Number of Trees,Growth Rate (m³/ha/yr),Wood Density (tdm/m³),BEF,Root-Shoot Ratio,Carbon Fraction,Survival Rate (%)
-Pine,400,10,0.42,1.3,0.25,0.47,85
-Eucalyptus,400,25,0.55,1.3,0.24,0.47,90
-Oak,200,5,0.65,1.4,0.25,0.47,80
-Mixed Native,600,8,0.5,1.4,0.25,0.47,85`;
+const SPECIES_CSV_TEMPLATE = `Species Name,Number of Trees,Growth Rate (m³/ha/yr),Wood Density (tdm/m³),BEF,Root-Shoot Ratio,Carbon Fraction,Survival Rate (%),Growth Model,Max Growing Stock (m³/ha),Growth Rate Constant (k),Growth Shape,Site Quality,Average Rainfall,Soil Type,Rotation Length (years)
+Pine,400,10,0.42,1.3,0.25,0.47,85,Chapman-Richards,450,0.05,3,Medium,Medium,Loam,25
+Eucalyptus,400,25,0.55,1.3,0.24,0.47,90,Logistic,300,0.25,20,Good,High,Sandy,8
+Oak,200,5,0.65,1.4,0.25,0.47,80,Gompertz,350,0.04,4,Medium,Medium,Clay,
+Mixed Native,600,8,0.5,1.4,0.25,0.47,85,Linear,,,,,,,`;
 
 // Species currently loaded
 let loadedSpeciesData = null;
@@ -159,6 +162,7 @@ function handleSpeciesFileUpload(event) {
         });
         
         hasUsedFileUpload = true;
+        renderSpeciesImportReport([]);
         
         console.log(`Processing file: ${file.name}, type: ${file.type}, size: ${file.size} bytes`);
         
@@ -174,11 +178,14 @@ function handleSpeciesFileUpload(event) {
                 console.log(`File content loaded, length: ${content.length} characters`);
                 
                 // Detect if it's CSV or JSON
-                if (file.name.toLowerCase().endsWith('.csv') || file.type === 'text/csv') {
+                if (/\.(csv|tsv|txt)$/i.test(file.name) || file.type === 'text/csv' || file.type === 'text/tab-separated-values') {
                     console.log('Detected CSV file, parsing...');
-                    // Parse CSV
-                    const speciesData = parseSpeciesCSV(content);
-                    console.log('CSV parsing successful:', speciesData);
+                    const { speciesData, issues, delimiter, decimalSeparator } = parseSpeciesCsv(content);
+                    console.log(`CSV parsed with delimiter "${delimiter}" and decimal "${decimalSeparator}": ${speciesData.length} species, ${issues.length} issues`);
+                    renderSpeciesImportReport(issues, speciesData.length);
+                    if (speciesData.length === 0) {
+                        throw new Error('No species rows could be imported; see the problems listed below the upload');
+                    }
                     handleSpeciesData(speciesData);
                 } else if (file.name.toLowerCase().endsWith('.json') || file.type === 'application/json') {
                     console.log('Detected JSON file, parsing...');
@@ -217,104 +224,41 @@ function handleSpeciesFileUpload(event) {
 }
 
 /**
- * Parse CSV data into species objects
- * @param {string} csvData - CSV content
- * @returns {Array<Object>} Array of species objects
+ * Show the problems found in an imported species file
+ * @param {Array<Object>} issues - Issues from parseSpeciesCsv(), or an empty list to hide the report
+ * @param {number} [importedCount=0] - Number of species imported
  */
-function parseSpeciesCSV(csvData) {
-    try {
-        console.log('Starting CSV parsing, content length:', csvData.length);
-        
-        // Split by line with support for different line endings
-        const lines = csvData.split(/\r?\n/);
-        console.log(`CSV has ${lines.length} lines`);
-        
-        if (lines.length < 2) {
-            throw new Error('CSV file must contain a header row and at least one data row.');
-        }
-        
-        // Get headers and normalize them
-        const headerLine = lines[0].trim();
-        console.log('Header row:', headerLine);
-        
-        // Handle both comma and semicolon separators
-        const separator = headerLine.includes(',') ? ',' : (headerLine.includes(';') ? ';' : ',');
-        const headers = headerLine.split(separator).map(header => header.trim());
-        
-        if (headers.length < 2) {
-            throw new Error(`CSV headers are invalid. Found: ${headerLine}`);
-        }
-        
-        console.log(`Found ${headers.length} headers:`, headers);
-        
-        // Check for required headers
-        const requiredHeaders = ['Species Name', 'Number of Trees'];
-        for (const requiredHeader of requiredHeaders) {
-            // Check for exact match or case-insensitive match
-            const headerExists = headers.some(h => 
-                h === requiredHeader || 
-                h.toLowerCase() === requiredHeader.toLowerCase()
-            );
-            
-            if (!headerExists) {
-                throw new Error(`CSV is missing required header: ${requiredHeader}`);
-            }
-        }
-        
-        // Parse data rows
-        const data = [];
-        
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            
-            // Skip empty lines
-            if (!line) continue;
-            
-            const values = line.split(separator).map(value => value.trim());
-            
-            if (values.length !== headers.length) {
-                console.warn(`Line ${i + 1} has ${values.length} values but should have ${headers.length}. Line: ${line}`);
-                // Try to fix by adding empty values if there are too few
-                while (values.length < headers.length) values.push('');
-                // Or truncate if too many
-                if (values.length > headers.length) values.length = headers.length;
-            }
-            
-            // Create object mapping headers to values
-            const speciesObj = {};
-            
-            headers.forEach((header, index) => {
-                // Use the header as is, looking for exact header name
-                speciesObj[header] = values[index] || '';
-            });
-            
-            data.push(speciesObj);
-        }
-        
-        console.log(`Successfully parsed ${data.length} species records`);
-        
-        if (data.length === 0) {
-            throw new Error('No valid species data found in CSV file.');
-        }
-        
-        // Validate species data
-        data.forEach((species, index) => {
-            // Ensure Number of Trees is a number
-            if (species['Number of Trees']) {
-                const trees = parseInt(species['Number of Trees']);
-                if (isNaN(trees)) {
-                    console.warn(`Invalid number of trees for species at row ${index + 2}: ${species['Number of Trees']}`);
-                } else {
-                    species['Number of Trees'] = trees.toString();
-                }
-            }
-        });
-        
-        return data;
-    } catch (error) {
-        console.error('Error parsing CSV:', error);
-        throw new Error(`Invalid CSV format: ${error.message}`);
+function renderSpeciesImportReport(issues, importedCount = 0) {
+    const report = document.getElementById('speciesImportReport');
+    if (!report) return;
+    
+    if (!issues || issues.length === 0) {
+        report.innerHTML = '';
+        report.classList.add('hidden');
+        return;
     }
+    
+    const errorRows = new Set(issues.filter(issue => issue.severity === 'error').map(issue => issue.line));
+    const rows = issues.map(issue => `
+                <tr>
+                    <td>${issue.line}</td>
+                    <td>${issue.column ? escapeHtml(issue.column) : '-'}</td>
+                    <td>${issue.severity === 'error' ? 'Error' : 'Warning'}</td>
+                    <td>${escapeHtml(issue.message)}</td>
+                </tr>`).join('');
+    
+    report.innerHTML = `
+        <p class="text-sm">${importedCount} species imported${errorRows.size > 0 ? `, ${errorRows.size} row${errorRows.size === 1 ? '' : 's'} left out because of errors` : ''}. Fix the file and upload it again to change this.</p>
+        <div class="table-container">
+            <table>
+                <thead>
+                    <tr><th>Line</th><th>Column</th><th>Type</th><th>Problem</th></tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+            </table>
+        </div>`;
+    report.classList.remove('hidden');
 }
 
 /**
@@ -372,6 +316,33 @@ export function getLoadedSpeciesData() {
     return loadedSpeciesData;
 }
 
+/**
+ * Load species rows from a saved project, or leave multi-species mode
+ * @param {Array<Object>|null} speciesData - Species rows, or null to clear them
+ */
+export function setLoadedSpeciesData(speciesData) {
+    // The import report describes an uploaded file, not species restored from a project
+    renderSpeciesImportReport([]);
+    
+    if (Array.isArray(speciesData) && speciesData.length > 0) {
+        handleSpeciesData(speciesData);
+        return;
+    }
+    
+    loadedSpeciesData = null;
+    
+    const multiSpeciesModeMessage = document.getElementById('multiSpeciesModeMessage');
+    if (multiSpeciesModeMessage) multiSpeciesModeMessage.classList.add('hidden');
+    
+    const speciesListContainer = document.getElementById('speciesListContainer');
+    if (speciesListContainer) {
+        speciesListContainer.innerHTML = '';
+        speciesListContainer.classList.add('hidden');
+    }
+    
+    console.log('Species data cleared; single-species mode active');
+}
+
 /**
  * Check if multi-species mode is active
  * @returns {boolean} True if multi-species mode is active
@@ -428,7 +399,8 @@ function downloadSpeciesTemplate() {
  * Set up the export results handler
  */
 function setupExportResultsHandler() {
-    const exportBtn = document.getElementById('exportResultsBtn');
+    // The main results card uses exportForestExcelBtn; exportResultsBtn is kept for older layouts
+    const exportBtn = document.getElementById('exportResultsBtn') || document.getElementById('exportForestExcelBtn');
     
     if (exportBtn) {
         exportBtn.addEventListener('click', (e) => {
@@ -452,38 +424,49 @@ function exportForestResults() {
             return;
         }
         
-        // Create CSV content
-        let csvContent = '';
-        
-        // Add headers
-        const headerRow = resultsTable.querySelector('thead tr');
-        if (headerRow) {
-            const headers = Array.from(headerRow.querySelectorAll('th')).map(th => th.textContent.trim());
-            csvContent += headers.join(',') + '\n';
+        // Name the file after the reporting interval so annual and multi-year exports are distinguishable
+        const reportingInterval = resultsTable.dataset.reportingInterval;
+        const filename = reportingInterval
+            ? `forest_sequestration_results_${reportingInterval}yr.csv`
+            : 'forest_sequestration_results.csv';
+        
+        // Include the non-permanence risk breakdown when the assessment was used
+        const sections = [];
+        const riskBreakdownSection = document.getElementById('riskBreakdownSection');
+        if (riskBreakdownSection && !riskBreakdownSection.classList.contains('hidden')) {
+            sections.push({ title: 'Non-Permanence Risk Assessment', table: document.getElementById('riskBreakdownTable') });
         }
         
-        // Add data rows
-        const dataRows = resultsTable.querySelectorAll('tbody tr');
-        dataRows.forEach(row => {
-            const cells = Array.from(row.querySelectorAll('td')).map(td => td.textContent.trim());
-            csvContent += cells.join(',') + '\n';
-        });
+        const isShown = id => {
+            const element = document.getElementById(id);
+            return element && !element.classList.contains('hidden');
+        };
+        if (isShown('uncertaintySection') && isShown('uncertaintyResults')) {
+            sections.push({ title: 'Uncertainty Analysis (Creditable Stock Percentiles)', table: document.getElementById('uncertaintyTable') });
+        }
         
-        // Create a blob and download
-        const blob = new Blob([csvContent], { type: 'text/csv' });
-        const a = document.createElement('a');
-        a.href = URL.createObjectURL(blob);
-        a.download = 'forest_sequestration_results.csv';
+        // Money tables are exported as shown, in the display currency
+        const { displayCurrency } = getCurrencySettings();
+        if (isShown('forestCostLinesSummary')) {
+            sections.push({ title: `Cost Lines (${displayCurrency})`, table: document.getElementById('forestCostLinesTable') });
+        }
+        if (isShown('carbonCreditsSection')) {
+            sections.push({ title: `Revenue by Issuance (${displayCurrency})`, table: document.getElementById('revenueTable') });
+        }
+        if (isShown('forestFinancePanel')) {
+            sections.push({ title: `Project Finance (${displayCurrency})`, table: document.querySelector('#forestFinancePanel table') });
+        }
         
-        // Add to document, click, and remove
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
+        // Quote every cell - formatted values such as "1,234.00 tCO₂e" contain commas
+        exportToCsv(resultsTable, filename, sections);
         
         // Track export
         analytics.trackEvent('forest_results_export', {
             timestamp: new Date().toISOString(),
-            format: 'csv'
+            format: 'csv',
+            reportingInterval,
+            includesRiskAssessment: sections.some(section => section.title === 'Non-Permanence Risk Assessment'),
+            currency: displayCurrency
         });
         
         console.log('Results export initiated');
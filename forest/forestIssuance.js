@@ -0,0 +1,113 @@
+/**
+ * Credit issuance by monitoring vintage
+ *
+ * Credits are issued at each verification for the increase in net removals
+ * since the highest stock verified so far. The uncertainty deduction is taken
+ * off first; each issuance then contributes a share to the non-permanence
+ * buffer and has the non-additionality deduction applied.
+ * A drop below the highest verified stock is reported as a reversal and no
+ * credits are issued until the stock recovers.
+ */
+
+export const DEFAULT_FIRST_VERIFICATION_YEAR = 5;
+export const DEFAULT_VERIFICATION_FREQUENCY = 5;
+
+/**
+ * Years in which the project is verified
+ * @param {number} duration - Project duration in years
+ * @param {number} firstYear - First verification year
+ * @param {number} frequency - Years between verifications
+ * @returns {Array<number>} Verification years, always ending with the final project year
+ */
+export function getVerificationYears(duration, firstYear = DEFAULT_FIRST_VERIFICATION_YEAR, frequency = DEFAULT_VERIFICATION_FREQUENCY) {
+    const years = [];
+    const step = Math.max(1, Math.round(frequency));
+
+    for (let year = Math.max(1, Math.round(firstYear)); year < duration; year += step) {
+        years.push(year);
+    }
+    years.push(duration);
+
+    return years;
+}
+
+/**
+ * Net removals at any year, interpolated between reported rows
+ * @param {Array<Object>} netRemovals - Rows with year and netRemovals, sorted by year
+ * @param {number} year - Project year
+ * @returns {number} Cumulative net removals (tCO2e)
+ */
+function netRemovalsAt(netRemovals, year) {
+    const exact = netRemovals.find(row => row.year === year);
+    if (exact) return exact.netRemovals;
+
+    const nextIndex = netRemovals.findIndex(row => row.year > year);
+    if (nextIndex <= 0) {
+        return nextIndex === 0 ? 0 : netRemovals[netRemovals.length - 1].netRemovals;
+    }
+
+    const previous = netRemovals[nextIndex - 1];
+    const next = netRemovals[nextIndex];
+    const share = (year - previous.year) / (next.year - previous.year);
+    return previous.netRemovals + share * (next.netRemovals - previous.netRemovals);
+}
+
+/**
+ * Build the issuance schedule by vintage
+ * @param {Array<Object>} netRemovals - Rows from calculateNetAnthropogenicRemovals()
+ * @param {Object} options - Issuance options
+ * @param {number} [options.firstVerificationYear=5] - First verification year
+ * @param {number} [options.verificationFrequency=5] - Years between verifications
+ * @param {number} [options.uncertaintyRate=0] - Uncertainty deduction (0-1)
+ * @param {number} [options.bufferRate=0] - Share of each issuance sent to the buffer pool (0-1)
+ * @param {number} [options.deductionRate=0] - Non-additionality deduction (0-1)
+ * @returns {Array<Object>} One row per verification
+ */
+export function buildIssuanceSchedule(netRemovals, {
+    firstVerificationYear = DEFAULT_FIRST_VERIFICATION_YEAR,
+    verificationFrequency = DEFAULT_VERIFICATION_FREQUENCY,
+    uncertaintyRate = 0,
+    bufferRate = 0,
+    deductionRate = 0
+} = {}) {
+    if (!netRemovals || netRemovals.length === 0) return [];
+
+    const duration = netRemovals[netRemovals.length - 1].year;
+    const schedule = [];
+    let previousYear = 0;
+    let highestVerifiedStock = 0;
+    let cumulativeIssued = 0;
+    let cumulativeBuffer = 0;
+
+    getVerificationYears(duration, firstVerificationYear, verificationFrequency).forEach(year => {
+        const netStock = netRemovalsAt(netRemovals, year);
+        const stockChange = Math.max(0, netStock - highestVerifiedStock);
+        const reversal = Math.max(0, highestVerifiedStock - netStock);
+
+        const uncertaintyDeduction = stockChange * uncertaintyRate;
+        const bufferContribution = (stockChange - uncertaintyDeduction) * bufferRate;
+        const deduction = (stockChange - uncertaintyDeduction - bufferContribution) * deductionRate;
+        const creditsIssued = stockChange - uncertaintyDeduction - bufferContribution - deduction;
+
+        highestVerifiedStock = Math.max(highestVerifiedStock, netStock);
+        cumulativeIssued += creditsIssued;
+        cumulativeBuffer += bufferContribution;
+
+        schedule.push({
+            vintageStart: previousYear + 1,
+            vintageEnd: year,
+            netStock,
+            stockChange,
+            reversal,
+            uncertaintyDeduction,
+            bufferContribution,
+            deduction,
+            creditsIssued,
+            cumulativeIssued,
+            cumulativeBuffer
+        });
+        previousYear = year;
+    });
+
+    return schedule;
+}
@@ -1,5 +1,6 @@
 // This file implements handlers for the forest species list events
 import { forestEventSystem } from './forestCalcs.js';
+import { escapeHtml } from '../utils.js';
 
 /**
  * Initialize handlers for species list and factor updates
@@ -46,16 +47,19 @@ function handleDisplaySpeciesList(speciesData) {
         tableHtml += '<th>Number of Trees</th>';
         tableHtml += '<th>Growth Rate</th>';
         tableHtml += '<th>Wood Density</th>';
+        tableHtml += '<th>Growth Model</th>';
         tableHtml += '</tr></thead>';
         
         // Add the table body
         tableHtml += '<tbody>';
         for (const species of speciesData) {
             tableHtml += '<tr>';
-            tableHtml += `<td>${species['Species Name'] || 'Unknown'}</td>`;
-            tableHtml += `<td>${species['Number of Trees'] || '0'}</td>`;
-            tableHtml += `<td>${species['Growth Rate (m³/ha/yr)'] || '-'}</td>`;
-            tableHtml += `<td>${species['Wood Density (tdm/m³)'] || '-'}</td>`;
+            // Species files, projects and share links can hold any text
+            tableHtml += `<td>${escapeHtml(species['Species Name'] || 'Unknown')}</td>`;
+            tableHtml += `<td>${escapeHtml(species['Number of Trees'] || '0')}</td>`;
+            tableHtml += `<td>${escapeHtml(species['Growth Rate (m³/ha/yr)'] || '-')}</td>`;
+            tableHtml += `<td>${escapeHtml(species['Wood Density (tdm/m³)'] || '-')}</td>`;
+            tableHtml += `<td>${escapeHtml(species['Growth Model'] || 'Form default')}</td>`;
             tableHtml += '</tr>';
         }
         tableHtml += '</tbody></table></div>';
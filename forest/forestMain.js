@@ -12,9 +12,22 @@ import {
     displayForestResults,
     clearForestErrors,
     resetForestCharts,
-    showForestResults
+    showForestResults,
+    displaySiteModifiers,
+    setupForestCostBuilder,
+    restoreSiteModifiers
 } from './forestDOM.js';
-import { initForestIO, cleanupForestIO, getLoadedSpeciesData, isMultiSpeciesMode } from './forestIO.js';
+import { getSiteModifierTable, hasCustomSiteModifiers } from './forestSiteModifiers.js';
+import { buildForestCostPlan } from './forestFinance.js';
+import { buildForestSensitivity, FOREST_SENSITIVITY_METRICS } from './forestSensitivity.js';
+import { renderCostLineSummary, readCostLines } from '../costModel.js';
+import { renderSensitivityPanel } from '../sensitivity.js';
+import { ScenarioStore, renderScenarioComparison } from '../scenarios.js';
+import { PROJECT_STATE_CHANGED_EVENT } from '../projectStore.js';
+import { readFieldValues, writeFieldValues } from '../domUtils.js';
+import { eventBus, formatNumber } from '../utils.js';
+import { formatMoney, CURRENCY_CHANGED_EVENT } from '../currency.js';
+import { initForestIO, cleanupForestIO, getLoadedSpeciesData, isMultiSpeciesMode, setLoadedSpeciesData } from './forestIO.js';
 import { initForestListHandlers } from './forestListHandlers.js'; // Import our new module
 import { setupGreenCoverAndCredits } from './forestEnhanced.js'; // Import enhanced features
 import { analytics } from '../analytics.js'; // Import analytics as a module
@@ -24,6 +37,11 @@ class ForestCalculator {
     constructor() {
         this.results = null;
         this.costAnalysis = null;
+        // Inputs of the last calculation, re-run by the sensitivity analysis
+        this.inputs = null;
+        this.speciesData = null;
+        this.sensitivity = null;
+        this.scenarios = new ScenarioStore();
         this.initialized = false;
         this.calculationInProgress = false;
         // Track event listeners for proper cleanup
@@ -107,9 +125,17 @@ class ForestCalculator {
             // Clean up the DOM module
             cleanupForestDOM();
             
+            // Stop the credits handler from reacting to events
+            this.enhancedFeaturesHandler?.clearUncertaintyResults?.();
+            this.enhancedFeaturesHandler?.cleanup?.();
+            this.enhancedFeaturesHandler = null;
+            
             // Reset state
             this.results = null;
             this.costAnalysis = null;
+            this.inputs = null;
+            this.speciesData = null;
+            this.sensitivity = null;
             this.initialized = false;
             
             console.log('Forest calculator cleanup complete');
@@ -131,8 +157,9 @@ class ForestCalculator {
         this._addEventListenerWithCleanup('resetForestBtn', 'click', this.resetForestCalculator.bind(this));
         
         // Since there's no direct speciesSelect in the HTML, look for individual species-related inputs
-        // Instead of the dropdown, we'll listen for changes on specific species factor inputs
-        const speciesInputs = ['siteQuality', 'avgRainfall', 'soilType', 'survivalRate'];
+        // Site quality, rainfall and soil type are applied as site modifiers at calculation time
+        // (see forestSiteModifiers.js), so they must not overwrite the conversion factors here
+        const speciesInputs = ['survivalRate'];
         speciesInputs.forEach(inputId => {
             this._addEventListenerWithCleanup(inputId, 'change', this.handleSpeciesChange.bind(this));
         });
@@ -142,6 +169,17 @@ class ForestCalculator {
         
         // Add listener for PDF generation as well
         this._addEventListenerWithCleanup('generateForestPdfBtn', 'click', this.generatePdf.bind(this));
+        
+        this._addEventListenerWithCleanup('runForestSensitivityBtn', 'click', this.runSensitivityAnalysis.bind(this));
+        
+        this._addEventListenerWithCleanup('saveForestScenarioBtn', 'click', this.saveScenario.bind(this));
+        
+        // Re-format the cost analysis, sensitivity and scenario tables when the display currency changes
+        this.unsubscribeCurrency = eventBus.on(CURRENCY_CHANGED_EVENT, () => {
+            if (this.costAnalysis) this.displayCostAnalysis();
+            if (this.sensitivity) this.displaySensitivity();
+            this.displayScenarios();
+        });
     }
     
     /**
@@ -191,6 +229,11 @@ class ForestCalculator {
         });
         
         this.eventListeners = [];
+        
+        if (this.unsubscribeCurrency) {
+            this.unsubscribeCurrency();
+            this.unsubscribeCurrency = null;
+        }
     }
     
     /**
@@ -230,12 +273,14 @@ class ForestCalculator {
                 
                 // Perform calculation
                 this.results = calculateSequestrationMultiSpecies(inputs, speciesData);
+                this.speciesData = speciesData;
                 
             } else {
                 console.log('Performing single-species calculation');
                 
                 // Perform calculation
                 const results = calculateSequestration(inputs);
+                this.speciesData = null;
                 
                 // Format as same structure as multi-species result
                 this.results = {
@@ -243,11 +288,27 @@ class ForestCalculator {
                     speciesResults: [{
                         speciesName: inputs.species,
                         numberOfTrees: inputs.density * inputs.area,
+                        siteModifiers: results?.[0]?.siteModifiers,
                         results: results
                     }]
                 };
             }
             
+            // Cost analysis follows the final net sequestration of the chosen growth curve
+            const costPlan = buildForestCostPlan({
+                projectCost: inputs.projectCost,
+                costLines: inputs.costLines,
+                duration: inputs.duration,
+                area: inputs.area,
+                trees: this.results.speciesResults.reduce((total, species) => total + (species.numberOfTrees || 0), 0),
+                verificationYears: inputs.verificationYears
+            });
+            this.costAnalysis = costPlan.total > 0
+                ? calculateForestCostAnalysis(costPlan, inputs.area, this.results.totalResults)
+                : null;
+            this.inputs = inputs;
+            this.sensitivity = null;
+            
             // Log the raw results object immediately after calculation
             console.log('Raw calculation results:', JSON.stringify(this.results, null, 2));
             
@@ -263,11 +324,16 @@ class ForestCalculator {
                 area: inputs.area,
                 species: inputs.species,
                 multiSpecies: isMultiSpeciesMode(),
+                reportingInterval: inputs.reportingInterval,
+                growthModel: inputs.growthModel,
+                harvestInterval: inputs.harvestInterval,
                 totalSequestration: finalResult.rawCumulativeNetCO2e
             });
             
             // Display results
             this.displayResults();
+            
+            eventBus.emit(PROJECT_STATE_CHANGED_EVENT, { calculator: 'forest' });
         } catch (error) {
             console.error('Error calculating forest sequestration:', error);
             showForestError(`Calculation error: ${error.message}`);
@@ -311,18 +377,41 @@ class ForestCalculator {
                 errorMessageElement
             );
             
+            // Show which site modifiers were applied to each species
+            displaySiteModifiers(this.results.speciesResults);
+            
             // Display cost analysis if available
             this.displayCostAnalysis();
             
             // Update Enhanced Features (Carbon Credits and Green Cover)
             this.updateEnhancedFeatures(); // This function handles showing its sections
             
+            // Offer the sensitivity analysis; a previous analysis no longer matches these results
+            this.displaySensitivity();
+            document.getElementById('forestSensitivitySection')?.classList.remove('hidden');
+            
+            this.displayScenarios();
+            document.getElementById('forestScenarioSection')?.classList.remove('hidden');
+            
         } catch (error) {
             console.error('Error displaying results:', error);
             showForestError(`Error displaying results: ${error.message}`);
         }
     }
     
+    /**
+     * Get the enhanced features handler, setting it up on first use
+     * @returns {Object} Handler returned by setupGreenCoverAndCredits()
+     */
+    getEnhancedFeaturesHandler() {
+        if (!this.enhancedFeaturesHandler) {
+            // Set up enhanced features (carbon credits and green cover)
+            const speciesData = isMultiSpeciesMode() ? getLoadedSpeciesData() : [];
+            this.enhancedFeaturesHandler = setupGreenCoverAndCredits(speciesData);
+        }
+        return this.enhancedFeaturesHandler;
+    }
+    
     /**
      * Update enhanced features like carbon credits and green cover
      */
@@ -330,12 +419,7 @@ class ForestCalculator {
         try {
             console.log('Updating enhanced features for forest results');
             
-            // Initialize or get the enhanced features handler
-            if (!this.enhancedFeaturesHandler) {
-                // Set up enhanced features (carbon credits and green cover)
-                const speciesData = isMultiSpeciesMode() ? getLoadedSpeciesData() : [];
-                this.enhancedFeaturesHandler = setupGreenCoverAndCredits(speciesData);
-            }
+            this.getEnhancedFeaturesHandler();
             
             // Use the handler to update calculations based on current results
             if (this.enhancedFeaturesHandler && typeof this.enhancedFeaturesHandler.updateCarbonCreditsCalculation === 'function') {
@@ -358,6 +442,8 @@ class ForestCalculator {
                     // Let CSS handle display: block based on class removal
                 }
                 
+                document.getElementById('uncertaintySection')?.classList.remove('hidden');
+                
                 console.log('Enhanced features updated successfully');
             } else {
                 console.warn('Enhanced features handler not available or missing methods');
@@ -385,21 +471,31 @@ class ForestCalculator {
             // Update cost analysis fields
             const totalCostElement = document.getElementById('totalProjectCost');
             const costPerTonneElement = document.getElementById('costPerTonne');
-            const costPerHectareElement = document.getElementById('costPerHectare');
+            // The water calculator already uses costPerHectare, so the forest card has its own ID
+            const costPerHectareElement = document.getElementById('forestCostPerHectare');
             const establishmentCostElement = document.getElementById('establishmentCost');
             const maintenanceCostElement = document.getElementById('maintenanceCost');
             const monitoringCostElement = document.getElementById('monitoringCost');
             const otherCostElement = document.getElementById('otherCosts');
             
-            if (totalCostElement) totalCostElement.textContent = this.costAnalysis.totalProjectCost;
-            if (costPerTonneElement) costPerTonneElement.textContent = this.costAnalysis.costPerTonne;
-            if (costPerHectareElement) costPerHectareElement.textContent = this.costAnalysis.costPerHectare;
+            // Format from the raw amounts so a change of display currency is picked up
+            const { rawTotalProjectCost, rawCostPerTonne, rawCostPerHectare, rawCostBreakdown } = this.costAnalysis;
+            if (totalCostElement) totalCostElement.textContent = formatMoney(rawTotalProjectCost);
+            if (costPerTonneElement) costPerTonneElement.textContent = formatMoney(rawCostPerTonne);
+            if (costPerHectareElement) costPerHectareElement.textContent = formatMoney(rawCostPerHectare);
             
             // Update cost breakdown
-            if (establishmentCostElement) establishmentCostElement.textContent = this.costAnalysis.costBreakdown.establishment;
-            if (maintenanceCostElement) maintenanceCostElement.textContent = this.costAnalysis.costBreakdown.maintenance;
-            if (monitoringCostElement) monitoringCostElement.textContent = this.costAnalysis.costBreakdown.monitoring;
-            if (otherCostElement) otherCostElement.textContent = this.costAnalysis.costBreakdown.other;
+            if (establishmentCostElement) establishmentCostElement.textContent = formatMoney(rawCostBreakdown.establishment);
+            if (maintenanceCostElement) maintenanceCostElement.textContent = formatMoney(rawCostBreakdown.maintenance);
+            if (monitoringCostElement) monitoringCostElement.textContent = formatMoney(rawCostBreakdown.monitoring);
+            if (otherCostElement) otherCostElement.textContent = formatMoney(rawCostBreakdown.other);
+            
+            // List the itemised cost lines when they were used
+            const costLinesSummary = document.getElementById('forestCostLinesSummary');
+            if (costLinesSummary) {
+                renderCostLineSummary(document.getElementById('forestCostLinesBody'), this.costAnalysis.costLines, value => formatMoney(value, { symbol: false }));
+                costLinesSummary.classList.toggle('hidden', !this.costAnalysis.itemised);
+            }
             
             // Show cost analysis section
             costAnalysisSection.classList.remove('hidden');
@@ -410,6 +506,189 @@ class ForestCalculator {
         }
     }
     
+    /**
+     * Run the sensitivity analysis on the inputs of the last calculation
+     */
+    runSensitivityAnalysis() {
+        try {
+            if (!this.results || !this.inputs) {
+                showForestError('Please run a calculation before the sensitivity analysis.');
+                return;
+            }
+            
+            const percent = parseFloat(document.getElementById('forestSensitivityPercent')?.value);
+            console.log(`Running forest sensitivity analysis at ±${percent}%`);
+            
+            this.sensitivity = buildForestSensitivity(this.inputs, this.speciesData, {
+                percent,
+                estimateCredits: this.enhancedFeaturesHandler?.estimateCredits
+            });
+            this.displaySensitivity();
+            
+            analytics.trackEvent('forest_sensitivity_run', {
+                percent,
+                parameters: this.sensitivity.rows.length
+            });
+        } catch (error) {
+            console.error('Error running forest sensitivity analysis:', error);
+            showForestError(`Sensitivity analysis: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Show the sensitivity analysis, or hide the panel when there is none
+     */
+    displaySensitivity() {
+        const panel = document.getElementById('forestSensitivityPanel');
+        const selectedMetric = panel?.querySelector('[data-sensitivity-metric]')?.value;
+        
+        renderSensitivityPanel(panel, this.sensitivity, {
+            metrics: {
+                netCO2e: { label: FOREST_SENSITIVITY_METRICS.netCO2e, format: value => formatNumber(value, 2) },
+                credits: { label: FOREST_SENSITIVITY_METRICS.credits, format: value => formatNumber(value, 2) },
+                costPerTonne: { label: FOREST_SENSITIVITY_METRICS.costPerTonne, format: value => formatMoney(value) }
+            },
+            selectedMetric
+        });
+    }
+    
+    /**
+     * Save the inputs and results of the last calculation as a named scenario
+     */
+    saveScenario() {
+        try {
+            if (!this.results || !this.inputs) {
+                showForestError('Please run a calculation before saving a scenario.');
+                return;
+            }
+            
+            const nameInput = document.getElementById('forestScenarioName');
+            const name = nameInput?.value.trim() || `Scenario ${this.scenarios.list().length + 1}`;
+            const totalResults = this.results.totalResults || [];
+            const finalResult = totalResults[totalResults.length - 1];
+            // Credits follow the credit settings as they are now, not only at calculation time
+            const creditResults = this.enhancedFeaturesHandler?.getCreditResults?.() || null;
+            
+            const scenario = this.scenarios.save({
+                name,
+                inputs: { ...this.inputs, speciesData: this.speciesData },
+                metrics: {
+                    netCO2e: finalResult?.rawCumulativeNetCO2e ?? null,
+                    credits: creditResults?.finalVERs ?? null,
+                    revenue: creditResults?.revenue ?? null,
+                    totalCost: this.costAnalysis?.rawTotalProjectCost ?? null,
+                    costPerTonne: this.costAnalysis?.rawCostPerTonne ?? null,
+                    npv: creditResults?.finance?.npv ?? null,
+                    irr: creditResults?.finance?.irr ?? null
+                },
+                series: {
+                    years: totalResults.map(row => row.year),
+                    values: totalResults.map(row => row.rawCumulativeNetCO2e)
+                }
+            });
+            console.log('Saved forest scenario:', scenario.name);
+            
+            if (nameInput) nameInput.value = '';
+            this.displayScenarios();
+            eventBus.emit(PROJECT_STATE_CHANGED_EVENT, { calculator: 'forest' });
+            
+            analytics.trackEvent('forest_scenario_saved', {
+                scenarios: this.scenarios.list().length
+            });
+        } catch (error) {
+            console.error('Error saving forest scenario:', error);
+            showForestError(`Scenario: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Show the saved scenarios side by side
+     */
+    displayScenarios() {
+        renderScenarioComparison(document.getElementById('forestScenarioPanel'), this.scenarios, {
+            metrics: {
+                netCO2e: { label: 'Final Net CO₂e (t)', format: value => formatNumber(value, 2) },
+                credits: { label: 'Credits Issued', format: value => formatNumber(value, 2) },
+                revenue: { label: 'Revenue (Central)', format: formatMoney },
+                totalCost: { label: 'Total Project Cost', format: formatMoney },
+                costPerTonne: { label: 'Cost per Tonne', format: formatMoney },
+                npv: { label: 'NPV', format: formatMoney },
+                irr: { label: 'IRR', format: value => `${formatNumber(value * 100, 1)}%` }
+            },
+            chart: {
+                title: 'Cumulative Net CO₂e by Scenario',
+                yLabel: 'tCO₂e'
+            },
+            onChange: () => eventBus.emit(PROJECT_STATE_CHANGED_EVENT, { calculator: 'forest' })
+        });
+    }
+    
+    /**
+     * Current form values, species, site modifiers and scenarios, for saving in a project
+     * @returns {Object} { fields, costLines, speciesData, siteModifiers, scenarios, calculated }
+     */
+    getProjectState() {
+        return {
+            fields: readFieldValues(document.getElementById('calculatorForm')),
+            costLines: readCostLines(document.getElementById('forestCostLines')),
+            speciesData: getLoadedSpeciesData(),
+            // null means the default modifier table
+            siteModifiers: hasCustomSiteModifiers() ? getSiteModifierTable() : null,
+            scenarios: this.scenarios.serialize(),
+            calculated: !!this.results
+        };
+    }
+    
+    /**
+     * Creditable stock by reporting year of the last calculation
+     * @returns {Array<Object>|null} [{ year, value }], or null without results
+     */
+    getResultSeries() {
+        const totalResults = this.results?.totalResults;
+        if (!totalResults) return null;
+        return totalResults.map(row => ({ year: row.year, value: row.rawCumulativeNetCO2e }));
+    }
+    
+    /**
+     * Creditable stock at the end of the last calculation, for the combined carbon summary
+     * @returns {Object|null} { label, total } with total in t CO₂e, or null without results
+     */
+    getCarbonSummary() {
+        const series = this.getResultSeries();
+        if (!series || series.length === 0) return null;
+        return { label: 'Forest (creditable removals)', total: series[series.length - 1].value };
+    }
+    
+    /**
+     * Restore the state saved by getProjectState()
+     * The calculation is run again when the project had results, rather than
+     * storing the results themselves.
+     * @param {Object|null} state - Saved state, or null for an empty calculator
+     */
+    applyProjectState(state) {
+        this.resetForestCalculator();
+        this.scenarios.restore(state?.scenarios || null);
+        this.displayScenarios();
+        if (!state) return;
+        
+        // Older projects did not keep the modifier table; they use the one on this device
+        if (state.siteModifiers !== undefined) {
+            restoreSiteModifiers(state.siteModifiers);
+        }
+        setLoadedSpeciesData(state.speciesData || null);
+        
+        // The credit settings are rendered by the enhanced features, so set them up before filling the form
+        this.getEnhancedFeaturesHandler();
+        writeFieldValues(document.getElementById('calculatorForm'), state.fields);
+        if (Array.isArray(state.costLines) && state.costLines.length > 0) {
+            setupForestCostBuilder(state.costLines);
+        }
+        
+        if (state.calculated) {
+            this.handleForestFormSubmit(new Event('submit'));
+        }
+    }
+    
     /**
      * Reset the calculator
      */
@@ -424,6 +703,14 @@ class ForestCalculator {
             // Reset results
             this.results = null;
             this.costAnalysis = null;
+            this.inputs = null;
+            this.speciesData = null;
+            this.sensitivity = null;
+            this.displaySensitivity();
+            
+            // Stop any uncertainty run still in progress before the handler is dropped
+            this.enhancedFeaturesHandler?.clearUncertaintyResults?.();
+            this.enhancedFeaturesHandler?.cleanup?.();
             this.enhancedFeaturesHandler = null;
             
             // Hide results section using class manipulation
@@ -448,6 +735,28 @@ class ForestCalculator {
             const estimatedRevenue = document.getElementById('estimatedRevenue');
             if (estimatedRevenue) estimatedRevenue.textContent = '--';
             
+            ['creditsGrossCO2e', 'creditsMortalityLoss', 'creditsNetCO2e', 'creditsBaselineLeakage', 'creditsNetAnthropogenic', 'revenueLow', 'revenueCentral', 'revenueHigh', 'uncertaintyDeductionAmount'].forEach(elementId => {
+                const element = document.getElementById(elementId);
+                if (element) element.textContent = '--';
+            });
+            
+            const netRemovalsBody = document.getElementById('netRemovalsBody');
+            if (netRemovalsBody) netRemovalsBody.innerHTML = '';
+            
+            const vintageBody = document.getElementById('vintageBody');
+            if (vintageBody) vintageBody.innerHTML = '';
+            
+            const revenueBody = document.getElementById('revenueBody');
+            if (revenueBody) revenueBody.innerHTML = '';
+            
+            // The form reset unticks the risk assessment, so hand the buffer back to manual entry
+            const riskRateInput = document.getElementById('riskRate');
+            if (riskRateInput) riskRateInput.readOnly = false;
+            
+            ['riskQuestionnaire', 'riskBreakdownSection', 'forestFinancePanel', 'uncertaintySection', 'forestSensitivitySection', 'forestScenarioSection'].forEach(elementId => {
+                document.getElementById(elementId)?.classList.add('hidden');
+            });
+            
             const initialGreenCoverPercentage = document.getElementById('initialGreenCoverPercentage');
             if (initialGreenCoverPercentage) initialGreenCoverPercentage.textContent = '0.0%';
             
@@ -461,28 +770,28 @@ class ForestCalculator {
             const costAnalysisSection = document.getElementById('costAnalysisSection');
             if (costAnalysisSection) costAnalysisSection.classList.add('hidden');
             
+            // Drop any cost lines the user added and restore the typical items
+            setupForestCostBuilder();
+            
+            const siteModifiersSection = document.getElementById('siteModifiersSection');
+            if (siteModifiersSection) siteModifiersSection.classList.add('hidden');
+            
             // Clear error messages
             clearForestErrors();
             
             // Reset charts
             resetForestCharts();
             
-            // Hide multi-species message
-            const multiSpeciesModeMessage = document.getElementById('multiSpeciesModeMessage');
-            if (multiSpeciesModeMessage) multiSpeciesModeMessage.classList.add('hidden');
-            
-            // Clear species list
-            const speciesListContainer = document.getElementById('speciesListContainer');
-            if (speciesListContainer) {
-                speciesListContainer.innerHTML = '';
-                speciesListContainer.classList.add('hidden');
-            }
+            // Leave multi-species mode and clear the species list
+            setLoadedSpeciesData(null);
             
             // Track reset event
             analytics.trackEvent('forest_calculator_reset', {
                 timestamp: new Date().toISOString()
             });
             
+            eventBus.emit(PROJECT_STATE_CHANGED_EVENT, { calculator: 'forest' });
+            
             console.log('Calculator reset complete');
         } catch (error) {
             console.error('Error resetting calculator:', error);
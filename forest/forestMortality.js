@@ -0,0 +1,155 @@
+/**
+ * Tree mortality and replanting for forest calculations
+ *
+ * Mortality is tracked as the fraction of planted stems still alive. The
+ * biomass pool is scaled by that fraction, so dead trees stop contributing
+ * carbon instead of being subtracted as a separate loss term.
+ */
+import { applySurvivalModifier } from './forestSiteModifiers.js';
+
+export const MORTALITY_MODELS = {
+    CONSTANT: 'constant',
+    ESTABLISHMENT: 'establishment'
+};
+
+export const MORTALITY_MODEL_LABELS = {
+    [MORTALITY_MODELS.CONSTANT]: 'Constant annual mortality',
+    [MORTALITY_MODELS.ESTABLISHMENT]: 'Establishment-phase mortality'
+};
+
+export const DEFAULT_ANNUAL_MORTALITY = 0.01; // 1% background mortality per year
+export const DEFAULT_ESTABLISHMENT_YEARS = 3; // Years over which establishment losses occur
+export const DEFAULT_REPLANTING_TARGET = 0.95; // Gap-fill back to 95% of planted stems
+
+/**
+ * Build the annual mortality schedule for a planting cohort
+ * @param {Object} options - Mortality options
+ * @param {string} [options.mortalityModel='establishment'] - One of MORTALITY_MODELS
+ * @param {number} options.establishmentLoss - Share of stems lost by the end of establishment (0-1)
+ * @param {number} [options.annualMortalityRate] - Background annual mortality (0-1)
+ * @param {number} [options.establishmentYears] - Length of the establishment phase in years
+ * @param {number} [options.survivalMultiplier=1] - Site survival modifier
+ * @param {boolean} [options.applyBackgroundMortality=true] - False when the growth curve already gives
+ *   the net yield of a stand thinning itself, so background losses would be counted twice
+ * @returns {Function} (age) => mortality rate for that year of the cohort's life (0-1)
+ */
+export function buildMortalitySchedule({
+    mortalityModel = MORTALITY_MODELS.ESTABLISHMENT,
+    establishmentLoss,
+    annualMortalityRate = DEFAULT_ANNUAL_MORTALITY,
+    establishmentYears = DEFAULT_ESTABLISHMENT_YEARS,
+    survivalMultiplier = 1,
+    applyBackgroundMortality = true
+}) {
+    // A better site raises survival; background mortality is scaled by the inverse
+    const backgroundMortality = applyBackgroundMortality
+        ? Math.min(1, Math.max(0, annualMortalityRate / survivalMultiplier))
+        : 0;
+
+    if (mortalityModel === MORTALITY_MODELS.CONSTANT) {
+        return () => backgroundMortality;
+    }
+
+    // Spread the establishment loss evenly (geometrically) over the establishment years
+    const years = Math.max(1, Math.round(establishmentYears));
+    const adjustedLoss = applySurvivalModifier(establishmentLoss, survivalMultiplier);
+    const establishmentMortality = 1 - Math.pow(1 - adjustedLoss, 1 / years);
+
+    return age => (age <= years ? establishmentMortality : backgroundMortality);
+}
+
+/**
+ * Track planting cohorts through mortality and gap-filling
+ *
+ * The initial planting is one cohort; each replanting adds a younger cohort
+ * that goes through its own establishment phase.
+ */
+export class CohortTracker {
+    /**
+     * @param {Function} mortalitySchedule - Schedule from buildMortalitySchedule()
+     * @param {Object} [replanting] - Gap-filling options
+     * @param {boolean} [replanting.enabled=false] - Whether to replant dead stems
+     * @param {number} [replanting.untilYear] - Last year after (re)planting in which gap-filling happens
+     * @param {number} [replanting.targetSurvival] - Stocking to restore, as a share of planted stems (0-1)
+     */
+    constructor(mortalitySchedule, replanting = {}) {
+        this.mortalitySchedule = mortalitySchedule;
+        this.replanting = {
+            enabled: Boolean(replanting.enabled),
+            untilYear: replanting.untilYear ?? DEFAULT_ESTABLISHMENT_YEARS,
+            targetSurvival: replanting.targetSurvival ?? DEFAULT_REPLANTING_TARGET
+        };
+        this.cohorts = [{ plantedYear: 0, fraction: 1 }];
+        this.regeneratedYear = 0;
+        this.replantedFraction = 0;
+    }
+
+    /**
+     * Advance the stand to the given year: apply mortality, then gap-fill
+     * @param {number} year - Project year being entered (1, 2, ...)
+     */
+    advance(year) {
+        this.cohorts.forEach(cohort => {
+            cohort.fraction *= 1 - this.mortalitySchedule(year - cohort.plantedYear);
+        });
+
+        if (this.replanting.enabled && year - this.regeneratedYear <= this.replanting.untilYear) {
+            const gap = this.replanting.targetSurvival - this.getSurvivingFraction();
+            if (gap > 0) {
+                this.cohorts.push({ plantedYear: year, fraction: gap });
+                this.replantedFraction += gap;
+            }
+        }
+    }
+
+    /**
+     * Fell the whole stand and replant it in the same year
+     * @param {number} year - Harvest year, which becomes the new planting year
+     */
+    clearfell(year) {
+        this.cohorts = [{ plantedYear: year, fraction: 1 }];
+        this.regeneratedYear = year;
+    }
+
+    /**
+     * Remove the same share of stems from every cohort and regrow the gaps
+     * The growing space freed by the thinning is taken up again, modelled as
+     * a cohort of the removed share whose growth starts over from age 0.
+     * @param {number} intensity - Share of stems removed (0-1)
+     * @param {number} year - Thinning year, which becomes the planting year of the regrowth
+     */
+    thin(intensity, year) {
+        const removedFraction = this.getSurvivingFraction() * intensity;
+        this.cohorts.forEach(cohort => {
+            cohort.fraction *= 1 - intensity;
+        });
+        if (removedFraction > 0) {
+            this.cohorts.push({ plantedYear: year, fraction: removedFraction });
+        }
+    }
+
+    /**
+     * @param {number} year - Current project year
+     * @returns {number} Years since the stand was planted or last clear-felled
+     */
+    getStandAge(year) {
+        return year - this.regeneratedYear;
+    }
+
+    /**
+     * Stock-weighted value across cohorts, e.g. growing stock per hectare
+     * @param {number} year - Current project year
+     * @param {Function} valueAtAge - (age) => value for a fully stocked stand of that age
+     * @returns {number} Sum of cohort fraction * value at the cohort's age
+     */
+    weightedValue(year, valueAtAge) {
+        return this.cohorts.reduce((total, cohort) => total + cohort.fraction * valueAtAge(year - cohort.plantedYear), 0);
+    }
+
+    /**
+     * @returns {number} Surviving stems as a share of the original planting
+     */
+    getSurvivingFraction() {
+        return this.cohorts.reduce((total, cohort) => total + cohort.fraction, 0);
+    }
+}
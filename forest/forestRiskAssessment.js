@@ -0,0 +1,135 @@
+/**
+ * Non-permanence risk assessment for the forest buffer pool
+ *
+ * Structured after the VCS AFOLU Non-Permanence Risk Tool: internal, external
+ * and natural risk factors are scored from questionnaire answers and summed
+ * to the buffer percentage. Natural risks can be halved where effective
+ * mitigation (fire breaks, pest monitoring, irrigation) is in place.
+ */
+
+export const RISK_CATEGORIES = {
+    internal: 'Internal',
+    external: 'External',
+    natural: 'Natural'
+};
+
+// Minimum buffer contribution
+export const MIN_BUFFER_PERCENT = 10;
+
+// Share of a natural risk score that remains when mitigation is in place
+const MITIGATION_FACTOR = 0.5;
+
+/**
+ * Risk factors with their question and scored answers (risk score in %)
+ */
+export const RISK_FACTORS = {
+    financial: {
+        category: 'internal',
+        label: 'Financial viability',
+        question: 'How much of the project cost to the end of the crediting period is secured?',
+        options: [
+            { value: 'secured', label: 'Fully funded or self-financing', score: 0 },
+            { value: 'most', label: 'More than 60% secured', score: 2 },
+            { value: 'some', label: '20-60% secured', score: 4 },
+            { value: 'little', label: 'Less than 20% secured', score: 8 }
+        ]
+    },
+    tenure: {
+        category: 'external',
+        label: 'Land tenure',
+        question: 'How secure are ownership and access rights to the project land?',
+        options: [
+            { value: 'owned', label: 'Owned, no disputes', score: 0 },
+            { value: 'long_lease', label: 'Long lease covering the project period', score: 2 },
+            { value: 'short_lease', label: 'Lease shorter than the project period', score: 5 },
+            { value: 'disputed', label: 'Disputed or informal rights', score: 10 }
+        ]
+    },
+    political: {
+        category: 'external',
+        label: 'Political risk',
+        question: 'How stable is governance in the host region?',
+        options: [
+            { value: 'stable', label: 'Stable, strong rule of law', score: 0 },
+            { value: 'moderate', label: 'Generally stable', score: 2 },
+            { value: 'weak', label: 'Weak governance', score: 4 },
+            { value: 'unstable', label: 'Conflict or frequent policy reversals', score: 6 }
+        ]
+    },
+    fire: {
+        category: 'natural',
+        label: 'Fire',
+        question: 'How often has fire affected the project area or similar sites nearby?',
+        mitigable: true,
+        options: [
+            { value: 'never', label: 'No fires in the last 25 years', score: 0 },
+            { value: 'rare', label: 'Once in 25 years', score: 2 },
+            { value: 'occasional', label: 'Every 5-25 years', score: 5 },
+            { value: 'frequent', label: 'More often than every 5 years', score: 10 }
+        ]
+    },
+    pests: {
+        category: 'natural',
+        label: 'Pests & disease',
+        question: 'How often do pest or disease outbreaks cause significant losses?',
+        mitigable: true,
+        options: [
+            { value: 'never', label: 'No known outbreaks', score: 0 },
+            { value: 'rare', label: 'Once in 25 years', score: 1 },
+            { value: 'occasional', label: 'Every 5-25 years', score: 3 },
+            { value: 'frequent', label: 'More often than every 5 years', score: 6 }
+        ]
+    },
+    drought: {
+        category: 'natural',
+        label: 'Drought',
+        question: 'How often does drought cause tree deaths in the region?',
+        mitigable: true,
+        options: [
+            { value: 'never', label: 'Not in living memory', score: 0 },
+            { value: 'rare', label: 'Once in 25 years', score: 1 },
+            { value: 'occasional', label: 'Every 5-25 years', score: 3 },
+            { value: 'frequent', label: 'More often than every 5 years', score: 6 }
+        ]
+    }
+};
+
+/**
+ * Score a completed questionnaire
+ * @param {Object} answers - { [factor]: { answer, mitigated } }
+ * @returns {Object} { factors: [...], categoryTotals, totalScore, bufferPercent }
+ */
+export function assessNonPermanenceRisk(answers = {}) {
+    const factors = [];
+    const categoryTotals = {};
+    Object.keys(RISK_CATEGORIES).forEach(category => {
+        categoryTotals[category] = 0;
+    });
+
+    for (const [factor, definition] of Object.entries(RISK_FACTORS)) {
+        const response = answers[factor] || {};
+        const option = definition.options.find(item => item.value === response.answer) || definition.options[0];
+        const mitigated = Boolean(definition.mitigable && response.mitigated);
+        const score = option.score * (mitigated ? MITIGATION_FACTOR : 1);
+
+        categoryTotals[definition.category] += score;
+        factors.push({
+            factor,
+            category: definition.category,
+            categoryLabel: RISK_CATEGORIES[definition.category],
+            label: definition.label,
+            answer: option.label,
+            mitigated,
+            score
+        });
+    }
+
+    const totalScore = Object.values(categoryTotals).reduce((total, score) => total + score, 0);
+
+    return {
+        factors,
+        categoryTotals,
+        totalScore,
+        bufferPercent: Math.max(MIN_BUFFER_PERCENT, totalScore)
+    };
+}
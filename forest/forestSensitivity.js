@@ -0,0 +1,105 @@
+/**
+ * Forest inputs and outputs for the one-at-a-time sensitivity analysis
+ *
+ * Growth and biomass parameters are scaled the same way as in the uncertainty
+ * analysis, so in multi-species projects every species is scaled. The outputs
+ * are the final creditable stock, the credits issued under the current credit
+ * settings and the project cost per tonne of creditable stock.
+ */
+import { calculateSequestration, calculateSequestrationMultiSpecies } from './forestCalcs.js';
+import { UNCERTAIN_PARAMETERS, applyMultipliersToInputs, applyMultipliersToSpecies } from './forestUncertainty.js';
+import { GROWTH_MODELS, normalizeGrowthModel } from './forestGrowthModels.js';
+import { buildForestCostPlan } from './forestFinance.js';
+import { scaleCostLines } from '../costModel.js';
+import { runSensitivityAnalysis, DEFAULT_SENSITIVITY_PERCENT } from '../sensitivity.js';
+
+export const FOREST_SENSITIVITY_METRICS = {
+    netCO2e: 'Final Net CO₂e (t)',
+    credits: 'Credits Issued',
+    costPerTonne: 'Cost per Tonne'
+};
+
+// Inputs scaled directly on the form values, after the model parameters.
+// Background mortality only applies to linear growth.
+const DIRECT_PARAMETERS = {
+    area: { label: 'Project area' },
+    density: { label: 'Planting density', singleSpeciesOnly: true },
+    annualMortalityRate: { label: 'Annual mortality', linearGrowthOnly: true },
+    projectCost: { label: 'Project cost' }
+};
+
+/**
+ * Parameters perturbed in the analysis
+ * @param {boolean} multiSpecies - Whether species come from a species file
+ * @param {boolean} [linearGrowth=true] - Whether any species grows on the linear curve
+ * @returns {Array<Object>} Parameters, each { key, label }
+ */
+export function getForestSensitivityParameters(multiSpecies, linearGrowth = true) {
+    const modelParameters = Object.entries(UNCERTAIN_PARAMETERS)
+        .map(([key, parameter]) => ({ key, label: parameter.label }));
+    const directParameters = Object.entries(DIRECT_PARAMETERS)
+        .filter(([, parameter]) => !(multiSpecies && parameter.singleSpeciesOnly))
+        .filter(([, parameter]) => linearGrowth || !parameter.linearGrowthOnly)
+        .map(([key, parameter]) => ({ key, label: parameter.label }));
+
+    return [...modelParameters, ...directParameters];
+}
+
+/**
+ * Run the sensitivity analysis on the forest model
+ * @param {Object} inputs - Validated form inputs
+ * @param {Array<Object>|null} speciesData - Species rows in multi-species mode, otherwise null
+ * @param {Object} [options] - Analysis options
+ * @param {number} [options.percent=20] - Perturbation in percent
+ * @param {Function} [options.estimateCredits] - (yearlyResults) => credits issued; credits are left out without it
+ * @returns {Object} Result of runSensitivityAnalysis()
+ * @throws {Error} If the percentage is out of range or a cost line is invalid
+ */
+export function buildForestSensitivity(inputs, speciesData, { percent = DEFAULT_SENSITIVITY_PERCENT, estimateCredits } = {}) {
+    const multiSpecies = Array.isArray(speciesData) && speciesData.length > 0;
+    const speciesTrees = multiSpecies
+        ? speciesData.reduce((total, species) => total + (parseInt(species['Number of Trees'], 10) || 0), 0)
+        : 0;
+    const growthModels = multiSpecies
+        ? speciesData.map(species => normalizeGrowthModel(species['Growth Model'] || inputs.growthModel))
+        : [normalizeGrowthModel(inputs.growthModel)];
+    const linearGrowth = growthModels.includes(GROWTH_MODELS.LINEAR);
+
+    const evaluate = (key, factor) => {
+        const multipliers = {};
+        Object.keys(UNCERTAIN_PARAMETERS).forEach(parameter => {
+            multipliers[parameter] = parameter === key ? factor : 1;
+        });
+
+        const sampledInputs = applyMultipliersToInputs(inputs, multipliers);
+        if (key === 'area' || key === 'density' || key === 'annualMortalityRate') {
+            sampledInputs[key] = inputs[key] * factor;
+        }
+
+        const results = multiSpecies
+            ? calculateSequestrationMultiSpecies(sampledInputs, applyMultipliersToSpecies(speciesData, multipliers))?.totalResults
+            : calculateSequestration(sampledInputs);
+        if (!results || results.length === 0) {
+            return { netCO2e: null, credits: null, costPerTonne: null };
+        }
+
+        const netCO2e = results[results.length - 1].rawCumulativeNetCO2e;
+        const costFactor = key === 'projectCost' ? factor : 1;
+        const costPlan = buildForestCostPlan({
+            projectCost: (inputs.projectCost || 0) * costFactor,
+            costLines: scaleCostLines(inputs.costLines, costFactor),
+            duration: inputs.duration,
+            area: sampledInputs.area,
+            trees: multiSpecies ? speciesTrees : sampledInputs.area * sampledInputs.density,
+            verificationYears: inputs.verificationYears
+        });
+
+        return {
+            netCO2e,
+            credits: estimateCredits ? estimateCredits(results) : null,
+            costPerTonne: costPlan.total > 0 && netCO2e > 0 ? costPlan.total / netCO2e : null
+        };
+    };
+
+    return runSensitivityAnalysis(getForestSensitivityParameters(multiSpecies, linearGrowth), evaluate, percent);
+}
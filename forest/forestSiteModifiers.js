@@ -0,0 +1,188 @@
+/**
+ * Site modifiers for forest growth and survival
+ *
+ * Maps the Site Factors selections (site quality, rainfall class, soil type)
+ * to multipliers on growing stock and on annual survival. The combined
+ * modifier is the product of the individual factors.
+ */
+import { StorageManager } from '../utils.js';
+
+// Storage key for a user-supplied modifier table
+const CUSTOM_TABLE_KEY = 'forest_site_modifiers';
+
+// Survival can be improved by a good site but never above 100%
+const MAX_SURVIVAL_RATE = 1;
+
+/**
+ * Default modifier table
+ *
+ * growth   - multiplier on growing stock (MAI or curve maximum)
+ * survival - multiplier on the annual survival rate
+ *
+ * Values are indicative site-index adjustments for tropical and sub-tropical
+ * plantations: good sites grow roughly 20% faster than average and poor sites
+ * about 25% slower; low rainfall and degraded soil reduce both growth and
+ * establishment survival. Replace them with a custom table where local
+ * yield tables are available.
+ */
+export const DEFAULT_SITE_MODIFIERS = {
+    siteQuality: {
+        Good: { growth: 1.2, survival: 1.05 },
+        Medium: { growth: 1.0, survival: 1.0 },
+        Poor: { growth: 0.75, survival: 0.9 }
+    },
+    avgRainfall: {
+        High: { growth: 1.1, survival: 1.0 },
+        Medium: { growth: 1.0, survival: 1.0 },
+        Low: { growth: 0.8, survival: 0.9 }
+    },
+    soilType: {
+        Loam: { growth: 1.0, survival: 1.0 },
+        Sandy: { growth: 0.85, survival: 0.95 },
+        Clay: { growth: 0.9, survival: 0.97 },
+        Degraded: { growth: 0.7, survival: 0.85 }
+    }
+};
+
+// Labels for the factors shown in results
+export const SITE_FACTOR_LABELS = {
+    siteQuality: 'Site Quality',
+    avgRainfall: 'Average Rainfall',
+    soilType: 'Soil Type'
+};
+
+const storage = new StorageManager();
+
+/**
+ * Validate a modifier table and return any problems found
+ * @param {Object} table - Modifier table in the same shape as DEFAULT_SITE_MODIFIERS
+ * @returns {Array<string>} Validation errors, empty when the table is valid
+ */
+export function validateSiteModifierTable(table) {
+    const errors = [];
+
+    if (!table || typeof table !== 'object' || Array.isArray(table)) {
+        return ['Modifier table must be an object keyed by site factor'];
+    }
+
+    for (const [factor, classes] of Object.entries(table)) {
+        if (!SITE_FACTOR_LABELS[factor]) {
+            errors.push(`Unknown site factor "${factor}"`);
+            continue;
+        }
+
+        if (!classes || typeof classes !== 'object') {
+            errors.push(`${SITE_FACTOR_LABELS[factor]} must map classes to modifiers`);
+            continue;
+        }
+
+        for (const [siteClass, modifier] of Object.entries(classes)) {
+            ['growth', 'survival'].forEach(key => {
+                const value = modifier?.[key];
+                if (typeof value !== 'number' || !isFinite(value) || value <= 0 || value > 3) {
+                    errors.push(`${SITE_FACTOR_LABELS[factor]} "${siteClass}" needs a ${key} multiplier between 0 and 3`);
+                }
+            });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Get the active modifier table: the defaults overlaid with any custom table
+ * @returns {Object} Modifier table
+ */
+export function getSiteModifierTable() {
+    const customTable = storage.getItem(CUSTOM_TABLE_KEY);
+    if (!customTable || validateSiteModifierTable(customTable).length > 0) {
+        return DEFAULT_SITE_MODIFIERS;
+    }
+
+    const merged = {};
+    for (const factor of Object.keys(DEFAULT_SITE_MODIFIERS)) {
+        merged[factor] = { ...DEFAULT_SITE_MODIFIERS[factor], ...(customTable[factor] || {}) };
+    }
+    return merged;
+}
+
+/**
+ * Check whether a custom modifier table is stored
+ * @returns {boolean} True if a custom table is active
+ */
+export function hasCustomSiteModifiers() {
+    return storage.getItem(CUSTOM_TABLE_KEY) !== null;
+}
+
+/**
+ * Store a custom modifier table
+ * @param {Object} table - Modifier table, may cover only some factors or classes
+ * @throws {Error} If the table is invalid
+ */
+export function setCustomSiteModifiers(table) {
+    const errors = validateSiteModifierTable(table);
+    if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+    }
+    storage.setItem(CUSTOM_TABLE_KEY, table);
+}
+
+/**
+ * Remove the custom modifier table and fall back to the defaults
+ */
+export function resetSiteModifiers() {
+    storage.removeItem(CUSTOM_TABLE_KEY);
+}
+
+/**
+ * Resolve the modifiers that apply to a set of site selections
+ * @param {Object} selections - Site selections
+ * @param {string} [selections.siteQuality] - Site quality class
+ * @param {string} [selections.avgRainfall] - Rainfall class
+ * @param {string} [selections.soilType] - Soil type
+ * @param {Object} [table] - Modifier table, defaults to the active table
+ * @returns {Object} { growthMultiplier, survivalMultiplier, factors: [{ factor, label, value, growth, survival }] }
+ */
+export function resolveSiteModifiers(selections = {}, table = getSiteModifierTable()) {
+    const factors = [];
+    let growthMultiplier = 1;
+    let survivalMultiplier = 1;
+
+    for (const factor of Object.keys(SITE_FACTOR_LABELS)) {
+        const value = selections[factor];
+        if (!value) continue;
+
+        // Match class names case-insensitively so CSV values like "good" work
+        const classes = table[factor] || {};
+        const matchedClass = Object.keys(classes).find(name => name.toLowerCase() === String(value).trim().toLowerCase());
+        const modifier = matchedClass ? classes[matchedClass] : { growth: 1, survival: 1 };
+
+        if (!matchedClass) {
+            console.warn(`No site modifier defined for ${SITE_FACTOR_LABELS[factor]} "${value}", using 1.0`);
+        }
+
+        growthMultiplier *= modifier.growth;
+        survivalMultiplier *= modifier.survival;
+
+        factors.push({
+            factor,
+            label: SITE_FACTOR_LABELS[factor],
+            value: matchedClass || value,
+            growth: modifier.growth,
+            survival: modifier.survival
+        });
+    }
+
+    return { growthMultiplier, survivalMultiplier, factors };
+}
+
+/**
+ * Apply a survival multiplier to an annual mortality rate
+ * @param {number} mortalityRate - Annual mortality rate (0-1)
+ * @param {number} survivalMultiplier - Survival multiplier from resolveSiteModifiers()
+ * @returns {number} Adjusted mortality rate (0-1)
+ */
+export function applySurvivalModifier(mortalityRate, survivalMultiplier) {
+    const survivalRate = Math.min(MAX_SURVIVAL_RATE, (1 - mortalityRate) * survivalMultiplier);
+    return Math.max(0, 1 - survivalRate);
+}
@@ -0,0 +1,220 @@
+/**
+ * Species CSV import
+ *
+ * Reads species files as spreadsheets write them in any locale: the delimiter
+ * is detected, columns are matched through header aliases (e.g. "species",
+ * "trees", "MAI") and numbers may use a decimal comma. Every problem is
+ * reported with the line it is on so the file can be fixed; rows with errors
+ * are left out and rows with warnings are imported.
+ */
+import { parseCsv, parseLocaleNumber, detectDecimalSeparator } from '../utils.js';
+import { normalizeGrowthModel, GROWTH_MODELS } from './forestGrowthModels.js';
+import { getSiteModifierTable, SITE_FACTOR_LABELS } from './forestSiteModifiers.js';
+
+/**
+ * Columns used by the calculator, keyed by the header written in the template
+ * Aliases are compared after normalizeHeader(); the template header itself
+ * always matches. Numeric columns give the accepted range, where `above` is an
+ * exclusive minimum for values the calculator cannot use at 0; the upper limits
+ * of wood density, BEF and root-shoot ratio are above any published value, so
+ * a value over them is a misread file (e.g. "0,650" read as 650).
+ */
+export const SPECIES_COLUMNS = {
+    'Species Name': { aliases: ['species', 'name', 'scientificname', 'commonname'], required: true, text: true },
+    'Number of Trees': { aliases: ['trees', 'treecount', 'nooftrees', 'numtrees', 'count', 'stems'], required: true, integer: true, min: 1 },
+    'Growth Rate (m³/ha/yr)': { aliases: ['mai', 'meanannualincrement', 'increment', 'growth'], above: 0 },
+    'Wood Density (tdm/m³)': { aliases: ['wooddensity', 'basicdensity', 'wd'], above: 0, max: 1.5 },
+    'BEF': { aliases: ['biomassexpansionfactor'], min: 0, max: 5 },
+    'Root-Shoot Ratio': { aliases: ['rootshoot', 'rsr', 'rs'], min: 0, max: 2 },
+    'Carbon Fraction': { aliases: ['cf'], min: 0, max: 1 },
+    'Survival Rate (%)': { aliases: ['survival'], min: 0, max: 100 },
+    'Annual Mortality (%)': { aliases: ['mortality'], min: 0, max: 100 },
+    'Growth Model': { aliases: ['model'], text: true },
+    'Max Growing Stock (m³/ha)': { aliases: ['maxstock', 'maximumgrowingstock', 'asymptote'], min: 0 },
+    'Growth Rate Constant (k)': { aliases: ['k', 'rateconstant'], min: 0 },
+    'Growth Shape': { aliases: ['shape'], min: 0 },
+    'Site Quality': { aliases: ['quality', 'site'], text: true, siteFactor: 'siteQuality' },
+    'Average Rainfall': { aliases: ['rainfall'], text: true, siteFactor: 'avgRainfall' },
+    'Soil Type': { aliases: ['soil'], text: true, siteFactor: 'soilType' },
+    'Rotation Length (years)': { aliases: ['rotation', 'rotationyears'], integer: true, min: 1 }
+};
+
+/**
+ * Reduce a header to the form aliases are written in
+ * Units in brackets, case, spaces and punctuation are dropped, so
+ * "Growth Rate (m³/ha/yr)" becomes "growthrate" and "No. of trees" "nooftrees".
+ * @param {string} header - Header as written in the file
+ * @returns {string} Normalized header
+ */
+export function normalizeHeader(header) {
+    return String(header)
+        .toLowerCase()
+        .replace(/\([^)]*\)|\[[^\]]*\]/g, '')
+        .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Find the calculator column a header stands for
+ * @param {string} header - Header as written in the file
+ * @returns {string|null} Template header, or null if the column is not used
+ */
+export function matchSpeciesColumn(header) {
+    const normalized = normalizeHeader(header);
+    if (!normalized) return null;
+
+    const match = Object.entries(SPECIES_COLUMNS).find(([name, column]) =>
+        normalizeHeader(name) === normalized || column.aliases.includes(normalized)
+    );
+    return match ? match[0] : null;
+}
+
+/**
+ * Check and convert one value of a known column
+ * @param {string} value - Trimmed value, not empty
+ * @param {string} name - Template header of the column
+ * @param {string} decimalSeparator - ',' or '.'
+ * @param {Object} siteTable - Active site modifier table
+ * @returns {Object} { value, error, warning }; value is the text stored for the species
+ */
+function convertSpeciesValue(value, name, decimalSeparator, siteTable) {
+    const column = SPECIES_COLUMNS[name];
+
+    if (column.text) {
+        if (name === 'Growth Model' && normalizeGrowthModel(value) === GROWTH_MODELS.LINEAR && !/^linear/i.test(value)) {
+            return { value, warning: `Unknown growth model "${value}"; the linear model is used` };
+        }
+        if (column.siteFactor) {
+            const classes = Object.keys(siteTable[column.siteFactor] || {});
+            if (!classes.some(siteClass => siteClass.toLowerCase() === value.toLowerCase())) {
+                return {
+                    value,
+                    warning: `No site modifier for ${SITE_FACTOR_LABELS[column.siteFactor]} "${value}" (known: ${classes.join(', ')}); a factor of 1.0 is used`
+                };
+            }
+        }
+        return { value };
+    }
+
+    const number = parseLocaleNumber(value, decimalSeparator);
+    if (isNaN(number)) {
+        return { error: `"${value}" is not a number` };
+    }
+    if (column.integer && !Number.isInteger(number)) {
+        return { error: `${value} must be a whole number` };
+    }
+    if (column.min !== undefined && number < column.min) {
+        return { error: `${value} is below the minimum of ${column.min}` };
+    }
+    if (column.above !== undefined && number <= column.above) {
+        return { error: `${value} must be more than ${column.above}` };
+    }
+    if (column.max !== undefined && number > column.max) {
+        return { error: `${value} is above the maximum of ${column.max}` };
+    }
+
+    return { value: String(number) };
+}
+
+/**
+ * Parse a species CSV file
+ * @param {string} text - File content
+ * @returns {Object} { speciesData, issues, delimiter, decimalSeparator };
+ *   issues are { line, column, severity: 'error'|'warning', message }, column is null for whole rows
+ * @throws {Error} If the file has no header row, lacks a required column or a quote is not closed
+ */
+export function parseSpeciesCsv(text) {
+    const { rows, delimiter } = parseCsv(text);
+    if (rows.length === 0) {
+        throw new Error('The file is empty');
+    }
+
+    const [headerRow, ...dataRows] = rows;
+    const headers = headerRow.cells.map(header => header.trim());
+    const issues = [];
+
+    // Map each column of the file to a calculator column
+    const columns = headers.map(header => matchSpeciesColumn(header));
+    columns.forEach((name, index) => {
+        if (!headers[index]) return;
+        const firstIndex = columns.indexOf(name);
+        if (name && firstIndex !== index) {
+            throw new Error(`Columns "${headers[firstIndex]}" and "${headers[index]}" both give ${name}`);
+        }
+        if (!name) {
+            issues.push({ line: headerRow.line, column: headers[index], severity: 'warning', message: 'Column is not used by the calculator' });
+        }
+    });
+    Object.entries(SPECIES_COLUMNS).forEach(([name, column]) => {
+        if (column.required && !columns.includes(name)) {
+            const aliases = column.aliases.slice(0, 3).map(alias => `"${alias}"`).join(', ');
+            throw new Error(`Missing required column "${name}" (also recognised: ${aliases})`);
+        }
+    });
+
+    const numericIndexes = columns
+        .map((name, index) => (name && !SPECIES_COLUMNS[name].text ? index : -1))
+        .filter(index => index >= 0);
+    const { separator: decimalSeparator, guessed } = detectDecimalSeparator(
+        dataRows.flatMap(row => numericIndexes.map(index => row.cells[index] ?? '')),
+        delimiter
+    );
+    if (guessed) {
+        issues.push({
+            line: headerRow.line,
+            column: null,
+            severity: 'warning',
+            message: `The numbers do not show which decimal separator the file uses; values such as "1,234" were read with a decimal ${decimalSeparator === ',' ? 'comma' : 'point'}. Check the imported values`
+        });
+    }
+    const siteTable = getSiteModifierTable();
+
+    const speciesData = [];
+    dataRows.forEach(({ line, cells }) => {
+        // Extra empty values come from trailing delimiters
+        const usedCells = cells.length > headers.length && cells.slice(headers.length).every(cell => !cell.trim())
+            ? cells.slice(0, headers.length)
+            : cells;
+        if (usedCells.length !== headers.length) {
+            issues.push({
+                line,
+                column: null,
+                severity: 'error',
+                message: `Row has ${usedCells.length} values but the header has ${headers.length}; quote values that contain "${delimiter === '\t' ? 'tab' : delimiter}"`
+            });
+            return;
+        }
+
+        const species = {};
+        let rowHasError = false;
+        usedCells.forEach((cell, index) => {
+            const value = cell.trim();
+            const name = columns[index];
+            if (!name) {
+                if (headers[index]) species[headers[index]] = value;
+                return;
+            }
+            if (!value) {
+                if (SPECIES_COLUMNS[name].required) {
+                    issues.push({ line, column: headers[index], severity: 'error', message: 'Value is required' });
+                    rowHasError = true;
+                }
+                return;
+            }
+
+            const result = convertSpeciesValue(value, name, decimalSeparator, siteTable);
+            if (result.error) {
+                issues.push({ line, column: headers[index], severity: 'error', message: result.error });
+                rowHasError = true;
+                return;
+            }
+            if (result.warning) {
+                issues.push({ line, column: headers[index], severity: 'warning', message: result.warning });
+            }
+            species[name] = result.value;
+        });
+
+        if (!rowHasError) speciesData.push(species);
+    });
+
+    return { speciesData, issues, delimiter, decimalSeparator };
+}
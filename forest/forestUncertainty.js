@@ -0,0 +1,293 @@
+/**
+ * Monte Carlo uncertainty analysis for forest sequestration
+ *
+ * Each uncertain parameter gets a distribution around its point estimate,
+ * expressed as a relative uncertainty in percent. For a normal distribution
+ * the percentage is the half-width of the 95% confidence interval, as in the
+ * IPCC default ranges; uniform and triangular distributions run from minus to
+ * plus the percentage. Every simulation draws one multiplier per parameter,
+ * runs the full sequestration model and records the creditable stock in each
+ * reporting year. In multi-species projects the same draw is applied to every
+ * species, so their errors are treated as fully correlated.
+ */
+import { calculateSequestration, calculateSequestrationMultiSpecies } from './forestCalcs.js';
+import { createSeededRandom } from '../utils.js';
+
+export const DISTRIBUTIONS = {
+    uniform: 'Uniform',
+    normal: 'Normal',
+    triangular: 'Triangular'
+};
+
+export const DEFAULT_ITERATIONS = 500;
+export const MAX_ITERATIONS = 5000;
+export const DEFAULT_SEED = 1;
+
+// Half-width of the P10-P90 interval (% of P50) accepted without a deduction
+export const DEFAULT_ALLOWABLE_UNCERTAINTY = 10;
+
+// z-score of the 95% confidence interval used to read normal uncertainties
+const NORMAL_95_Z = 1.96;
+
+// Lowest multiplier a draw may take, so no parameter turns zero or negative
+const MIN_MULTIPLIER = 0.01;
+
+/**
+ * Uncertain parameters, their default uncertainty and the species file columns they scale
+ */
+export const UNCERTAIN_PARAMETERS = {
+    growthRate: {
+        label: 'Growth rate / max growing stock',
+        distribution: 'normal',
+        percent: 20,
+        speciesFields: ['Growth Rate (m³/ha/yr)', 'Max Growing Stock (m³/ha)']
+    },
+    woodDensity: {
+        label: 'Wood density',
+        distribution: 'normal',
+        percent: 10,
+        speciesFields: ['Wood Density (tdm/m³)']
+    },
+    bef: {
+        label: 'Biomass expansion factor',
+        distribution: 'triangular',
+        percent: 15,
+        speciesFields: ['BEF']
+    },
+    rsr: {
+        label: 'Root-to-shoot ratio',
+        distribution: 'triangular',
+        percent: 25,
+        speciesFields: ['Root-Shoot Ratio']
+    },
+    carbonFraction: {
+        label: 'Carbon fraction',
+        distribution: 'uniform',
+        percent: 5,
+        speciesFields: ['Carbon Fraction']
+    },
+    survival: {
+        label: 'Survival rate',
+        distribution: 'uniform',
+        percent: 10,
+        speciesFields: ['Survival Rate (%)']
+    }
+};
+
+/**
+ * Default distribution settings for every uncertain parameter
+ * @returns {Object} { [parameter]: { distribution, percent } }
+ */
+export function getDefaultDistributions() {
+    const distributions = {};
+    Object.entries(UNCERTAIN_PARAMETERS).forEach(([key, parameter]) => {
+        distributions[key] = { distribution: parameter.distribution, percent: parameter.percent };
+    });
+    return distributions;
+}
+
+/**
+ * Check the distribution settings
+ * @param {Object} distributions - { [parameter]: { distribution, percent } }
+ * @returns {Array<string>} Error messages, empty if the settings are valid
+ */
+export function validateDistributions(distributions) {
+    const errors = [];
+    Object.entries(distributions || {}).forEach(([key, setting]) => {
+        const label = UNCERTAIN_PARAMETERS[key]?.label || key;
+        if (!UNCERTAIN_PARAMETERS[key]) {
+            errors.push(`Unknown parameter "${key}"`);
+        } else if (!DISTRIBUTIONS[setting.distribution]) {
+            errors.push(`${label}: unknown distribution "${setting.distribution}"`);
+        } else if (isNaN(setting.percent) || setting.percent < 0 || setting.percent > 100) {
+            errors.push(`${label}: uncertainty must be between 0 and 100%`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Draw a multiplier around 1 from a distribution
+ * @param {Object} setting - { distribution, percent }
+ * @param {Function} random - Random number generator returning [0, 1)
+ * @returns {number} Multiplier applied to the point estimate
+ */
+export function sampleMultiplier({ distribution, percent }, random) {
+    const spread = (percent || 0) / 100;
+    if (spread === 0) return 1;
+
+    let multiplier;
+    switch (distribution) {
+        case 'uniform':
+            multiplier = 1 - spread + 2 * spread * random();
+            break;
+        case 'triangular': {
+            // Symmetric triangle from 1 - spread to 1 + spread with its mode at 1
+            const u = random();
+            multiplier = u < 0.5
+                ? 1 - spread + spread * Math.sqrt(2 * u)
+                : 1 + spread - spread * Math.sqrt(2 * (1 - u));
+            break;
+        }
+        default: {
+            // Box-Muller transform; 1 - random() keeps the logarithm finite
+            const z = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+            multiplier = 1 + z * spread / NORMAL_95_Z;
+        }
+    }
+
+    return Math.max(MIN_MULTIPLIER, multiplier);
+}
+
+/**
+ * Scale the inputs of a single-species run by a set of multipliers
+ * @param {Object} inputs - Inputs for calculateSequestration()
+ * @param {Object} multipliers - { [parameter]: multiplier }
+ * @returns {Object} Sampled inputs
+ */
+export function applyMultipliersToInputs(inputs, multipliers) {
+    const survival = Math.min(1, (1 - (inputs.mortalityRate || 0)) * multipliers.survival);
+    return {
+        ...inputs,
+        growthRate: inputs.growthRate * multipliers.growthRate,
+        maxStock: inputs.maxStock === undefined ? undefined : inputs.maxStock * multipliers.growthRate,
+        woodDensity: inputs.woodDensity * multipliers.woodDensity,
+        bef: inputs.bef * multipliers.bef,
+        rsr: inputs.rsr * multipliers.rsr,
+        carbonFraction: Math.min(1, inputs.carbonFraction * multipliers.carbonFraction),
+        mortalityRate: 1 - survival
+    };
+}
+
+/**
+ * Scale every species row by a set of multipliers
+ * Blank columns stay blank; where the model falls back to the form inputs,
+ * those are sampled as well.
+ * @param {Array<Object>} speciesData - Rows as loaded from the species file
+ * @param {Object} multipliers - { [parameter]: multiplier }
+ * @returns {Array<Object>} Sampled species rows
+ */
+export function applyMultipliersToSpecies(speciesData, multipliers) {
+    return speciesData.map(species => {
+        const sampled = { ...species };
+        Object.entries(UNCERTAIN_PARAMETERS).forEach(([key, parameter]) => {
+            parameter.speciesFields.forEach(field => {
+                const value = parseFloat(species[field]);
+                if (isNaN(value)) return;
+                sampled[field] = key === 'survival'
+                    ? Math.min(100, value * multipliers[key])
+                    : value * multipliers[key];
+            });
+        });
+        return sampled;
+    });
+}
+
+/**
+ * Value at a percentile of sorted numbers, interpolating between neighbours
+ * @param {Array<number>} sorted - Values sorted in ascending order
+ * @param {number} percentile - Percentile (0-100)
+ * @returns {number} Value at the percentile
+ */
+export function percentileOf(sorted, percentile) {
+    if (sorted.length === 0) return 0;
+    const position = (sorted.length - 1) * percentile / 100;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Run the Monte Carlo simulation
+ * @param {Object} inputs - Validated form inputs
+ * @param {Array<Object>|null} speciesData - Species rows in multi-species mode, otherwise null
+ * @param {Object} options - Simulation options
+ * @param {Object} [options.distributions] - { [parameter]: { distribution, percent } }
+ * @param {number} [options.iterations=500] - Number of simulations
+ * @param {number} [options.seed=1] - Random seed, so a run can be repeated
+ * @param {Function} [options.onProgress] - Called with (completed, total) during the run
+ * @returns {Object} { years, p10, p50, p90, final, iterations, failedRuns, halfWidthPercent }
+ * @throws {Error} If the settings are invalid or no simulation succeeds
+ */
+export function runMonteCarlo(inputs, speciesData, {
+    distributions = getDefaultDistributions(),
+    iterations = DEFAULT_ITERATIONS,
+    seed = DEFAULT_SEED,
+    onProgress
+} = {}) {
+    const errors = validateDistributions(distributions);
+    if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+    }
+    const runs = Math.round(iterations);
+    if (!(runs >= 1) || runs > MAX_ITERATIONS) {
+        throw new Error(`Number of simulations must be between 1 and ${MAX_ITERATIONS}`);
+    }
+
+    const random = createSeededRandom(seed);
+    const multiSpecies = Array.isArray(speciesData) && speciesData.length > 0;
+    const progressStep = Math.max(1, Math.floor(runs / 20));
+    const samplesByYear = new Map();
+    let failedRuns = 0;
+
+    for (let run = 0; run < runs; run++) {
+        const multipliers = {};
+        Object.keys(UNCERTAIN_PARAMETERS).forEach(key => {
+            multipliers[key] = sampleMultiplier(distributions[key] || { percent: 0 }, random);
+        });
+
+        const sampledInputs = applyMultipliersToInputs(inputs, multipliers);
+        const results = multiSpecies
+            ? calculateSequestrationMultiSpecies(sampledInputs, applyMultipliersToSpecies(speciesData, multipliers))?.totalResults
+            : calculateSequestration(sampledInputs);
+
+        if (!results || results.length === 0) {
+            failedRuns++;
+        } else {
+            results.forEach(row => {
+                if (!samplesByYear.has(row.year)) samplesByYear.set(row.year, []);
+                samplesByYear.get(row.year).push(row.rawCumulativeNetCO2e);
+            });
+        }
+
+        if (onProgress && ((run + 1) % progressStep === 0 || run + 1 === runs)) {
+            onProgress(run + 1, runs);
+        }
+    }
+
+    if (samplesByYear.size === 0) {
+        throw new Error('None of the simulations produced results');
+    }
+
+    const years = Array.from(samplesByYear.keys()).sort((a, b) => a - b);
+    const summary = { years, p10: [], p50: [], p90: [] };
+    years.forEach(year => {
+        const sorted = samplesByYear.get(year).sort((a, b) => a - b);
+        summary.p10.push(percentileOf(sorted, 10));
+        summary.p50.push(percentileOf(sorted, 50));
+        summary.p90.push(percentileOf(sorted, 90));
+    });
+
+    const last = years.length - 1;
+    const final = { p10: summary.p10[last], p50: summary.p50[last], p90: summary.p90[last] };
+
+    return {
+        ...summary,
+        final,
+        iterations: runs,
+        failedRuns,
+        halfWidthPercent: final.p50 > 0 ? (final.p90 - final.p10) / 2 / final.p50 * 100 : 0
+    };
+}
+
+/**
+ * Uncertainty deduction from a simulation summary
+ * Uncertainty above the allowable half-width is deducted from the credits.
+ * @param {Object} summary - Result of runMonteCarlo()
+ * @param {number} [allowablePercent=10] - Half-width (% of P50) accepted without a deduction
+ * @returns {number} Deduction in percent (0-100)
+ */
+export function calculateUncertaintyDeduction(summary, allowablePercent = DEFAULT_ALLOWABLE_UNCERTAINTY) {
+    if (!summary) return 0;
+    return Math.min(100, Math.max(0, summary.halfWidthPercent - allowablePercent));
+}
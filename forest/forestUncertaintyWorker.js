@@ -0,0 +1,24 @@
+/**
+ * Web Worker running the forest Monte Carlo simulation off the main thread
+ *
+ * Receives { inputs, speciesData, distributions, iterations, seed } and posts
+ * progress messages followed by the summary from runMonteCarlo().
+ */
+import { runMonteCarlo } from './forestUncertainty.js';
+
+self.addEventListener('message', event => {
+    const { inputs, speciesData, distributions, iterations, seed } = event.data || {};
+
+    try {
+        const summary = runMonteCarlo(inputs, speciesData, {
+            distributions,
+            iterations,
+            seed,
+            onProgress: (completed, total) => self.postMessage({ type: 'progress', completed, total })
+        });
+        self.postMessage({ type: 'complete', summary });
+    } catch (error) {
+        console.error('Error running uncertainty analysis:', error);
+        self.postMessage({ type: 'error', message: error.message });
+    }
+});
@@ -9,6 +9,9 @@ import { analytics } from './analytics.js';
 // Import module initializers
 import { setupAfforestationCalculator } from './forest/forestMain.js';
 import { setupWaterCalculator } from './water/waterMain.js';
+import { setupCurrencySettings } from './currency.js';
+import { setupProjectWorkspace } from './workspace.js';
+import { setupShareLinks } from './shareLink.js';
 
 // Initialize forest calculator immediately
 let forestInitialized = false;
@@ -192,6 +195,13 @@ class AppMain {
      * @private
      */
     _registerModules() {
+        // Currency settings are shared by both calculators
+        this._registerModule('currency', {
+            id: 'currencySettings',
+            setup: setupCurrencySettings,
+            config: {}
+        });
+        
         // Register forest calculator if enabled in config
         if (config.get('modules.forest.enabled', true)) {
             // Explicitly initialize the forest event system first
@@ -218,6 +228,28 @@ class AppMain {
                 config: config.loadModuleConfig('water')
             });
         }
+        
+        const getCalculators = () => ({
+            forest: this.modules.get('forest')?.instance || window.forestCalculator || null,
+            water: this.modules.get('water')?.instance || null
+        });
+        
+        // The project workspace saves and restores both calculators, so it is set up after them
+        this._registerModule('workspace', {
+            id: 'projectWorkspace',
+            setup: setupProjectWorkspace,
+            config: { getCalculators }
+        });
+        
+        // A shared link is opened last, so its inputs are what the calculator shows
+        this._registerModule('shareLinks', {
+            id: 'shareLinks',
+            setup: setupShareLinks,
+            config: {
+                getCalculators,
+                getWorkspace: () => this.modules.get('workspace')?.instance || null
+            }
+        });
     }
     
     /**
@@ -0,0 +1,300 @@
+/**
+ * Project files (.arproj) for handing a calculation to someone else or archiving it
+ *
+ * A project file is JSON with this layout:
+ *   { format, schemaVersion, appVersion, exportedAt, project, results }
+ * `project` holds the forest and water state exactly as the workspace stores
+ * it: form values, cost lines, species rows, the site modifier table,
+ * scenarios and notes. `results` holds the yearly result series of each
+ * calculator and a checksum of them, so after an import the recalculated
+ * results can be checked against the ones in the file.
+ *
+ * Files and stored projects from older schema versions are migrated forward
+ * one version at a time before they are validated.
+ */
+import config from './config.js';
+
+export const PROJECT_FILE_FORMAT = 'ar-project';
+export const PROJECT_FILE_EXTENSION = '.arproj';
+export const PROJECT_SCHEMA_VERSION = 2;
+
+/**
+ * Migrations from each schema version to the next
+ * Version 1 projects were stored by the workspace before the schema was
+ * versioned and without the site modifier table. Leaving the table out means
+ * the table on this device is kept when such a project is opened.
+ */
+const PROJECT_MIGRATIONS = {
+    1: project => project
+};
+
+// Schema of the current version; properties are required unless marked optional
+const FIELD_VALUES_SCHEMA = { type: 'object', values: { type: ['string', 'boolean'] } };
+const COST_LINES_SCHEMA = { type: 'array', items: { type: 'object', values: { type: ['string', 'number'], nullable: true } } };
+const SCENARIOS_SCHEMA = {
+    type: 'object',
+    nullable: true,
+    properties: {
+        scenarios: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    metrics: { type: 'object', values: { type: 'number', nullable: true } }
+                }
+            }
+        },
+        referenceId: { type: 'string', nullable: true }
+    }
+};
+
+// Uploaded rainfall of the water calculator
+const RAINFALL_SERIES_SCHEMA = {
+    type: 'object',
+    nullable: true,
+    optional: true,
+    properties: {
+        name: { type: 'string' },
+        values: { type: 'array', items: { type: 'number' } }
+    }
+};
+
+// State of each calculator, as returned by its getProjectState()
+export const CALCULATOR_STATE_SCHEMAS = {
+    forest: {
+        type: 'object',
+        nullable: true,
+        properties: {
+            fields: FIELD_VALUES_SCHEMA,
+            costLines: COST_LINES_SCHEMA,
+            speciesData: { type: 'array', nullable: true, items: { type: 'object' } },
+            siteModifiers: { type: 'object', nullable: true, optional: true },
+            scenarios: SCENARIOS_SCHEMA,
+            calculated: { type: 'boolean' }
+        }
+    },
+    water: {
+        type: 'object',
+        nullable: true,
+        properties: {
+            fields: FIELD_VALUES_SCHEMA,
+            costLines: COST_LINES_SCHEMA,
+            rainfallSeries: RAINFALL_SERIES_SCHEMA,
+            annualRainfallSeries: RAINFALL_SERIES_SCHEMA,
+            scenarios: SCENARIOS_SCHEMA,
+            calculated: { type: 'boolean' }
+        }
+    }
+};
+
+const SERIES_SCHEMA = {
+    type: 'array',
+    nullable: true,
+    items: { type: 'object', properties: { year: { type: 'number' }, value: { type: 'number' } } }
+};
+
+export const PROJECT_FILE_SCHEMA = {
+    type: 'object',
+    properties: {
+        format: { type: 'string', enum: [PROJECT_FILE_FORMAT] },
+        schemaVersion: { type: 'number' },
+        appVersion: { type: 'string' },
+        exportedAt: { type: 'string' },
+        project: {
+            type: 'object',
+            properties: {
+                name: { type: 'string' },
+                notes: { type: 'string', optional: true },
+                baseCurrency: { type: 'string', nullable: true, optional: true },
+                forest: CALCULATOR_STATE_SCHEMAS.forest,
+                water: CALCULATOR_STATE_SCHEMAS.water
+            }
+        },
+        results: {
+            type: 'object',
+            optional: true,
+            properties: {
+                forest: SERIES_SCHEMA,
+                water: SERIES_SCHEMA,
+                checksum: { type: 'string' }
+            }
+        }
+    }
+};
+
+/**
+ * Check a value against a schema
+ * Supported keywords: type (a type name or a list of them, with 'array' and
+ * 'object' kept apart), nullable, optional, enum, properties (known keys),
+ * values (schema of every value of an object) and items (array elements).
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema
+ * @param {string} [path='file'] - Location used in error messages
+ * @returns {Array<string>} Error messages, empty if the value matches
+ */
+export function validateAgainstSchema(value, schema, path = 'file') {
+    if (value === null) {
+        return schema.nullable ? [] : [`${path} must not be empty`];
+    }
+
+    const actualType = Array.isArray(value) ? 'array' : typeof value;
+    const allowedTypes = [].concat(schema.type);
+    if (!allowedTypes.includes(actualType) || (actualType === 'number' && !isFinite(value))) {
+        return [`${path} must be ${allowedTypes.join(' or ')}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${path} must be one of: ${schema.enum.join(', ')}`];
+    }
+
+    const errors = [];
+    if (actualType === 'object') {
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] === undefined) {
+                if (!propertySchema.optional) errors.push(`${path}.${key} is missing`);
+                return;
+            }
+            errors.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+        });
+        if (schema.values) {
+            Object.entries(value).forEach(([key, item]) => {
+                errors.push(...validateAgainstSchema(item, schema.values, `${path}.${key}`));
+            });
+        }
+    } else if (actualType === 'array' && schema.items) {
+        value.forEach((item, index) => {
+            errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Bring a project from an older schema version up to the current one
+ * @param {Object} project - Project; stored projects without a version are version 1
+ * @param {number} [version] - Schema version of the project
+ * @returns {Object} Project at the current schema version
+ * @throws {Error} If the project comes from a newer version of the app
+ */
+export function migrateProject(project, version = project.schemaVersion || 1) {
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`Unknown project schema version "${version}"`);
+    }
+    if (version > PROJECT_SCHEMA_VERSION) {
+        throw new Error(`This project was saved by a newer version of the calculator (schema ${version}). Please update the app to open it.`);
+    }
+
+    let migrated = project;
+    for (let from = version; from < PROJECT_SCHEMA_VERSION; from++) {
+        migrated = PROJECT_MIGRATIONS[from](migrated);
+    }
+    return { ...migrated, schemaVersion: PROJECT_SCHEMA_VERSION };
+}
+
+/**
+ * Checksum of the result series (FNV-1a, 32 bit)
+ * Values are rounded to 6 decimals so the checksum does not depend on the
+ * last digits of floating-point arithmetic.
+ * @param {Object} results - { forest, water }, each [{ year, value }] or null
+ * @returns {string} Checksum as 8 hexadecimal digits
+ */
+export function calculateResultsChecksum({ forest = null, water = null } = {}) {
+    const round = series => (series ? series.map(({ year, value }) => [year, Number(value).toFixed(6)]) : null);
+    const text = JSON.stringify({ forest: round(forest), water: round(water) });
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Build a project file
+ * @param {Object} project - Project with name, notes, baseCurrency, forest and water
+ * @param {Object} results - { forest, water } result series, each [{ year, value }] or null
+ * @returns {Object} Project file contents
+ */
+export function buildProjectFile(project, results = {}) {
+    const { name, notes = '', baseCurrency = null, forest = null, water = null } = project;
+    const series = { forest: results.forest || null, water: results.water || null };
+
+    return {
+        format: PROJECT_FILE_FORMAT,
+        schemaVersion: PROJECT_SCHEMA_VERSION,
+        appVersion: config.get('app.version', 'unknown'),
+        exportedAt: new Date().toISOString(),
+        project: JSON.parse(JSON.stringify({ name, notes, baseCurrency, forest, water })),
+        results: { ...series, checksum: calculateResultsChecksum(series) }
+    };
+}
+
+/**
+ * Read a project file, migrating and validating it
+ * @param {string} text - File contents
+ * @returns {Object} { project, results, appVersion }
+ * @throws {Error} If the file is not a valid project file
+ */
+export function parseProjectFile(text) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The file is not valid JSON');
+    }
+
+    if (!file || typeof file !== 'object' || file.format !== PROJECT_FILE_FORMAT) {
+        throw new Error(`The file is not a ${PROJECT_FILE_EXTENSION} project file`);
+    }
+
+    const migrated = { ...file, project: migrateProject(file.project || {}, file.schemaVersion), schemaVersion: PROJECT_SCHEMA_VERSION };
+    delete migrated.project.schemaVersion;
+
+    const errors = validateAgainstSchema(migrated, PROJECT_FILE_SCHEMA);
+    if (errors.length > 0) {
+        const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : '';
+        throw new Error(`Invalid project file: ${errors.slice(0, 5).join('; ')}${more}`);
+    }
+
+    return { project: migrated.project, results: migrated.results || null, appVersion: migrated.appVersion };
+}
+
+/**
+ * Compare recalculated results with the ones stored in a project file
+ * @param {Object|null} fileResults - results from parseProjectFile()
+ * @param {Object} currentResults - { forest, water } series after recalculating
+ * @returns {Object} { checked, matches, expected, actual }
+ */
+export function verifyProjectResults(fileResults, currentResults) {
+    if (!fileResults || (!fileResults.forest && !fileResults.water)) {
+        return { checked: false, matches: false, expected: null, actual: null };
+    }
+
+    const actual = calculateResultsChecksum(currentResults);
+    return { checked: true, matches: actual === fileResults.checksum, expected: fileResults.checksum, actual };
+}
+
+/**
+ * Offer a project file for download
+ * @param {Object} file - Result of buildProjectFile()
+ * @returns {string} File name used
+ */
+export function downloadProjectFile(file) {
+    const baseName = (file.project.name || 'project').trim().replace(/[^a-z0-9-_]+/gi, '_').replace(/^_+|_+$/g, '') || 'project';
+    const filename = `${baseName}${PROJECT_FILE_EXTENSION}`;
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+
+    const downloadLink = document.createElement('a');
+    downloadLink.download = filename;
+    downloadLink.href = URL.createObjectURL(blob);
+    downloadLink.style.display = 'none';
+    document.body.appendChild(downloadLink);
+    downloadLink.click();
+    document.body.removeChild(downloadLink);
+    URL.revokeObjectURL(downloadLink.href);
+
+    return filename;
+}
@@ -0,0 +1,258 @@
+/**
+ * Local storage of projects
+ *
+ * A project holds the forest and water inputs, the species list, the saved
+ * scenarios and free-text notes. Projects can grow large with species lists
+ * and scenarios, so they are kept in IndexedDB; only the ID of the project
+ * last worked on is kept in web storage.
+ */
+import { StorageManager, Logger, generateUUID } from './utils.js';
+import { PROJECT_SCHEMA_VERSION } from './projectFile.js';
+
+const DB_NAME = 'ARProjectWorkspace';
+const DB_VERSION = 1;
+const PROJECT_STORE = 'projects';
+const CURRENT_PROJECT_KEY = 'currentProjectId';
+
+// Emitted by the calculators when their state changes outside a form field
+// (a calculation, a reset or a scenario), so the workspace can autosave
+export const PROJECT_STATE_CHANGED_EVENT = 'project:state-changed';
+
+/**
+ * An empty project
+ * @param {string} name - Project name
+ * @returns {Object} Project
+ */
+export function createEmptyProject(name) {
+    const now = new Date().toISOString();
+    return {
+        id: generateUUID(),
+        schemaVersion: PROJECT_SCHEMA_VERSION,
+        name,
+        createdAt: now,
+        updatedAt: now,
+        notes: '',
+        baseCurrency: null,
+        forest: null,
+        water: null
+    };
+}
+
+/**
+ * Projects kept in IndexedDB
+ */
+export class ProjectStore {
+    /**
+     * @param {Object} [options] - Store options
+     * @param {string} [options.dbName] - IndexedDB database name
+     * @param {StorageManager} [options.storage] - Storage for the current project ID
+     */
+    constructor(options = {}) {
+        this.dbName = options.dbName || DB_NAME;
+        this.storage = options.storage || new StorageManager();
+        this.dbPromise = null;
+    }
+
+    /**
+     * Whether IndexedDB can be used in this browser
+     * @returns {boolean} True if available
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    /**
+     * Open the database, creating the project store on first use
+     * @returns {Promise<IDBDatabase>} Open database
+     * @private
+     */
+    _open() {
+        if (!this.isAvailable()) {
+            return Promise.reject(new Error('Project storage is not available in this browser'));
+        }
+
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, DB_VERSION);
+
+                request.onupgradeneeded = (event) => {
+                    const db = event.target.result;
+                    if (!db.objectStoreNames.contains(PROJECT_STORE)) {
+                        const store = db.createObjectStore(PROJECT_STORE, { keyPath: 'id' });
+                        store.createIndex('updatedAt', 'updatedAt');
+                    }
+                };
+
+                request.onsuccess = (event) => resolve(event.target.result);
+
+                request.onerror = (event) => {
+                    Logger.error('IndexedDB error', event);
+                    // Allow another attempt, e.g. after the user grants storage access
+                    this.dbPromise = null;
+                    reject(new Error('Could not open project storage'));
+                };
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one request against the project store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - (store) => IDBRequest
+     * @returns {Promise<*>} Result of the request
+     * @private
+     */
+    async _request(mode, makeRequest) {
+        const db = await this._open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(PROJECT_STORE, mode);
+            const request = makeRequest(transaction.objectStore(PROJECT_STORE));
+
+            // Resolve once the transaction is committed, not just when the request succeeds
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || new Error('Project storage request failed'));
+            transaction.onabort = () => reject(transaction.error || new Error('Project storage request was aborted'));
+        });
+    }
+
+    /**
+     * List the stored projects, most recently saved first
+     * @returns {Promise<Array<Object>>} Summaries { id, name, createdAt, updatedAt }
+     */
+    async list() {
+        const projects = await this._request('readonly', store => store.getAll());
+        return (projects || [])
+            .map(({ id, name, createdAt, updatedAt }) => ({ id, name, createdAt, updatedAt }))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * Load a project
+     * @param {string} id - Project ID
+     * @returns {Promise<Object|null>} Project, or null if there is none with this ID
+     */
+    async get(id) {
+        const project = await this._request('readonly', store => store.get(id));
+        return project || null;
+    }
+
+    /**
+     * Create and store an empty project
+     * @param {string} name - Project name
+     * @returns {Promise<Object>} New project
+     * @throws {Error} If the name is empty
+     */
+    async create(name) {
+        const project = createEmptyProject(this._checkName(name));
+        await this._request('readwrite', store => store.add(project));
+        Logger.info(`Created project "${project.name}"`);
+        return project;
+    }
+
+    /**
+     * Store a project, stamping the time it was saved
+     * @param {Object} project - Project to store
+     * @returns {Promise<Object>} Stored project
+     */
+    async save(project) {
+        const saved = { ...project, updatedAt: new Date().toISOString() };
+        await this._request('readwrite', store => store.put(saved));
+        return saved;
+    }
+
+    /**
+     * Rename a project
+     * @param {string} id - Project ID
+     * @param {string} name - New name
+     * @returns {Promise<Object>} Renamed project
+     * @throws {Error} If the project does not exist or the name is empty
+     */
+    async rename(id, name) {
+        const project = await this._getExisting(id);
+        return this.save({ ...project, name: this._checkName(name) });
+    }
+
+    /**
+     * Copy a project under a new ID
+     * @param {string} id - Project ID
+     * @param {string} [name] - Name of the copy; defaults to "<name> (copy)"
+     * @returns {Promise<Object>} The copy
+     * @throws {Error} If the project does not exist
+     */
+    async duplicate(id, name) {
+        const project = await this._getExisting(id);
+        const copy = {
+            ...JSON.parse(JSON.stringify(project)),
+            id: generateUUID(),
+            name: name ? this._checkName(name) : `${project.name} (copy)`,
+            createdAt: new Date().toISOString()
+        };
+        return this.save(copy);
+    }
+
+    /**
+     * Delete a project
+     * @param {string} id - Project ID
+     * @returns {Promise<void>}
+     */
+    async delete(id) {
+        await this._request('readwrite', store => store.delete(id));
+        if (this.getCurrentProjectId() === id) {
+            this.setCurrentProjectId(null);
+        }
+        Logger.info(`Deleted project ${id}`);
+    }
+
+    /**
+     * ID of the project last worked on
+     * @returns {string|null} Project ID
+     */
+    getCurrentProjectId() {
+        return this.storage.getItem(CURRENT_PROJECT_KEY, null);
+    }
+
+    /**
+     * Remember the project being worked on
+     * @param {string|null} id - Project ID, or null to forget it
+     */
+    setCurrentProjectId(id) {
+        if (id) {
+            this.storage.setItem(CURRENT_PROJECT_KEY, id);
+        } else {
+            this.storage.removeItem(CURRENT_PROJECT_KEY);
+        }
+    }
+
+    /**
+     * Load a project that must exist
+     * @param {string} id - Project ID
+     * @returns {Promise<Object>} Project
+     * @throws {Error} If the project does not exist
+     * @private
+     */
+    async _getExisting(id) {
+        const project = await this.get(id);
+        if (!project) {
+            throw new Error('Project not found');
+        }
+        return project;
+    }
+
+    /**
+     * Check a project name
+     * @param {string} name - Name entered by the user
+     * @returns {string} Trimmed name
+     * @throws {Error} If the name is empty
+     * @private
+     */
+    _checkName(name) {
+        const trimmedName = (name || '').trim();
+        if (!trimmedName) {
+            throw new Error('Please enter a project name');
+        }
+        return trimmedName;
+    }
+}
@@ -0,0 +1,326 @@
+/**
+ * Named scenarios shared by the forest and water calculators
+ *
+ * A scenario is a snapshot of the inputs and the headline results of one
+ * calculation. Saved scenarios are compared in a table, with the difference
+ * of each scenario from the chosen reference scenario, and their yearly
+ * series are overlaid on one chart. Amounts are stored in the base currency
+ * and formatted when displayed.
+ */
+import { formatNumber, escapeHtml } from './utils.js';
+
+export const MAX_SCENARIOS = 6;
+
+// Line colours for the scenarios, in the order they were saved
+const SCENARIO_COLORS = [
+    'rgb(5, 150, 105)',
+    'rgb(37, 99, 235)',
+    'rgb(217, 119, 6)',
+    'rgb(220, 38, 38)',
+    'rgb(124, 58, 237)',
+    'rgb(75, 85, 99)'
+];
+
+/**
+ * Saved scenarios of one calculator and the reference they are compared against
+ */
+export class ScenarioStore {
+    /**
+     * @param {number} [maxScenarios=6] - Most scenarios kept at one time
+     */
+    constructor(maxScenarios = MAX_SCENARIOS) {
+        this.maxScenarios = maxScenarios;
+        this.scenarios = [];
+        this.referenceId = null;
+        this.nextId = 1;
+    }
+
+    /**
+     * Save a scenario; saving under an existing name replaces that scenario
+     * @param {Object} scenario - Scenario contents
+     * @param {string} scenario.name - Scenario name
+     * @param {Object} scenario.inputs - Inputs of the calculation
+     * @param {Object} scenario.metrics - { [metric]: number|null }
+     * @param {Object} [scenario.series] - { years, values } drawn on the comparison chart
+     * @returns {Object} The saved scenario
+     * @throws {Error} If the name is empty or the store is full
+     */
+    save({ name, inputs, metrics, series = null }) {
+        const trimmedName = (name || '').trim();
+        if (!trimmedName) {
+            throw new Error('Please enter a scenario name');
+        }
+
+        const existing = this.scenarios.find(scenario => scenario.name === trimmedName);
+        if (!existing && this.scenarios.length >= this.maxScenarios) {
+            throw new Error(`At most ${this.maxScenarios} scenarios can be compared; remove one first`);
+        }
+
+        // Copy the inputs so later edits to the form do not change the snapshot
+        const scenario = {
+            id: existing ? existing.id : `scenario-${this.nextId++}`,
+            name: trimmedName,
+            savedAt: new Date().toISOString(),
+            inputs: JSON.parse(JSON.stringify(inputs || {})),
+            metrics: { ...metrics },
+            series
+        };
+
+        if (existing) {
+            this.scenarios[this.scenarios.indexOf(existing)] = scenario;
+        } else {
+            this.scenarios.push(scenario);
+        }
+        if (!this.referenceId) this.referenceId = scenario.id;
+
+        return scenario;
+    }
+
+    /**
+     * Remove a scenario; the first remaining scenario becomes the reference if needed
+     * @param {string} id - Scenario ID
+     */
+    remove(id) {
+        this.scenarios = this.scenarios.filter(scenario => scenario.id !== id);
+        if (this.referenceId === id) {
+            this.referenceId = this.scenarios.length > 0 ? this.scenarios[0].id : null;
+        }
+    }
+
+    /**
+     * Choose the scenario the others are compared against
+     * @param {string} id - Scenario ID
+     */
+    setReference(id) {
+        if (this.scenarios.some(scenario => scenario.id === id)) {
+            this.referenceId = id;
+        }
+    }
+
+    /**
+     * Saved scenarios in the order they were saved
+     * @returns {Array<Object>} Scenarios
+     */
+    list() {
+        return [...this.scenarios];
+    }
+
+    /**
+     * Remove every scenario
+     */
+    clear() {
+        this.scenarios = [];
+        this.referenceId = null;
+    }
+
+    /**
+     * Plain copy of the store for saving with a project
+     * @returns {Object} { scenarios, referenceId }
+     */
+    serialize() {
+        return JSON.parse(JSON.stringify({ scenarios: this.scenarios, referenceId: this.referenceId }));
+    }
+
+    /**
+     * Replace the scenarios with ones saved by serialize()
+     * @param {Object|null} data - Saved store, or null to clear it
+     */
+    restore(data) {
+        this.scenarios = Array.isArray(data?.scenarios) ? data.scenarios.slice(0, this.maxScenarios) : [];
+        this.referenceId = this.scenarios.some(scenario => scenario.id === data?.referenceId)
+            ? data.referenceId
+            : (this.scenarios[0]?.id || null);
+
+        // Carry on numbering after the highest restored ID
+        this.nextId = this.scenarios.reduce((next, scenario) => {
+            const number = parseInt(String(scenario.id).replace('scenario-', ''), 10);
+            return isNaN(number) ? next : Math.max(next, number + 1);
+        }, 1);
+    }
+}
+
+/**
+ * Compare every scenario with the reference scenario
+ * @param {Array<Object>} scenarios - Saved scenarios
+ * @param {string} referenceId - ID of the reference scenario
+ * @param {Array<string>} metricKeys - Metrics to compare
+ * @returns {Array<Object>} One row per metric: { key, values[{ id, value, delta, deltaPercent }] }
+ */
+export function compareScenarios(scenarios, referenceId, metricKeys) {
+    const reference = scenarios.find(scenario => scenario.id === referenceId) || scenarios[0];
+    const valueOf = (scenario, key) => {
+        const value = scenario?.metrics[key];
+        return typeof value === 'number' && isFinite(value) ? value : null;
+    };
+
+    return metricKeys.map(key => {
+        const referenceValue = valueOf(reference, key);
+        return {
+            key,
+            values: scenarios.map(scenario => {
+                const value = valueOf(scenario, key);
+                const delta = value === null || referenceValue === null ? null : value - referenceValue;
+                return {
+                    id: scenario.id,
+                    value,
+                    delta,
+                    deltaPercent: delta === null || referenceValue === 0 ? null : delta / Math.abs(referenceValue) * 100
+                };
+            })
+        };
+    });
+}
+
+/**
+ * Render the scenario comparison table and chart into a results panel
+ * Choosing a reference or removing a scenario re-renders the panel.
+ * @param {HTMLElement} panel - Container for the panel contents
+ * @param {ScenarioStore} store - Saved scenarios
+ * @param {Object} options - Display options
+ * @param {Object} options.metrics - { [metric]: { label, format } }; format turns a value into text
+ * @param {Object} [options.chart] - { title, yLabel } of the overlaid series chart
+ * @param {Function} [options.onChange] - Called after a scenario is removed or the reference is changed
+ */
+export function renderScenarioComparison(panel, store, { metrics, chart = {}, onChange } = {}) {
+    if (!panel) return;
+
+    // The canvas is replaced below, so release the chart drawn on it first
+    const previousCanvas = panel.querySelector('canvas');
+    if (previousCanvas) window.Chart?.getChart?.(previousCanvas)?.destroy();
+
+    const scenarios = store.list();
+    if (scenarios.length === 0) {
+        panel.classList.add('hidden');
+        panel.innerHTML = '';
+        return;
+    }
+
+    const metricKeys = Object.keys(metrics);
+    const comparison = compareScenarios(scenarios, store.referenceId, metricKeys);
+    const show = (value, format) => (value === null ? '-' : format(value));
+
+    const referenceOptions = scenarios
+        .map(scenario => `<option value="${escapeHtml(scenario.id)}"${scenario.id === store.referenceId ? ' selected' : ''}>${escapeHtml(scenario.name)}</option>`)
+        .join('');
+    const headers = scenarios.map(scenario => `
+                        <th>
+                            ${escapeHtml(scenario.name)}${scenario.id === store.referenceId ? ' (reference)' : ''}
+                            <button type="button" class="btn btn-outline btn-sm" data-scenario-remove="${escapeHtml(scenario.id)}" title="Remove scenario">&times;</button>
+                        </th>`).join('');
+    const rows = comparison.map(row => {
+        const { label, format } = metrics[row.key];
+        const cells = row.values.map(cell => {
+            if (cell.id === store.referenceId || cell.delta === null) {
+                return `<td>${show(cell.value, format)}</td>`;
+            }
+            const sign = cell.delta > 0 ? '+' : '';
+            const percent = cell.deltaPercent === null ? '' : ` (${sign}${formatNumber(cell.deltaPercent, 1)}%)`;
+            return `<td>${show(cell.value, format)}<div class="text-sm text-gray-500">${sign}${format(cell.delta)}${percent}</div></td>`;
+        }).join('');
+        return `
+                    <tr>
+                        <td>${label}</td>${cells}
+                    </tr>`;
+    }).join('');
+
+    panel.innerHTML = `
+        <div class="form-group">
+            <label class="label">Compare Against</label>
+            <select class="input" data-scenario-reference>${referenceOptions}</select>
+        </div>
+        <div class="table-container mb-4">
+            <table class="scenario-table">
+                <thead>
+                    <tr>
+                        <th>Result</th>${headers}
+                    </tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+            </table>
+        </div>
+        <div class="chart-container">
+            <canvas></canvas>
+        </div>`;
+    panel.classList.remove('hidden');
+
+    const rerender = () => renderScenarioComparison(panel, store, { metrics, chart, onChange });
+    panel.querySelector('[data-scenario-reference]').addEventListener('change', event => {
+        store.setReference(event.target.value);
+        rerender();
+        if (onChange) onChange();
+    });
+    panel.querySelectorAll('[data-scenario-remove]').forEach(button => {
+        button.addEventListener('click', () => {
+            store.remove(button.dataset.scenarioRemove);
+            rerender();
+            if (onChange) onChange();
+        });
+    });
+
+    renderScenarioChart(panel.querySelector('canvas'), scenarios, chart);
+}
+
+/**
+ * Overlay the yearly series of every scenario on one line chart
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on
+ * @param {Array<Object>} scenarios - Saved scenarios
+ * @param {Object} options - Chart options
+ * @param {string} [options.title] - Chart title
+ * @param {string} [options.yLabel] - Y-axis title
+ */
+function renderScenarioChart(canvas, scenarios, { title = 'Scenario Comparison', yLabel = '' }) {
+    const withSeries = scenarios.filter(scenario => scenario.series && scenario.series.years.length > 0);
+    if (!canvas || !window.Chart || withSeries.length === 0) {
+        console.warn('Scenario chart canvas, Chart.js or scenario series not available');
+        return;
+    }
+
+    // Scenarios may differ in duration or reporting interval, so plot against every year any of them has
+    const years = Array.from(new Set(withSeries.flatMap(scenario => scenario.series.years))).sort((a, b) => a - b);
+
+    new window.Chart(canvas.getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: years,
+            datasets: withSeries.map(scenario => {
+                const color = SCENARIO_COLORS[scenarios.indexOf(scenario) % SCENARIO_COLORS.length];
+                const valuesByYear = new Map(scenario.series.years.map((year, index) => [year, scenario.series.values[index]]));
+                return {
+                    label: scenario.name,
+                    data: years.map(year => (valuesByYear.has(year) ? valuesByYear.get(year) : null)),
+                    borderColor: color,
+                    backgroundColor: color,
+                    fill: false,
+                    spanGaps: true,
+                    tension: 0.1
+                };
+            })
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                title: {
+                    display: true,
+                    text: title
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Year'
+                    }
+                },
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: !!yLabel,
+                        text: yLabel
+                    }
+                }
+            }
+        }
+    });
+}
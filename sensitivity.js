@@ -0,0 +1,196 @@
+/**
+ * One-at-a-time sensitivity analysis shared by the forest and water calculators
+ *
+ * Each input is moved down and up by the same percentage while every other
+ * input keeps its value. The change in each output metric is recorded, and
+ * the inputs are ranked by the swing between the low and the high run. The
+ * result is shown as a tornado chart and a table.
+ */
+import { formatNumber } from './utils.js';
+
+export const DEFAULT_SENSITIVITY_PERCENT = 20;
+export const MAX_SENSITIVITY_PERCENT = 90;
+
+/**
+ * Run the model once at the base values and twice per parameter
+ * @param {Array<Object>} parameters - Parameters to perturb, each { key, label }
+ * @param {Function} evaluate - (key, factor) => { [metric]: number|null }; key is null for the base run
+ * @param {number} [percent=20] - Perturbation in percent
+ * @returns {Object} { percent, base, rows[{ key, label, low, high }] }
+ * @throws {Error} If the percentage is out of range
+ */
+export function runSensitivityAnalysis(parameters, evaluate, percent = DEFAULT_SENSITIVITY_PERCENT) {
+    if (isNaN(percent) || percent <= 0 || percent > MAX_SENSITIVITY_PERCENT) {
+        throw new Error(`Perturbation must be greater than 0 and at most ${MAX_SENSITIVITY_PERCENT}%`);
+    }
+
+    const base = evaluate(null, 1);
+    const rows = parameters.map(({ key, label }) => ({
+        key,
+        label,
+        low: evaluate(key, 1 - percent / 100),
+        high: evaluate(key, 1 + percent / 100)
+    }));
+
+    return { percent, base, rows };
+}
+
+/**
+ * Rank the parameters by their effect on one metric
+ * Parameters that leave the metric undefined are listed last.
+ * @param {Object} analysis - Result of runSensitivityAnalysis()
+ * @param {string} metric - Metric key
+ * @returns {Array<Object>} Rows with { key, label, low, high, swing }, largest swing first
+ */
+export function rankSensitivity(analysis, metric) {
+    const valueOf = outputs => {
+        const value = outputs ? outputs[metric] : null;
+        return typeof value === 'number' && isFinite(value) ? value : null;
+    };
+
+    return analysis.rows
+        .map(row => {
+            const low = valueOf(row.low);
+            const high = valueOf(row.high);
+            return {
+                key: row.key,
+                label: row.label,
+                low,
+                high,
+                swing: low === null || high === null ? null : Math.abs(high - low)
+            };
+        })
+        .sort((a, b) => (b.swing ?? -1) - (a.swing ?? -1));
+}
+
+/**
+ * Render a sensitivity analysis into a results panel
+ * The metric selector re-ranks the chart and the table.
+ * @param {HTMLElement} panel - Container for the panel contents
+ * @param {Object|null} analysis - Result of runSensitivityAnalysis(), or null to hide the panel
+ * @param {Object} options - Display options
+ * @param {Object} options.metrics - { [metric]: { label, format } }; format turns a value into text
+ * @param {string} [options.selectedMetric] - Metric to rank by; defaults to the first one
+ */
+export function renderSensitivityPanel(panel, analysis, { metrics, selectedMetric } = {}) {
+    if (!panel) return;
+
+    // The canvas is replaced below, so release the chart drawn on it first
+    const previousCanvas = panel.querySelector('canvas');
+    if (previousCanvas) window.Chart?.getChart?.(previousCanvas)?.destroy();
+
+    if (!analysis) {
+        panel.classList.add('hidden');
+        panel.innerHTML = '';
+        return;
+    }
+
+    const metricKeys = Object.keys(metrics);
+    const metric = metrics[selectedMetric] ? selectedMetric : metricKeys[0];
+    const { format, label } = metrics[metric];
+    const ranked = rankSensitivity(analysis, metric);
+    const show = value => (value === null || value === undefined ? '-' : format(value));
+
+    const options = metricKeys
+        .map(key => `<option value="${key}"${key === metric ? ' selected' : ''}>${metrics[key].label}</option>`)
+        .join('');
+    const rows = ranked.map(row => `
+                <tr>
+                    <td>${row.label}</td>
+                    <td>${show(row.low)}</td>
+                    <td>${show(row.high)}</td>
+                    <td>${show(row.swing)}</td>
+                </tr>`).join('');
+
+    panel.innerHTML = `
+        <div class="form-group">
+            <label class="label">Rank By</label>
+            <select class="input" data-sensitivity-metric>${options}</select>
+        </div>
+        <p class="text-sm text-gray-500">Base case ${label}: ${show(analysis.base[metric])}. Each input is moved by ±${formatNumber(analysis.percent, 0)}% with all others held at their values.</p>
+        <div class="chart-container mb-4">
+            <canvas></canvas>
+        </div>
+        <div class="table-container">
+            <table class="sensitivity-table">
+                <thead>
+                    <tr>
+                        <th>Input</th>
+                        <th>${label} at -${formatNumber(analysis.percent, 0)}%</th>
+                        <th>${label} at +${formatNumber(analysis.percent, 0)}%</th>
+                        <th>Swing</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+            </table>
+        </div>`;
+    panel.classList.remove('hidden');
+
+    panel.querySelector('[data-sensitivity-metric]').addEventListener('change', event => {
+        renderSensitivityPanel(panel, analysis, { metrics, selectedMetric: event.target.value });
+    });
+
+    renderTornadoChart(panel.querySelector('canvas'), ranked, analysis.base[metric], { label, percent: analysis.percent });
+}
+
+/**
+ * Draw a tornado chart: one floating bar per input from the base value to its low and high result
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on
+ * @param {Array<Object>} ranked - Rows from rankSensitivity()
+ * @param {number} baseValue - Base case value of the metric
+ * @param {Object} options - Chart options
+ * @param {string} options.label - Metric label
+ * @param {number} options.percent - Perturbation in percent
+ */
+function renderTornadoChart(canvas, ranked, baseValue, { label, percent }) {
+    if (!canvas || !window.Chart || typeof baseValue !== 'number') {
+        console.warn('Tornado chart canvas, Chart.js or base value not available');
+        return;
+    }
+
+    const rows = ranked.filter(row => row.swing !== null);
+    new window.Chart(canvas.getContext('2d'), {
+        type: 'bar',
+        data: {
+            labels: rows.map(row => row.label),
+            datasets: [
+                {
+                    label: `-${percent}%`,
+                    data: rows.map(row => [baseValue, row.low]),
+                    backgroundColor: 'rgba(239, 68, 68, 0.6)',
+                    borderColor: 'rgb(239, 68, 68)'
+                },
+                {
+                    label: `+${percent}%`,
+                    data: rows.map(row => [baseValue, row.high]),
+                    backgroundColor: 'rgba(5, 150, 105, 0.6)',
+                    borderColor: 'rgb(5, 150, 105)'
+                }
+            ]
+        },
+        options: {
+            indexAxis: 'y',
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                title: {
+                    display: true,
+                    text: `Sensitivity of ${label}`
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: label
+                    }
+                },
+                y: {
+                    // Overlay the low and high bars on the same row
+                    stacked: true
+                }
+            }
+        }
+    });
+}
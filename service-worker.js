@@ -1,6 +1,6 @@
 // service-worker.js - Provides offline capabilities and caching strategies
 
-const CACHE_NAME = 'ar-project-impact-cache-v1';
+const CACHE_NAME = 'ar-project-impact-cache-v25';
 const STATIC_ASSETS = [
     './',
     './index.html',
@@ -10,18 +10,48 @@ const STATIC_ASSETS = [
     './config.js',
     './analytics.js',
     './domUtils.js',
+    './finance.js',
+    './costModel.js',
+    './currency.js',
+    './sensitivity.js',
+    './scenarios.js',
+    './projectStore.js',
+    './workspace.js',
+    './projectFile.js',
+    './shareLink.js',
     './style.css',
     './src/input.css',
     './forest/forestMain.js',
     './forest/forestCalcs.js',
+    './forest/forestListHandlers.js',
     './forest/forestDOM.js',
     './forest/forestEnhanced.js',
     './forest/forestIO.js',
-    './forest/forestUtils.js'
+    './forest/forestUtils.js',
+    './forest/forestGrowthModels.js',
+    './forest/forestSiteModifiers.js',
+    './forest/forestMortality.js',
+    './forest/forestHarvest.js',
+    './forest/forestCarbonPools.js',
+    './forest/forestBaseline.js',
+    './forest/forestIssuance.js',
+    './forest/forestRiskAssessment.js',
+    './forest/forestFinance.js',
+    './forest/forestCarbonPrice.js',
+    './forest/forestUncertainty.js',
+    './forest/forestUncertaintyWorker.js',
+    './forest/forestSensitivity.js',
+    './forest/forestSpeciesCsv.js',
+    './water/waterMain.js',
+    './water/waterBalance.js',
+    './water/waterProjectModels.js',
+    './water/waterRunoff.js',
+    './water/waterRainfallVariability.js',
+    './water/waterEnergy.js'
 ];
 
 // Additional assets that can be cached when visited
-const DYNAMIC_CACHE_NAME = 'ar-project-impact-dynamic-cache-v1';
+const DYNAMIC_CACHE_NAME = 'ar-project-impact-dynamic-cache-v25';
 
 // Install event - cache all static assets with better error handling
 self.addEventListener('install', event => {
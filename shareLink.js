@@ -0,0 +1,262 @@
+/**
+ * Shareable calculation links
+ *
+ * "Copy Link" puts the inputs of the calculator on screen into the hash
+ * fragment of the page URL, compressed, so they never reach a server. Opening
+ * such a link switches to that calculator, fills its form and runs the
+ * calculation. Saved scenarios are left out to keep links short. A link
+ * opened while a workspace project is open goes into a new project, so it
+ * never replaces the saved one.
+ */
+import { Logger, formatDate } from './utils.js';
+import { getCurrencySettings, updateCurrencySettings } from './currency.js';
+import {
+    CALCULATOR_STATE_SCHEMAS,
+    PROJECT_SCHEMA_VERSION,
+    migrateProject,
+    validateAgainstSchema
+} from './projectFile.js';
+
+const SHARE_HASH_PREFIX = '#share=';
+
+// Links longer than this may be cut off by chat and email apps
+const LONG_LINK_LENGTH = 8000;
+
+/**
+ * Encode bytes as URL-safe base64 without padding
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Encoded text
+ */
+function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode URL-safe base64
+ * @param {string} text - Encoded text
+ * @returns {Uint8Array} Bytes
+ */
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, character => character.charCodeAt(0));
+}
+
+/**
+ * Pass bytes through a compression or decompression stream
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {TransformStream} stream - CompressionStream or DecompressionStream
+ * @returns {Promise<Uint8Array>} Output bytes
+ */
+async function transformBytes(bytes, stream) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Encode a share payload for the URL hash
+ * Browsers without CompressionStream get an uncompressed, longer link.
+ * @param {Object} payload - { schemaVersion, calculator, baseCurrency, state }
+ * @returns {Promise<string>} "<encoding>.<data>"
+ */
+export async function encodeSharePayload(payload) {
+    const bytes = new TextEncoder().encode(JSON.stringify(payload));
+    if (typeof CompressionStream === 'undefined') {
+        return `json.${toBase64Url(bytes)}`;
+    }
+    return `deflate.${toBase64Url(await transformBytes(bytes, new CompressionStream('deflate-raw')))}`;
+}
+
+/**
+ * Decode and check a share payload from the URL hash
+ * @param {string} encoded - Text produced by encodeSharePayload()
+ * @returns {Promise<Object>} { calculator, baseCurrency, state } at the current schema version
+ * @throws {Error} If the link is damaged or cannot be opened in this browser
+ */
+export async function decodeSharePayload(encoded) {
+    const [encoding, data] = encoded.split('.');
+    let payload;
+    try {
+        let bytes = fromBase64Url(data || '');
+        if (encoding === 'deflate') {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('compressed links cannot be opened in this browser');
+            }
+            bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+        } else if (encoding !== 'json') {
+            throw new Error(`unknown encoding "${encoding}"`);
+        }
+        payload = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+        throw new Error(`The link is damaged or incomplete (${error.message})`);
+    }
+
+    const calculator = payload?.calculator;
+    if (!CALCULATOR_STATE_SCHEMAS[calculator]) {
+        throw new Error('The link does not contain a forest or water calculation');
+    }
+
+    // Links made by older versions are migrated like stored projects
+    const state = migrateProject({ [calculator]: payload.state }, payload.schemaVersion)[calculator];
+    const errors = validateAgainstSchema(state, CALCULATOR_STATE_SCHEMAS[calculator], 'link');
+    if (errors.length > 0 || !state) {
+        throw new Error(`The link contains invalid inputs: ${errors.slice(0, 3).join('; ') || 'no inputs'}`);
+    }
+
+    return { calculator, baseCurrency: payload.baseCurrency || null, state };
+}
+
+/**
+ * Copies links to the calculator on screen and opens links when the page loads
+ */
+export class ShareLinks {
+    /**
+     * @param {Object} options - Share link options
+     * @param {Function} options.getCalculators - () => { forest, water } calculator instances
+     * @param {Function} [options.getWorkspace] - () => project workspace, or null when there is none
+     */
+    constructor({ getCalculators, getWorkspace = () => null }) {
+        this.getCalculators = getCalculators;
+        this.getWorkspace = getWorkspace;
+    }
+
+    /**
+     * Set up the copy button and open a link in the address bar
+     * @returns {Promise<void>}
+     */
+    async init() {
+        document.getElementById('copyShareLinkBtn')?.addEventListener('click', () => this.copyLink());
+
+        // A link pasted into a tab that already shows the app only changes the hash
+        window.addEventListener('hashchange', () => this.openFromHash());
+
+        await this.openFromHash();
+    }
+
+    /**
+     * Show what the last copy or open did
+     * @param {string} message - Status text
+     */
+    setStatus(message) {
+        const statusElement = document.getElementById('shareLinkStatus');
+        if (statusElement) statusElement.textContent = message;
+    }
+
+    /**
+     * Show or clear a share link error
+     * @param {string} [message] - Error message; clears the error when empty
+     */
+    showError(message) {
+        const errorElement = document.getElementById('shareLinkError');
+        if (!errorElement) return;
+        errorElement.textContent = message || '';
+        errorElement.classList.toggle('hidden', !message);
+    }
+
+    /**
+     * Name of the calculator on screen
+     * @returns {string} 'forest' or 'water'
+     */
+    getActiveCalculatorName() {
+        return document.querySelector('.project-tab.active')?.getAttribute('data-project') || 'forest';
+    }
+
+    /**
+     * Put a link with the inputs of the calculator on screen on the clipboard
+     * @returns {Promise<void>}
+     */
+    async copyLink() {
+        try {
+            const calculatorName = this.getActiveCalculatorName();
+            const calculator = this.getCalculators()[calculatorName];
+            if (!calculator?.getProjectState) {
+                throw new Error('The calculator is not ready yet');
+            }
+
+            // The recipient always gets the results, so the link asks for a calculation
+            const state = { ...calculator.getProjectState(), scenarios: null, calculated: true };
+            const encoded = await encodeSharePayload({
+                schemaVersion: PROJECT_SCHEMA_VERSION,
+                calculator: calculatorName,
+                baseCurrency: getCurrencySettings().baseCurrency,
+                state
+            });
+            const url = `${window.location.origin}${window.location.pathname}${window.location.search}${SHARE_HASH_PREFIX}${encoded}`;
+
+            try {
+                await navigator.clipboard.writeText(url);
+                this.setStatus('Link copied to the clipboard');
+            } catch (error) {
+                // Clipboard access needs a secure context and permission
+                window.prompt('Copy this link:', url);
+                this.setStatus('');
+            }
+
+            this.showError(url.length > LONG_LINK_LENGTH
+                ? 'The link is very long and some apps may cut it off; export a project file instead if it does not open.'
+                : '');
+            Logger.info(`Copied ${calculatorName} share link (${url.length} characters)`);
+        } catch (error) {
+            Logger.error('Error creating share link:', error);
+            this.showError(`Could not create the link: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fill the calculator from a link in the address bar and run the calculation
+     * @returns {Promise<void>}
+     */
+    async openFromHash() {
+        if (!window.location.hash.startsWith(SHARE_HASH_PREFIX)) return;
+
+        try {
+            const { calculator: calculatorName, baseCurrency, state } = await decodeSharePayload(
+                window.location.hash.slice(SHARE_HASH_PREFIX.length)
+            );
+
+            // Take the inputs out of the address bar so a reload does not apply them over later edits
+            window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+
+            const calculator = this.getCalculators()[calculatorName];
+            if (!calculator?.applyProjectState) {
+                throw new Error(`The ${calculatorName} calculator is not available`);
+            }
+
+            await this.getWorkspace()?.startSharedProject?.(`Shared ${calculatorName} calculation ${formatDate(new Date(), { hour: '2-digit', minute: '2-digit' })}`);
+
+            document.querySelector(`.project-tab[data-project="${calculatorName}"]`)?.click();
+            if (baseCurrency && baseCurrency !== getCurrencySettings().baseCurrency) {
+                updateCurrencySettings({ baseCurrency });
+            }
+
+            // Keep the scenarios already saved here
+            const scenarios = calculator.getProjectState?.().scenarios || null;
+            calculator.applyProjectState({ ...state, scenarios });
+
+            this.setStatus(`Opened a shared ${calculatorName} calculation`);
+            this.showError('');
+            Logger.info(`Opened shared ${calculatorName} calculation`);
+        } catch (error) {
+            Logger.error('Error opening share link:', error);
+            this.showError(`Could not open the link: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Sets up shareable links
+ * @param {Object} options - Module options
+ * @param {Object} options.config - { getCalculators, getWorkspace } passed by the application
+ * @returns {ShareLinks} Share links instance
+ */
+export function setupShareLinks(options = {}) {
+    const shareLinks = new ShareLinks({
+        getCalculators: options.config?.getCalculators || (() => ({})),
+        getWorkspace: options.config?.getWorkspace
+    });
+    shareLinks.init();
+    return shareLinks;
+}
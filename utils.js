@@ -80,11 +80,11 @@ export const Logger = {
     },
     
     _getLevelValue(level) {
-        return this.LEVELS[level.toUpperCase()] || this.LEVELS.INFO;
+        return this.LEVELS[level.toUpperCase()] ?? this.LEVELS.INFO;
     },
     
     _shouldLog(level) {
-        const configLevel = (config.logger?.level || 'info').toUpperCase();
+        const configLevel = config.get('logger.level', 'info').toUpperCase();
         return this._getLevelValue(level) >= this._getLevelValue(configLevel);
     },
     
@@ -183,8 +183,9 @@ export const Logger = {
 export class StorageManager {
     constructor(options = {}) {
         this.prefix = options.prefix || config.storage?.prefix || 'app_';
+        // Web Workers have no web storage; reads there fall back to their defaults
         this.storage = options.storage || (config.storage?.storageType === 'sessionStorage' ? 
-            sessionStorage : localStorage);
+            globalThis.sessionStorage : globalThis.localStorage) || null;
         this.enableCompression = options.enableCompression || config.storage?.enableCompression || false;
     }
     
@@ -337,6 +338,23 @@ export function generateUUID() {
     });
 }
 
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * The same seed always gives the same sequence, so simulations can be repeated.
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+export function createSeededRandom(seed) {
+    let state = (Math.floor(seed) || 0) >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 /**
  * Deep clone an object
  */
@@ -405,6 +423,19 @@ export function parseNumberWithCommas(value) {
     return parseFloat(value.toString().replace(/,/g, ''));
 }
 
+/**
+ * Escape text for use in HTML markup
+ * @param {string} text - Text such as a user-entered name
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 /**
  * Format a number with specified decimal places
  * @param {number} value - The number to format
@@ -448,35 +479,47 @@ export function formatCO2e(value, decimals = 2) {
  * Export a table to CSV file
  * @param {HTMLElement} table - The HTML table element to export
  * @param {string} filename - Name of the file to download
+ * @param {Array<Object>} [sections] - Extra tables appended below the main one, as { title, table }
  */
-export function exportToCsv(table, filename = 'export.csv') {
+export function exportToCsv(table, filename = 'export.csv', sections = []) {
     if (!table || !table.rows) {
         console.error('Invalid table element');
         return;
     }
     
-    // Initialize CSV content with BOM for Excel compatibility
-    let csvContent = '\ufeff';
-    
-    // Get all rows from the table
-    const rows = table.rows;
+    // Get cell text, escape quotes and surround with quotes
+    const quoteCell = text => `"${String(text).trim().replace(/"/g, '""')}"`;
     
-    // Loop through rows
-    for (let i = 0; i < rows.length; i++) {
-        const rowData = [];
-        const cells = rows[i].cells;
+    // Serialise every row of a table
+    const tableToCsv = sourceTable => {
+        let tableContent = '';
+        const rows = sourceTable.rows;
         
-        // Loop through cells
-        for (let j = 0; j < cells.length; j++) {
-            // Get cell text, escape quotes and surround with quotes
-            let cellText = cells[j].textContent.trim() || '';
-            cellText = cellText.replace(/"/g, '""');
-            rowData.push(`"${cellText}"`);
+        // Loop through rows
+        for (let i = 0; i < rows.length; i++) {
+            const rowData = [];
+            const cells = rows[i].cells;
+            
+            // Loop through cells
+            for (let j = 0; j < cells.length; j++) {
+                rowData.push(quoteCell(cells[j].textContent || ''));
+            }
+            
+            // Add row to CSV content
+            tableContent += rowData.join(',') + '\r\n';
         }
         
-        // Add row to CSV content
-        csvContent += rowData.join(',') + '\r\n';
-    }
+        return tableContent;
+    };
+    
+    // Initialize CSV content with BOM for Excel compatibility
+    let csvContent = '\ufeff' + tableToCsv(table);
+    
+    // Append extra sections separated by a blank line and a title row
+    sections.forEach(section => {
+        if (!section?.table?.rows) return;
+        csvContent += '\r\n' + quoteCell(section.title || '') + '\r\n' + tableToCsv(section.table);
+    });
     
     // Create a Blob with the CSV content
     const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
@@ -500,3 +543,155 @@ export function exportToCsv(table, filename = 'export.csv') {
         document.body.removeChild(downloadLink);
     }
 }
+
+// Delimiters recognised when reading CSV files
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Guess the delimiter of CSV text from its first row
+ * Delimiters inside quoted values are not counted.
+ * @param {string} text - CSV content
+ * @returns {string} The most frequent delimiter, or ',' if there is none
+ */
+export function detectCsvDelimiter(text) {
+    const counts = Object.fromEntries(CSV_DELIMITERS.map(delimiter => [delimiter, 0]));
+    let inQuotes = false;
+    
+    for (const char of String(text).replace(/^\ufeff/, '')) {
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && (char === '\n' || char === '\r')) {
+            break;
+        } else if (!inQuotes && char in counts) {
+            counts[char]++;
+        }
+    }
+    
+    return CSV_DELIMITERS.reduce((best, delimiter) => (counts[delimiter] > counts[best] ? delimiter : best), ',');
+}
+
+/**
+ * Split CSV text into rows of values following RFC 4180
+ * Quoted values may contain delimiters, line breaks and doubled quotes. A byte
+ * order mark is ignored, rows may end in CRLF, LF or CR and blank lines are
+ * skipped. Each row keeps the line it starts on for error messages.
+ * @param {string} text - CSV content
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.delimiter] - Value delimiter; detected from the first row when omitted
+ * @returns {Object} { rows: Array<{ line, cells }>, delimiter }
+ * @throws {Error} If a quoted value is not closed
+ */
+export function parseCsv(text, { delimiter } = {}) {
+    const content = String(text).replace(/^\ufeff/, '');
+    const separator = delimiter || detectCsvDelimiter(content);
+    const rows = [];
+    let cells = [];
+    let cell = '';
+    let inQuotes = false;
+    let rowHasQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+    
+    const endRow = () => {
+        cells.push(cell);
+        // A blank line gives one empty unquoted value
+        if (cells.length > 1 || cells[0] !== '' || rowHasQuotes) {
+            rows.push({ line: rowLine, cells });
+        }
+        cells = [];
+        cell = '';
+        rowHasQuotes = false;
+    };
+    
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n' || (char === '\r' && content[i + 1] !== '\n')) line++;
+                cell += char;
+            }
+        } else if (char === '"' && cell.trim() === '') {
+            // Spreadsheets sometimes write a space after the delimiter before a quoted value
+            inQuotes = true;
+            rowHasQuotes = true;
+            cell = '';
+        } else if (char === separator) {
+            cells.push(cell);
+            cell = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            cell += char;
+        }
+    }
+    
+    if (inQuotes) {
+        throw new Error(`A quoted value in the row starting on line ${rowLine} is not closed`);
+    }
+    if (cell !== '' || cells.length > 0 || rowHasQuotes) {
+        endRow();
+    }
+    
+    return { rows, delimiter: separator };
+}
+
+/**
+ * Decide whether numbers in a CSV file use a decimal comma
+ * Only values that cannot be read both ways are counted: "1,5", "0,650" and
+ * "1.234,5" are decimal-comma values, "1.5", "0.650" and "1,234.5"
+ * decimal-point ones, while "1,234" could be either. When the counts are
+ * equal a ";" delimiter, which spreadsheets write in decimal-comma locales,
+ * decides for the comma.
+ * @param {Array<string>} values - Values of the numeric columns
+ * @param {string} [delimiter=','] - Delimiter of the file
+ * @returns {Object} { separator, guessed }; separator is ',' or '.', guessed is true
+ *   when values such as "1,234" had to be read without the other values deciding
+ */
+export function detectDecimalSeparator(values, delimiter = ',') {
+    let commaCount = 0;
+    let pointCount = 0;
+    let ambiguousCount = 0;
+    
+    values.forEach(value => {
+        const text = String(value).trim();
+        // Digit groups never start with a zero, so "0,650" and "0.650" are decimals
+        if (/^[-+]?0,\d+$/.test(text) || /^[-+]?\d+,(\d{1,2}|\d{4,})$/.test(text) || /^[-+]?\d{1,3}(\.\d{3})+,\d+$/.test(text)) {
+            commaCount++;
+        } else if (/^[-+]?0?\.\d+$/.test(text) || /^[-+]?\d*\.(\d{1,2}|\d{4,})$/.test(text) || /^[-+]?\d{1,3}(,\d{3})+\.\d+$/.test(text)) {
+            pointCount++;
+        } else if (/^[-+]?\d{1,3}([.,]\d{3})+$/.test(text)) {
+            ambiguousCount++;
+        }
+    });
+    
+    if (commaCount !== pointCount) {
+        return { separator: commaCount > pointCount ? ',' : '.', guessed: false };
+    }
+    return { separator: delimiter === ';' ? ',' : '.', guessed: ambiguousCount > 0 || commaCount > 0 };
+}
+
+/**
+ * Read a number from a CSV file written with the given decimal separator
+ * Spaces and the other separator are taken as digit grouping and a trailing
+ * percent sign is allowed.
+ * @param {string} value - Value from the file
+ * @param {string} decimalSeparator - ',' or '.'
+ * @returns {number} The number, or NaN if the value is not a number
+ */
+export function parseLocaleNumber(value, decimalSeparator = '.') {
+    let text = String(value).trim().replace(/%$/, '').replace(/[\s\u00a0\u202f']/g, '');
+    text = decimalSeparator === ','
+        ? text.replace(/\./g, '').replace(',', '.')
+        : text.replace(/,/g, '');
+    
+    return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text) ? Number(text) : NaN;
+}
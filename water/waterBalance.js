@@ -0,0 +1,366 @@
+/**
+ * Storage tank water balance
+ *
+ * Simulates a tank month by month or day by day. Runoff from the catchment
+ * flows in, whatever exceeds the tank capacity spills, open-water evaporation
+ * is lost from the stored water and the demand is drawn from what is left.
+ * Drawing after the spill (the yield-after-spillage rule) does not overstate
+ * the supply. The tank starts empty.
+ *
+ * Rainfall comes from the twelve monthly values in the form or from an
+ * uploaded monthly or daily series. A series shorter than the project is
+ * repeated, so a typical year is used for every year of the project.
+ */
+import { parseCsv, parseLocaleNumber, detectDecimalSeparator, formatNumber } from '../utils.js';
+
+// Simulation time steps; a daily series is split into 365-day years
+export const WATER_BALANCE_TIMESTEPS = {
+    monthly: { label: 'Monthly', stepsPerYear: 12 },
+    daily: { label: 'Daily', stepsPerYear: 365 }
+};
+
+export const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Default reliability the tank is sized for (% of demand met)
+export const DEFAULT_TARGET_RELIABILITY = 90;
+
+// Iterations of the tank size search; halves the search range each time
+const SIZING_ITERATIONS = 40;
+
+/**
+ * Read a rainfall series from CSV text
+ * Rainfall is taken from the column headed "rain", "rainfall", "precipitation"
+ * or "mm", or from the last column; other columns such as dates are ignored.
+ * Rows are used in file order and a header row is optional.
+ * @param {string} text - File content
+ * @returns {Array<number>} Rainfall per time step (mm)
+ * @throws {Error} If the file is empty or a value is not a rainfall depth
+ */
+export function parseRainfallCsv(text) {
+    const { rows, delimiter } = parseCsv(text);
+    if (rows.length === 0) {
+        throw new Error('The rainfall file is empty');
+    }
+
+    const firstRow = rows[0].cells.map(cell => cell.trim().toLowerCase());
+    const headedColumn = firstRow.findIndex(cell => /rain|precip|\bmm\b/.test(cell));
+    const column = headedColumn >= 0 ? headedColumn : firstRow.length - 1;
+    const dataRows = headedColumn >= 0 || isNaN(parseLocaleNumber(rows[0].cells[column] ?? ''))
+        ? rows.slice(1)
+        : rows;
+
+    const { separator: decimalSeparator } = detectDecimalSeparator(dataRows.map(row => row.cells[column] ?? ''), delimiter);
+    const errors = [];
+    const values = [];
+    dataRows.forEach(({ line, cells }) => {
+        const value = parseLocaleNumber(cells[column] ?? '', decimalSeparator);
+        if (isNaN(value) || value < 0) {
+            errors.push(`line ${line}: "${(cells[column] ?? '').trim()}" is not a rainfall depth`);
+        } else {
+            values.push(value);
+        }
+    });
+
+    if (errors.length > 0) {
+        const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+        throw new Error(`Rainfall file ${errors.slice(0, 3).join('; ')}${more}`);
+    }
+    if (values.length === 0) {
+        throw new Error('The rainfall file has no values');
+    }
+
+    return values;
+}
+
+/**
+ * Water reaching the tank in each time step
+ * Inflow (KL) = rainfall (mm) x area (ha) x runoff coefficient x capture efficiency x 10
+ * @param {Array<number>} rainfall - Rainfall per time step (mm)
+ * @param {Object} catchment - Catchment properties
+ * @param {number} catchment.area - Catchment area (ha)
+ * @param {number} catchment.runoffCoefficient - Share of rainfall that runs off (0-1)
+ * @param {number} catchment.captureEfficiency - Share of runoff reaching the tank (%)
+ * @returns {Array<number>} Inflow per time step (KL)
+ */
+export function calculateInflows(rainfall, { area, runoffCoefficient, captureEfficiency }) {
+    const factor = area * runoffCoefficient * (captureEfficiency / 100) * 10;
+    return rainfall.map(depth => depth * factor);
+}
+
+/**
+ * Simulate the tank step by step
+ * @param {Object} options - Simulation inputs
+ * @param {Array<number>} options.inflows - Inflow per time step (KL)
+ * @param {number} options.capacity - Tank capacity (KL)
+ * @param {number} options.demandPerStep - Demand drawn each time step (KL)
+ * @param {number} [options.evaporationPerStep=0] - Open-water evaporation each time step (KL)
+ * @returns {Object} { storage, supplied, spill, evaporation (per step), totals, reliability, timeReliability }
+ */
+export function simulateWaterBalance({ inflows, capacity, demandPerStep, evaporationPerStep = 0 }) {
+    const storage = [];
+    const supplied = [];
+    const spill = [];
+    const evaporation = [];
+    const totals = { inflow: 0, supplied: 0, spill: 0, evaporation: 0, demand: 0 };
+    let stored = 0;
+    let stepsMet = 0;
+
+    inflows.forEach(inflow => {
+        stored += inflow;
+        const spilled = Math.max(0, stored - capacity);
+        stored -= spilled;
+
+        const evaporated = Math.min(stored, evaporationPerStep);
+        stored -= evaporated;
+
+        const drawn = Math.min(stored, demandPerStep);
+        stored -= drawn;
+        // Allow for rounding when the tank holds exactly the demand
+        if (drawn >= demandPerStep * (1 - 1e-9)) stepsMet++;
+
+        storage.push(stored);
+        supplied.push(drawn);
+        spill.push(spilled);
+        evaporation.push(evaporated);
+
+        totals.inflow += inflow;
+        totals.supplied += drawn;
+        totals.spill += spilled;
+        totals.evaporation += evaporated;
+        totals.demand += demandPerStep;
+    });
+
+    return {
+        storage,
+        supplied,
+        spill,
+        evaporation,
+        totals,
+        // Share of the demand volume supplied, and share of time steps with the full demand met
+        reliability: totals.demand > 0 ? totals.supplied / totals.demand * 100 : 0,
+        timeReliability: inflows.length > 0 ? stepsMet / inflows.length * 100 : 0
+    };
+}
+
+/**
+ * Find the smallest tank that supplies the target share of the demand
+ * Reliability does not fall as the tank grows, so the size is found by
+ * bisection between an empty tank and one that never spills.
+ * @param {Object} options - Inputs of simulateWaterBalance() other than the capacity
+ * @param {number} targetReliability - Share of the demand to supply (%)
+ * @returns {Object} { capacity, reliability }; capacity is null if no tank size reaches the target
+ */
+export function sizeTankForReliability(options, targetReliability) {
+    const reliabilityAt = capacity => simulateWaterBalance({ ...options, capacity }).reliability;
+
+    // A tank holding all the inflow never spills, so no larger tank does better
+    let upper = options.inflows.reduce((total, inflow) => total + inflow, 0);
+    const bestReliability = reliabilityAt(upper);
+    if (bestReliability < targetReliability) {
+        return { capacity: null, reliability: bestReliability };
+    }
+
+    let lower = 0;
+    for (let i = 0; i < SIZING_ITERATIONS && upper - lower > 0.01; i++) {
+        const middle = (lower + upper) / 2;
+        if (reliabilityAt(middle) >= targetReliability) {
+            upper = middle;
+        } else {
+            lower = middle;
+        }
+    }
+
+    // Round up to a whole kiloliter so the size stays on the safe side
+    const capacity = Math.ceil(upper);
+    return { capacity, reliability: reliabilityAt(capacity) };
+}
+
+/**
+ * Run the water balance over the project lifetime
+ * @param {Object} options - Water balance inputs
+ * @param {Array<number>} options.rainfall - Rainfall per time step (mm)
+ * @param {string} options.timestep - Key of WATER_BALANCE_TIMESTEPS
+ * @param {number} options.years - Project lifetime (years)
+ * @param {Object} options.catchment - { area, runoffCoefficient, captureEfficiency } for calculateInflows()
+ * @param {number} options.annualDemand - Water demand (KL/year)
+ * @param {number} options.tankCapacity - Tank capacity (KL)
+ * @param {number} [options.surfaceArea=0] - Open water surface of the tank (m²); 0 for a covered tank
+ * @param {number} [options.annualEvaporation=0] - Open-water evaporation (mm/year)
+ * @param {number} [options.targetReliability=90] - Reliability the tank is sized for (%)
+ * @param {Array<number>} [options.yearlyFactors] - Rainfall of each project year relative to the series, for wet and dry years
+ * @param {boolean} [options.sizeTank=true] - Whether to search for the tank size of the target reliability
+ * @returns {Object} Simulation from simulateWaterBalance() plus { timestep, stepsPerYear, yearly, sizing, capacity }; sizing is null when not searched
+ */
+export function runWaterBalance({
+    rainfall,
+    timestep,
+    years,
+    catchment,
+    annualDemand,
+    tankCapacity,
+    surfaceArea = 0,
+    annualEvaporation = 0,
+    targetReliability = DEFAULT_TARGET_RELIABILITY,
+    yearlyFactors = null,
+    sizeTank = true
+}) {
+    const { stepsPerYear } = WATER_BALANCE_TIMESTEPS[timestep] || WATER_BALANCE_TIMESTEPS.monthly;
+    const stepCount = Math.floor(years) * stepsPerYear;
+
+    // Repeat a short series over the whole project and leave out what lies beyond it
+    const projectRainfall = Array.from({ length: stepCount }, (_, step) =>
+        rainfall[step % rainfall.length] * (yearlyFactors?.[Math.floor(step / stepsPerYear)] ?? 1)
+    );
+    const options = {
+        inflows: calculateInflows(projectRainfall, catchment),
+        demandPerStep: annualDemand / stepsPerYear,
+        // Evaporation depth (mm) over the surface (m²) gives litres; divide by 1000 for KL
+        evaporationPerStep: annualEvaporation / stepsPerYear * surfaceArea / 1000
+    };
+
+    const simulation = simulateWaterBalance({ ...options, capacity: tankCapacity });
+
+    const yearly = [];
+    for (let year = 1; year <= Math.floor(years); year++) {
+        const start = (year - 1) * stepsPerYear;
+        const sum = values => values.slice(start, start + stepsPerYear).reduce((total, value) => total + value, 0);
+        yearly.push({
+            year,
+            rainfall: sum(projectRainfall),
+            inflow: sum(options.inflows),
+            supplied: sum(simulation.supplied),
+            spill: sum(simulation.spill),
+            evaporation: sum(simulation.evaporation)
+        });
+    }
+
+    return {
+        ...simulation,
+        timestep,
+        stepsPerYear,
+        capacity: tankCapacity,
+        targetReliability,
+        yearly,
+        sizing: sizeTank ? sizeTankForReliability(options, targetReliability) : null
+    };
+}
+
+/**
+ * Label of a time step for charts
+ * @param {number} step - Zero-based time step
+ * @param {number} stepsPerYear - 12 or 365
+ * @returns {string} e.g. "Y2 Mar" or "Y2 d45"
+ */
+function stepLabel(step, stepsPerYear) {
+    const year = Math.floor(step / stepsPerYear) + 1;
+    const index = step % stepsPerYear;
+    return stepsPerYear === 12 ? `Y${year} ${MONTH_NAMES[index]}` : `Y${year} d${index + 1}`;
+}
+
+/**
+ * Render the water balance results and the storage chart into a panel
+ * @param {HTMLElement} panel - Container for the panel contents
+ * @param {Object|null} balance - Result of runWaterBalance(), or null to hide the panel
+ */
+export function renderWaterBalancePanel(panel, balance) {
+    if (!panel) return;
+
+    const previousCanvas = panel.querySelector('canvas');
+    if (previousCanvas) window.Chart?.getChart?.(previousCanvas)?.destroy();
+
+    if (!balance) {
+        panel.classList.add('hidden');
+        panel.innerHTML = '';
+        return;
+    }
+
+    const { totals, sizing } = balance;
+    const sizingText = sizing.capacity === null
+        ? `Not reachable; at most ${formatNumber(sizing.reliability, 1)}% of the demand can be met from this catchment`
+        : `${formatNumber(sizing.capacity, 0)} kL`;
+
+    panel.innerHTML = `
+        <h3>Storage Tank Water Balance</h3>
+        <p class="text-sm text-gray-500">${WATER_BALANCE_TIMESTEPS[balance.timestep]?.label || 'Monthly'} simulation of a ${formatNumber(balance.capacity, 0)} kL tank, starting empty. Demand is drawn after overflow and evaporation.</p>
+        <div class="metrics-grid">
+            <div class="metric-card">
+                <h4 class="metric-title">Reliability</h4>
+                <div class="metric-value">${formatNumber(balance.reliability, 1)}</div>
+                <div class="metric-unit">% of demand met</div>
+            </div>
+            <div class="metric-card">
+                <h4 class="metric-title">Time Reliability</h4>
+                <div class="metric-value">${formatNumber(balance.timeReliability, 1)}</div>
+                <div class="metric-unit">% of ${balance.stepsPerYear === 12 ? 'months' : 'days'} fully met</div>
+            </div>
+            <div class="metric-card">
+                <h4 class="metric-title">Overflow</h4>
+                <div class="metric-value">${formatNumber(totals.spill, 0)}</div>
+                <div class="metric-unit">kL spilled (${formatNumber(totals.inflow > 0 ? totals.spill / totals.inflow * 100 : 0, 1)}% of inflow)</div>
+            </div>
+            <div class="metric-card">
+                <h4 class="metric-title">Evaporation</h4>
+                <div class="metric-value">${formatNumber(totals.evaporation, 0)}</div>
+                <div class="metric-unit">kL</div>
+            </div>
+            <div class="metric-card">
+                <h4 class="metric-title">Tank Size for ${formatNumber(balance.targetReliability, 0)}% Reliability</h4>
+                <div class="metric-value">${sizingText}</div>
+            </div>
+        </div>
+        <div class="chart-container mb-4">
+            <canvas></canvas>
+        </div>`;
+    panel.classList.remove('hidden');
+
+    const canvas = panel.querySelector('canvas');
+    if (!window.Chart) {
+        console.warn('Chart.js not available for the water balance chart');
+        return;
+    }
+
+    new window.Chart(canvas.getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: balance.storage.map((_, step) => stepLabel(step, balance.stepsPerYear)),
+            datasets: [
+                {
+                    label: 'Water in Tank (kL)',
+                    data: balance.storage,
+                    borderColor: 'rgba(2, 132, 199, 1)',
+                    backgroundColor: 'rgba(2, 132, 199, 0.2)',
+                    fill: true,
+                    pointRadius: 0,
+                    borderWidth: 1.5
+                },
+                {
+                    label: 'Overflow (kL)',
+                    data: balance.spill,
+                    borderColor: 'rgba(217, 119, 6, 1)',
+                    backgroundColor: 'rgba(217, 119, 6, 1)',
+                    pointRadius: 0,
+                    borderWidth: 1
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                title: {
+                    display: true,
+                    text: 'Tank Storage and Overflow'
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'kL'
+                    }
+                }
+            }
+        }
+    });
+}
@@ -0,0 +1,112 @@
+/**
+ * Pumping energy and grid emission factors for water emissions
+ *
+ * Water that no longer has to be pumped saves the electricity the pump would
+ * have used. The energy per kiloliter is either entered directly or worked
+ * out from the pumping head and the wire-to-water efficiency of the pump:
+ *   E (kWh/kL) = ρ g H / (η x 3.6e6) x 1000 L/kL ≈ 0.002725 x H / η
+ * where H is the lift height plus pipe losses (m). The saved electricity is
+ * converted to emissions with a grid emission factor that can fall each year
+ * as the grid decarbonises.
+ */
+import { formatNumber } from '../utils.js';
+
+export const ENERGY_METHODS = {
+    MANUAL: 'manual',
+    PUMPING: 'pumping'
+};
+
+// Energy to lift one kiloliter by one meter at 100% efficiency (kWh): 1000 kg x 9.81 m/s² / 3.6e6 J/kWh
+const KWH_PER_KL_METER = 1000 * 9.81 / 3.6e6;
+
+export const DEFAULT_PUMPING = {
+    liftHeight: 30,
+    pumpEfficiency: 50,
+    pipeLosses: 10
+};
+
+/**
+ * Grid emission factors (kg CO₂e per kWh of electricity consumed)
+ * Indicative published values; enter the factor of the local grid to override them.
+ */
+export const GRID_EMISSION_FACTORS = {
+    india: { label: 'India', factor: 0.716, source: 'CEA CO₂ Baseline Database, FY 2022-23' },
+    china: { label: 'China', factor: 0.570, source: 'MEE national grid factor, 2022' },
+    indonesia: { label: 'Indonesia', factor: 0.77, source: 'IEA, 2022' },
+    south_africa: { label: 'South Africa', factor: 0.95, source: 'Eskom, 2022' },
+    kenya: { label: 'Kenya', factor: 0.10, source: 'IEA, 2022' },
+    brazil: { label: 'Brazil', factor: 0.043, source: 'MCTI, 2022' },
+    germany: { label: 'Germany', factor: 0.38, source: 'UBA, 2023' },
+    united_kingdom: { label: 'United Kingdom', factor: 0.207, source: 'DESNZ conversion factors, 2023' },
+    united_states: { label: 'United States (average)', factor: 0.373, source: 'EPA eGRID, 2022' },
+    us_california: { label: 'United States - California', factor: 0.206, source: 'EPA eGRID, 2022' },
+    us_texas: { label: 'United States - Texas', factor: 0.369, source: 'EPA eGRID, 2022' },
+    australia: { label: 'Australia (average)', factor: 0.68, source: 'National Greenhouse Accounts Factors, 2023' },
+    au_new_south_wales: { label: 'Australia - New South Wales and ACT', factor: 0.68, source: 'National Greenhouse Accounts Factors, 2023' },
+    au_victoria: { label: 'Australia - Victoria', factor: 0.85, source: 'National Greenhouse Accounts Factors, 2023' },
+    au_queensland: { label: 'Australia - Queensland', factor: 0.73, source: 'National Greenhouse Accounts Factors, 2023' },
+    au_south_australia: { label: 'Australia - South Australia', factor: 0.25, source: 'National Greenhouse Accounts Factors, 2023' },
+    au_tasmania: { label: 'Australia - Tasmania', factor: 0.17, source: 'National Greenhouse Accounts Factors, 2023' },
+    world: { label: 'World average', factor: 0.46, source: 'IEA, 2022' }
+};
+
+export const DEFAULT_GRID_REGION = 'india';
+
+/**
+ * Electricity needed to pump one kiloliter
+ * @param {Object} pumping - Pumping inputs
+ * @param {number} pumping.liftHeight - Height the water is lifted (m)
+ * @param {number} pumping.pumpEfficiency - Wire-to-water efficiency of pump and motor (%)
+ * @param {number} [pumping.pipeLosses=0] - Friction losses in the pipes (% of the lift height)
+ * @returns {number} Energy (kWh/kL)
+ */
+export function calculatePumpingEnergy({ liftHeight, pumpEfficiency, pipeLosses = 0 }) {
+    const totalHead = liftHeight * (1 + pipeLosses / 100);
+    return KWH_PER_KL_METER * totalHead / (pumpEfficiency / 100);
+}
+
+/**
+ * Resolve the grid emission factor of a region, or a factor entered by the user
+ * @param {string} region - Key of GRID_EMISSION_FACTORS
+ * @param {number} [override] - Factor entered by the user (kg CO₂e/kWh); ignored when not a number
+ * @returns {Object} { factor, label, source, overridden }
+ * @throws {Error} If the region is unknown and no factor is entered
+ */
+export function resolveGridEmissionFactor(region, override) {
+    const entry = GRID_EMISSION_FACTORS[region];
+    if (typeof override === 'number' && !isNaN(override)) {
+        return { factor: override, label: entry?.label || 'Custom', source: 'entered by the user', overridden: true };
+    }
+    if (!entry) {
+        throw new Error(`Unknown grid region "${region}"`);
+    }
+    return { factor: entry.factor, label: entry.label, source: entry.source, overridden: false };
+}
+
+/**
+ * Grid emission factor in each project year
+ * The factor falls by the same share every year.
+ * @param {number} factor - Emission factor in the first year (kg CO₂e/kWh)
+ * @param {number} annualDecline - Yearly decline of the factor (%)
+ * @param {number} years - Project duration
+ * @returns {Array<number>} Factor per year
+ */
+export function projectEmissionFactors(factor, annualDecline, years) {
+    return Array.from({ length: Math.floor(years) }, (_, index) => factor * Math.pow(1 - annualDecline / 100, index));
+}
+
+/**
+ * Describe how the energy and emission factor were obtained, for the results
+ * @param {Object} energy - { method, kwhPerKL, pumping, grid, annualDecline, factors }
+ * @returns {string} Description
+ */
+export function describeEnergyMethod(energy) {
+    const energyText = energy.method === ENERGY_METHODS.PUMPING
+        ? `Pumping energy ${formatNumber(energy.kwhPerKL, 3)} kWh/kL (${energy.pumping.liftHeight} m lift plus ${energy.pumping.pipeLosses}% pipe losses at ${energy.pumping.pumpEfficiency}% efficiency)`
+        : `Energy saving ${formatNumber(energy.kwhPerKL, 3)} kWh/kL, entered manually`;
+    const gridText = `grid factor ${formatNumber(energy.grid.factor, 3)} kg CO₂e/kWh (${energy.grid.label}, ${energy.grid.source})`;
+    const declineText = energy.annualDecline > 0 && energy.factors.length > 1
+        ? `, falling ${energy.annualDecline}% a year to ${formatNumber(energy.factors[energy.factors.length - 1], 3)} in year ${energy.factors.length}`
+        : '';
+    return `${energyText}; ${gridText}${declineText}.`;
+}
@@ -1,5 +1,73 @@
 import { Logger, eventBus } from '../utils.js';
+import config from '../config.js';
 import { analytics } from '../analytics.js';
+import { buildCashFlowModel, renderFinancePanel, DEFAULT_DISCOUNT_RATE } from '../finance.js';
+import {
+    WATER_COST_TEMPLATES,
+    renderCostBuilder,
+    readCostLines,
+    resolveCostLine,
+    buildCostSchedule,
+    renderCostLineSummary,
+    scaleCostLines
+} from '../costModel.js';
+import { formatMoney, CURRENCY_CHANGED_EVENT } from '../currency.js';
+import { runSensitivityAnalysis, renderSensitivityPanel } from '../sensitivity.js';
+import { ScenarioStore, renderScenarioComparison } from '../scenarios.js';
+import { PROJECT_STATE_CHANGED_EVENT } from '../projectStore.js';
+import { readFieldValues, writeFieldValues } from '../domUtils.js';
+import {
+    runWaterBalance,
+    parseRainfallCsv,
+    renderWaterBalancePanel,
+    WATER_BALANCE_TIMESTEPS,
+    MONTH_NAMES,
+    DEFAULT_TARGET_RELIABILITY
+} from './waterBalance.js';
+import {
+    calculateWaterModel,
+    validateWaterModelInputs,
+    projectTypeUsesRainfall,
+    renderWaterModelPanel,
+    WATER_MODEL_FIELDS,
+    WATER_PROJECT_TYPES
+} from './waterProjectModels.js';
+import {
+    estimateRunoffCoefficient,
+    describeRunoffMethod,
+    RUNOFF_METHODS,
+    DEFAULT_EVENT_RAINFALL
+} from './waterRunoff.js';
+import {
+    buildRainfallSequences,
+    summarizeEnsemble,
+    renderRainfallVariabilityPanel,
+    RAINFALL_VARIABILITY_MODES,
+    DEFAULT_RAINFALL_VARIABILITY
+} from './waterRainfallVariability.js';
+import {
+    calculatePumpingEnergy,
+    resolveGridEmissionFactor,
+    projectEmissionFactors,
+    describeEnergyMethod,
+    ENERGY_METHODS,
+    DEFAULT_PUMPING,
+    DEFAULT_GRID_REGION,
+    GRID_EMISSION_FACTORS
+} from './waterEnergy.js';
+
+// Default value of captured water (base currency per KL)
+const DEFAULT_WATER_VALUE = 15;
+
+// Inputs perturbed by the sensitivity analysis, with the upper limit the form accepts
+const WATER_SENSITIVITY_PARAMETERS = [
+    { key: 'projectArea', label: 'Project area' },
+    { key: 'annualRainfall', label: 'Annual rainfall' },
+    { key: 'runoffCoefficient', label: 'Runoff coefficient', max: 1 },
+    { key: 'captureEfficiency', label: 'Capture efficiency', max: 100 },
+    { key: 'energySavings', label: 'Energy savings per KL' },
+    { key: 'projectCost', label: 'Project cost' }
+];
 
 /**
  * Sets up the water calculator functionality
@@ -24,6 +92,12 @@ export class WaterCalculatorManager {
     constructor() {
         // State variables
         this.lastCalculatedResults = null;
+        this.sensitivity = null;
+        this.scenarios = new ScenarioStore();
+        // Uploaded rainfall series for the water balance, { name, values }
+        this.rainfallSeries = null;
+        // Uploaded record of annual rainfall for rainfall variability, { name, values }
+        this.annualRainfallSeries = null;
         
         // Form elements (initialized in init())
         this.form = null;
@@ -33,6 +107,7 @@ export class WaterCalculatorManager {
         this.errorMessageDiv = null;
         this.resultsSection = null;
         this.projectCostInput = null;
+        this.costLinesContainer = null;
     }
     
     /**
@@ -47,6 +122,8 @@ export class WaterCalculatorManager {
         this.errorMessageDiv = document.getElementById('errorMessageWater');
         this.resultsSection = document.getElementById('resultsSectionWater');
         this.projectCostInput = document.getElementById('waterProjectCost');
+        this.costLinesContainer = document.getElementById('waterCostLines');
+        this.setupCostBuilder();
         
         // Set up event listeners - ensure the calculate button properly submits the form
         if (this.calculateBtn) {
@@ -57,9 +134,352 @@ export class WaterCalculatorManager {
             this.resetBtn.addEventListener('click', this.resetWaterCalculator.bind(this));
         }
         
+        document.getElementById('runWaterSensitivityBtn')?.addEventListener('click', this.runSensitivityAnalysis.bind(this));
+        document.getElementById('saveWaterScenarioBtn')?.addEventListener('click', this.saveScenario.bind(this));
+        this.setupWaterBalanceFields();
+        this.setupRainfallVariabilityFields();
+        
+        // Each project type has its own inputs
+        document.getElementById('waterProjectType')?.addEventListener('change', () => this.toggleWaterModelFields());
+        this.toggleWaterModelFields();
+        
+        // Show the curve number estimate while its inputs are edited
+        // and when a daily rainfall series takes the place of the event
+        ['runoffMethod', 'landCover', 'soilGroup', 'antecedentMoisture', 'eventRainfall', 'enableWaterBalance', 'rainfallSeriesTimestep', 'waterProjectType'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.updateRunoffFields());
+        });
+        document.getElementById('eventRainfall')?.addEventListener('input', () => this.updateRunoffFields());
+        this.updateRunoffFields();
+        
+        // Pumping energy and the grid emission factor
+        ['energyMethod', 'liftHeight', 'pumpEfficiency', 'pipeLosses', 'gridRegion'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.updateEnergyFields());
+        });
+        this.updateEnergyFields();
+        
+        // Costs are kept in the base currency, so a currency change only needs a redraw
+        eventBus.on(CURRENCY_CHANGED_EVENT, () => {
+            if (this.lastCalculatedResults) {
+                this.displayResults(this.lastCalculatedResults);
+            }
+            if (this.sensitivity) {
+                this.displaySensitivity();
+            }
+            this.displayScenarios();
+        });
+        
         Logger.info('Water calculator initialized');
     }
     
+    /**
+     * Set up the water balance checkbox and the rainfall series upload
+     */
+    setupWaterBalanceFields() {
+        document.getElementById('enableWaterBalance')?.addEventListener('change', () => this.toggleWaterBalanceFields());
+        this.toggleWaterBalanceFields();
+        
+        const fileInput = document.getElementById('rainfallSeriesFile');
+        fileInput?.addEventListener('change', async () => {
+            const file = fileInput.files?.[0];
+            if (!file) return;
+            
+            this.clearErrors();
+            try {
+                this.setRainfallSeries({ name: file.name, values: parseRainfallCsv(await file.text()) });
+            } catch (error) {
+                console.error('Error reading rainfall series:', error);
+                this.showError(error.message);
+            }
+            // Allow the same file to be chosen again after it is edited
+            fileInput.value = '';
+        });
+        
+        document.getElementById('clearRainfallSeriesBtn')?.addEventListener('click', () => this.setRainfallSeries(null));
+    }
+    
+    /**
+     * Set up the rainfall variability choice and the annual rainfall upload
+     */
+    setupRainfallVariabilityFields() {
+        document.getElementById('rainfallVariability')?.addEventListener('change', () => this.toggleRainfallVariabilityFields());
+        this.toggleRainfallVariabilityFields();
+        
+        const fileInput = document.getElementById('annualRainfallFile');
+        fileInput?.addEventListener('change', async () => {
+            const file = fileInput.files?.[0];
+            if (!file) return;
+            
+            this.clearErrors();
+            try {
+                this.setAnnualRainfallSeries({ name: file.name, values: parseRainfallCsv(await file.text()) });
+            } catch (error) {
+                console.error('Error reading annual rainfall record:', error);
+                this.showError(error.message);
+            }
+            fileInput.value = '';
+        });
+    }
+    
+    /**
+     * Show the inputs of the selected rainfall variability
+     */
+    toggleRainfallVariabilityFields() {
+        const mode = document.getElementById('rainfallVariability')?.value || RAINFALL_VARIABILITY_MODES.NONE;
+        document.querySelectorAll('.rainfall-variability-field').forEach(field => {
+            field.classList.toggle('hidden', field.getAttribute('data-rainfall-variability') !== mode);
+        });
+    }
+    
+    /**
+     * Use an uploaded record of annual rainfall
+     * @param {Object|null} series - { name, values }
+     */
+    setAnnualRainfallSeries(series) {
+        this.annualRainfallSeries = series;
+        
+        const statusElement = document.getElementById('annualRainfallStatus');
+        if (statusElement) {
+            statusElement.textContent = series
+                ? `Using ${series.values.length} years from ${series.name}`
+                : 'No record loaded';
+        }
+        
+        eventBus.emit(PROJECT_STATE_CHANGED_EVENT, { calculator: 'water' });
+    }
+    
+    /**
+     * Get the rainfall variability inputs, or null when every year has the same rainfall
+     * @param {string} projectType - Selected project type; conservation projects do not use rainfall
+     * @returns {Object|null} { mode, name, values, meanRainfall } for a record, or { mode, cv, droughtFrequency, droughtSeverity, seed }
+     */
+    getRainfallVariabilityInputs(projectType) {
+        const mode = document.getElementById('rainfallVariability')?.value || RAINFALL_VARIABILITY_MODES.NONE;
+        if (mode === RAINFALL_VARIABILITY_MODES.NONE || !projectTypeUsesRainfall(projectType)) return null;
+        
+        if (mode === RAINFALL_VARIABILITY_MODES.HISTORICAL) {
+            const values = this.annualRainfallSeries?.values || [];
+            return {
+                mode,
+                name: this.annualRainfallSeries?.name || '',
+                values,
+                meanRainfall: values.length > 0 ? values.reduce((total, depth) => total + depth, 0) / values.length : 0
+            };
+        }
+        
+        return {
+            mode,
+            cv: this.getNumberInput('rainfallCv', DEFAULT_RAINFALL_VARIABILITY.cv),
+            droughtFrequency: this.getNumberInput('droughtFrequency', DEFAULT_RAINFALL_VARIABILITY.droughtFrequency),
+            droughtSeverity: this.getNumberInput('droughtSeverity', DEFAULT_RAINFALL_VARIABILITY.droughtSeverity),
+            seed: this.getNumberInput('rainfallSeed', DEFAULT_RAINFALL_VARIABILITY.seed)
+        };
+    }
+    
+    /**
+     * Show the water balance inputs when the water balance is enabled
+     */
+    toggleWaterBalanceFields() {
+        const enabled = Boolean(document.getElementById('enableWaterBalance')?.checked);
+        document.querySelectorAll('.water-balance-field').forEach(field => {
+            field.classList.toggle('hidden', !enabled);
+        });
+    }
+    
+    /**
+     * Show the inputs of the selected project type
+     */
+    toggleWaterModelFields() {
+        const projectType = document.getElementById('waterProjectType')?.value || '';
+        document.querySelectorAll('.water-model-field').forEach(field => {
+            field.classList.toggle('hidden', field.getAttribute('data-project-type') !== projectType);
+        });
+        
+        const hasFields = Object.keys(WATER_MODEL_FIELDS[projectType] || {}).length > 0;
+        document.querySelector('.water-model-section')?.classList.toggle('hidden', !hasFields);
+        document.querySelector('.rainfall-variability-section')?.classList.toggle('hidden', !projectTypeUsesRainfall(projectType));
+    }
+    
+    /**
+     * Show the manual coefficient or the curve number inputs, with the current estimate
+     */
+    updateRunoffFields() {
+        const curveNumber = document.getElementById('runoffMethod')?.value === RUNOFF_METHODS.CURVE_NUMBER;
+        document.querySelectorAll('.runoff-manual-field').forEach(field => field.classList.toggle('hidden', curveNumber));
+        document.querySelectorAll('.curve-number-field').forEach(field => field.classList.toggle('hidden', !curveNumber));
+        
+        const estimateElement = document.getElementById('curveNumberEstimate');
+        if (!estimateElement || !curveNumber) return;
+        
+        try {
+            const runoff = this.getRunoffInputs(this.getWaterBalanceInputs());
+            estimateElement.textContent = `Curve number ${runoff.estimate.curveNumber.toFixed(0)}: `
+                + `${runoff.estimate.runoff.toFixed(1)} mm of runoff from ${runoff.source}, `
+                + `a runoff coefficient of ${runoff.coefficient.toFixed(2)}`;
+        } catch (error) {
+            estimateElement.textContent = error.message;
+        }
+    }
+    
+    /**
+     * Get the runoff coefficient and how it was obtained
+     * The curve number method uses a daily water balance series when there is
+     * one, and otherwise a single typical rainfall event.
+     * @param {Object|null} waterBalance - Result of getWaterBalanceInputs()
+     * @returns {Object} { method, coefficient }, plus { landCover, soilGroup, moisture, source, estimate } for the curve number method
+     */
+    getRunoffInputs(waterBalance) {
+        const method = document.getElementById('runoffMethod')?.value || RUNOFF_METHODS.MANUAL;
+        if (method !== RUNOFF_METHODS.CURVE_NUMBER) {
+            return {
+                method,
+                coefficient: parseFloat(document.getElementById('runoffCoefficient')?.value) || config.get('water.defaultRunoffCoefficient', 0.6)
+            };
+        }
+        
+        const dailySeries = waterBalance?.timestep === 'daily';
+        const eventRainfall = this.getNumberInput('eventRainfall', DEFAULT_EVENT_RAINFALL);
+        const runoff = {
+            method,
+            landCover: document.getElementById('landCover')?.value || '',
+            soilGroup: document.getElementById('soilGroup')?.value || '',
+            moisture: document.getElementById('antecedentMoisture')?.value || 'II',
+            eventRainfall,
+            source: dailySeries
+                ? `the daily rainfall series (${waterBalance.rainfall.length} days)`
+                : `a ${eventRainfall} mm rainfall event`
+        };
+        runoff.estimate = estimateRunoffCoefficient({
+            ...runoff,
+            rainfall: dailySeries ? waterBalance.rainfall : [eventRainfall]
+        });
+        runoff.coefficient = runoff.estimate.coefficient;
+        return runoff;
+    }
+    
+    /**
+     * Show the manual energy or the pumping inputs, with the pumping energy and the grid factor in use
+     */
+    updateEnergyFields() {
+        const energy = this.getEnergyInputs();
+        const pumping = energy.method === ENERGY_METHODS.PUMPING;
+        document.querySelectorAll('.energy-manual-field').forEach(field => field.classList.toggle('hidden', pumping));
+        document.querySelectorAll('.pumping-energy-field').forEach(field => field.classList.toggle('hidden', !pumping));
+        
+        const estimateElement = document.getElementById('pumpingEnergyEstimate');
+        if (estimateElement) {
+            estimateElement.textContent = pumping && isFinite(energy.kwhPerKL)
+                ? `Pumping energy: ${energy.kwhPerKL.toFixed(3)} kWh/kL`
+                : '';
+        }
+        
+        // The published factor is shown until the user enters their own
+        const entry = GRID_EMISSION_FACTORS[energy.region];
+        const factorInput = document.getElementById('gridEmissionFactor');
+        if (factorInput && entry) factorInput.placeholder = String(entry.factor);
+        const sourceElement = document.getElementById('gridEmissionFactorSource');
+        if (sourceElement && entry) {
+            sourceElement.textContent = `Published factor ${entry.factor} (${entry.source}); enter a value to override it`;
+        }
+    }
+    
+    /**
+     * Get the energy saved per kiloliter and the grid emission inputs
+     * @returns {Object} { method, kwhPerKL, pumping, region, override, annualDecline }; override is NaN when not entered
+     */
+    getEnergyInputs() {
+        const method = document.getElementById('energyMethod')?.value || ENERGY_METHODS.MANUAL;
+        const pumping = {
+            liftHeight: this.getNumberInput('liftHeight', DEFAULT_PUMPING.liftHeight),
+            pumpEfficiency: this.getNumberInput('pumpEfficiency', DEFAULT_PUMPING.pumpEfficiency),
+            pipeLosses: this.getNumberInput('pipeLosses', DEFAULT_PUMPING.pipeLosses)
+        };
+        const kwhPerKL = method === ENERGY_METHODS.PUMPING
+            ? calculatePumpingEnergy(pumping)
+            : parseFloat(document.getElementById('energySavings')?.value) || config.get('water.defaultEnergySavings', 0.5);
+        
+        return {
+            method,
+            kwhPerKL,
+            pumping,
+            region: document.getElementById('gridRegion')?.value || DEFAULT_GRID_REGION,
+            override: this.getNumberInput('gridEmissionFactor', NaN),
+            annualDecline: this.getNumberInput('gridDecarbonisation', 0)
+        };
+    }
+    
+    /**
+     * Get the model inputs of a project type, with defaults for empty fields
+     * @param {string} projectType - Selected project type
+     * @returns {Object} Values keyed by field ID; required fields left empty are NaN
+     */
+    getModelParameters(projectType) {
+        const parameters = {};
+        Object.entries(WATER_MODEL_FIELDS[projectType] || {}).forEach(([id, defaultValue]) => {
+            parameters[id] = this.getNumberInput(id, defaultValue ?? NaN);
+        });
+        return parameters;
+    }
+    
+    /**
+     * Use an uploaded rainfall series, or the monthly values when null
+     * @param {Object|null} series - { name, values }
+     */
+    setRainfallSeries(series) {
+        this.rainfallSeries = series;
+        
+        const statusElement = document.getElementById('rainfallSeriesStatus');
+        if (statusElement) {
+            statusElement.textContent = series
+                ? `Using ${series.values.length} rainfall values from ${series.name}`
+                : 'Using the monthly values above';
+        }
+        document.getElementById('clearRainfallSeriesBtn')?.classList.toggle('hidden', !series);
+        this.updateRunoffFields();
+        
+        eventBus.emit(PROJECT_STATE_CHANGED_EVENT, { calculator: 'water' });
+    }
+    
+    /**
+     * Get the water balance inputs, or null when the water balance is off
+     * The water balance is only offered for rainwater harvesting.
+     * @returns {Object|null} { rainfall, timestep, annualRainfall, tankCapacity, surfaceArea, annualEvaporation, targetReliability }
+     */
+    getWaterBalanceInputs() {
+        // Only harvested water is stored in a tank
+        if (document.getElementById('waterProjectType')?.value !== WATER_PROJECT_TYPES.RAINWATER_HARVESTING) return null;
+        if (!document.getElementById('enableWaterBalance')?.checked) return null;
+        
+        const rainfall = this.rainfallSeries
+            ? this.rainfallSeries.values
+            : MONTH_NAMES.map((_, index) => this.getNumberInput(`monthlyRainfall${index + 1}`, 0));
+        const timestep = this.rainfallSeries
+            ? document.getElementById('rainfallSeriesTimestep')?.value || 'monthly'
+            : 'monthly';
+        const { stepsPerYear } = WATER_BALANCE_TIMESTEPS[timestep] || WATER_BALANCE_TIMESTEPS.monthly;
+        
+        return {
+            rainfall,
+            timestep,
+            // Mean rainfall per year of the series
+            annualRainfall: rainfall.reduce((total, depth) => total + depth, 0) / (rainfall.length / stepsPerYear),
+            tankCapacity: this.getNumberInput('tankCapacity', 0),
+            surfaceArea: this.getNumberInput('tankSurfaceArea', 0),
+            annualEvaporation: this.getNumberInput('annualEvaporation', 0),
+            targetReliability: this.getNumberInput('targetReliability', DEFAULT_TARGET_RELIABILITY)
+        };
+    }
+    
+    /**
+     * Fill the cost builder with the typical water project items
+     * @param {Array<Object>} [lines] - Lines to show instead, e.g. from a saved project
+     */
+    setupCostBuilder(lines = WATER_COST_TEMPLATES) {
+        renderCostBuilder(this.costLinesContainer, lines, {
+            bases: ['total', 'perHectare'],
+            schedules: ['once', 'annual', 'interval']
+        });
+    }
+    
     /**
      * Handle form submission
      * @param {Event} event - Form submission event
@@ -87,6 +507,10 @@ export class WaterCalculatorManager {
             // Calculate water capture
             const results = this.calculateWaterCapture(inputs);
             
+            // A previous sensitivity analysis no longer matches these inputs
+            this.sensitivity = null;
+            this.displaySensitivity();
+            
             // Track calculation event
             analytics.trackEvent('water_calculation_completed', {
                 projectArea: inputs.projectArea,
@@ -96,6 +520,7 @@ export class WaterCalculatorManager {
             
             // Display results
             this.displayResults(results);
+            eventBus.emit(PROJECT_STATE_CHANGED_EVENT, { calculator: 'water' });
             
             // Ensure results section is visible after calculation
             if (this.resultsSection) {
@@ -118,18 +543,50 @@ export class WaterCalculatorManager {
      * @returns {Object} Form input values
      */
     getFormInputs() {
-        return {
+        const projectType = document.getElementById('waterProjectType')?.value || '';
+        const inputs = {
             projectLocation: document.getElementById('waterProjectLocation')?.value || '',
             projectArea: parseFloat(document.getElementById('waterProjectArea')?.value) || 0,
-            projectType: document.getElementById('waterProjectType')?.value || '',
+            projectType,
             annualRainfall: parseFloat(document.getElementById('annualRainfall')?.value) || 0,
-            runoffCoefficient: parseFloat(document.getElementById('runoffCoefficient')?.value) || 0.8,
+            runoffCoefficient: parseFloat(document.getElementById('runoffCoefficient')?.value) || config.get('water.defaultRunoffCoefficient', 0.6),
             waterDemand: parseFloat(document.getElementById('waterDemand')?.value) || 0,
             projectDuration: parseFloat(document.getElementById('waterProjectDuration')?.value) || 20,
-            captureEfficiency: parseFloat(document.getElementById('captureEfficiency')?.value) || 85,
-            energySavings: parseFloat(document.getElementById('energySavings')?.value) || 0.5,
-            projectCost: this.getCleanedProjectCost()
+            captureEfficiency: parseFloat(document.getElementById('captureEfficiency')?.value) || config.get('water.defaultCaptureEfficiency', 75),
+            energy: this.getEnergyInputs(),
+            projectCost: this.getCleanedProjectCost(),
+            costLines: readCostLines(this.costLinesContainer),
+            waterValue: this.getNumberInput('waterValuePerKL', DEFAULT_WATER_VALUE),
+            discountRate: this.getNumberInput('waterDiscountRate', DEFAULT_DISCOUNT_RATE * 100) / 100,
+            modelParameters: this.getModelParameters(projectType),
+            waterBalance: this.getWaterBalanceInputs(),
+            rainfallVariability: this.getRainfallVariabilityInputs(projectType)
         };
+        
+        // The rainfall of the water balance, or else the mean of a rainfall record, replaces the annual rainfall field
+        if (inputs.waterBalance) {
+            inputs.annualRainfall = inputs.waterBalance.annualRainfall;
+        } else if (inputs.rainfallVariability?.mode === RAINFALL_VARIABILITY_MODES.HISTORICAL) {
+            inputs.annualRainfall = inputs.rainfallVariability.meanRainfall;
+        }
+        
+        inputs.runoff = this.getRunoffInputs(inputs.waterBalance);
+        inputs.runoffCoefficient = inputs.runoff.coefficient;
+        inputs.energySavings = inputs.energy.kwhPerKL;
+        
+        return inputs;
+    }
+    
+    /**
+     * Read a number input, falling back to a default when it is empty
+     * @param {string} id - Input element ID
+     * @param {number} defaultValue - Value used when the input is empty or missing
+     * @returns {number} Input value
+     */
+    getNumberInput(id, defaultValue) {
+        const input = document.getElementById(id);
+        if (!input || input.value === '') return defaultValue;
+        return parseFloat(input.value);
     }
     
     /**
@@ -163,7 +620,22 @@ export class WaterCalculatorManager {
             return false;
         }
         
-        if (!inputs.annualRainfall || inputs.annualRainfall <= 0) {
+        const modelError = validateWaterModelInputs(inputs.projectType, inputs.modelParameters);
+        if (modelError) {
+            this.showError(modelError);
+            return false;
+        }
+        
+        if (inputs.waterBalance && !this.validateWaterBalanceInputs(inputs)) {
+            return false;
+        }
+        
+        if (inputs.rainfallVariability && !this.validateRainfallVariabilityInputs(inputs.rainfallVariability)) {
+            return false;
+        }
+        
+        // Conservation projects save water rather than capture rain
+        if (projectTypeUsesRainfall(inputs.projectType) && (!inputs.annualRainfall || inputs.annualRainfall <= 0)) {
             this.showError('Please enter valid annual rainfall');
             return false;
         }
@@ -173,6 +645,17 @@ export class WaterCalculatorManager {
             return false;
         }
         
+        if (inputs.runoff.method === RUNOFF_METHODS.CURVE_NUMBER && projectTypeUsesRainfall(inputs.projectType)) {
+            if (!(inputs.runoff.eventRainfall > 0)) {
+                this.showError('Please enter the typical rainfall event depth for the curve number method');
+                return false;
+            }
+            if (inputs.runoffCoefficient <= 0) {
+                this.showError(`No runoff is expected from ${inputs.runoff.source} on this land cover and soil (curve number ${inputs.runoff.estimate.curveNumber.toFixed(0)}); use a larger event or enter a coefficient`);
+                return false;
+            }
+        }
+        
         if (inputs.runoffCoefficient <= 0 || inputs.runoffCoefficient > 1) {
             this.showError('Runoff coefficient must be between 0 and 1');
             return false;
@@ -182,52 +665,245 @@ export class WaterCalculatorManager {
             this.showError('Capture efficiency must be between 0 and 100%');
             return false;
         }
+
+        try {
+            inputs.costLines.forEach(line => resolveCostLine(line, inputs.projectDuration));
+        } catch (error) {
+            this.showError(`Cost lines: ${error.message}`);
+            return false;
+        }
+
+        if (inputs.energy.method === ENERGY_METHODS.PUMPING) {
+            const { liftHeight, pumpEfficiency, pipeLosses } = inputs.energy.pumping;
+            if (isNaN(liftHeight) || liftHeight < 0 || isNaN(pipeLosses) || pipeLosses < 0) {
+                this.showError('Lift height and pipe losses must be zero or more');
+                return false;
+            }
+            if (isNaN(pumpEfficiency) || pumpEfficiency <= 0 || pumpEfficiency > 100) {
+                this.showError('Pump efficiency must be between 0 and 100%');
+                return false;
+            }
+        }
+        
+        if (inputs.energy.override < 0) {
+            this.showError('Grid emission factor must be zero or more');
+            return false;
+        }
+        
+        if (isNaN(inputs.energy.annualDecline) || inputs.energy.annualDecline < 0 || inputs.energy.annualDecline > 50) {
+            this.showError('Grid decarbonisation must be between 0 and 50% a year');
+            return false;
+        }
+        
+        if (isNaN(inputs.waterValue) || inputs.waterValue < 0) {
+            this.showError('Value of water must be zero or more');
+            return false;
+        }
+
+        if (isNaN(inputs.discountRate) || inputs.discountRate < 0 || inputs.discountRate > 0.5) {
+            this.showError('Discount rate must be between 0 and 50%');
+            return false;
+        }
+
+        return true;
+    }
+    
+    /**
+     * Validate the water balance inputs
+     * @param {Object} inputs - Form inputs with waterBalance set
+     * @returns {boolean} Validation result
+     */
+    validateWaterBalanceInputs(inputs) {
+        const balance = inputs.waterBalance;
+        const { stepsPerYear } = WATER_BALANCE_TIMESTEPS[balance.timestep] || WATER_BALANCE_TIMESTEPS.monthly;
+        
+        if (balance.rainfall.length < stepsPerYear) {
+            this.showError(`The rainfall series has ${balance.rainfall.length} values; a ${balance.timestep} series needs at least ${stepsPerYear} for one year`);
+            return false;
+        }
+        
+        if (!(balance.annualRainfall > 0)) {
+            this.showError('Please enter the monthly rainfall for the water balance');
+            return false;
+        }
+        
+        if (!inputs.waterDemand || inputs.waterDemand <= 0) {
+            this.showError('The water balance needs the annual water demand drawn from the tank');
+            return false;
+        }
+        
+        if (!(balance.tankCapacity > 0)) {
+            this.showError('Please enter the tank capacity');
+            return false;
+        }
+        
+        if (isNaN(balance.surfaceArea) || balance.surfaceArea < 0 || isNaN(balance.annualEvaporation) || balance.annualEvaporation < 0) {
+            this.showError('Tank surface area and evaporation must be zero or more');
+            return false;
+        }
+        
+        if (isNaN(balance.targetReliability) || balance.targetReliability < 1 || balance.targetReliability > 100) {
+            this.showError('Target reliability must be between 1 and 100%');
+            return false;
+        }
         
         return true;
     }
     
+    /**
+     * Validate the rainfall variability inputs
+     * @param {Object} variability - Result of getRainfallVariabilityInputs()
+     * @returns {boolean} Validation result
+     */
+    validateRainfallVariabilityInputs(variability) {
+        if (variability.mode === RAINFALL_VARIABILITY_MODES.HISTORICAL) {
+            if (variability.values.length < 2) {
+                this.showError('Please upload a record of at least two years of annual rainfall');
+                return false;
+            }
+            if (!(variability.meanRainfall > 0)) {
+                this.showError('The annual rainfall record has no rainfall');
+                return false;
+            }
+            return true;
+        }
+        
+        if (isNaN(variability.cv) || variability.cv < 0 || variability.cv > 100) {
+            this.showError('Coefficient of variation must be between 0 and 100%');
+            return false;
+        }
+        
+        if (isNaN(variability.droughtFrequency) || variability.droughtFrequency < 0 || variability.droughtFrequency >= 100) {
+            this.showError('Drought years must be between 0 and 99% of years');
+            return false;
+        }
+        
+        if (isNaN(variability.droughtSeverity) || variability.droughtSeverity < 0 || variability.droughtSeverity > 100) {
+            this.showError('Drought-year rainfall must be between 0 and 100% of the mean');
+            return false;
+        }
+        
+        if (!Number.isInteger(variability.seed) || variability.seed < 0) {
+            this.showError('Random seed must be a whole number of 0 or more');
+            return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Water of each project year for one rainfall sequence
+     * @param {Object} inputs - Calculator inputs
+     * @param {Array<number>|null} rainfallFactors - Rainfall of each year relative to the annual rainfall, or null for the same rainfall every year
+     * @param {boolean} [sizeTank=true] - Whether the water balance searches for the tank size
+     * @returns {Object} { model, waterBalance, volumes }
+     */
+    simulateYearlyWater(inputs, rainfallFactors, sizeTank = true) {
+        // Water captured, retained, recharged or saved each year by the model of the project type
+        const model = calculateWaterModel({ ...inputs, rainfallFactors });
+        
+        // With a storage tank, the water captured is the demand the tank supplies
+        let waterBalance = null;
+        if (inputs.waterBalance) {
+            // Scale the series when the annual rainfall was changed, e.g. by the sensitivity analysis
+            const rainfallScale = inputs.annualRainfall / inputs.waterBalance.annualRainfall;
+            waterBalance = runWaterBalance({
+                ...inputs.waterBalance,
+                rainfall: inputs.waterBalance.rainfall.map(depth => depth * rainfallScale),
+                years: inputs.projectDuration,
+                catchment: {
+                    area: inputs.projectArea,
+                    runoffCoefficient: inputs.runoffCoefficient,
+                    captureEfficiency: inputs.captureEfficiency
+                },
+                annualDemand: inputs.waterDemand,
+                yearlyFactors: rainfallFactors,
+                sizeTank
+            });
+        }
+        
+        const volumes = waterBalance ? waterBalance.yearly.map(year => year.supplied) : model.volumes;
+        return { model, waterBalance, volumes };
+    }
+    
     /**
      * Calculate water capture based on inputs
      * @param {Object} inputs - Calculator inputs
      * @returns {Object} Calculation results
      */
     calculateWaterCapture(inputs) {
-        // Basic water capture calculation
-        // Water captured (KL) = Area (ha) * Annual Rainfall (mm) * Runoff Coefficient * Capture Efficiency * 10
-        // (Factor of 10 converts ha*mm to kiloliters)
-        const captureEfficiencyFraction = inputs.captureEfficiency / 100;
-        const annualWaterCaptured = inputs.projectArea * inputs.annualRainfall * inputs.runoffCoefficient * captureEfficiencyFraction * 10;
+        // Wet and dry years: rainfall of each year relative to the annual rainfall, for the project and the ensemble
+        const variability = inputs.rainfallVariability;
+        let factorSequences = [null];
+        if (variability) {
+            const referenceRainfall = variability.mode === RAINFALL_VARIABILITY_MODES.HISTORICAL
+                ? variability.meanRainfall
+                : inputs.annualRainfall;
+            factorSequences = buildRainfallSequences(variability, { meanRainfall: inputs.annualRainfall, years: inputs.projectDuration })
+                .map(sequence => sequence.map(rainfall => rainfall / referenceRainfall));
+        }
+        
+        const { model, waterBalance, volumes } = this.simulateYearlyWater(inputs, factorSequences[0]);
+        
+        let rainfallVariability = null;
+        if (variability) {
+            const ensemble = [volumes, ...factorSequences.slice(1).map(factors => this.simulateYearlyWater(inputs, factors, false).volumes)];
+            rainfallVariability = {
+                mode: variability.mode,
+                sequenceCount: factorSequences.length,
+                rainfall: factorSequences[0].map(factor => factor * inputs.annualRainfall),
+                water: volumes,
+                range: summarizeEnsemble(ensemble),
+                waterDemand: inputs.waterDemand
+            };
+        }
+        
+        // Grid emission factor of each year, falling as the grid decarbonises
+        const energyInputs = inputs.energy || { method: ENERGY_METHODS.MANUAL, region: DEFAULT_GRID_REGION, annualDecline: 0 };
+        const grid = resolveGridEmissionFactor(energyInputs.region, energyInputs.override);
+        const emissionFactors = projectEmissionFactors(grid.factor, energyInputs.annualDecline, inputs.projectDuration);
         
         // Generate results for each year
         const yearlyResults = [];
         let totalCaptured = 0;
         
         for (let year = 1; year <= inputs.projectDuration; year++) {
-            totalCaptured += annualWaterCaptured;
-            const energySaved = annualWaterCaptured * inputs.energySavings;
-            const emissions = energySaved * 0.85; // Approximate CO2e emissions per kWh
+            const waterCaptured = volumes[year - 1];
+            totalCaptured += waterCaptured;
+            const energySaved = waterCaptured * inputs.energySavings;
+            const emissionFactor = emissionFactors[year - 1];
             
             yearlyResults.push({
                 year,
-                waterCaptured: annualWaterCaptured,
+                waterCaptured,
                 cumulativeWater: totalCaptured, 
                 energySaved,
-                emissionsReduced: emissions
+                emissionFactor,
+                emissionsReduced: energySaved * emissionFactor
             });
         }
         
-        // Calculate demand coverage if demand is provided
-        const demandCoverage = inputs.waterDemand > 0 ? 
+        const annualWaterCaptured = totalCaptured / yearlyResults.length;
+        
+        // Calculate demand coverage if demand is provided; the water balance gives it directly
+        let demandCoverage = inputs.waterDemand > 0 ? 
             (annualWaterCaptured / inputs.waterDemand * 100) : 0;
+        if (waterBalance) {
+            demandCoverage = waterBalance.reliability;
+        }
         
-        // Cost analysis if project cost is provided
+        // Cost analysis if itemised costs or a project cost are provided
+        const costPlan = this.buildCostPlan(inputs);
         let costAnalysis = null;
-        if (inputs.projectCost > 0) {
+        if (costPlan.total > 0) {
             costAnalysis = {
-                totalProjectCost: inputs.projectCost,
-                costPerKiloliter: inputs.projectCost / totalCaptured,
-                costPerHectare: inputs.projectCost / inputs.projectArea,
-                paybackPeriod: this.calculatePaybackPeriod(inputs.projectCost, annualWaterCaptured)
+                totalProjectCost: costPlan.total,
+                costPerKiloliter: costPlan.total / totalCaptured,
+                costPerHectare: costPlan.total / inputs.projectArea,
+                paybackPeriod: this.calculatePaybackPeriod(costPlan.total, annualWaterCaptured, inputs.waterValue, yearlyResults),
+                costLines: costPlan.lines,
+                itemised: costPlan.itemised,
+                finance: this.calculateCashFlows(inputs, yearlyResults, costPlan.costs)
             };
         }
         
@@ -237,27 +913,93 @@ export class WaterCalculatorManager {
                 totalWaterCaptured: totalCaptured,
                 annualWaterCaptured,
                 demandCoverage,
-                emissionsReduction: yearlyResults[yearlyResults.length - 1].emissionsReduced * inputs.projectDuration
+                emissionsReduction: yearlyResults.reduce((total, result) => total + result.emissionsReduced, 0)
             },
             yearlyResults,
-            costAnalysis
+            costAnalysis,
+            model,
+            waterBalance,
+            rainfallVariability,
+            energy: { ...energyInputs, kwhPerKL: inputs.energySavings, grid, factors: emissionFactors }
         };
     }
     
     /**
      * Calculate payback period in years
+     * With yearly results the value of the water is added up year by year, so
+     * dry years early in the project delay the payback. A payback beyond the
+     * project is extrapolated at the mean annual value.
      * @param {number} projectCost - Total project cost
      * @param {number} annualWaterCaptured - Annual water captured in KL
+     * @param {number} [waterValue=15] - Value of water in the base currency per KL
+     * @param {Array<Object>} [yearlyResults] - Yearly results with waterCaptured
      * @returns {number} Payback period in years
      */
-    calculatePaybackPeriod(projectCost, annualWaterCaptured) {
-        // Simplified calculation assuming water value of ₹15 per KL
-        const waterValue = 15; // ₹ per KL
+    calculatePaybackPeriod(projectCost, annualWaterCaptured, waterValue = DEFAULT_WATER_VALUE, yearlyResults = []) {
+        let cumulativeValue = 0;
+        for (let index = 0; index < yearlyResults.length; index++) {
+            const yearValue = yearlyResults[index].waterCaptured * waterValue;
+            if (yearValue > 0 && cumulativeValue + yearValue >= projectCost) {
+                // Part of the year in which the cost is recovered
+                return index + (projectCost - cumulativeValue) / yearValue;
+            }
+            cumulativeValue += yearValue;
+        }
+        
         const annualValue = annualWaterCaptured * waterValue;
         
         return annualValue > 0 ? projectCost / annualValue : 0;
     }
     
+    /**
+     * Resolve the project costs year by year
+     * Itemised cost lines are used when any are entered; otherwise the
+     * total project cost is paid up front.
+     * @param {Object} inputs - Calculator inputs
+     * @returns {Object} { costs, total, categoryTotals, lines, itemised }
+     */
+    buildCostPlan(inputs) {
+        const itemisedPlan = buildCostSchedule(inputs.costLines, {
+            duration: inputs.projectDuration,
+            area: inputs.projectArea
+        });
+        if (itemisedPlan.total > 0) {
+            return { ...itemisedPlan, itemised: true };
+        }
+        
+        const costs = new Array(Math.floor(inputs.projectDuration) + 1).fill(0);
+        costs[0] = inputs.projectCost;
+        return {
+            costs,
+            total: inputs.projectCost,
+            categoryTotals: { establishment: inputs.projectCost, maintenance: 0, monitoring: 0, other: 0 },
+            lines: [],
+            itemised: false
+        };
+    }
+    
+    /**
+     * Build the discounted cash-flow model
+     * Captured water is valued every year against the yearly costs.
+     * @param {Object} inputs - Calculator inputs
+     * @param {Array} yearlyResults - Yearly results data
+     * @param {Array<number>} costs - Cost for each year from buildCostPlan()
+     * @returns {Object} Model from buildCashFlowModel()
+     */
+    calculateCashFlows(inputs, yearlyResults, costs) {
+        const units = [0];
+        yearlyResults.forEach(result => {
+            units[result.year] = result.waterCaptured;
+        });
+        
+        return buildCashFlowModel({
+            costs,
+            units,
+            unitPrice: inputs.waterValue,
+            discountRate: inputs.discountRate
+        });
+    }
+    
     /**
      * Display calculation results in the UI
      * @param {Object} results - Calculation results
@@ -267,6 +1009,10 @@ export class WaterCalculatorManager {
         this.lastCalculatedResults = results;
         
         // Update summary stats
+        const volumeLabel = results.model?.volumeLabel || 'Water Harvested';
+        document.getElementById('waterTotalVolumeTitle').textContent = `Total ${volumeLabel}`;
+        document.getElementById('waterAnnualVolumeTitle').textContent = `Annual ${volumeLabel}`;
+        
         document.getElementById('totalWaterCaptured').textContent = 
             this.formatNumber(results.summary.totalWaterCaptured);
         
@@ -283,13 +1029,13 @@ export class WaterCalculatorManager {
         // Update cost analysis if available
         if (results.costAnalysis) {
             document.getElementById('waterTotalProjectCost').textContent = 
-                '₹ ' + this.formatNumber(results.costAnalysis.totalProjectCost, 0);
+                formatMoney(results.costAnalysis.totalProjectCost, { decimals: 0, symbol: false });
             
             document.getElementById('costPerKiloliter').textContent = 
-                '₹ ' + this.formatNumber(results.costAnalysis.costPerKiloliter, 2);
+                formatMoney(results.costAnalysis.costPerKiloliter, { symbol: false });
             
             document.getElementById('costPerHectare').textContent = 
-                '₹ ' + this.formatNumber(results.costAnalysis.costPerHectare, 0);
+                formatMoney(results.costAnalysis.costPerHectare, { decimals: 0, symbol: false });
             
             document.getElementById('paybackPeriod').textContent = 
                 this.formatNumber(results.costAnalysis.paybackPeriod, 1) + ' years';
@@ -300,11 +1046,233 @@ export class WaterCalculatorManager {
             document.getElementById('paybackPeriod').textContent = '-';
         }
         
+        // List the itemised cost lines when they were used
+        const costLinesSummary = document.getElementById('waterCostLinesSummary');
+        if (costLinesSummary) {
+            renderCostLineSummary(document.getElementById('waterCostLinesBody'), results.costAnalysis?.costLines, value => formatMoney(value, { decimals: 0, symbol: false }));
+            costLinesSummary.classList.toggle('hidden', !results.costAnalysis?.itemised);
+        }
+        
+        // Show the cash-flow model, or hide the panel when there is no project cost
+        renderFinancePanel(document.getElementById('waterFinancePanel'), results.costAnalysis?.finance || null, {
+            unitLabel: 'KL',
+            unitsHeader: 'Water Captured (KL)'
+        });
+        
+        // Say how the runoff coefficient was obtained, unless the project does not use runoff
+        const runoffMethodElement = document.getElementById('waterRunoffMethod');
+        if (runoffMethodElement) {
+            const usesRunoff = Boolean(results.inputs.runoff) && projectTypeUsesRainfall(results.inputs.projectType);
+            runoffMethodElement.textContent = usesRunoff ? describeRunoffMethod(results.inputs.runoff) : '';
+            runoffMethodElement.classList.toggle('hidden', !usesRunoff);
+        }
+        
+        const emissionMethodElement = document.getElementById('waterEmissionMethod');
+        if (emissionMethodElement && results.energy) {
+            emissionMethodElement.textContent = describeEnergyMethod(results.energy);
+            emissionMethodElement.classList.remove('hidden');
+        }
+        
+        const projectTypeSelect = document.getElementById('waterProjectType');
+        const projectTypeLabel = projectTypeSelect?.options[projectTypeSelect.selectedIndex]?.text;
+        renderWaterModelPanel(document.getElementById('waterModelPanel'), results.model || null, projectTypeLabel);
+        renderWaterBalancePanel(document.getElementById('waterBalancePanel'), results.waterBalance || null);
+        renderRainfallVariabilityPanel(document.getElementById('waterVariabilityPanel'), results.rainfallVariability || null, volumeLabel);
+        
         // Update yearly results table
         this.updateResultsTable(results.yearlyResults);
         
         // Update chart
         this.updateWaterCaptureChart(results.yearlyResults);
+        
+        this.displayScenarios();
+    }
+    
+    /**
+     * Run the sensitivity analysis on the inputs of the last calculation
+     * Each input is scaled in turn, with itemised costs scaled along with the project cost.
+     */
+    runSensitivityAnalysis() {
+        this.clearErrors();
+        
+        try {
+            if (!this.lastCalculatedResults) {
+                this.showError('Please run a calculation before the sensitivity analysis.');
+                return;
+            }
+            
+            const baseInputs = this.lastCalculatedResults.inputs;
+            const percent = parseFloat(document.getElementById('waterSensitivityPercent')?.value);
+            
+            const evaluate = (key, factor) => {
+                const inputs = { ...baseInputs };
+                if (key) {
+                    const parameter = WATER_SENSITIVITY_PARAMETERS.find(item => item.key === key);
+                    inputs[key] = baseInputs[key] * factor;
+                    if (parameter.max !== undefined) inputs[key] = Math.min(parameter.max, inputs[key]);
+                    if (key === 'projectCost') inputs.costLines = scaleCostLines(baseInputs.costLines, factor);
+                }
+                
+                const results = this.calculateWaterCapture(inputs);
+                return {
+                    totalWaterCaptured: results.summary.totalWaterCaptured,
+                    emissionsReduction: results.summary.emissionsReduction,
+                    costPerKiloliter: results.costAnalysis ? results.costAnalysis.costPerKiloliter : null
+                };
+            };
+            
+            this.sensitivity = runSensitivityAnalysis(WATER_SENSITIVITY_PARAMETERS, evaluate, percent);
+            this.displaySensitivity();
+            
+            analytics.trackEvent('water_sensitivity_run', { percent });
+        } catch (error) {
+            console.error('Water sensitivity analysis error:', error);
+            this.showError(`Sensitivity analysis: ${error.message || 'Unknown error'}`);
+        }
+    }
+    
+    /**
+     * Show the sensitivity analysis, or hide the panel when there is none
+     */
+    displaySensitivity() {
+        const panel = document.getElementById('waterSensitivityPanel');
+        const selectedMetric = panel?.querySelector('[data-sensitivity-metric]')?.value;
+        
+        renderSensitivityPanel(panel, this.sensitivity, {
+            metrics: {
+                totalWaterCaptured: { label: 'Total Water Captured (KL)', format: value => this.formatNumber(value) },
+                emissionsReduction: { label: 'Emissions Reduction (kg CO₂e)', format: value => this.formatNumber(value) },
+                costPerKiloliter: { label: 'Cost per KL', format: value => formatMoney(value) }
+            },
+            selectedMetric
+        });
+    }
+    
+    /**
+     * Save the inputs and results of the last calculation as a named scenario
+     */
+    saveScenario() {
+        this.clearErrors();
+        
+        try {
+            if (!this.lastCalculatedResults) {
+                this.showError('Please run a calculation before saving a scenario.');
+                return;
+            }
+            
+            const nameInput = document.getElementById('waterScenarioName');
+            const name = nameInput?.value.trim() || `Scenario ${this.scenarios.list().length + 1}`;
+            const { inputs, summary, yearlyResults, costAnalysis } = this.lastCalculatedResults;
+            
+            this.scenarios.save({
+                name,
+                inputs,
+                metrics: {
+                    totalWaterCaptured: summary.totalWaterCaptured,
+                    annualWaterCaptured: summary.annualWaterCaptured,
+                    emissionsReduction: summary.emissionsReduction,
+                    totalProjectCost: costAnalysis ? costAnalysis.totalProjectCost : null,
+                    costPerKiloliter: costAnalysis ? costAnalysis.costPerKiloliter : null,
+                    npv: costAnalysis?.finance ? costAnalysis.finance.npv : null,
+                    paybackPeriod: costAnalysis ? costAnalysis.paybackPeriod : null
+                },
+                series: {
+                    years: yearlyResults.map(result => result.year),
+                    values: yearlyResults.map(result => result.cumulativeWater)
+                }
+            });
+            
+            if (nameInput) nameInput.value = '';
+            this.displayScenarios();
+            eventBus.emit(PROJECT_STATE_CHANGED_EVENT, { calculator: 'water' });
+            
+            analytics.trackEvent('water_scenario_saved', { scenarios: this.scenarios.list().length });
+        } catch (error) {
+            console.error('Water scenario error:', error);
+            this.showError(`Scenario: ${error.message || 'Unknown error'}`);
+        }
+    }
+    
+    /**
+     * Show the saved scenarios side by side
+     */
+    displayScenarios() {
+        renderScenarioComparison(document.getElementById('waterScenarioPanel'), this.scenarios, {
+            metrics: {
+                totalWaterCaptured: { label: 'Total Water Captured (KL)', format: value => this.formatNumber(value) },
+                annualWaterCaptured: { label: 'Annual Water Captured (KL)', format: value => this.formatNumber(value) },
+                emissionsReduction: { label: 'Emissions Reduction (kg CO₂e)', format: value => this.formatNumber(value) },
+                totalProjectCost: { label: 'Total Project Cost', format: formatMoney },
+                costPerKiloliter: { label: 'Cost per KL', format: formatMoney },
+                npv: { label: 'NPV', format: formatMoney },
+                paybackPeriod: { label: 'Payback Period (years)', format: value => this.formatNumber(value, 1) }
+            },
+            chart: {
+                title: 'Cumulative Water Captured by Scenario',
+                yLabel: 'KL'
+            },
+            onChange: () => eventBus.emit(PROJECT_STATE_CHANGED_EVENT, { calculator: 'water' })
+        });
+    }
+    
+    /**
+     * Current form values and scenarios, for saving in a project
+     * @returns {Object} { fields, costLines, rainfallSeries, annualRainfallSeries, scenarios, calculated }
+     */
+    getProjectState() {
+        return {
+            fields: readFieldValues(this.form),
+            costLines: readCostLines(this.costLinesContainer),
+            rainfallSeries: this.rainfallSeries,
+            annualRainfallSeries: this.annualRainfallSeries,
+            scenarios: this.scenarios.serialize(),
+            calculated: !!this.lastCalculatedResults
+        };
+    }
+    
+    /**
+     * Cumulative water captured by year of the last calculation
+     * @returns {Array<Object>|null} [{ year, value }], or null without results
+     */
+    getResultSeries() {
+        if (!this.lastCalculatedResults) return null;
+        return this.lastCalculatedResults.yearlyResults.map(result => ({ year: result.year, value: result.cumulativeWater }));
+    }
+    
+    /**
+     * Emission reductions of the last calculation, for the combined carbon summary
+     * @returns {Object|null} { label, total } with total in t CO₂e, or null without results
+     */
+    getCarbonSummary() {
+        if (!this.lastCalculatedResults) return null;
+        return { label: 'Water (avoided grid emissions)', total: this.lastCalculatedResults.summary.emissionsReduction / 1000 };
+    }
+    
+    /**
+     * Restore the state saved by getProjectState()
+     * The calculation is run again when the project had results.
+     * @param {Object|null} state - Saved state, or null for an empty calculator
+     */
+    applyProjectState(state) {
+        this.resetWaterCalculator();
+        this.scenarios.restore(state?.scenarios || null);
+        this.displayScenarios();
+        if (!state) return;
+        
+        writeFieldValues(this.form, state.fields);
+        if (Array.isArray(state.costLines) && state.costLines.length > 0) {
+            this.setupCostBuilder(state.costLines);
+        }
+        if (state.rainfallSeries) {
+            this.setRainfallSeries(state.rainfallSeries);
+        }
+        if (state.annualRainfallSeries) {
+            this.setAnnualRainfallSeries(state.annualRainfallSeries);
+        }
+        
+        if (state.calculated) {
+            this.handleWaterFormSubmit(new Event('submit'));
+        }
     }
     
     /**
@@ -454,6 +1422,30 @@ export class WaterCalculatorManager {
             this.resultsSection.classList.add('hidden');
         }
         
+        renderFinancePanel(document.getElementById('waterFinancePanel'), null);
+        document.getElementById('waterCostLinesSummary')?.classList.add('hidden');
+        renderWaterModelPanel(document.getElementById('waterModelPanel'), null);
+        renderWaterBalancePanel(document.getElementById('waterBalancePanel'), null);
+        renderRainfallVariabilityPanel(document.getElementById('waterVariabilityPanel'), null);
+        
+        // The form reset clears the project type and unchecks the water balance without change events
+        this.toggleWaterModelFields();
+        this.toggleWaterBalanceFields();
+        this.toggleRainfallVariabilityFields();
+        this.updateRunoffFields();
+        this.updateEnergyFields();
+        document.getElementById('waterRunoffMethod')?.classList.add('hidden');
+        document.getElementById('waterEmissionMethod')?.classList.add('hidden');
+        this.setRainfallSeries(null);
+        this.setAnnualRainfallSeries(null);
+        
+        this.lastCalculatedResults = null;
+        this.sensitivity = null;
+        this.displaySensitivity();
+        
+        // Drop any cost lines the user added and restore the typical items
+        this.setupCostBuilder();
+        
         // Reset chart
         if (window.waterCaptureChart) {
             window.waterCaptureChart.destroy();
@@ -462,6 +1454,7 @@ export class WaterCalculatorManager {
         
         // Track reset event
         analytics.trackEvent('water_calculator_reset');
+        eventBus.emit(PROJECT_STATE_CHANGED_EVENT, { calculator: 'water' });
     }
     
     /**
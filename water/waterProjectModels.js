@@ -0,0 +1,258 @@
+/**
+ * Water models for each project type
+ *
+ * Rainwater harvesting captures the runoff of the catchment. Watershed work
+ * holds runoff back in check dams, which fill a few times a season and lose
+ * capacity to silt. Recharge pits pass runoff into the ground as fast as the
+ * soil takes it in. Conservation measures save water against a baseline
+ * consumption instead of capturing rain.
+ *
+ * Each model gives the water volume of every project year, which the water
+ * calculator uses for the yearly results, costs and emissions, and the
+ * metrics specific to the project type. Runoff follows the rainfall of each
+ * year when `rainfallFactors` (rainfall of each year / annual rainfall) is set.
+ */
+import { formatNumber } from '../utils.js';
+
+export const WATER_PROJECT_TYPES = {
+    RAINWATER_HARVESTING: 'rainwater_harvesting',
+    WATERSHED_MANAGEMENT: 'watershed_management',
+    GROUNDWATER_RECHARGE: 'groundwater_recharge',
+    WATER_CONSERVATION: 'water_conservation'
+};
+
+// Inputs of each model, keyed by form field ID, with their defaults (null when required)
+export const WATER_MODEL_FIELDS = {
+    [WATER_PROJECT_TYPES.RAINWATER_HARVESTING]: {},
+    [WATER_PROJECT_TYPES.WATERSHED_MANAGEMENT]: {
+        checkDamCount: 5,
+        checkDamCapacity: 1000,
+        checkDamFillCycles: 3,
+        checkDamSiltation: 2,
+        checkDamPercolation: 50
+    },
+    [WATER_PROJECT_TYPES.GROUNDWATER_RECHARGE]: {
+        rechargePitCount: 20,
+        rechargePitArea: 6,
+        infiltrationRate: 25,
+        rechargeHours: 300
+    },
+    [WATER_PROJECT_TYPES.WATER_CONSERVATION]: {
+        baselineConsumption: null,
+        consumptionReduction: 25,
+        adoptionYears: 1
+    }
+};
+
+/**
+ * Runoff reaching the project works in a year
+ * Runoff (KL) = area (ha) x rainfall (mm) x runoff coefficient x capture efficiency x 10
+ * @param {Object} inputs - Water calculator inputs
+ * @returns {number} Runoff (KL/year)
+ */
+export function calculateAnnualRunoff({ projectArea, annualRainfall, runoffCoefficient, captureEfficiency }) {
+    return projectArea * annualRainfall * runoffCoefficient * (captureEfficiency / 100) * 10;
+}
+
+/**
+ * Runoff of each project year
+ * @param {Object} inputs - Water calculator inputs, with optional rainfallFactors
+ * @returns {Function} year => runoff (KL)
+ */
+function runoffByYear(inputs) {
+    const runoff = calculateAnnualRunoff(inputs);
+    return year => runoff * (inputs.rainfallFactors?.[year - 1] ?? 1);
+}
+
+/**
+ * Sum of a list of volumes
+ * @param {Array<number>} values - Volumes
+ * @returns {number} Total
+ */
+function sum(values) {
+    return values.reduce((total, value) => total + value, 0);
+}
+
+/**
+ * Volumes for each project year
+ * @param {number} years - Project duration
+ * @param {Function} volumeOf - year => volume (KL)
+ * @returns {Array<number>} Volume per year
+ */
+function yearlyVolumes(years, volumeOf) {
+    return Array.from({ length: Math.floor(years) }, (_, index) => volumeOf(index + 1));
+}
+
+const WATER_MODELS = {
+    [WATER_PROJECT_TYPES.RAINWATER_HARVESTING]: {
+        volumeLabel: 'Water Harvested',
+        usesRainfall: true,
+        validate: () => null,
+        calculate(inputs) {
+            const volumes = yearlyVolumes(inputs.projectDuration, runoffByYear(inputs));
+            const meanRunoff = sum(volumes) / volumes.length;
+            return {
+                volumes,
+                metrics: [
+                    { title: 'Runoff Captured', value: meanRunoff, unit: 'kL/year' },
+                    { title: 'Yield per Hectare', value: meanRunoff / inputs.projectArea, unit: 'kL/ha/year' }
+                ]
+            };
+        }
+    },
+
+    [WATER_PROJECT_TYPES.WATERSHED_MANAGEMENT]: {
+        volumeLabel: 'Water Retained',
+        usesRainfall: true,
+        validate(parameters) {
+            if (!(parameters.checkDamCount >= 1) || !Number.isInteger(parameters.checkDamCount)) return 'Number of check dams must be a whole number of 1 or more';
+            if (!(parameters.checkDamCapacity > 0)) return 'Check dam storage capacity must be more than 0';
+            if (!(parameters.checkDamFillCycles > 0)) return 'Fill cycles per year must be more than 0';
+            if (!(parameters.checkDamSiltation >= 0 && parameters.checkDamSiltation < 100)) return 'Capacity lost to silt must be between 0 and 100% per year';
+            if (!(parameters.checkDamPercolation >= 0 && parameters.checkDamPercolation <= 100)) return 'Share percolating to groundwater must be between 0 and 100%';
+            return null;
+        },
+        calculate(inputs) {
+            const parameters = inputs.modelParameters;
+            const runoffIn = runoffByYear(inputs);
+            // Silt takes the same share of the remaining capacity every year
+            const capacityIn = year => parameters.checkDamCount * parameters.checkDamCapacity
+                * Math.pow(1 - parameters.checkDamSiltation / 100, year - 1);
+            const volumes = yearlyVolumes(inputs.projectDuration, year => Math.min(runoffIn(year), capacityIn(year) * parameters.checkDamFillCycles));
+            const meanRetained = sum(volumes) / volumes.length;
+            const totalRunoff = sum(yearlyVolumes(inputs.projectDuration, runoffIn));
+
+            return {
+                volumes,
+                metrics: [
+                    { title: 'Check Dam Storage', value: capacityIn(1), unit: 'kL when built' },
+                    { title: 'Storage in Final Year', value: capacityIn(volumes.length), unit: 'kL after silting' },
+                    { title: 'Runoff Retained', value: totalRunoff > 0 ? sum(volumes) / totalRunoff * 100 : 0, unit: '% of runoff', decimals: 1 },
+                    { title: 'Groundwater Recharge', value: meanRetained * parameters.checkDamPercolation / 100, unit: 'kL/year percolated' }
+                ]
+            };
+        }
+    },
+
+    [WATER_PROJECT_TYPES.GROUNDWATER_RECHARGE]: {
+        volumeLabel: 'Water Recharged',
+        usesRainfall: true,
+        validate(parameters) {
+            if (!(parameters.rechargePitCount >= 1) || !Number.isInteger(parameters.rechargePitCount)) return 'Number of recharge pits must be a whole number of 1 or more';
+            if (!(parameters.rechargePitArea > 0)) return 'Infiltration area per pit must be more than 0';
+            if (!(parameters.infiltrationRate > 0)) return 'Infiltration rate must be more than 0';
+            if (!(parameters.rechargeHours > 0 && parameters.rechargeHours <= 8760)) return 'Hours with water in the pits must be between 0 and 8760 per year';
+            return null;
+        },
+        calculate(inputs) {
+            const parameters = inputs.modelParameters;
+            const runoffIn = runoffByYear(inputs);
+            // Infiltration rate (mm/h) / 1000 x area (m²) x hours gives m³, which is KL
+            const pitCapacity = parameters.rechargePitArea * parameters.infiltrationRate / 1000 * parameters.rechargeHours;
+            const totalCapacity = pitCapacity * parameters.rechargePitCount;
+            const volumes = yearlyVolumes(inputs.projectDuration, year => Math.min(runoffIn(year), totalCapacity));
+            const runoffVolumes = yearlyVolumes(inputs.projectDuration, runoffIn);
+            const meanRunoff = sum(runoffVolumes) / runoffVolumes.length;
+
+            return {
+                volumes,
+                metrics: [
+                    { title: 'Infiltration Capacity', value: totalCapacity, unit: `kL/year (${formatNumber(pitCapacity, 1)} kL per pit)` },
+                    { title: 'Runoff Recharged', value: meanRunoff > 0 ? sum(volumes) / sum(runoffVolumes) * 100 : 0, unit: '% of runoff', decimals: 1 },
+                    { title: 'Pits to Recharge Mean Runoff', value: pitCapacity > 0 ? Math.ceil(meanRunoff / pitCapacity) : 0, unit: 'pits', decimals: 0 }
+                ]
+            };
+        }
+    },
+
+    [WATER_PROJECT_TYPES.WATER_CONSERVATION]: {
+        volumeLabel: 'Water Saved',
+        usesRainfall: false,
+        validate(parameters) {
+            if (!(parameters.baselineConsumption > 0)) return 'Please enter the baseline water consumption';
+            if (!(parameters.consumptionReduction > 0 && parameters.consumptionReduction <= 100)) return 'Consumption reduction must be between 0 and 100%';
+            if (!(parameters.adoptionYears >= 1)) return 'Years to full adoption must be 1 or more';
+            return null;
+        },
+        calculate(inputs) {
+            const parameters = inputs.modelParameters;
+            const fullSaving = parameters.baselineConsumption * parameters.consumptionReduction / 100;
+            // Savings grow in equal steps until the measures are fully adopted
+            const volumes = yearlyVolumes(inputs.projectDuration, year => fullSaving * Math.min(1, year / parameters.adoptionYears));
+
+            return {
+                volumes,
+                metrics: [
+                    { title: 'Baseline Consumption', value: parameters.baselineConsumption, unit: 'kL/year' },
+                    { title: 'Efficient Consumption', value: parameters.baselineConsumption - fullSaving, unit: 'kL/year at full adoption' },
+                    { title: 'Saving per Hectare', value: fullSaving / inputs.projectArea, unit: 'kL/ha/year' }
+                ]
+            };
+        }
+    }
+};
+
+/**
+ * Whether a project type captures rainfall
+ * @param {string} projectType - One of WATER_PROJECT_TYPES
+ * @returns {boolean} False for projects that save water instead
+ */
+export function projectTypeUsesRainfall(projectType) {
+    return WATER_MODELS[projectType]?.usesRainfall !== false;
+}
+
+/**
+ * Check the model inputs of a project type
+ * @param {string} projectType - One of WATER_PROJECT_TYPES
+ * @param {Object} parameters - Model inputs keyed as in WATER_MODEL_FIELDS
+ * @returns {string|null} Error message, or null if the inputs are valid
+ */
+export function validateWaterModelInputs(projectType, parameters = {}) {
+    const model = WATER_MODELS[projectType];
+    if (!model) return `Unknown project type "${projectType}"`;
+    return model.validate(parameters);
+}
+
+/**
+ * Run the model of the project type
+ * @param {Object} inputs - Water calculator inputs with projectType and modelParameters
+ * @returns {Object} { projectType, volumeLabel, volumes, metrics }; volumes are KL per project year
+ * @throws {Error} If the project type has no model
+ */
+export function calculateWaterModel(inputs) {
+    const model = WATER_MODELS[inputs.projectType];
+    if (!model) {
+        throw new Error(`Unknown project type "${inputs.projectType}"`);
+    }
+
+    return { projectType: inputs.projectType, volumeLabel: model.volumeLabel, ...model.calculate(inputs) };
+}
+
+/**
+ * Render the metrics of the project type model into a panel
+ * @param {HTMLElement} panel - Container for the panel contents
+ * @param {Object|null} modelResults - Result of calculateWaterModel(), or null to hide the panel
+ * @param {string} [title] - Panel heading
+ */
+export function renderWaterModelPanel(panel, modelResults, title = 'Project Type Results') {
+    if (!panel) return;
+
+    if (!modelResults) {
+        panel.classList.add('hidden');
+        panel.innerHTML = '';
+        return;
+    }
+
+    const cards = modelResults.metrics.map(metric => `
+            <div class="metric-card">
+                <h4 class="metric-title">${metric.title}</h4>
+                <div class="metric-value">${formatNumber(metric.value, metric.decimals ?? 0)}</div>
+                <div class="metric-unit">${metric.unit}</div>
+            </div>`).join('');
+
+    panel.innerHTML = `
+        <h3>${title}</h3>
+        <div class="metrics-grid">${cards}
+        </div>`;
+    panel.classList.remove('hidden');
+}
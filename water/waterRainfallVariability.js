@@ -0,0 +1,228 @@
+/**
+ * Year-to-year rainfall variability
+ *
+ * Annual rainfall either comes from an uploaded record of yearly totals or is
+ * generated around the mean. Generated years are lognormal with the given
+ * coefficient of variation; a share of them are drought years at a fixed
+ * share of the mean. Normal years are raised so the long-term mean stays at
+ * the mean rainfall entered. The generator is seeded so a run can be repeated.
+ *
+ * The calculator runs the project on one rainfall sequence and repeats it on
+ * an ensemble of sequences (other seeds, or the record started in each of its
+ * years) to show the range of water captured in each year.
+ */
+import { createSeededRandom, formatNumber } from '../utils.js';
+
+export const RAINFALL_VARIABILITY_MODES = {
+    NONE: 'none',
+    HISTORICAL: 'historical',
+    GENERATED: 'generated'
+};
+
+export const DEFAULT_RAINFALL_VARIABILITY = {
+    cv: 25,
+    droughtFrequency: 10,
+    droughtSeverity: 50,
+    seed: 1
+};
+
+// Generated sequences in the ensemble, including the one the project is run on
+export const GENERATED_SEQUENCE_COUNT = 50;
+
+/**
+ * Generate annual rainfall totals
+ * @param {Object} options - Generator settings
+ * @param {number} options.meanRainfall - Long-term mean rainfall (mm/year)
+ * @param {number} options.years - Number of years
+ * @param {number} options.cv - Coefficient of variation of normal years (%)
+ * @param {number} options.droughtFrequency - Share of drought years (%)
+ * @param {number} options.droughtSeverity - Rainfall of a drought year (% of the mean)
+ * @param {number} options.seed - Random seed
+ * @returns {Array<number>} Rainfall per year (mm)
+ */
+export function generateRainfallSeries({ meanRainfall, years, cv, droughtFrequency, droughtSeverity, seed }) {
+    const random = createSeededRandom(seed);
+    const droughtShare = droughtFrequency / 100;
+    const droughtRainfall = meanRainfall * droughtSeverity / 100;
+    // Mean of normal years that keeps the long-term mean
+    const normalMean = droughtShare < 1
+        ? (meanRainfall - droughtShare * droughtRainfall) / (1 - droughtShare)
+        : droughtRainfall;
+    const sigma = Math.sqrt(Math.log(1 + Math.pow(cv / 100, 2)));
+
+    return Array.from({ length: Math.floor(years) }, () => {
+        // Every year takes the same draws, so a change of drought frequency does not reshuffle the other years
+        const drought = random() < droughtShare;
+        // Box-Muller transform; 1 - random() keeps the logarithm finite
+        const z = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+        if (drought) return droughtRainfall;
+        return normalMean * Math.exp(sigma * z - sigma * sigma / 2);
+    });
+}
+
+/**
+ * Rainfall sequences for the project and its ensemble
+ * @param {Object} variability - { mode, values } for a record, or { mode, cv, droughtFrequency, droughtSeverity, seed }
+ * @param {Object} options - { meanRainfall, years }
+ * @returns {Array<Array<number>>} Rainfall per year of each sequence; the first is the one the project is run on
+ */
+export function buildRainfallSequences(variability, { meanRainfall, years }) {
+    const length = Math.floor(years);
+
+    if (variability.mode === RAINFALL_VARIABILITY_MODES.HISTORICAL) {
+        // The record is repeated when it is shorter than the project, and started in each of its years in turn
+        const { values } = variability;
+        return values.map((_, start) =>
+            Array.from({ length }, (__, year) => values[(start + year) % values.length])
+        );
+    }
+
+    return Array.from({ length: GENERATED_SEQUENCE_COUNT }, (_, index) =>
+        generateRainfallSeries({ ...variability, meanRainfall, years: length, seed: variability.seed + index })
+    );
+}
+
+/**
+ * Range of a yearly quantity across the ensemble
+ * @param {Array<Array<number>>} sequences - Values per year of each sequence
+ * @returns {Array<Object>} [{ year, min, mean, max }]
+ */
+export function summarizeEnsemble(sequences) {
+    return sequences[0].map((_, index) => {
+        const values = sequences.map(sequence => sequence[index]);
+        return {
+            year: index + 1,
+            min: Math.min(...values),
+            mean: values.reduce((total, value) => total + value, 0) / values.length,
+            max: Math.max(...values)
+        };
+    });
+}
+
+/**
+ * Render the rainfall variability results and the range chart into a panel
+ * @param {HTMLElement} panel - Container for the panel contents
+ * @param {Object|null} variability - { mode, rainfall, water, range, sequenceCount, waterDemand }, or null to hide the panel
+ * @param {string} [volumeLabel='Water Captured'] - Name of the yearly water volume
+ */
+export function renderRainfallVariabilityPanel(panel, variability, volumeLabel = 'Water Captured') {
+    if (!panel) return;
+
+    const previousCanvas = panel.querySelector('canvas');
+    if (previousCanvas) window.Chart?.getChart?.(previousCanvas)?.destroy();
+
+    if (!variability) {
+        panel.classList.add('hidden');
+        panel.innerHTML = '';
+        return;
+    }
+
+    const { rainfall, water, range, waterDemand } = variability;
+    const driestYear = rainfall.indexOf(Math.min(...rainfall));
+    const wettestYear = rainfall.indexOf(Math.max(...rainfall));
+    const sourceText = variability.mode === RAINFALL_VARIABILITY_MODES.HISTORICAL
+        ? `the rainfall record started in each of its ${variability.sequenceCount} years`
+        : `${variability.sequenceCount} generated rainfall sequences`;
+    const demandCards = waterDemand > 0 ? `
+            <div class="metric-card">
+                <h4 class="metric-title">Driest-Year Demand Coverage</h4>
+                <div class="metric-value">${formatNumber(water[driestYear] / waterDemand * 100, 1)}</div>
+                <div class="metric-unit">%</div>
+            </div>
+            <div class="metric-card">
+                <h4 class="metric-title">Years Short of Demand</h4>
+                <div class="metric-value">${water.filter(volume => volume < waterDemand).length}</div>
+                <div class="metric-unit">of ${water.length} years</div>
+            </div>` : '';
+
+    panel.innerHTML = `
+        <h3>Rainfall Variability</h3>
+        <p class="text-sm text-gray-500">Results above use the first rainfall sequence; the band shows the range over ${sourceText}.</p>
+        <div class="metrics-grid">
+            <div class="metric-card">
+                <h4 class="metric-title">Driest Year</h4>
+                <div class="metric-value">${formatNumber(rainfall[driestYear], 0)}</div>
+                <div class="metric-unit">mm in year ${driestYear + 1}, ${formatNumber(water[driestYear], 0)} kL</div>
+            </div>
+            <div class="metric-card">
+                <h4 class="metric-title">Wettest Year</h4>
+                <div class="metric-value">${formatNumber(rainfall[wettestYear], 0)}</div>
+                <div class="metric-unit">mm in year ${wettestYear + 1}, ${formatNumber(water[wettestYear], 0)} kL</div>
+            </div>${demandCards}
+        </div>
+        <div class="chart-container mb-4">
+            <canvas></canvas>
+        </div>`;
+    panel.classList.remove('hidden');
+
+    const canvas = panel.querySelector('canvas');
+    if (!window.Chart) {
+        console.warn('Chart.js not available for the rainfall variability chart');
+        return;
+    }
+
+    new window.Chart(canvas.getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: range.map(({ year }) => `Year ${year}`),
+            datasets: [
+                {
+                    label: `Minimum ${volumeLabel} (kL)`,
+                    data: range.map(({ min }) => min),
+                    borderColor: 'rgba(2, 132, 199, 0.4)',
+                    backgroundColor: 'rgba(2, 132, 199, 0.15)',
+                    pointRadius: 0,
+                    borderWidth: 1,
+                    fill: false
+                },
+                {
+                    label: `Maximum ${volumeLabel} (kL)`,
+                    data: range.map(({ max }) => max),
+                    borderColor: 'rgba(2, 132, 199, 0.4)',
+                    backgroundColor: 'rgba(2, 132, 199, 0.15)',
+                    pointRadius: 0,
+                    borderWidth: 1,
+                    // Shade between the minimum and maximum
+                    fill: '-1'
+                },
+                {
+                    label: `Mean ${volumeLabel} (kL)`,
+                    data: range.map(({ mean }) => mean),
+                    borderColor: 'rgba(2, 132, 199, 1)',
+                    borderDash: [6, 4],
+                    pointRadius: 0,
+                    borderWidth: 2,
+                    fill: false
+                },
+                {
+                    label: `${volumeLabel}, This Run (kL)`,
+                    data: water,
+                    borderColor: 'rgba(217, 119, 6, 1)',
+                    backgroundColor: 'rgba(217, 119, 6, 1)',
+                    pointRadius: 2,
+                    borderWidth: 2,
+                    fill: false
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                title: {
+                    display: true,
+                    text: `Annual ${volumeLabel}: Range over Rainfall Sequences`
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'kL/year'
+                    }
+                }
+            }
+        }
+    });
+}
@@ -0,0 +1,128 @@
+/**
+ * Runoff estimation with the SCS Curve Number method (USDA TR-55)
+ *
+ * Land cover and hydrologic soil group give a curve number for average
+ * antecedent moisture (AMC II), which is adjusted for dry (AMC I) or wet
+ * (AMC III) conditions. For a rainfall event of depth P (mm):
+ *   S  = 25400 / CN - 254           potential retention (mm)
+ *   Ia = 0.2 S                      initial abstraction (mm)
+ *   Q  = (P - Ia)² / (P - Ia + S)   runoff depth (mm), 0 when P <= Ia
+ * The runoff coefficient used by the water calculator is the share of the
+ * event or daily rainfall that becomes runoff.
+ */
+
+export const RUNOFF_METHODS = {
+    MANUAL: 'manual',
+    CURVE_NUMBER: 'curve_number'
+};
+
+export const HYDROLOGIC_SOIL_GROUPS = {
+    A: 'A - Sand, loamy sand (high infiltration)',
+    B: 'B - Silt loam, loam',
+    C: 'C - Sandy clay loam',
+    D: 'D - Clay, shallow soils (low infiltration)'
+};
+
+export const ANTECEDENT_MOISTURE = {
+    I: 'Dry (AMC I)',
+    II: 'Average (AMC II)',
+    III: 'Wet (AMC III)'
+};
+
+// Curve numbers for AMC II by hydrologic soil group A, B, C, D (TR-55, Table 2-2)
+export const LAND_COVER_CURVE_NUMBERS = {
+    forest_good: { label: 'Forest, good cover', curveNumbers: { A: 30, B: 55, C: 70, D: 77 } },
+    forest_fair: { label: 'Forest, fair cover', curveNumbers: { A: 36, B: 60, C: 73, D: 79 } },
+    forest_poor: { label: 'Forest, poor cover', curveNumbers: { A: 45, B: 66, C: 77, D: 83 } },
+    scrub: { label: 'Scrub / brush, fair cover', curveNumbers: { A: 35, B: 56, C: 70, D: 77 } },
+    grassland_good: { label: 'Grassland / pasture, good', curveNumbers: { A: 39, B: 61, C: 74, D: 80 } },
+    grassland_poor: { label: 'Grassland / pasture, poor', curveNumbers: { A: 68, B: 79, C: 86, D: 89 } },
+    cropland_row: { label: 'Row crops', curveNumbers: { A: 67, B: 78, C: 85, D: 89 } },
+    cropland_small_grain: { label: 'Small grain crops', curveNumbers: { A: 63, B: 75, C: 83, D: 87 } },
+    fallow_bare: { label: 'Fallow / bare soil', curveNumbers: { A: 77, B: 86, C: 91, D: 94 } },
+    residential: { label: 'Residential (about 40% impervious)', curveNumbers: { A: 61, B: 75, C: 83, D: 87 } },
+    gravel: { label: 'Gravel roads and yards', curveNumbers: { A: 76, B: 85, C: 89, D: 91 } },
+    impervious: { label: 'Roofs and paved surfaces', curveNumbers: { A: 98, B: 98, C: 98, D: 98 } }
+};
+
+// Default depth of a typical rainfall event when no daily series is available (mm)
+export const DEFAULT_EVENT_RAINFALL = 50;
+
+// Initial abstraction as a share of the potential retention
+const INITIAL_ABSTRACTION_RATIO = 0.2;
+
+/**
+ * Curve number for a land cover, soil group and antecedent moisture condition
+ * @param {string} landCover - Key of LAND_COVER_CURVE_NUMBERS
+ * @param {string} soilGroup - 'A', 'B', 'C' or 'D'
+ * @param {string} [moisture='II'] - 'I', 'II' or 'III'
+ * @returns {number} Curve number (0-100)
+ * @throws {Error} If the land cover or soil group is unknown
+ */
+export function getCurveNumber(landCover, soilGroup, moisture = 'II') {
+    const cover = LAND_COVER_CURVE_NUMBERS[landCover];
+    if (!cover) throw new Error(`Unknown land cover "${landCover}"`);
+    const curveNumber = cover.curveNumbers[soilGroup];
+    if (curveNumber === undefined) throw new Error(`Unknown hydrologic soil group "${soilGroup}"`);
+
+    // Chow, Maidment and Mays (1988), equations 5.5.6 and 5.5.7
+    if (moisture === 'I') return 4.2 * curveNumber / (10 - 0.058 * curveNumber);
+    if (moisture === 'III') return 23 * curveNumber / (10 + 0.13 * curveNumber);
+    return curveNumber;
+}
+
+/**
+ * Runoff depth of a rainfall event
+ * @param {number} rainfall - Event or daily rainfall (mm)
+ * @param {number} curveNumber - Curve number
+ * @returns {number} Runoff depth (mm)
+ */
+export function calculateRunoffDepth(rainfall, curveNumber) {
+    const retention = 25400 / curveNumber - 254;
+    const initialAbstraction = INITIAL_ABSTRACTION_RATIO * retention;
+    if (rainfall <= initialAbstraction) return 0;
+    return Math.pow(rainfall - initialAbstraction, 2) / (rainfall - initialAbstraction + retention);
+}
+
+/**
+ * Estimate the runoff coefficient from land cover and rainfall
+ * @param {Object} options - Estimation inputs
+ * @param {string} options.landCover - Key of LAND_COVER_CURVE_NUMBERS
+ * @param {string} options.soilGroup - 'A', 'B', 'C' or 'D'
+ * @param {string} [options.moisture='II'] - Antecedent moisture condition
+ * @param {Array<number>} options.rainfall - Event or daily rainfall depths (mm)
+ * @returns {Object} { curveNumber, retention, initialAbstraction, rainfall, runoff, coefficient }; depths in mm
+ */
+export function estimateRunoffCoefficient({ landCover, soilGroup, moisture = 'II', rainfall }) {
+    const curveNumber = getCurveNumber(landCover, soilGroup, moisture);
+    const retention = 25400 / curveNumber - 254;
+    const totalRainfall = rainfall.reduce((total, depth) => total + depth, 0);
+    const totalRunoff = rainfall.reduce((total, depth) => total + calculateRunoffDepth(depth, curveNumber), 0);
+
+    return {
+        curveNumber,
+        retention,
+        initialAbstraction: INITIAL_ABSTRACTION_RATIO * retention,
+        rainfall: totalRainfall,
+        runoff: totalRunoff,
+        coefficient: totalRainfall > 0 ? totalRunoff / totalRainfall : 0
+    };
+}
+
+/**
+ * Describe how the runoff coefficient was obtained, for the results
+ * @param {Object} runoff - { method, coefficient, estimate, landCover, soilGroup, moisture, source }
+ * @returns {string} Description
+ */
+export function describeRunoffMethod(runoff) {
+    const coefficient = runoff.coefficient.toFixed(2);
+    if (runoff.method !== RUNOFF_METHODS.CURVE_NUMBER) {
+        return `Runoff coefficient ${coefficient}, entered manually.`;
+    }
+
+    const cover = LAND_COVER_CURVE_NUMBERS[runoff.landCover]?.label || runoff.landCover;
+    const moisture = ANTECEDENT_MOISTURE[runoff.moisture] || runoff.moisture;
+    return `Runoff coefficient ${coefficient}, estimated with the SCS Curve Number method: ${cover}, `
+        + `soil group ${runoff.soilGroup}, antecedent moisture ${moisture.charAt(0).toLowerCase()}${moisture.slice(1)}, `
+        + `curve number ${runoff.estimate.curveNumber.toFixed(0)}, from ${runoff.source}.`;
+}
@@ -0,0 +1,541 @@
+/**
+ * Project workspace: create, open, rename, duplicate and delete projects
+ *
+ * The open project is saved automatically a moment after any change to the
+ * forest or water form, the species list, the scenarios, the notes or the
+ * base currency. Projects are listed most recently saved first; when the
+ * page loads the recent projects are offered so work can be picked up again.
+ * Projects can also be exported to and imported from .arproj files.
+ */
+import { eventBus, Logger, debounce, formatDate, escapeHtml } from './utils.js';
+import { showConfirmDialog } from './domUtils.js';
+import { ProjectStore, PROJECT_STATE_CHANGED_EVENT } from './projectStore.js';
+import { getCurrencySettings, updateCurrencySettings, CURRENCY_CHANGED_EVENT } from './currency.js';
+import {
+    buildProjectFile,
+    parseProjectFile,
+    verifyProjectResults,
+    downloadProjectFile,
+    migrateProject,
+    PROJECT_FILE_EXTENSION
+} from './projectFile.js';
+
+// Delay between the last change and the autosave (ms)
+const AUTOSAVE_DELAY = 1000;
+
+// Number of projects offered in the recent projects picker
+const RECENT_PROJECT_COUNT = 5;
+
+// Containers whose edits are part of the project
+const WATCHED_CONTAINER_IDS = ['calculatorForm', 'waterCalculatorForm', 'projectNotes'];
+
+/**
+ * Project workspace manager
+ */
+export class ProjectWorkspace {
+    /**
+     * @param {Object} options - Workspace options
+     * @param {Function} options.getCalculators - () => { forest, water } calculator instances
+     * @param {ProjectStore} [options.store] - Project storage
+     */
+    constructor({ getCalculators, store = new ProjectStore() }) {
+        this.getCalculators = getCalculators;
+        this.store = store;
+        this.container = null;
+        this.project = null;
+        this.projects = [];
+        this.restoring = false;
+        this.scheduleSave = debounce(() => this.saveNow(), AUTOSAVE_DELAY);
+    }
+
+    /**
+     * Render the workspace bar and offer the recent projects
+     * @returns {Promise<void>}
+     */
+    async init() {
+        this.container = document.getElementById('projectWorkspace');
+        if (!this.container) {
+            Logger.warn('Project workspace container not found');
+            return;
+        }
+
+        if (!this.store.isAvailable()) {
+            this.container.innerHTML = '<p class="text-sm text-gray-500">Projects cannot be saved in this browser. Inputs are lost when the page is closed.</p>';
+            return;
+        }
+
+        this.render();
+        this.setupEventListeners();
+
+        try {
+            await this.refreshList();
+            this.showRecentProjects(this.projects.length > 0);
+        } catch (error) {
+            Logger.error('Error listing projects:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Listen for changes to save and for the workspace buttons
+     */
+    setupEventListeners() {
+        const onEdit = event => {
+            if (WATCHED_CONTAINER_IDS.some(id => event.target.closest?.(`#${id}`))) {
+                this.handleChange();
+            }
+        };
+        document.addEventListener('input', onEdit);
+        document.addEventListener('change', onEdit);
+
+        // Calculations, resets, scenarios and currency changes do not always come from a form field
+        eventBus.on(PROJECT_STATE_CHANGED_EVENT, () => {
+            this.handleChange();
+            this.renderCarbonSummary();
+        });
+        eventBus.on(CURRENCY_CHANGED_EVENT, () => this.handleChange());
+
+        this.container.addEventListener('change', event => {
+            if (event.target.id === 'projectSelect') {
+                if (event.target.value) {
+                    this.openProject(event.target.value);
+                }
+            } else if (event.target.id === 'projectFileInput') {
+                const file = event.target.files?.[0];
+                // Clear the input so the same file can be imported again
+                event.target.value = '';
+                if (file) this.importProject(file);
+            }
+        });
+
+        this.container.addEventListener('click', event => {
+            const button = event.target.closest('button');
+            if (!button) return;
+
+            if (button.dataset.openProject) {
+                this.openProject(button.dataset.openProject);
+                return;
+            }
+
+            switch (button.id) {
+                case 'newProjectBtn':
+                    this.newProject();
+                    break;
+                case 'renameProjectBtn':
+                    this.renameProject();
+                    break;
+                case 'duplicateProjectBtn':
+                    this.duplicateProject();
+                    break;
+                case 'deleteProjectBtn':
+                    this.deleteProject();
+                    break;
+                case 'exportProjectBtn':
+                    this.exportProject();
+                    break;
+                case 'importProjectBtn':
+                    this.container.querySelector('#projectFileInput')?.click();
+                    break;
+                case 'dismissRecentProjectsBtn':
+                    this.showRecentProjects(false);
+                    break;
+                default:
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Schedule an autosave unless a project is being loaded into the forms
+     */
+    handleChange() {
+        if (this.restoring) return;
+        this.setStatus('Unsaved changes');
+        this.scheduleSave();
+    }
+
+    /**
+     * Draw the project selector, buttons, recent projects picker and notes
+     */
+    render() {
+        this.container.innerHTML = `
+            <div class="flex justify-between items-center">
+                <div class="form-group">
+                    <label for="projectSelect" class="label">Project</label>
+                    <select id="projectSelect" class="input"></select>
+                </div>
+                <div class="flex gap-2">
+                    <button type="button" id="newProjectBtn" class="btn btn-outline">New</button>
+                    <button type="button" id="renameProjectBtn" class="btn btn-outline" data-needs-project>Rename</button>
+                    <button type="button" id="duplicateProjectBtn" class="btn btn-outline" data-needs-project>Duplicate</button>
+                    <button type="button" id="deleteProjectBtn" class="btn btn-outline" data-needs-project>Delete</button>
+                    <button type="button" id="exportProjectBtn" class="btn btn-outline" title="Save the inputs and results to a ${PROJECT_FILE_EXTENSION} file">Export</button>
+                    <button type="button" id="importProjectBtn" class="btn btn-outline" title="Open a ${PROJECT_FILE_EXTENSION} file as a new project">Import</button>
+                    <input type="file" id="projectFileInput" accept="${PROJECT_FILE_EXTENSION},application/json" class="hidden">
+                </div>
+            </div>
+            <p id="projectSaveStatus" class="text-sm text-gray-500">Start typing or create a project; your work is then saved automatically on this device.</p>
+            <p id="projectCarbonSummary" class="text-sm hidden"></p>
+            <div id="recentProjects" class="mt-2 hidden">
+                <h4>Recent Projects</h4>
+                <ul id="recentProjectsList"></ul>
+                <button type="button" id="dismissRecentProjectsBtn" class="btn btn-outline">Start Without a Project</button>
+            </div>
+            <details class="mt-2">
+                <summary>Project Notes</summary>
+                <textarea id="projectNotes" class="input" rows="3" placeholder="Notes saved with the project"></textarea>
+            </details>
+            <div id="projectWorkspaceError" class="error-message hidden"></div>
+        `;
+        this.renderProjectList();
+    }
+
+    /**
+     * Show the forest removals and water emission reductions of the project together
+     * Only calculators with results are included.
+     */
+    renderCarbonSummary() {
+        const summaryElement = this.container?.querySelector('#projectCarbonSummary');
+        if (!summaryElement) return;
+
+        const calculators = this.getCalculators();
+        const parts = ['forest', 'water']
+            .map(name => calculators[name]?.getCarbonSummary?.())
+            .filter(Boolean);
+        if (parts.length === 0) {
+            summaryElement.classList.add('hidden');
+            return;
+        }
+
+        const format = value => value.toLocaleString(undefined, { maximumFractionDigits: 1 });
+        const total = parts.reduce((sum, part) => sum + part.total, 0);
+        const breakdown = parts.map(part => `${escapeHtml(part.label)} ${format(part.total)}`).join(' + ');
+        summaryElement.innerHTML = `<strong>Project carbon:</strong> ${format(total)} t CO₂e${parts.length > 1 ? ` (${breakdown})` : ` from ${escapeHtml(parts[0].label)}`}`;
+        summaryElement.classList.remove('hidden');
+    }
+
+    /**
+     * Update the project selector and recent projects after a save or a switch
+     * The notes and forms are left alone so typing is never interrupted.
+     */
+    renderProjectList() {
+        const hasProject = !!this.project;
+        const lastOpenedId = this.store.getCurrentProjectId();
+
+        const options = this.projects
+            .map(project => `<option value="${project.id}"${project.id === this.project?.id ? ' selected' : ''}>${escapeHtml(project.name)}</option>`)
+            .join('');
+        this.container.querySelector('#projectSelect').innerHTML =
+            `<option value=""${hasProject ? '' : ' selected'}>${hasProject ? 'Switch project…' : 'No project open'}</option>${options}`;
+
+        this.container.querySelector('#recentProjectsList').innerHTML = this.projects.slice(0, RECENT_PROJECT_COUNT).map(project => `
+                    <li class="flex justify-between items-center mb-2">
+                        <span>${escapeHtml(project.name)}${project.id === lastOpenedId ? ' (last opened)' : ''} <span class="text-sm text-gray-500">saved ${formatDate(project.updatedAt, { hour: '2-digit', minute: '2-digit' })}</span></span>
+                        <button type="button" class="btn btn-outline" data-open-project="${project.id}">Open</button>
+                    </li>`).join('');
+
+        this.container.querySelectorAll('[data-needs-project]').forEach(button => {
+            button.disabled = !hasProject;
+        });
+    }
+
+    /**
+     * Show or hide the recent projects picker
+     * @param {boolean} show - Whether to show it
+     */
+    showRecentProjects(show) {
+        this.container?.querySelector('#recentProjects')?.classList.toggle('hidden', !show);
+    }
+
+    /**
+     * Show the save status
+     * @param {string} message - Status text
+     */
+    setStatus(message) {
+        const statusElement = this.container?.querySelector('#projectSaveStatus');
+        if (statusElement) statusElement.textContent = message;
+    }
+
+    /**
+     * Show or clear a workspace error
+     * @param {string} [message] - Error message; clears the error when empty
+     */
+    showError(message) {
+        const errorElement = this.container?.querySelector('#projectWorkspaceError');
+        if (!errorElement) return;
+        errorElement.textContent = message || '';
+        errorElement.classList.toggle('hidden', !message);
+    }
+
+    /**
+     * Gather the current state of both calculators
+     * @returns {Object} Project fields other than the ID, name and dates
+     */
+    collectState() {
+        const { forest, water } = this.getCalculators();
+        return {
+            forest: forest?.getProjectState ? forest.getProjectState() : null,
+            water: water?.getProjectState ? water.getProjectState() : null,
+            baseCurrency: getCurrencySettings().baseCurrency,
+            notes: this.container?.querySelector('#projectNotes')?.value || ''
+        };
+    }
+
+    /**
+     * Save the open project; work done without a project goes into a new one
+     * @returns {Promise<void>}
+     */
+    async saveNow() {
+        if (this.restoring) return;
+
+        try {
+            if (!this.project) {
+                const name = `Untitled project ${formatDate(new Date(), { hour: '2-digit', minute: '2-digit' })}`;
+                this.project = await this.store.create(name);
+                this.store.setCurrentProjectId(this.project.id);
+                this.showRecentProjects(false);
+            }
+
+            this.project = await this.store.save({ ...this.project, ...this.collectState() });
+            await this.refreshList();
+            this.setStatus(`Saved at ${new Date(this.project.updatedAt).toLocaleTimeString()}`);
+            this.showError('');
+        } catch (error) {
+            Logger.error('Error saving project:', error);
+            this.setStatus('Not saved');
+            this.showError(`Could not save the project: ${error.message}`);
+        }
+    }
+
+    /**
+     * Reload the project list and update the selector
+     * @returns {Promise<void>}
+     */
+    async refreshList() {
+        this.projects = await this.store.list();
+        this.renderProjectList();
+    }
+
+    /**
+     * Load a project into both calculators
+     * @param {string} id - Project ID
+     * @returns {Promise<void>}
+     */
+    async openProject(id) {
+        try {
+            // Keep the work on the project being left
+            if (this.project) await this.saveNow();
+
+            const stored = await this.store.get(id);
+            if (!stored) {
+                throw new Error('Project not found');
+            }
+            const project = migrateProject(stored);
+
+            this.applyProject(project);
+            this.store.setCurrentProjectId(project.id);
+            this.showRecentProjects(false);
+            await this.refreshList();
+            this.setStatus(`Opened "${project.name}"`);
+            Logger.info(`Opened project "${project.name}"`);
+        } catch (error) {
+            Logger.error('Error opening project:', error);
+            this.showError(`Could not open the project: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fill the calculators from a project without triggering autosaves
+     * @param {Object} project - Project to load
+     */
+    applyProject(project) {
+        const { forest, water } = this.getCalculators();
+        this.restoring = true;
+        try {
+            this.project = project;
+            const notesInput = this.container?.querySelector('#projectNotes');
+            if (notesInput) notesInput.value = project.notes || '';
+            if (project.baseCurrency && project.baseCurrency !== getCurrencySettings().baseCurrency) {
+                updateCurrencySettings({ baseCurrency: project.baseCurrency });
+            }
+            forest?.applyProjectState?.(project.forest);
+            water?.applyProjectState?.(project.water);
+        } finally {
+            this.restoring = false;
+        }
+    }
+
+    /**
+     * Give a calculation opened from a shared link a project of its own
+     * The open project is saved first and kept as it was; without an open
+     * project the link's inputs are saved like any other unsaved work.
+     * @param {string} name - Name of the new project
+     * @returns {Promise<void>}
+     */
+    async startSharedProject(name) {
+        if (!this.project) return;
+
+        await this.saveNow();
+        const project = await this.store.create(name);
+        this.applyProject(project);
+        this.store.setCurrentProjectId(project.id);
+        await this.refreshList();
+        this.setStatus(`Created "${project.name}" for the shared link`);
+    }
+
+    /**
+     * Create an empty project and open it
+     * @returns {Promise<void>}
+     */
+    async newProject() {
+        const name = window.prompt('Name of the new project:', '');
+        if (name === null) return;
+
+        try {
+            if (this.project) await this.saveNow();
+
+            const project = await this.store.create(name);
+            this.applyProject(project);
+            this.store.setCurrentProjectId(project.id);
+            this.showRecentProjects(false);
+            await this.refreshList();
+            this.setStatus(`Created "${project.name}"`);
+        } catch (error) {
+            Logger.error('Error creating project:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Rename the open project
+     * @returns {Promise<void>}
+     */
+    async renameProject() {
+        if (!this.project) return;
+        const name = window.prompt('New project name:', this.project.name);
+        if (name === null) return;
+
+        try {
+            await this.saveNow();
+            this.project = await this.store.rename(this.project.id, name);
+            await this.refreshList();
+            this.setStatus(`Renamed to "${this.project.name}"`);
+        } catch (error) {
+            Logger.error('Error renaming project:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Copy the open project and continue working on the copy
+     * @returns {Promise<void>}
+     */
+    async duplicateProject() {
+        if (!this.project) return;
+
+        try {
+            await this.saveNow();
+            const copy = await this.store.duplicate(this.project.id);
+            this.project = copy;
+            this.store.setCurrentProjectId(copy.id);
+            await this.refreshList();
+            this.setStatus(`Now working on "${copy.name}"`);
+        } catch (error) {
+            Logger.error('Error duplicating project:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Download the current inputs and results as a project file
+     */
+    exportProject() {
+        try {
+            const { forest, water } = this.getCalculators();
+            const project = { name: this.project?.name || 'Untitled project', ...this.collectState() };
+            const file = buildProjectFile(project, {
+                forest: forest?.getResultSeries?.() || null,
+                water: water?.getResultSeries?.() || null
+            });
+            const filename = downloadProjectFile(file);
+            this.setStatus(`Exported to ${filename}`);
+            Logger.info(`Exported project "${project.name}" to ${filename}`);
+        } catch (error) {
+            Logger.error('Error exporting project:', error);
+            this.showError(`Could not export the project: ${error.message}`);
+        }
+    }
+
+    /**
+     * Open a project file as a new project and check that recalculating gives the results in the file
+     * @param {File} file - Selected .arproj file
+     * @returns {Promise<void>}
+     */
+    async importProject(file) {
+        try {
+            const { project: imported, results, appVersion } = parseProjectFile(await file.text());
+            if (this.project) await this.saveNow();
+
+            const created = await this.store.create(imported.name);
+            const project = await this.store.save({ ...created, ...imported, name: created.name });
+            this.applyProject(project);
+            this.store.setCurrentProjectId(project.id);
+            this.showRecentProjects(false);
+            await this.refreshList();
+
+            const { forest, water } = this.getCalculators();
+            const check = verifyProjectResults(results, {
+                forest: forest?.getResultSeries?.() || null,
+                water: water?.getResultSeries?.() || null
+            });
+            if (check.checked && !check.matches) {
+                this.showError(`Imported "${project.name}", but the recalculated results differ from the file (checksum ${check.actual} instead of ${check.expected}). The file was exported from version ${appVersion}.`);
+            } else {
+                this.showError('');
+            }
+            this.setStatus(`Imported "${project.name}"${check.matches ? '; recalculated results match the file' : ''}`);
+            Logger.info(`Imported project "${project.name}" from ${file.name}`);
+        } catch (error) {
+            Logger.error('Error importing project:', error);
+            this.showError(`Could not import the project: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete the open project after confirmation
+     * The forms keep their values; further changes go into a new project.
+     * @returns {Promise<void>}
+     */
+    async deleteProject() {
+        if (!this.project) return;
+
+        const confirmed = await showConfirmDialog({
+            title: 'Delete Project',
+            message: `Delete "${escapeHtml(this.project.name)}" from this device? This cannot be undone.`,
+            confirmText: 'Delete'
+        });
+        if (!confirmed) return;
+
+        try {
+            await this.store.delete(this.project.id);
+            this.project = null;
+            await this.refreshList();
+            this.setStatus('Project deleted');
+        } catch (error) {
+            Logger.error('Error deleting project:', error);
+            this.showError(error.message);
+        }
+    }
+}
+
+/**
+ * Sets up the project workspace
+ * @param {Object} options - Module options
+ * @param {Object} options.config - { getCalculators } passed by the application
+ * @returns {ProjectWorkspace} Workspace instance
+ */
+export function setupProjectWorkspace(options = {}) {
+    const workspace = new ProjectWorkspace({ getCalculators: options.config?.getCalculators || (() => ({})) });
+    workspace.init();
+    return workspace;
+}